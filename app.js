@@ -6,6 +6,8 @@ const path = require('path');
 const passport = require('./config/passport');
 const initI18n = require('./middlewares/i18n');
 const { i18next, i18nextMiddleware } = initI18n();
+const eventPurgeService = require('./services/eventPurgeService');
+const { storage } = require('./services/storage');
 
 const db = require('./config/database');
 db.query('SELECT NOW()', [])
@@ -17,6 +19,11 @@ const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const eventRoutes = require('./routes/events');
 const searchRoutes = require('./routes/search');
+const calendarRoutes = require('./routes/calendar');
+const venueRoutes = require('./routes/venues');
+const templateRoutes = require('./routes/templates');
+const boundaryRoutes = require('./routes/boundaries');
+const tileRoutes = require('./routes/tiles');
 
 // Initialize app
 const app = express();
@@ -34,11 +41,29 @@ app.use(i18nextMiddleware);
 // Initialize Passport
 app.use(passport.initialize());
 
+// Serve uploaded media when they are stored locally
+if (storage.publicPath) {
+  app.use(storage.publicPath, express.static(storage.root, {
+    // Let other sites embed the images (helmet defaults to same-origin)
+    setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+  }));
+}
+
 // Setup routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/events', eventRoutes);
 app.use('/api/search', searchRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/venues', venueRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/boundaries', boundaryRoutes);
+app.use('/api/tiles', tileRoutes);
+
+// Purge deleted events once their retention period is over
+if (process.env.NODE_ENV !== 'test') {
+  eventPurgeService.start();
+}
 
 // Root route
 app.get('/', (req, res) => {
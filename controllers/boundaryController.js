@@ -0,0 +1,111 @@
+const boundaryService = require('../services/boundaryService');
+const { validationResult } = require('express-validator');
+
+// Import boundaries from a GeoJSON file
+exports.importBoundaries = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: req.t('validationError'),
+        errors: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: req.t('importFileRequired')
+      });
+    }
+
+    const result = await boundaryService.importBoundaries(req.file, {
+      nameProperty: req.body.nameProperty
+    }, req);
+
+    res.status(200).json({
+      success: true,
+      message: req.t('boundariesImported'),
+      data: result
+    });
+  } catch (error) {
+    console.error('Import boundaries error details:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : req.t('serverError')
+    });
+  }
+};
+
+// Get boundaries by name
+exports.getBoundaries = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: req.t('validationError'),
+        errors: errors.array()
+      });
+    }
+
+    const { boundaries, pagination } = await boundaryService.getBoundaries({
+      q: req.query.q || null,
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 50
+    }, req);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        boundaries,
+        pagination
+      }
+    });
+  } catch (error) {
+    console.error('Get boundaries error details:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : req.t('serverError')
+    });
+  }
+};
+
+// Get boundary by slug
+exports.getBoundary = async (req, res) => {
+  try {
+    const boundary = await boundaryService.getBoundary(req.params.slug, req);
+
+    res.status(200).json({
+      success: true,
+      data: { boundary }
+    });
+  } catch (error) {
+    console.error('Get boundary error details:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : req.t('serverError')
+    });
+  }
+};
+
+// Delete boundary
+exports.deleteBoundary = async (req, res) => {
+  try {
+    await boundaryService.deleteBoundary(req.params.slug, req);
+
+    res.status(200).json({
+      success: true,
+      message: req.t('boundaryDeleted')
+    });
+  } catch (error) {
+    console.error('Delete boundary error details:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : req.t('serverError')
+    });
+  }
+};
@@ -0,0 +1,185 @@
+const calendarService = require('../services/calendarService');
+const { DEFAULT_TIMEZONE } = require('../utils/icalendar');
+const { validationResult } = require('express-validator');
+
+/**
+ * Send an iCalendar document
+ * @param {object} res - Express response object
+ * @param {string} calendar - Calendar document
+ * @param {string} filename - File name offered to the client
+ */
+const sendCalendar = (res, calendar, filename) => {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `inline; filename="${filename}"`);
+  res.status(200).send(calendar);
+};
+
+/**
+ * Get the public base URL of the API, for links given to calendar apps
+ * @param {object} req - Express request object
+ * @returns {string} Base URL
+ */
+const getBaseUrl = (req) => {
+  return process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+};
+
+// Export a single event as .ics
+exports.getEventCalendar = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: req.t('validationError'), 
+        errors: errors.array() 
+      });
+    }
+
+    const { filename, calendar } = await calendarService.getEventCalendar(
+      req.params.id,
+      req.user ? req.user.id : null,
+      req.query.tz || null,
+      req
+    );
+
+    sendCalendar(res, calendar, filename);
+  } catch (error) {
+    console.error('Get event calendar error details:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      message: error.statusCode ? error.message : req.t('serverError') 
+    });
+  }
+};
+
+// Get the secret URL of the user's favorites feed
+exports.getFeedUrl = async (req, res) => {
+  try {
+    const url = await calendarService.getFeedUrl(req.user.id, getBaseUrl(req), req);
+
+    res.status(200).json({
+      success: true,
+      data: { url }
+    });
+  } catch (error) {
+    console.error('Get calendar feed error details:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      message: error.statusCode ? error.message : req.t('serverError') 
+    });
+  }
+};
+
+// Replace the secret URL of the user's favorites feed
+exports.resetFeedUrl = async (req, res) => {
+  try {
+    const url = await calendarService.resetFeedUrl(req.user.id, getBaseUrl(req), req);
+
+    res.status(200).json({
+      success: true,
+      message: req.t('calendarFeedReset'),
+      data: { url }
+    });
+  } catch (error) {
+    console.error('Reset calendar feed error details:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      message: error.statusCode ? error.message : req.t('serverError') 
+    });
+  }
+};
+
+// Favorites feed of the user owning the token
+exports.getFavoritesFeed = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: req.t('validationError'), 
+        errors: errors.array() 
+      });
+    }
+
+    const calendar = await calendarService.getFavoritesFeed(
+      req.params.token,
+      req.query.tz || DEFAULT_TIMEZONE,
+      req
+    );
+
+    sendCalendar(res, calendar, 'favorites.ics');
+  } catch (error) {
+    console.error('Get favorites feed error details:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      message: error.statusCode ? error.message : req.t('serverError') 
+    });
+  }
+};
+
+// Public feed of a category
+exports.getCategoryFeed = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: req.t('validationError'), 
+        errors: errors.array() 
+      });
+    }
+
+    const calendar = await calendarService.getCategoryFeed(
+      parseInt(req.params.categoryId),
+      req.query.tz || DEFAULT_TIMEZONE,
+      req
+    );
+
+    sendCalendar(res, calendar, `category-${req.params.categoryId}.ics`);
+  } catch (error) {
+    console.error('Get category feed error details:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      message: error.statusCode ? error.message : req.t('serverError') 
+    });
+  }
+};
+
+// Public feed of a location search, the query string being the saved search
+exports.getSearchFeed = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: req.t('validationError'), 
+        errors: errors.array() 
+      });
+    }
+
+    const categoryIds = req.query.categories
+      ? Array.isArray(req.query.categories)
+        ? req.query.categories.map(Number)
+        : [Number(req.query.categories)]
+      : [];
+
+    const calendar = await calendarService.getSearchFeed({
+      latitude: parseFloat(req.query.latitude),
+      longitude: parseFloat(req.query.longitude),
+      radius: parseFloat(req.query.radius) || 10,
+      categoryIds
+    }, req.query.tz || DEFAULT_TIMEZONE, req);
+
+    sendCalendar(res, calendar, 'search.ics');
+  } catch (error) {
+    console.error('Get search feed error details:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      message: error.statusCode ? error.message : req.t('serverError') 
+    });
+  }
+};
@@ -1,7 +1,31 @@
 const Event = require('../models/Event');
+const Venue = require('../models/Venue');
+const ExchangeRate = require('../models/ExchangeRate');
 const notificationService = require('../services/notificationService');
+const eventService = require('../services/eventService');
+const importService = require('../services/importService');
+const mediaService = require('../services/mediaService');
+const sessionService = require('../services/sessionService');
+const ticketService = require('../services/ticketService');
+const templateService = require('../services/templateService');
+const inviteService = require('../services/inviteService');
+const { eventETag } = require('../utils/etag');
+const { getInviteToken } = require('../utils/eventVisibility');
+const { pickFlagFilters } = require('../utils/eventAttributes');
 const { validationResult } = require('express-validator');
 
+/**
+ * Build the invite link of an event
+ * @param {object} req - Express request object
+ * @param {number|string} eventId - Event ID
+ * @param {string} token - Invite token
+ * @returns {string} Invite URL
+ */
+const buildInviteUrl = (req, eventId, token) => {
+  const baseUrl = process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+  return `${baseUrl}/api/events/${eventId}?invite=${encodeURIComponent(token)}`;
+};
+
 // Create a new event
 exports.createEvent = async (req, res) => {
   try {
@@ -23,9 +47,29 @@ exports.createEvent = async (req, res) => {
       address, 
       startTime, 
       endTime, 
-      categories 
+      categories,
+      recurrenceRule,
+      exdates,
+      capacity,
+      status,
+      venueId,
+      language,
+      timezone,
+      visibility,
+      tags,
+      attributes,
+      mode,
+      joinUrl,
+      footprint
     } = req.body;
 
+    if (venueId && !(await Venue.getById(venueId))) {
+      return res.status(400).json({ 
+        success: false, 
+        message: req.t('venueNotFound') 
+      });
+    }
+
     // Create event
     const event = await Event.create({
       title,
@@ -36,12 +80,27 @@ exports.createEvent = async (req, res) => {
       startTime,
       endTime,
       creatorId: req.user.id,
-      categories
+      categories,
+      recurrenceRule,
+      exdates,
+      capacity,
+      status,
+      venueId,
+      language: language || req.language,
+      timezone,
+      visibility,
+      tags,
+      attributes,
+      mode,
+      joinUrl,
+      footprint
     });
 
-    // Send notification about new event
+    // Send notification about new event (only public events are announced)
     try {
-      await notificationService.sendNewEventNotification(event.id);
+      if (event.visibility === 'public') {
+        await notificationService.sendNewEventNotification(event.id);
+      }
       
       // Schedule reminder for 24 hours before event
       const reminderTime = new Date(event.start_time);
@@ -66,43 +125,79 @@ exports.createEvent = async (req, res) => {
   }
 };
 
-// Get event by ID
-exports.getEvent = async (req, res) => {
+// Import events from a CSV or iCalendar file
+exports.importEvents = async (req, res) => {
   try {
-    const { id } = req.params;
-
-    // Get event
-    const event = await Event.getById(id);
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: req.t('validationError'), 
+        errors: errors.array() 
+      });
+    }
 
-    if (!event) {
-      return res.status(404).json({ 
+    if (!req.file) {
+      return res.status(400).json({ 
         success: false, 
-        message: req.t('notFound') 
+        message: req.t('importFileRequired') 
       });
     }
 
-    // Get average rating
-    const ratingInfo = await Event.getAverageRating(id);
+    const { format, mapping, dryRun } = req.body;
 
-    // Check if user has favorited this event
-    let isFavorited = false;
-    if (req.user) {
-      isFavorited = await Event.isFavorited(req.user.id, id);
-    }
+    // Create valid rows and report on every row
+    const result = await importService.importEvents(req.file, {
+      format,
+      mapping,
+      dryRun
+    }, req.user.id, req);
+
+    res.status(result.dryRun ? 200 : 201).json({
+      success: true,
+      message: req.t(result.dryRun ? 'importValidated' : 'importCompleted'),
+      data: result
+    });
+  } catch (error) {
+    console.error('Import events error details:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      message: error.statusCode ? error.message : req.t('serverError') 
+    });
+  }
+};
+
+// Get event by ID
+exports.getEvent = async (req, res) => {
+  try {
+    // Drafts, unlisted and private events are only visible to those allowed to see them
+    const { event, rating, attendance, isFavorited, rsvp } = await eventService.getEventById(
+      req.params.id,
+      req.user ? req.user.id : null,
+      req
+    );
+
+    // Clients send this back in If-Match when updating or deleting
+    res.set('ETag', eventETag(event));
+    res.vary('Accept-Language');
+    res.vary('Authorization');
 
     res.status(200).json({
       success: true,
       data: { 
         event,
-        rating: ratingInfo,
-        isFavorited
+        rating,
+        attendance,
+        isFavorited,
+        rsvp
       }
     });
   } catch (error) {
     console.error('Get event error details:', error);  // Added detailed logging
-    res.status(500).json({ 
+    res.status(error.statusCode || 500).json({ 
       success: false, 
-      message: req.t('serverError') 
+      message: error.statusCode ? error.message : req.t('serverError') 
     });
   }
 };
@@ -129,27 +224,25 @@ exports.updateEvent = async (req, res) => {
       address, 
       startTime, 
       endTime, 
-      categories 
+      categories,
+      recurrenceRule,
+      exdates,
+      capacity,
+      venueId,
+      language,
+      timezone,
+      visibility,
+      tags,
+      attributes,
+      mode,
+      joinUrl,
+      footprint,
+      scope,
+      occurrenceStart
     } = req.body;
 
-    // Check if event exists and user is the creator
-    const existingEvent = await Event.getById(id);
-    if (!existingEvent) {
-      return res.status(404).json({ 
-        success: false, 
-        message: req.t('notFound') 
-      });
-    }
-
-    if (existingEvent.creator_id !== req.user.id) {
-      return res.status(403).json({ 
-        success: false, 
-        message: req.t('unauthorized') 
-      });
-    }
-
-    // Update event
-    const event = await Event.update(id, {
+    // Update event (checks ownership and records a revision)
+    const event = await eventService.updateEvent(id, {
       title,
       description,
       latitude,
@@ -157,8 +250,28 @@ exports.updateEvent = async (req, res) => {
       address,
       startTime,
       endTime,
-      categories
-    });
+      categories,
+      recurrenceRule,
+      exdates,
+      capacity,
+      venueId,
+      language,
+      timezone,
+      visibility,
+      tags,
+      attributes,
+      mode,
+      joinUrl,
+      footprint,
+      scope,
+      occurrenceStart,
+      expectedVersion: req.expectedVersion
+    }, req.user.id, req);
+
+    // Splitting a series returns the new series, which is a different resource
+    if (String(event.id) === String(id)) {
+      res.set('ETag', eventETag(event));
+    }
 
     res.status(200).json({
       success: true,
@@ -167,9 +280,9 @@ exports.updateEvent = async (req, res) => {
     });
   } catch (error) {
     console.error('Update event error details:', error);  // Added detailed logging
-    res.status(500).json({ 
+    res.status(error.statusCode || 500).json({ 
       success: false, 
-      message: req.t('serverError') 
+      message: error.statusCode ? error.message : req.t('serverError') 
     });
   }
 };
@@ -177,26 +290,8 @@ exports.updateEvent = async (req, res) => {
 // Delete event
 exports.deleteEvent = async (req, res) => {
   try {
-    const { id } = req.params;
-
-    // Check if event exists and user is the creator
-    const existingEvent = await Event.getById(id);
-    if (!existingEvent) {
-      return res.status(404).json({ 
-        success: false, 
-        message: req.t('notFound') 
-      });
-    }
-
-    if (existingEvent.creator_id !== req.user.id) {
-      return res.status(403).json({ 
-        success: false, 
-        message: req.t('unauthorized') 
-      });
-    }
-
-    // Delete event
-    await Event.delete(id);
+    // Delete event, unless it changed after the If-Match check
+    await eventService.deleteEvent(req.params.id, req.user.id, req);
 
     res.status(200).json({
       success: true,
@@ -204,9 +299,9 @@ exports.deleteEvent = async (req, res) => {
     });
   } catch (error) {
     console.error('Delete event error details:', error);  // Added detailed logging
-    res.status(500).json({ 
+    res.status(error.statusCode || 500).json({ 
       success: false, 
-      message: req.t('serverError') 
+      message: error.statusCode ? error.message : req.t('serverError') 
     });
   }
 };
@@ -214,6 +309,16 @@ exports.deleteEvent = async (req, res) => {
 // Get all events with filtering and pagination
 exports.getAllEvents = async (req, res) => {
   try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: req.t('validationError'), 
+        errors: errors.array() 
+      });
+    }
+
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     let categoryIds = req.query.categories 
@@ -225,6 +330,14 @@ exports.getAllEvents = async (req, res) => {
     const startDate = req.query.startDate;
     const endDate = req.query.endDate;
 
+    // Prices can only be compared in currencies with an exchange rate
+    if (req.query.currency && !(await ExchangeRate.getRate(req.query.currency))) {
+      return res.status(400).json({ 
+        success: false, 
+        message: req.t('unsupportedCurrency') 
+      });
+    }
+
     // Get events
     const { events, pagination } = await Event.getAll({
       page,
@@ -232,7 +345,18 @@ exports.getAllEvents = async (req, res) => {
       categoryIds,
       creatorId,
       startDate,
-      endDate
+      endDate,
+      viewerId: req.user ? req.user.id : null,
+      language: req.language,
+      languages: req.query.languages || [],
+      tags: req.query.tags || [],
+      tagMatch: req.query.tagMatch,
+      minPrice: req.query.minPrice,
+      maxPrice: req.query.maxPrice,
+      free: req.query.free,
+      currency: req.query.currency,
+      attributes: pickFlagFilters(req.query),
+      age: req.query.age
     });
 
     res.status(200).json({
@@ -267,9 +391,9 @@ exports.addReview = async (req, res) => {
     const { id } = req.params;
     const { rating, review } = req.body;
 
-    // Check if event exists
+    // Check if event exists and the user can see it
     const event = await Event.getById(id);
-    if (!event) {
+    if (!event || !(await eventService.canView(event, req.user.id, getInviteToken(req)))) {
       return res.status(404).json({ 
         success: false, 
         message: req.t('notFound') 
@@ -300,9 +424,9 @@ exports.getReviews = async (req, res) => {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
 
-    // Check if event exists
+    // Check if event exists and the user can see it
     const event = await Event.getById(id);
-    if (!event) {
+    if (!event || !(await eventService.canView(event, req.user ? req.user.id : null, getInviteToken(req)))) {
       return res.status(404).json({ 
         success: false, 
         message: req.t('notFound') 
@@ -326,4 +450,1000 @@ exports.getReviews = async (req, res) => {
       message: req.t('serverError') 
     });
   }
-};
\ No newline at end of file
+};
+
+// RSVP to event
+exports.rsvpEvent = async (req, res) => {
+  try {
+    // Join the event, or its waitlist when it is full
+    const { rsvp, attendance } = await eventService.rsvpEvent(req.params.id, req.user.id, req);
+
+    res.status(200).json({
+      success: true,
+      message: req.t(rsvp.status === 'going' ? 'rsvpConfirmed' : 'rsvpWaitlisted'),
+      data: { 
+        rsvp,
+        attendance
+      }
+    });
+  } catch (error) {
+    console.error('RSVP event error details:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      message: error.statusCode ? error.message : req.t('serverError') 
+    });
+  }
+};
+
+// Cancel RSVP to event
+exports.cancelRsvp = async (req, res) => {
+  try {
+    // Cancel RSVP and promote from the waitlist
+    const { attendance } = await eventService.cancelRsvp(req.params.id, req.user.id, req);
+
+    res.status(200).json({
+      success: true,
+      message: req.t('rsvpCancelled'),
+      data: { attendance }
+    });
+  } catch (error) {
+    console.error('Cancel RSVP error details:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      message: error.statusCode ? error.message : req.t('serverError') 
+    });
+  }
+};
+
+// Get event attendees and waitlist
+exports.getAttendees = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    // Only organizers allowed to see attendees get them
+    const { attendees, attendance, pagination } = await eventService.getAttendees(
+      req.params.id, req.user.id, page, limit, req
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        attendees,
+        attendance,
+        pagination
+      }
+    });
+  } catch (error) {
+    console.error('Get attendees error details:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      message: error.statusCode ? error.message : req.t('serverError') 
+    });
+  }
+};
+
+// Change event status
+exports.changeStatus = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: req.t('validationError'), 
+        errors: errors.array() 
+      });
+    }
+
+    const { status, reason } = req.body;
+
+    // Move the event to its new status and let attendees know of cancellations and postponements
+    const event = await eventService.changeStatus(req.params.id, status, reason, req.user.id, req);
+
+    res.status(200).json({
+      success: true,
+      message: req.t('eventStatusChanged'),
+      data: { event }
+    });
+  } catch (error) {
+    console.error('Change event status error details:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      message: error.statusCode ? error.message : req.t('serverError') 
+    });
+  }
+};
+
+// Restore a deleted event
+exports.restoreEvent = async (req, res) => {
+  try {
+    // Restore event if it is in the trash and user is the owner
+    const event = await eventService.restoreEvent(req.params.id, req.user.id, req);
+
+    res.status(200).json({
+      success: true,
+      message: req.t('eventRestored'),
+      data: { event }
+    });
+  } catch (error) {
+    console.error('Restore event error details:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      message: error.statusCode ? error.message : req.t('serverError') 
+    });
+  }
+};
+
+// Get event revision history
+exports.getHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    const { revisions, pagination } = await eventService.getHistory(
+      id, 
+      req.user ? req.user.id : null, 
+      page, 
+      limit, 
+      req
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        revisions,
+        pagination
+      }
+    });
+  } catch (error) {
+    console.error('Get event history error details:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      message: error.statusCode ? error.message : req.t('serverError') 
+    });
+  }
+};
+
+// Revert event to a previous revision
+exports.revertEvent = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: req.t('validationError'), 
+        errors: errors.array() 
+      });
+    }
+
+    const { id } = req.params;
+    const revision = parseInt(req.params.revision);
+
+    const event = await eventService.revertToRevision(id, revision, req.user.id, req);
+
+    res.status(200).json({
+      success: true,
+      message: req.t('eventReverted'),
+      data: { event }
+    });
+  } catch (error) {
+    console.error('Revert event error details:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      message: error.statusCode ? error.message : req.t('serverError') 
+    });
+  }
+};
+// Get event organizers
+exports.getOrganizers = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { owner, organizers } = await eventService.getOrganizers(id, req.user.id, req);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        owner,
+        organizers
+      }
+    });
+  } catch (error) {
+    console.error('Get organizers error details:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      message: error.statusCode ? error.message : req.t('serverError') 
+    });
+  }
+};
+
+// Invite a co-organizer
+exports.inviteOrganizer = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: req.t('validationError'), 
+        errors: errors.array() 
+      });
+    }
+
+    const { id } = req.params;
+    const { userId, role } = req.body;
+
+    const organizer = await eventService.inviteOrganizer(id, userId, role, req.user.id, req);
+
+    res.status(201).json({
+      success: true,
+      message: req.t(organizer.accepted_at ? 'organizerRoleChanged' : 'organizerInvited'),
+      data: { organizer }
+    });
+  } catch (error) {
+    console.error('Invite organizer error details:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      message: error.statusCode ? error.message : req.t('serverError') 
+    });
+  }
+};
+
+// Accept an invitation to co-organize an event
+exports.acceptOrganizerInvitation = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const organizer = await eventService.acceptOrganizerInvitation(id, req.user.id, req);
+
+    res.status(200).json({
+      success: true,
+      message: req.t('organizerInvitationAccepted'),
+      data: { organizer }
+    });
+  } catch (error) {
+    console.error('Accept organizer invitation error details:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      message: error.statusCode ? error.message : req.t('serverError') 
+    });
+  }
+};
+
+// Remove a co-organizer
+exports.removeOrganizer = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: req.t('validationError'), 
+        errors: errors.array() 
+      });
+    }
+
+    const { id, userId } = req.params;
+
+    await eventService.removeOrganizer(id, userId, req.user.id, req);
+
+    res.status(200).json({
+      success: true,
+      message: req.t('organizerRemoved')
+    });
+  } catch (error) {
+    console.error('Remove organizer error details:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      message: error.statusCode ? error.message : req.t('serverError') 
+    });
+  }
+};
+
+// Transfer event ownership
+exports.transferOwnership = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: req.t('validationError'), 
+        errors: errors.array() 
+      });
+    }
+
+    const { id } = req.params;
+    const { userId } = req.body;
+
+    const event = await eventService.transferOwnership(id, userId, req.user.id, req);
+
+    res.status(200).json({
+      success: true,
+      message: req.t('ownershipTransferred'),
+      data: { event }
+    });
+  } catch (error) {
+    console.error('Transfer ownership error details:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      message: error.statusCode ? error.message : req.t('serverError') 
+    });
+  }
+};
+
+// Get the invite link of an event
+exports.getInviteLink = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const token = await inviteService.getInviteToken(id, req.user.id, req);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        token,
+        url: buildInviteUrl(req, id, token)
+      }
+    });
+  } catch (error) {
+    console.error('Get invite link error details:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      message: error.statusCode ? error.message : req.t('serverError') 
+    });
+  }
+};
+
+// Replace the invite link of an event
+exports.resetInviteLink = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const token = await inviteService.resetInviteToken(id, req.user.id, req);
+
+    res.status(200).json({
+      success: true,
+      message: req.t('inviteLinkReset'),
+      data: {
+        token,
+        url: buildInviteUrl(req, id, token)
+      }
+    });
+  } catch (error) {
+    console.error('Reset invite link error details:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      message: error.statusCode ? error.message : req.t('serverError') 
+    });
+  }
+};
+
+// Get event invitees
+exports.getInvitees = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const invitees = await inviteService.getInvitees(id, req.user.id, req);
+
+    res.status(200).json({
+      success: true,
+      data: { invitees }
+    });
+  } catch (error) {
+    console.error('Get invitees error details:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      message: error.statusCode ? error.message : req.t('serverError') 
+    });
+  }
+};
+
+// Invite a user to an event
+exports.addInvitee = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: req.t('validationError'), 
+        errors: errors.array() 
+      });
+    }
+
+    const { id } = req.params;
+    const { userId } = req.body;
+
+    const invitee = await inviteService.addInvitee(id, userId, req.user.id, req);
+
+    res.status(201).json({
+      success: true,
+      message: req.t('inviteeAdded'),
+      data: { invitee }
+    });
+  } catch (error) {
+    console.error('Add invitee error details:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      message: error.statusCode ? error.message : req.t('serverError') 
+    });
+  }
+};
+
+// Join the invitees of an event through its invite link
+exports.joinEvent = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: req.t('validationError'), 
+        errors: errors.array() 
+      });
+    }
+
+    const { id } = req.params;
+
+    const invitee = await inviteService.joinByLink(id, req.body.token, req.user.id, req);
+
+    res.status(200).json({
+      success: true,
+      message: req.t('invitationJoined'),
+      data: { invitee }
+    });
+  } catch (error) {
+    console.error('Join event error details:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      message: error.statusCode ? error.message : req.t('serverError') 
+    });
+  }
+};
+
+// Remove an invitee
+exports.removeInvitee = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: req.t('validationError'), 
+        errors: errors.array() 
+      });
+    }
+
+    const { id, userId } = req.params;
+
+    await inviteService.removeInvitee(id, userId, req.user.id, req);
+
+    res.status(200).json({
+      success: true,
+      message: req.t('inviteeRemoved')
+    });
+  } catch (error) {
+    console.error('Remove invitee error details:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      message: error.statusCode ? error.message : req.t('serverError') 
+    });
+  }
+};
+
+// Get event media
+exports.getMedia = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const media = await mediaService.getMedia(id, req.user ? req.user.id : null, req);
+
+    res.status(200).json({
+      success: true,
+      data: { media }
+    });
+  } catch (error) {
+    console.error('Get media error details:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      message: error.statusCode ? error.message : req.t('serverError') 
+    });
+  }
+};
+
+// Upload a media file to an event
+exports.uploadMedia = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: req.t('validationError'), 
+        errors: errors.array() 
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ 
+        success: false, 
+        message: req.t('mediaFileRequired') 
+      });
+    }
+
+    const { id } = req.params;
+
+    const media = await mediaService.uploadMedia(id, req.file, req.body.isCover === true, req.user.id, req);
+
+    res.status(201).json({
+      success: true,
+      message: req.t('mediaUploaded'),
+      data: { media }
+    });
+  } catch (error) {
+    console.error('Upload media error details:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      message: error.statusCode ? error.message : req.t('serverError') 
+    });
+  }
+};
+
+// Make an image the event's cover
+exports.setMediaCover = async (req, res) => {
+  try {
+    const { id, mediaId } = req.params;
+
+    const media = await mediaService.setCover(id, mediaId, req.user.id, req);
+
+    res.status(200).json({
+      success: true,
+      message: req.t('coverUpdated'),
+      data: { media }
+    });
+  } catch (error) {
+    console.error('Set media cover error details:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      message: error.statusCode ? error.message : req.t('serverError') 
+    });
+  }
+};
+
+// Remove a media file from an event
+exports.deleteMedia = async (req, res) => {
+  try {
+    const { id, mediaId } = req.params;
+
+    await mediaService.deleteMedia(id, mediaId, req.user.id, req);
+
+    res.status(200).json({
+      success: true,
+      message: req.t('mediaDeleted')
+    });
+  } catch (error) {
+    console.error('Delete media error details:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      message: error.statusCode ? error.message : req.t('serverError') 
+    });
+  }
+};
+
+// Get the original language and translations of an event
+exports.getTranslations = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { language, translations } = await eventService.getTranslations(id, req.user ? req.user.id : null, req);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        language,
+        translations
+      }
+    });
+  } catch (error) {
+    console.error('Get translations error details:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      message: error.statusCode ? error.message : req.t('serverError') 
+    });
+  }
+};
+
+// Add or replace a translation of an event
+exports.saveTranslation = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: req.t('validationError'), 
+        errors: errors.array() 
+      });
+    }
+
+    const { id, locale } = req.params;
+    const { title, description } = req.body;
+
+    const translation = await eventService.saveTranslation(id, locale, { title, description }, req.user.id, req);
+
+    res.status(200).json({
+      success: true,
+      message: req.t('translationSaved'),
+      data: { translation }
+    });
+  } catch (error) {
+    console.error('Save translation error details:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      message: error.statusCode ? error.message : req.t('serverError') 
+    });
+  }
+};
+
+// Remove a translation of an event
+exports.deleteTranslation = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: req.t('validationError'), 
+        errors: errors.array() 
+      });
+    }
+
+    const { id, locale } = req.params;
+
+    await eventService.deleteTranslation(id, locale, req.user.id, req);
+
+    res.status(200).json({
+      success: true,
+      message: req.t('translationDeleted')
+    });
+  } catch (error) {
+    console.error('Delete translation error details:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      message: error.statusCode ? error.message : req.t('serverError') 
+    });
+  }
+};
+
+// Get the agenda of an event
+exports.getSessions = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const sessions = await sessionService.getSessions(id, req.user ? req.user.id : null, req);
+
+    res.status(200).json({
+      success: true,
+      data: { sessions }
+    });
+  } catch (error) {
+    console.error('Get sessions error details:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      message: error.statusCode ? error.message : req.t('serverError') 
+    });
+  }
+};
+
+// Get a session of an event
+exports.getSession = async (req, res) => {
+  try {
+    const { id, sessionId } = req.params;
+
+    const session = await sessionService.getSession(id, sessionId, req.user ? req.user.id : null, req);
+
+    res.status(200).json({
+      success: true,
+      data: { session }
+    });
+  } catch (error) {
+    console.error('Get session error details:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      message: error.statusCode ? error.message : req.t('serverError') 
+    });
+  }
+};
+
+// Add a session to an event
+exports.createSession = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: req.t('validationError'), 
+        errors: errors.array() 
+      });
+    }
+
+    const { id } = req.params;
+    const { title, description, speaker, room, latitude, longitude, address, startTime, endTime } = req.body;
+
+    const session = await sessionService.createSession(id, {
+      title,
+      description,
+      speaker,
+      room,
+      latitude,
+      longitude,
+      address,
+      startTime,
+      endTime
+    }, req.user.id, req);
+
+    res.status(201).json({
+      success: true,
+      message: req.t('sessionCreated'),
+      data: { session }
+    });
+  } catch (error) {
+    console.error('Create session error details:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      message: error.statusCode ? error.message : req.t('serverError') 
+    });
+  }
+};
+
+// Update a session of an event
+exports.updateSession = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: req.t('validationError'), 
+        errors: errors.array() 
+      });
+    }
+
+    const { id, sessionId } = req.params;
+    const { title, description, speaker, room, latitude, longitude, address, startTime, endTime } = req.body;
+
+    const session = await sessionService.updateSession(id, sessionId, {
+      title,
+      description,
+      speaker,
+      room,
+      latitude,
+      longitude,
+      address,
+      startTime,
+      endTime
+    }, req.user.id, req);
+
+    res.status(200).json({
+      success: true,
+      message: req.t('sessionUpdated'),
+      data: { session }
+    });
+  } catch (error) {
+    console.error('Update session error details:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      message: error.statusCode ? error.message : req.t('serverError') 
+    });
+  }
+};
+
+// Remove a session from an event
+exports.deleteSession = async (req, res) => {
+  try {
+    const { id, sessionId } = req.params;
+
+    await sessionService.deleteSession(id, sessionId, req.user.id, req);
+
+    res.status(200).json({
+      success: true,
+      message: req.t('sessionDeleted')
+    });
+  } catch (error) {
+    console.error('Delete session error details:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      message: error.statusCode ? error.message : req.t('serverError') 
+    });
+  }
+};
+
+// Get the ticket tiers of an event
+exports.getTiers = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const tiers = await ticketService.getTiers(id, req.user ? req.user.id : null, req);
+
+    res.status(200).json({
+      success: true,
+      data: { tiers }
+    });
+  } catch (error) {
+    console.error('Get ticket tiers error details:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      message: error.statusCode ? error.message : req.t('serverError') 
+    });
+  }
+};
+
+// Get a ticket tier of an event
+exports.getTier = async (req, res) => {
+  try {
+    const { id, tierId } = req.params;
+
+    const tier = await ticketService.getTier(id, tierId, req.user ? req.user.id : null, req);
+
+    res.status(200).json({
+      success: true,
+      data: { tier }
+    });
+  } catch (error) {
+    console.error('Get ticket tier error details:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      message: error.statusCode ? error.message : req.t('serverError') 
+    });
+  }
+};
+
+// Add a ticket tier to an event
+exports.createTier = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: req.t('validationError'), 
+        errors: errors.array() 
+      });
+    }
+
+    const { id } = req.params;
+    const { name, price, currency, quantity, salesStart, salesEnd } = req.body;
+
+    const tier = await ticketService.createTier(id, {
+      name,
+      price,
+      currency,
+      quantity,
+      salesStart,
+      salesEnd
+    }, req.user.id, req);
+
+    res.status(201).json({
+      success: true,
+      message: req.t('tierCreated'),
+      data: { tier }
+    });
+  } catch (error) {
+    console.error('Create ticket tier error details:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      message: error.statusCode ? error.message : req.t('serverError') 
+    });
+  }
+};
+
+// Update a ticket tier of an event
+exports.updateTier = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: req.t('validationError'), 
+        errors: errors.array() 
+      });
+    }
+
+    const { id, tierId } = req.params;
+    const { name, price, currency, quantity, salesStart, salesEnd } = req.body;
+
+    const tier = await ticketService.updateTier(id, tierId, {
+      name,
+      price,
+      currency,
+      quantity,
+      salesStart,
+      salesEnd
+    }, req.user.id, req);
+
+    res.status(200).json({
+      success: true,
+      message: req.t('tierUpdated'),
+      data: { tier }
+    });
+  } catch (error) {
+    console.error('Update ticket tier error details:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      message: error.statusCode ? error.message : req.t('serverError') 
+    });
+  }
+};
+
+// Remove a ticket tier from an event
+exports.deleteTier = async (req, res) => {
+  try {
+    const { id, tierId } = req.params;
+
+    await ticketService.deleteTier(id, tierId, req.user.id, req);
+
+    res.status(200).json({
+      success: true,
+      message: req.t('tierDeleted')
+    });
+  } catch (error) {
+    console.error('Delete ticket tier error details:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      message: error.statusCode ? error.message : req.t('serverError') 
+    });
+  }
+};
+
+// Copy an event to a new start time
+exports.cloneEvent = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: req.t('validationError'), 
+        errors: errors.array() 
+      });
+    }
+
+    const { id } = req.params;
+    const { startTime, endTime, title, status } = req.body;
+
+    const event = await templateService.cloneEvent(id, { startTime, endTime, title, status }, req.user.id, req);
+
+    // Published copies are announced like new events
+    if (event.status === 'published') {
+      try {
+        if (event.visibility === 'public') {
+          await notificationService.sendNewEventNotification(event.id);
+        }
+
+        const reminderTime = new Date(event.start_time);
+        reminderTime.setHours(reminderTime.getHours() - 24);
+        await notificationService.scheduleEventReminder(event.id, reminderTime);
+      } catch (notificationError) {
+        console.error('Error sending event notification:', notificationError);
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      message: req.t('eventCloned'),
+      data: { event }
+    });
+  } catch (error) {
+    console.error('Clone event error details:', error);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      message: error.statusCode ? error.message : req.t('serverError') 
+    });
+  }
+};
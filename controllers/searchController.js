@@ -1,5 +1,10 @@
 const Event = require('../models/Event');
 const Category = require('../models/Category');
+const ExchangeRate = require('../models/ExchangeRate');
+const Boundary = require('../models/Boundary');
+const { BASE_CURRENCY } = require('../utils/prices');
+const { pickFlagFilters } = require('../utils/eventAttributes');
+const { MAX_VIEWPORT_EVENTS, shouldCluster, getClusterCellSize } = require('../utils/viewport');
 const { validationResult } = require('express-validator');
 require('dotenv').config();
 
@@ -36,6 +41,14 @@ exports.searchByLocation = async (req, res) => {
     const startDate = req.query.startDate;
     const endDate = req.query.endDate;
 
+    // Prices can only be compared in currencies with an exchange rate
+    if (req.query.currency && !(await ExchangeRate.getRate(req.query.currency))) {
+      return res.status(400).json({ 
+        success: false, 
+        message: req.t('unsupportedCurrency') 
+      });
+    }
+
     // If no coordinates provided, use user's location or default
     if (isNaN(latitude) || isNaN(longitude)) {
       if (req.user && req.user.location) {
@@ -57,6 +70,18 @@ exports.searchByLocation = async (req, res) => {
       categoryIds,
       startDate,
       endDate,
+      viewerId: req.user ? req.user.id : null,
+      language: req.language,
+      languages: req.query.languages || [],
+      tags: req.query.tags || [],
+      tagMatch: req.query.tagMatch,
+      minPrice: req.query.minPrice,
+      maxPrice: req.query.maxPrice,
+      free: req.query.free,
+      currency: req.query.currency,
+      attributes: pickFlagFilters(req.query),
+      age: req.query.age,
+      includeOnline: req.query.includeOnline,
       page,
       limit
     });
@@ -72,7 +97,17 @@ exports.searchByLocation = async (req, res) => {
           radius,
           categoryIds,
           startDate,
-          endDate
+          endDate,
+          languages: req.query.languages || [],
+          tags: req.query.tags || [],
+          tagMatch: req.query.tagMatch || 'any',
+          minPrice: req.query.minPrice,
+          maxPrice: req.query.maxPrice,
+          free: req.query.free,
+          currency: req.query.currency || BASE_CURRENCY,
+          attributes: pickFlagFilters(req.query),
+          age: req.query.age,
+          includeOnline: req.query.includeOnline || false
         },
         events,
         pagination
@@ -87,6 +122,214 @@ exports.searchByLocation = async (req, res) => {
   }
 };
 
+// Search events along a route
+exports.searchAlongRoute = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: req.t('validationError'), 
+        errors: errors.array() 
+      });
+    }
+
+    // The route is given as GeoJSON or as an encoded polyline, both read as a LineString by the validators
+    const route = req.query.route || req.query.polyline;
+    const width = req.query.width || parseFloat(process.env.DEFAULT_ROUTE_WIDTH) || 2;
+    
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    
+    const categoryIds = req.query.categories 
+      ? Array.isArray(req.query.categories) 
+        ? req.query.categories.map(Number) 
+        : [Number(req.query.categories)]
+      : [];
+      
+    const startDate = req.query.startDate;
+    const endDate = req.query.endDate;
+
+    const { events, pagination } = await Event.searchAlongRoute({
+      route,
+      width,
+      categoryIds,
+      startDate,
+      endDate,
+      viewerId: req.user ? req.user.id : null,
+      language: req.language,
+      page,
+      limit
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        searchParameters: {
+          route,
+          width,
+          categoryIds,
+          startDate,
+          endDate
+        },
+        events,
+        pagination
+      }
+    });
+  } catch (error) {
+    console.error('Search along route error details:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: req.t('serverError') 
+    });
+  }
+};
+
+// Search events inside an area or a named boundary
+exports.searchInArea = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: req.t('validationError'), 
+        errors: errors.array() 
+      });
+    }
+
+    // A named boundary is looked up by slug; a GeoJSON area is read by the validators
+    let boundary = null;
+    if (!req.query.area) {
+      boundary = await Boundary.getBySlug(req.query.boundary, { withGeometry: false });
+      if (!boundary) {
+        return res.status(404).json({ 
+          success: false, 
+          message: req.t('boundaryNotFound') 
+        });
+      }
+    }
+    
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    
+    const categoryIds = req.query.categories 
+      ? Array.isArray(req.query.categories) 
+        ? req.query.categories.map(Number) 
+        : [Number(req.query.categories)]
+      : [];
+      
+    const startDate = req.query.startDate;
+    const endDate = req.query.endDate;
+
+    const { events, pagination } = await Event.searchInArea({
+      area: boundary ? null : req.query.area,
+      boundaryId: boundary ? boundary.id : null,
+      categoryIds,
+      startDate,
+      endDate,
+      viewerId: req.user ? req.user.id : null,
+      language: req.language,
+      page,
+      limit
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        searchParameters: {
+          area: boundary ? null : req.query.area,
+          boundary,
+          categoryIds,
+          startDate,
+          endDate
+        },
+        events,
+        pagination
+      }
+    });
+  } catch (error) {
+    console.error('Search in area error details:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: req.t('serverError') 
+    });
+  }
+};
+
+// Search events in a map viewport, clustered below the clustering zoom level
+exports.searchViewport = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: req.t('validationError'), 
+        errors: errors.array() 
+      });
+    }
+
+    // The validators read the bounding box into [minLon, minLat, maxLon, maxLat] and the zoom level into a number
+    const { bbox, zoom } = req.query;
+    
+    const categoryIds = req.query.categories 
+      ? Array.isArray(req.query.categories) 
+        ? req.query.categories.map(Number) 
+        : [Number(req.query.categories)]
+      : [];
+      
+    const startDate = req.query.startDate;
+    const endDate = req.query.endDate;
+    
+    const filters = {
+      bbox,
+      categoryIds,
+      startDate,
+      endDate,
+      viewerId: req.user ? req.user.id : null
+    };
+    const searchParameters = { bbox, zoom, categoryIds, startDate, endDate };
+
+    if (shouldCluster(zoom)) {
+      const clusters = await Event.getViewportClusters({ ...filters, cellSize: getClusterCellSize(zoom) });
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          searchParameters,
+          clustered: true,
+          total: clusters.reduce((sum, cluster) => sum + cluster.count, 0),
+          clusters
+        }
+      });
+    }
+
+    const { events, truncated } = await Event.getViewportEvents({
+      ...filters,
+      language: req.language,
+      limit: MAX_VIEWPORT_EVENTS
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        searchParameters,
+        clustered: false,
+        events,
+        truncated
+      }
+    });
+  } catch (error) {
+    console.error('Search viewport error details:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: req.t('serverError') 
+    });
+  }
+};
+
 // Get all categories
 exports.getCategories = async (req, res) => {
   try {
@@ -103,4 +346,36 @@ exports.getCategories = async (req, res) => {
       message: req.t('serverError') 
     });
   }
+};
+
+// Get tags with their event counts
+exports.getTags = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: req.t('validationError'), 
+        errors: errors.array() 
+      });
+    }
+
+    const tags = await Event.getTagCounts({
+      prefix: req.query.q || null,
+      viewerId: req.user ? req.user.id : null,
+      limit: req.query.limit || 20
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { tags }
+    });
+  } catch (error) {
+    console.error('Get tags error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: req.t('serverError') 
+    });
+  }
 };
\ No newline at end of file
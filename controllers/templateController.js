@@ -0,0 +1,122 @@
+const templateService = require('../services/templateService');
+const { TEMPLATE_FIELDS } = require('../utils/eventTemplates');
+const { validationResult } = require('express-validator');
+
+// Get the user's templates
+exports.getTemplates = async (req, res) => {
+  try {
+    const templates = await templateService.getTemplates(req.user.id, req);
+
+    res.status(200).json({
+      success: true,
+      data: { templates }
+    });
+  } catch (error) {
+    console.error('Get templates error details:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : req.t('serverError')
+    });
+  }
+};
+
+// Get a template
+exports.getTemplate = async (req, res) => {
+  try {
+    const template = await templateService.getTemplate(req.params.id, req.user.id, req);
+
+    res.status(200).json({
+      success: true,
+      data: { template }
+    });
+  } catch (error) {
+    console.error('Get template error details:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : req.t('serverError')
+    });
+  }
+};
+
+// Save a template from an event
+exports.createTemplate = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: req.t('validationError'),
+        errors: errors.array()
+      });
+    }
+
+    const { name, eventId } = req.body;
+
+    const template = await templateService.saveTemplate(name, eventId, req.user.id, req);
+
+    res.status(201).json({
+      success: true,
+      message: req.t('templateSaved'),
+      data: { template }
+    });
+  } catch (error) {
+    console.error('Create template error details:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : req.t('serverError')
+    });
+  }
+};
+
+// Rename a template and/or change its event fields
+exports.updateTemplate = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: req.t('validationError'),
+        errors: errors.array()
+      });
+    }
+
+    const fields = {};
+    for (const field of TEMPLATE_FIELDS) {
+      fields[field] = req.body[field];
+    }
+
+    const template = await templateService.updateTemplate(req.params.id, req.body.name, fields, req.user.id, req);
+
+    res.status(200).json({
+      success: true,
+      message: req.t('templateUpdated'),
+      data: { template }
+    });
+  } catch (error) {
+    console.error('Update template error details:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : req.t('serverError')
+    });
+  }
+};
+
+// Delete a template
+exports.deleteTemplate = async (req, res) => {
+  try {
+    await templateService.deleteTemplate(req.params.id, req.user.id, req);
+
+    res.status(200).json({
+      success: true,
+      message: req.t('templateDeleted')
+    });
+  } catch (error) {
+    console.error('Delete template error details:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : req.t('serverError')
+    });
+  }
+};
@@ -0,0 +1,47 @@
+const tileService = require('../services/tileService');
+const { TILE_MAX_AGE } = require('../utils/tiles');
+const { validationResult } = require('express-validator');
+
+// Get a vector tile of events
+exports.getEventTile = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: req.t('validationError'),
+        errors: errors.array()
+      });
+    }
+
+    // The validators read the tile coordinates into numbers
+    const { z, x, y } = req.params;
+
+    const categoryIds = req.query.categories
+      ? Array.isArray(req.query.categories)
+        ? req.query.categories.map(Number)
+        : [Number(req.query.categories)]
+      : [];
+
+    const { tile, cached } = await tileService.getEventTile({
+      z,
+      x,
+      y,
+      categoryIds,
+      startDate: req.query.startDate,
+      endDate: req.query.endDate
+    }, req);
+
+    res.set('Content-Type', 'application/vnd.mapbox-vector-tile');
+    res.set('Cache-Control', `public, max-age=${TILE_MAX_AGE}`);
+    res.set('X-Cache', cached ? 'HIT' : 'MISS');
+    res.status(200).send(tile);
+  } catch (error) {
+    console.error('Get event tile error details:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : req.t('serverError')
+    });
+  }
+};
@@ -1,5 +1,8 @@
 const User = require('../models/User');
 const Event = require('../models/Event');
+const eventPurgeService = require('../services/eventPurgeService');
+const eventService = require('../services/eventService');
+const { getInviteToken } = require('../utils/eventVisibility');
 const { validationResult } = require('express-validator');
 
 // Update user profile
@@ -137,9 +140,9 @@ exports.favoriteEvent = async (req, res) => {
   try {
     const { eventId } = req.params;
 
-    // Check if event exists
+    // Check if event exists and the user can see it
     const event = await Event.getById(eventId);
-    if (!event) {
+    if (!event || !(await eventService.canView(event, req.user.id, getInviteToken(req)))) {
       return res.status(404).json({ 
         success: false, 
         message: req.t('notFound') 
@@ -188,4 +191,35 @@ exports.unfavoriteEvent = async (req, res) => {
       message: req.t('serverError') 
     });
   }
+};
+
+// Get user's deleted events
+exports.getTrash = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    // Get deleted events with their purge date
+    const { events, pagination } = await Event.getTrash(
+      req.user.id, 
+      eventPurgeService.retentionDays, 
+      page, 
+      limit
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        events,
+        retentionDays: eventPurgeService.retentionDays,
+        pagination
+      }
+    });
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: req.t('serverError') 
+    });
+  }
 };
\ No newline at end of file
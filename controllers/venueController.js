@@ -0,0 +1,186 @@
+const venueService = require('../services/venueService');
+const { validationResult } = require('express-validator');
+
+// Create a new venue
+exports.createVenue = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: req.t('validationError'),
+        errors: errors.array()
+      });
+    }
+
+    const { name, address, latitude, longitude, capacity, accessibilityInfo, openingHours } = req.body;
+
+    const venue = await venueService.createVenue({
+      name,
+      address,
+      latitude,
+      longitude,
+      capacity,
+      accessibilityInfo,
+      openingHours
+    }, req.user.id, req);
+
+    res.status(201).json({
+      success: true,
+      message: req.t('venueCreated'),
+      data: { venue }
+    });
+  } catch (error) {
+    console.error('Create venue error details:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : req.t('serverError')
+    });
+  }
+};
+
+// Search venues by name and/or proximity
+exports.searchVenues = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: req.t('validationError'),
+        errors: errors.array()
+      });
+    }
+
+    const hasLocation = req.query.latitude !== undefined && req.query.longitude !== undefined;
+
+    const { venues, pagination } = await venueService.searchVenues({
+      name: req.query.name,
+      latitude: hasLocation ? parseFloat(req.query.latitude) : null,
+      longitude: hasLocation ? parseFloat(req.query.longitude) : null,
+      radius: parseFloat(req.query.radius) || 10,
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 10
+    }, req);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        venues,
+        pagination
+      }
+    });
+  } catch (error) {
+    console.error('Search venues error details:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : req.t('serverError')
+    });
+  }
+};
+
+// Get venue by ID
+exports.getVenue = async (req, res) => {
+  try {
+    const venue = await venueService.getVenueById(req.params.id, req);
+
+    res.status(200).json({
+      success: true,
+      data: { venue }
+    });
+  } catch (error) {
+    console.error('Get venue error details:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : req.t('serverError')
+    });
+  }
+};
+
+// Update venue
+exports.updateVenue = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: req.t('validationError'),
+        errors: errors.array()
+      });
+    }
+
+    const { name, address, latitude, longitude, capacity, accessibilityInfo, openingHours } = req.body;
+
+    const venue = await venueService.updateVenue(req.params.id, {
+      name,
+      address,
+      latitude,
+      longitude,
+      capacity,
+      accessibilityInfo,
+      openingHours
+    }, req.user.id, req);
+
+    res.status(200).json({
+      success: true,
+      message: req.t('venueUpdated'),
+      data: { venue }
+    });
+  } catch (error) {
+    console.error('Update venue error details:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : req.t('serverError')
+    });
+  }
+};
+
+// Delete venue
+exports.deleteVenue = async (req, res) => {
+  try {
+    await venueService.deleteVenue(req.params.id, req.user.id, req);
+
+    res.status(200).json({
+      success: true,
+      message: req.t('venueDeleted')
+    });
+  } catch (error) {
+    console.error('Delete venue error details:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : req.t('serverError')
+    });
+  }
+};
+
+// Get upcoming events at a venue
+exports.getVenueEvents = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    const { events, pagination } = await venueService.getUpcomingEvents(
+      req.params.id,
+      req.user ? req.user.id : null,
+      page,
+      limit,
+      req
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        events,
+        pagination
+      }
+    });
+  } catch (error) {
+    console.error('Get venue events error details:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : req.t('serverError')
+    });
+  }
+};
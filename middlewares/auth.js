@@ -39,7 +39,26 @@ const optionalAuthenticate = (req, res, next) => {
   })(req, res, next);
 };
 
+/**
+ * Middleware to restrict a route to administrators (users.is_admin)
+ * Must run after authentication
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next function
+ */
+const requireAdmin = (req, res, next) => {
+  if (!req.user || !req.user.is_admin) {
+    return res.status(403).json({
+      success: false,
+      message: req.t('adminOnly')
+    });
+  }
+  
+  return next();
+};
+
 module.exports = {
   authenticate,
-  optionalAuthenticate
+  optionalAuthenticate,
+  requireAdmin
 };
\ No newline at end of file
@@ -0,0 +1,102 @@
+const Event = require('../models/Event');
+const eventService = require('../services/eventService');
+const { eventETag, matchesETag, weakETag } = require('../utils/etag');
+const { TODAY } = require('../utils/timezones');
+const { getInviteToken } = require('../utils/eventVisibility');
+
+/**
+ * Middleware requiring an up to date If-Match header before changing an event
+ * Sets req.expectedVersion so the write itself can be made conditional
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next function
+ */
+const requireIfMatch = async (req, res, next) => {
+  const ifMatch = req.get('If-Match');
+
+  if (!ifMatch) {
+    return res.status(428).json({
+      success: false,
+      message: req.t('preconditionRequired')
+    });
+  }
+
+  try {
+    const event = await Event.getById(req.params.id);
+
+    // Events the user can't see don't exist for them
+    if (!event || !(await eventService.canView(event, req.user.id, getInviteToken(req)))) {
+      return res.status(404).json({
+        success: false,
+        message: req.t('notFound')
+      });
+    }
+
+    // Only those allowed to make the change learn about the current event, join URL included
+    const permission = req.method === 'DELETE' ? 'delete' : 'edit';
+    if (!(await eventService.canUser(event, req.user.id, permission))) {
+      return res.status(403).json({
+        success: false,
+        message: req.t('unauthorized')
+      });
+    }
+
+    const etag = eventETag(event);
+
+    // Someone changed the event since the client fetched it
+    if (!matchesETag(ifMatch, etag)) {
+      res.set('ETag', etag);
+      return res.status(412).json({
+        success: false,
+        message: req.t('preconditionFailed'),
+        data: { event }
+      });
+    }
+
+    req.expectedVersion = event.version;
+    return next();
+  } catch (error) {
+    console.error('If-Match error details:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('serverError')
+    });
+  }
+};
+
+/**
+ * Middleware answering 304 to unchanged event list requests before running the search
+ * The ETag changes whenever any event, category or exchange rate changes, or the caller's profile does
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next function
+ */
+const collectionETag = async (req, res, next) => {
+  try {
+    const version = await Event.getCollectionVersion();
+
+    res.set('ETag', weakETag([
+      req.originalUrl,
+      req.language,
+      req.user ? [req.user.id, req.user.updated_at] : null,
+      // "today" moves on with the clock; every UTC offset is a multiple of 15 minutes
+      req.query.startDate === TODAY || req.query.endDate === TODAY ? Math.floor(Date.now() / (15 * 60 * 1000)) : null,
+      version
+    ]));
+
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+  } catch (error) {
+    // Fall back to a normal response
+    console.error('Collection ETag error details:', error);
+    res.removeHeader('ETag');
+  }
+
+  return next();
+};
+
+module.exports = {
+  requireIfMatch,
+  collectionETag
+};
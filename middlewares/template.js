@@ -0,0 +1,42 @@
+const EventTemplate = require('../models/EventTemplate');
+const { applyTemplate } = require('../utils/eventTemplates');
+
+/**
+ * Middleware prefilling an event creation from one of the user's templates (body.templateId)
+ * Runs before validation, so the prefilled body is validated as a whole
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next function
+ */
+const prefillFromTemplate = async (req, res, next) => {
+  const { templateId } = req.body;
+
+  if (templateId === undefined || templateId === null) {
+    return next();
+  }
+
+  try {
+    const template = Number.isInteger(Number(templateId)) ? await EventTemplate.getById(Number(templateId)) : null;
+
+    // Templates are private, so other users' templates don't exist for the caller
+    if (!template || template.user_id !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        message: req.t('templateNotFound')
+      });
+    }
+
+    req.body = applyTemplate(req.body, template.data);
+    return next();
+  } catch (error) {
+    console.error('Template prefill error details:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('serverError')
+    });
+  }
+};
+
+module.exports = {
+  prefillFromTemplate
+};
@@ -0,0 +1,35 @@
+const multer = require('multer');
+require('dotenv').config();
+
+// Maximum size of an uploaded file in bytes
+const MAX_UPLOAD_SIZE = parseInt(process.env.MAX_UPLOAD_SIZE) || 5 * 1024 * 1024;
+
+/**
+ * Build a middleware reading a single uploaded file into memory (req.file)
+ * Upload errors, such as a file over the size limit, are answered with 400
+ * @param {string} fieldName - Multipart field holding the file
+ * @param {number} maxSize - Maximum file size in bytes
+ * @returns {function} Express middleware
+ */
+const uploadFile = (fieldName, maxSize = MAX_UPLOAD_SIZE) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxSize, files: 1 }
+  }).single(fieldName);
+
+  return (req, res, next) => {
+    upload(req, res, (err) => {
+      if (err) {
+        return res.status(400).json({
+          success: false,
+          message: err.code === 'LIMIT_FILE_SIZE' ? req.t('fileTooLarge') : req.t('invalidUpload')
+        });
+      }
+      return next();
+    });
+  };
+};
+
+module.exports = {
+  uploadFile
+};
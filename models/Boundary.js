@@ -0,0 +1,85 @@
+const db = require('../config/database');
+
+// Columns returned for a boundary, without its (possibly large) geometry
+const BOUNDARY_COLUMNS = 'b.id, b.name, b.slug, b.created_at, b.updated_at';
+
+class Boundary {
+  // Create or replace boundaries by slug, all or none of them
+  // Geometries are repaired (e.g. self-crossing rings) and stored as multipolygons
+  static async upsertMany(boundaries) {
+    const client = await db.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const results = [];
+      for (const { name, slug, geometry } of boundaries) {
+        const result = await client.query(`
+          INSERT INTO boundaries (name, slug, area)
+          VALUES ($1, $2, ST_Multi(ST_CollectionExtract(ST_MakeValid(ST_SetSRID(ST_GeomFromGeoJSON($3::text), 4326)), 3))::geography)
+          ON CONFLICT (slug) DO UPDATE
+          SET name = EXCLUDED.name, area = EXCLUDED.area, updated_at = CURRENT_TIMESTAMP
+          RETURNING id, name, slug, (xmax = 0) as created
+        `, [name, slug, JSON.stringify(geometry)]);
+        results.push(result.rows[0]);
+      }
+
+      await client.query('COMMIT');
+
+      return results;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Get boundaries by name, with pagination (q: names containing q)
+  static async getAll({ q = null, page = 1, limit = 50 } = {}) {
+    const offset = (page - 1) * limit;
+    const where = q ? 'WHERE b.name ILIKE $1' : '';
+    const values = q ? [`%${q}%`] : [];
+
+    const countResult = await db.query(`SELECT COUNT(*) as total FROM boundaries b ${where}`, values);
+    const total = parseInt(countResult.rows[0].total);
+
+    const result = await db.query(`
+      SELECT ${BOUNDARY_COLUMNS}
+      FROM boundaries b
+      ${where}
+      ORDER BY b.name, b.id
+      LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+    `, [...values, limit, offset]);
+
+    return {
+      boundaries: result.rows,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Get a boundary by slug, with its geometry as GeoJSON unless withGeometry is false
+  static async getBySlug(slug, { withGeometry = true } = {}) {
+    const geometry = withGeometry ? ', ST_AsGeoJSON(b.area)::json as geometry' : '';
+    const result = await db.query(`
+      SELECT ${BOUNDARY_COLUMNS}${geometry}
+      FROM boundaries b
+      WHERE b.slug = $1
+    `, [slug]);
+
+    return result.rows[0] || null;
+  }
+
+  // Delete a boundary by slug
+  static async delete(slug) {
+    const result = await db.query('DELETE FROM boundaries WHERE slug = $1 RETURNING id', [slug]);
+    return result.rows.length > 0;
+  }
+}
+
+module.exports = Boundary;
@@ -1,43 +1,169 @@
 const db = require('../config/database');
+const recurrence = require('../utils/recurrence');
+const EventMedia = require('./EventMedia');
+const EventTranslation = require('./EventTranslation');
+const EventSession = require('./EventSession');
+const EventTicketTier = require('./EventTicketTier');
+const { DEFAULT_CONTENT_LANGUAGE, primaryLanguage, applyTranslation } = require('../utils/translations');
+const {
+  DEFAULT_EVENT_TIMEZONE, TODAY, isDateOnly, timezoneAt, resolveDateFilter, addLocalTimes
+} = require('../utils/timezones');
+const { DEFAULT_VISIBILITY } = require('../utils/eventVisibility');
+const { DEFAULT_MODE } = require('../utils/eventModes');
+const { BASE_CURRENCY, summarizePrices } = require('../utils/prices');
+const tileCache = require('../services/tileCache');
+const { TILE_EXTENT, TILE_BUFFER, getTileBoundingBox } = require('../utils/tiles');
+
+// Lowest price of an event in the base currency: 0 for events without ticket tiers,
+// NULL once the sales of all its tiers have ended
+const FROM_PRICE = `(
+  CASE WHEN NOT EXISTS (SELECT 1 FROM event_ticket_tiers t WHERE t.event_id = e.id) THEN 0
+  ELSE (
+    SELECT MIN(t.price / r.rate)
+    FROM event_ticket_tiers t
+    JOIN exchange_rates r ON r.currency = t.currency
+    WHERE t.event_id = e.id AND (t.sales_end IS NULL OR t.sales_end > CURRENT_TIMESTAMP)
+  ) END
+)`;
+
+/**
+ * SQL expression reading a GeoJSON footprint parameter as a geography (NULL stays NULL)
+ * @param {number} paramIndex - Index of the parameter holding the GeoJSON text
+ * @returns {string} SQL expression
+ */
+const footprintFromGeoJSON = (paramIndex) => {
+  return `ST_SetSRID(ST_GeomFromGeoJSON($${paramIndex}::text), 4326)::geography`;
+};
+
+/**
+ * Drop the cached map tiles showing events at these locations
+ * @param {...(object|string)} locations - Locations as { latitude, longitude } or WKT points (missing ones are skipped)
+ */
+const invalidateTiles = (...locations) => {
+  for (const location of locations) {
+    const point = typeof location === 'string' ? db.fromGeographyPoint(location) : location;
+    if (point) {
+      tileCache.invalidatePoint(point.latitude, point.longitude);
+    }
+  }
+};
 
 class Event {
   // Create a new event
   static async create(eventData) {
-    const { title, description, latitude, longitude, address, startTime, endTime, creatorId, categories } = eventData;
-    
     // Begin transaction to ensure all operations succeed or fail together
     const client = await db.pool.connect();
     
     try {
       await client.query('BEGIN');
       
-      // Insert event
-      const eventQuery = `
-        INSERT INTO events (title, description, location, address, start_time, end_time, creator_id)
-        VALUES ($1, $2, ST_SetSRID(ST_MakePoint($4, $3), 4326)::geography, $5, $6, $7, $8)
-        RETURNING id, title, description, ST_AsText(location) as location, address, 
-                  start_time, end_time, creator_id, created_at, updated_at
-      `;
+      const event = await this.insertEvent(client, eventData);
       
-      const eventValues = [title, description, latitude, longitude, address, startTime, endTime, creatorId];
-      const eventResult = await client.query(eventQuery, eventValues);
-      const event = eventResult.rows[0];
+      await client.query('COMMIT');
+      invalidateTiles(event.location);
       
-      // Insert event categories if provided
-      if (categories && categories.length > 0) {
-        const categoryValues = categories.map(categoryId => {
-          return `(${event.id}, ${categoryId})`;
-        }).join(', ');
-        
-        await client.query(`
-          INSERT INTO event_categories (event_id, category_id)
-          VALUES ${categoryValues}
-        `);
+      // Get complete event with categories
+      return this.getById(event.id);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+  
+  // Create several events at once, all or none of them
+  static async createMany(eventsData) {
+    const client = await db.pool.connect();
+    
+    try {
+      await client.query('BEGIN');
+      
+      const events = [];
+      for (const eventData of eventsData) {
+        events.push(await this.insertEvent(client, eventData));
       }
       
       await client.query('COMMIT');
+      invalidateTiles(...events.map(event => event.location));
+      
+      return events.map(event => event.id);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+  
+  // Copy an event to a new start time, with its categories, translations, ticket tiers and sessions
+  // (sessions and ticket sale windows moved along with it); invitees stay with the original
+  // The copy belongs to creatorId; its end time keeps the original duration unless given
+  static async clone(id, { startTime, endTime, title, status = 'draft', creatorId }) {
+    const source = await this.getById(id);
+    if (!source) {
+      return null;
+    }
+    
+    const shiftSeconds = (new Date(startTime) - new Date(source.start_time)) / 1000;
+    let newEnd = endTime;
+    if (newEnd === undefined) {
+      newEnd = source.end_time ? new Date(new Date(source.end_time).getTime() + shiftSeconds * 1000) : null;
+    }
+    
+    const client = await db.pool.connect();
+    
+    try {
+      await client.query('BEGIN');
+      
+      const event = await this.insertEvent(client, {
+        title: title || source.title,
+        description: source.description,
+        latitude: source.location ? source.location.latitude : null,
+        longitude: source.location ? source.location.longitude : null,
+        address: source.address,
+        startTime,
+        endTime: newEnd,
+        creatorId,
+        categories: source.categories.map(category => category.id),
+        recurrenceRule: source.recurrence_rule,
+        capacity: source.capacity,
+        status,
+        venueId: source.venue_id,
+        language: source.language,
+        timezone: source.timezone,
+        visibility: source.visibility,
+        tags: source.tags,
+        attributes: source.attributes,
+        mode: source.mode,
+        joinUrl: source.join_url,
+        footprint: source.footprint
+      });
+      
+      await client.query(`
+        INSERT INTO event_translations (event_id, locale, title, description)
+        SELECT $1, locale, title, description FROM event_translations WHERE event_id = $2
+      `, [event.id, id]);
+      
+      await client.query(`
+        INSERT INTO event_sessions (event_id, title, description, speaker, room, location, address, start_time, end_time)
+        SELECT $1, title, description, speaker, room, location, address,
+               start_time + make_interval(secs => $3), end_time + make_interval(secs => $3)
+        FROM event_sessions
+        WHERE event_id = $2
+      `, [event.id, id, shiftSeconds]);
+      
+      await client.query(`
+        INSERT INTO event_ticket_tiers (event_id, name, price, currency, quantity, sales_start, sales_end)
+        SELECT $1, name, price, currency, quantity,
+               sales_start + make_interval(secs => $3), sales_end + make_interval(secs => $3)
+        FROM event_ticket_tiers
+        WHERE event_id = $2
+      `, [event.id, id, shiftSeconds]);
+      
+      await client.query('COMMIT');
+      invalidateTiles(event.location);
       
-      // Get complete event with categories
       return this.getById(event.id);
     } catch (error) {
       await client.query('ROLLBACK');
@@ -47,14 +173,118 @@ class Event {
     }
   }
   
+  // Insert an event and its categories using a client inside a transaction
+  static async insertEvent(client, eventData) {
+    const { 
+      title, description, latitude, longitude, address, startTime, endTime, creatorId, categories,
+      recurrenceRule = null, exdates = [], capacity = null, status = 'published', venueId = null,
+      language = DEFAULT_CONTENT_LANGUAGE, timezone = null, visibility = DEFAULT_VISIBILITY, tags = [], attributes = {},
+      mode = DEFAULT_MODE, joinUrl = null, footprint = null
+    } = eventData;
+    
+    // Without a timezone, use the one of the event's location
+    const eventTimezone = await this.resolveTimezone(client, { timezone, latitude, longitude, venueId }) ||
+      DEFAULT_EVENT_TIMEZONE;
+    
+    // Series repeat on the local time of the event
+    const rule = recurrenceRule ? recurrence.normalizeRule(recurrenceRule) : null;
+    const recurrenceEnd = rule ? recurrence.getSeriesEnd(rule, startTime, eventTimezone) : null;
+    
+    // Insert event; events at a venue take its location and address,
+    // and events given only a footprint are placed at a point on it
+    const eventQuery = `
+      INSERT INTO events (title, description, location, address, start_time, end_time, creator_id,
+                          recurrence_rule, recurrence_exdates, recurrence_end, capacity, status, venue_id, language,
+                          timezone, visibility, tags, attributes, mode, join_url, footprint)
+      VALUES ($1, $2,
+              COALESCE(
+                (SELECT location FROM venues WHERE id = $14),
+                ST_SetSRID(ST_MakePoint($4, $3), 4326)::geography,
+                ST_PointOnSurface(${footprintFromGeoJSON(22)}::geometry)::geography
+              ),
+              COALESCE((SELECT address FROM venues WHERE id = $14), $5),
+              $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, jsonb_strip_nulls($19::jsonb), $20, $21,
+              ${footprintFromGeoJSON(22)})
+      RETURNING id, title, description, ST_AsText(location) as location, address, 
+                start_time, end_time, creator_id, recurrence_rule, recurrence_exdates,
+                capacity, status, venue_id, language, timezone, visibility, invite_version, tags, attributes,
+                mode, join_url, ST_AsGeoJSON(footprint)::json as footprint, created_at, updated_at
+    `;
+    
+    const eventValues = [
+      title, description, latitude, longitude, address, startTime, endTime, creatorId,
+      rule, exdates, recurrenceEnd, capacity, status, venueId, language, eventTimezone, visibility, tags, attributes,
+      mode, joinUrl, footprint ? JSON.stringify(footprint) : null
+    ];
+    const eventResult = await client.query(eventQuery, eventValues);
+    const event = eventResult.rows[0];
+    
+    // Insert event categories if provided
+    if (categories && categories.length > 0) {
+      const categoryValues = categories.map(categoryId => {
+        return `(${event.id}, ${categoryId})`;
+      }).join(', ');
+      
+      await client.query(`
+        INSERT INTO event_categories (event_id, category_id)
+        VALUES ${categoryValues}
+      `);
+    }
+    
+    return event;
+  }
+  
+  // Pick the timezone of an event: the given one, else the one at its venue or coordinates
+  // Returns null when neither the timezone nor the location is given
+  static async resolveTimezone(client, { timezone, latitude, longitude, venueId }) {
+    if (timezone) {
+      return timezone;
+    }
+    
+    if (venueId) {
+      const venueResult = await client.query(`
+        SELECT ST_Y(location::geometry) as latitude, ST_X(location::geometry) as longitude
+        FROM venues
+        WHERE id = $1
+      `, [venueId]);
+      
+      if (venueResult.rows.length > 0) {
+        return timezoneAt(venueResult.rows[0].latitude, venueResult.rows[0].longitude);
+      }
+    }
+    
+    if (latitude && longitude) {
+      return timezoneAt(latitude, longitude);
+    }
+    
+    return null;
+  }
+  
+  // Check whether a user already has an event with this title starting at this time
+  static async existsForCreator(creatorId, title, startTime) {
+    const query = `
+      SELECT 1
+      FROM events
+      WHERE creator_id = $1 AND LOWER(title) = LOWER($2) AND start_time = $3 AND deleted_at IS NULL
+      LIMIT 1
+    `;
+    
+    const result = await db.query(query, [creatorId, title, startTime]);
+    return result.rows.length > 0;
+  }
+  
   // Get event by ID with categories
-  static async getById(id) {
+  // Title and description are shown in the translation best matching language, if any
+  static async getById(id, language = null) {
     const eventQuery = `
       SELECT e.id, e.title, e.description, ST_AsText(e.location) as location, 
              e.address, e.start_time, e.end_time, e.creator_id, 
+             e.recurrence_rule, e.recurrence_exdates, e.capacity, e.status, e.status_reason,
+             e.venue_id, e.language, e.timezone, e.visibility, e.invite_version, e.tags, e.attributes, e.mode, e.join_url,
+             ST_AsGeoJSON(e.footprint)::json as footprint, e.version,
              e.created_at, e.updated_at
       FROM events e
-      WHERE e.id = $1
+      WHERE e.id = $1 AND e.deleted_at IS NULL
     `;
     
     const eventResult = await db.query(eventQuery, [id]);
@@ -70,6 +300,8 @@ class Event {
       event.location = db.fromGeographyPoint(event.location);
     }
     
+    addLocalTimes(event);
+    
     // Get event categories
     const categoriesQuery = `
       SELECT c.id, c.name
@@ -82,12 +314,51 @@ class Event {
     const categoriesResult = await db.query(categoriesQuery, [id]);
     event.categories = categoriesResult.rows;
     
+    await this.applyTranslations([event], language);
+    
+    // Get the venue the event takes place at
+    if (event.venue_id) {
+      const venueResult = await db.query('SELECT id, name, address FROM venues WHERE id = $1', [event.venue_id]);
+      event.venue = venueResult.rows[0] || null;
+    }
+    
+    // Get attached media with their URLs
+    event.media = await EventMedia.getByEvent(event.id);
+    
+    // Get the agenda of multi-session events
+    event.sessions = await EventSession.getByEvent(event.id);
+    
+    // Get the ticket tiers, cheapest first, and their price summary
+    event.ticket_tiers = await EventTicketTier.getByEvent(event.id);
+    event.price = summarizePrices(event.ticket_tiers);
+    
+    // Get per-occurrence overrides for recurring events
+    if (event.recurrence_rule) {
+      event.overrides = await this.getOccurrenceOverrides(id);
+    }
+    
     return event;
   }
   
   // Update an existing event
+  // scope 'this' edits a single occurrence, 'following' splits the series at occurrenceStart
+  // Returns the event (null if it changed since expectedVersion) and the users promoted from the waitlist
+  // when its capacity went up
   static async update(id, eventData) {
-    const { title, description, latitude, longitude, address, startTime, endTime, categories } = eventData;
+    const { 
+      title, description, latitude, longitude, address, startTime, endTime, categories,
+      recurrenceRule, exdates, capacity, venueId, language, timezone, visibility, tags, attributes, mode, joinUrl,
+      footprint, scope = 'all',
+      occurrenceStart, expectedVersion
+    } = eventData;
+    
+    if (scope === 'this') {
+      return { event: await this.updateOccurrence(id, occurrenceStart, eventData), promoted: [] };
+    }
+    
+    if (scope === 'following') {
+      return this.splitSeries(id, occurrenceStart, eventData);
+    }
     
     // Begin transaction
     const client = await db.pool.connect();
@@ -111,15 +382,49 @@ class Event {
         values.push(description);
       }
       
-      if (latitude && longitude) {
-        updateFields.push(`location = ST_SetSRID(ST_MakePoint($${paramIndex + 1}, $${paramIndex}), 4326)::geography`);
-        values.push(latitude, longitude);
-        paramIndex += 2;
-      }
-      
-      if (address) {
-        updateFields.push(`address = $${paramIndex++}`);
-        values.push(address);
+      if (mode === 'online') {
+        // Online events take place nowhere
+        updateFields.push('venue_id = NULL', 'location = NULL', 'address = NULL', 'footprint = NULL');
+      } else if (venueId) {
+        // Moving to a venue takes its location and address
+        updateFields.push(
+          `venue_id = $${paramIndex}`,
+          `location = (SELECT location FROM venues WHERE id = $${paramIndex})`,
+          `address = COALESCE((SELECT address FROM venues WHERE id = $${paramIndex}), address)`
+        );
+        values.push(venueId);
+        paramIndex++;
+      } else {
+        if (venueId === null) {
+          updateFields.push('venue_id = NULL');
+        }
+        
+        if (latitude && longitude) {
+          updateFields.push(`location = ST_SetSRID(ST_MakePoint($${paramIndex + 1}, $${paramIndex}), 4326)::geography`);
+          values.push(latitude, longitude);
+          paramIndex += 2;
+          
+          // Raw coordinates replace the venue
+          if (venueId === undefined) {
+            updateFields.push('venue_id = NULL');
+          }
+        }
+        
+        if (address) {
+          updateFields.push(`address = $${paramIndex++}`);
+          values.push(address);
+        }
+        
+        // A footprint given as null is cleared; the event keeps its representative point,
+        // or is placed at a point on the footprint if it had none (e.g. an online event becoming hybrid)
+        if (footprint !== undefined) {
+          updateFields.push(`footprint = ${footprintFromGeoJSON(paramIndex)}`);
+          if (footprint && !(latitude && longitude)) {
+            updateFields.push(`location = COALESCE(location, ST_PointOnSurface(${footprintFromGeoJSON(paramIndex)}::geometry)::geography)`);
+          }
+          values.push(footprint ? JSON.stringify(footprint) : null);
+          paramIndex++;
+        }
       }
       
       if (startTime) {
@@ -132,18 +437,111 @@ class Event {
         values.push(endTime);
       }
       
-      updateFields.push(`updated_at = CURRENT_TIMESTAMP`);
+      if (exdates !== undefined) {
+        updateFields.push(`recurrence_exdates = $${paramIndex++}`);
+        values.push(exdates);
+      }
+      
+      if (capacity !== undefined) {
+        updateFields.push(`capacity = $${paramIndex++}`);
+        values.push(capacity);
+      }
+      
+      if (language) {
+        updateFields.push(`language = $${paramIndex++}`);
+        values.push(language);
+      }
+      
+      if (visibility) {
+        updateFields.push(`visibility = $${paramIndex++}`);
+        values.push(visibility);
+      }
+      
+      if (Array.isArray(tags)) {
+        updateFields.push(`tags = $${paramIndex++}`);
+        values.push(tags);
+      }
+      
+      // Attributes not given are kept, and those given as null are cleared
+      if (attributes) {
+        updateFields.push(`attributes = jsonb_strip_nulls(attributes || $${paramIndex++}::jsonb)`);
+        values.push(attributes);
+      }
+      
+      if (mode) {
+        updateFields.push(`mode = $${paramIndex++}`);
+        values.push(mode);
+      }
+      
+      if (joinUrl !== undefined) {
+        updateFields.push(`join_url = $${paramIndex++}`);
+        values.push(joinUrl);
+      }
+      
+      // Moving the event takes the timezone of its new location, unless one is given
+      const eventTimezone = await this.resolveTimezone(client, { timezone, latitude, longitude, venueId });
+      if (eventTimezone) {
+        updateFields.push(`timezone = $${paramIndex++}`);
+        values.push(eventTimezone);
+      }
+      
+      // Recompute the end of the series whenever the rule, its anchor or its timezone changes
+      if (recurrenceRule !== undefined || startTime || eventTimezone) {
+        const currentResult = await client.query(
+          'SELECT start_time, recurrence_rule, timezone FROM events WHERE id = $1',
+          [id]
+        );
+        const current = currentResult.rows[0];
+        
+        if (current) {
+          let rule = current.recurrence_rule;
+          if (recurrenceRule !== undefined) {
+            rule = recurrenceRule ? recurrence.normalizeRule(recurrenceRule) : null;
+            updateFields.push(`recurrence_rule = $${paramIndex++}`);
+            values.push(rule);
+          }
+          
+          updateFields.push(`recurrence_end = $${paramIndex++}`);
+          values.push(rule
+            ? recurrence.getSeriesEnd(rule, startTime || current.start_time, eventTimezone || current.timezone)
+            : null);
+        }
+      }
       
       // If no fields to update, just return the original event
-      if (updateFields.length === 1) {
-        return this.getById(id);
+      if (updateFields.length === 0 && !Array.isArray(categories)) {
+        await client.query('ROLLBACK');
+        return { event: await this.getById(id), promoted: [] };
       }
       
+      updateFields.push(`updated_at = CURRENT_TIMESTAMP`, `version = version + 1`);
+      
       updateQuery += updateFields.join(', ');
-      updateQuery += ` WHERE id = $${paramIndex++} RETURNING id`;
+      const idIndex = paramIndex++;
+      updateQuery += ` WHERE id = $${idIndex} AND deleted_at IS NULL`;
       values.push(id);
       
-      await client.query(updateQuery, values);
+      // Only apply the update if nobody changed the event in the meantime
+      if (expectedVersion !== undefined) {
+        updateQuery += ` AND version = $${paramIndex++}`;
+        values.push(expectedVersion);
+      }
+      
+      // The subquery still sees the row as it was, so tiles at the previous location can be refreshed too
+      const updateResult = await client.query(updateQuery + `
+        RETURNING id, (SELECT ST_AsText(location) FROM events WHERE id = $${idIndex}) as previous_location
+      `, values);
+      
+      if (updateResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return { event: null, promoted: [] };
+      }
+      
+      // Extra seats go to the waitlist first
+      let promoted = [];
+      if (capacity !== undefined) {
+        promoted = await this.promoteWaitlist(client, id);
+      }
       
       // Update categories if provided
       if (categories && Array.isArray(categories)) {
@@ -166,7 +564,10 @@ class Event {
       await client.query('COMMIT');
       
       // Get updated event with categories
-      return this.getById(id);
+      const event = await this.getById(id);
+      invalidateTiles(updateResult.rows[0].previous_location, event && event.location);
+      
+      return { event, promoted };
     } catch (error) {
       await client.query('ROLLBACK');
       throw error;
@@ -175,37 +576,1169 @@ class Event {
     }
   }
   
-  // Delete an event
-  static async delete(id) {
-    const query = 'DELETE FROM events WHERE id = $1 RETURNING id';
-    const result = await db.query(query, [id]);
-    return result.rows.length > 0;
+  // Bump the version of an event whose media, sessions, ticket tiers or translations changed, as they are part of
+  // its payload (runs inside the caller's transaction)
+  static async touch(client, eventId) {
+    await client.query(
+      'UPDATE events SET updated_at = CURRENT_TIMESTAMP, version = version + 1 WHERE id = $1',
+      [eventId]
+    );
   }
   
-  // Get all events with pagination and filtering
-  static async getAll({ page = 1, limit = 10, categoryIds = [], creatorId = null, startDate = null, endDate = null }) {
-    // Calculate offset for pagination
-    const offset = (page - 1) * limit;
+  // Get per-occurrence overrides of a recurring event
+  static async getOccurrenceOverrides(eventId) {
+    const query = `
+      SELECT occurrence_start, title, description, address, start_time, end_time, updated_at
+      FROM event_occurrence_overrides
+      WHERE event_id = $1
+      ORDER BY occurrence_start
+    `;
     
-    // Build query conditions
-    let conditions = [];
-    const values = [];
-    let paramIndex = 1;
+    const result = await db.query(query, [eventId]);
+    return result.rows;
+  }
+  
+  // Edit a single occurrence of a recurring event ("this occurrence")
+  static async updateOccurrence(id, occurrenceStart, eventData) {
+    const { title, description, address, startTime, endTime, expectedVersion } = eventData;
     
-    if (creatorId) {
-      conditions.push(`e.creator_id = $${paramIndex++}`);
-      values.push(creatorId);
+    // The series changes with its occurrences, so bump its version first
+    const versionResult = await db.query(`
+      UPDATE events
+      SET version = version + 1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND deleted_at IS NULL AND ($2::integer IS NULL OR version = $2)
+      RETURNING id
+    `, [id, expectedVersion !== undefined ? expectedVersion : null]);
+    
+    if (versionResult.rows.length === 0) {
+      return null;
+    }
+    
+    const query = `
+      INSERT INTO event_occurrence_overrides 
+        (event_id, occurrence_start, title, description, address, start_time, end_time)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (event_id, occurrence_start) DO UPDATE SET
+        title = COALESCE(EXCLUDED.title, event_occurrence_overrides.title),
+        description = COALESCE(EXCLUDED.description, event_occurrence_overrides.description),
+        address = COALESCE(EXCLUDED.address, event_occurrence_overrides.address),
+        start_time = COALESCE(EXCLUDED.start_time, event_occurrence_overrides.start_time),
+        end_time = COALESCE(EXCLUDED.end_time, event_occurrence_overrides.end_time),
+        updated_at = CURRENT_TIMESTAMP
+    `;
+    
+    await db.query(query, [
+      id,
+      occurrenceStart,
+      title || null,
+      description !== undefined ? description : null,
+      address || null,
+      startTime || null,
+      endTime || null
+    ]);
+    
+    const event = await this.getById(id);
+    invalidateTiles(event && event.location);
+    
+    return event;
+  }
+  
+  // Edit an occurrence and all following ones ("this and following")
+  // The original series is cut short and a new series is created from occurrenceStart
+  // Returns the new series, or the whole series when splitting at its start, as update does
+  static async splitSeries(id, occurrenceStart, eventData) {
+    const {
+      title, description, latitude, longitude, address, startTime, endTime, categories, venueId, language,
+      timezone, visibility, tags, attributes, mode, joinUrl, footprint, expectedVersion
+    } = eventData;
+    
+    const client = await db.pool.connect();
+    
+    try {
+      await client.query('BEGIN');
+      
+      const currentResult = await client.query(`
+        SELECT id, title, description, location, address, start_time, end_time, creator_id,
+               recurrence_rule, recurrence_exdates, capacity, status, venue_id, language, timezone, visibility,
+               tags, attributes, mode, join_url, footprint, version, ST_AsText(location) as location_text
+        FROM events
+        WHERE id = $1 AND deleted_at IS NULL
+        FOR UPDATE
+      `, [id]);
+      
+      const current = currentResult.rows[0];
+      const splitDate = new Date(occurrenceStart);
+      
+      if (current && expectedVersion !== undefined && current.version !== expectedVersion) {
+        await client.query('ROLLBACK');
+        return { event: null, promoted: [] };
+      }
+      
+      // Splitting at the first occurrence is the same as editing the whole series
+      if (!current || splitDate <= new Date(current.start_time)) {
+        await client.query('ROLLBACK');
+        const { event, promoted } = await this.update(id, { ...eventData, scope: 'all' });
+        return { event, promoted };
+      }
+      
+      const { before, after } = recurrence.splitRule(
+        current.recurrence_rule, current.start_time, splitDate, current.timezone
+      );
+      const exdates = current.recurrence_exdates || [];
+      
+      // Shorten the original series
+      await client.query(`
+        UPDATE events
+        SET recurrence_rule = $1, recurrence_exdates = $2, recurrence_end = $3,
+            updated_at = CURRENT_TIMESTAMP, version = version + 1
+        WHERE id = $4
+      `, [
+        before,
+        exdates.filter(date => new Date(date) < splitDate),
+        recurrence.getSeriesEnd(before, current.start_time, current.timezone),
+        id
+      ]);
+      
+      // Keep the occurrence duration unless a new end time is given
+      const newStart = startTime ? new Date(startTime) : splitDate;
+      let newEnd = endTime || null;
+      if (!newEnd && current.end_time) {
+        newEnd = new Date(newStart.getTime() + (new Date(current.end_time) - new Date(current.start_time)));
+      }
+      
+      const newMode = mode || current.mode;
+      
+      // The new series stays at the venue unless it moves to another venue or to raw coordinates, or goes online
+      let venue = current.venue_id;
+      if (newMode === 'online') {
+        venue = null;
+      } else if (venueId !== undefined) {
+        venue = venueId;
+      } else if (latitude && longitude) {
+        venue = null;
+      }
+      
+      const eventTimezone = await this.resolveTimezone(client, { timezone, latitude, longitude, venueId }) ||
+        current.timezone;
+      
+      let location = '$21';
+      let addressValue = '$3';
+      if (newMode === 'online') {
+        location = 'NULL';
+      } else if (venueId) {
+        location = '(SELECT location FROM venues WHERE id = $12)';
+        addressValue = 'COALESCE((SELECT address FROM venues WHERE id = $12), $3)';
+      } else if (latitude && longitude) {
+        location = 'ST_SetSRID(ST_MakePoint($22, $21), 4326)::geography';
+      }
+      
+      // The new series keeps the current footprint (already a geography) unless a new one is given
+      const footprintValue = footprint !== undefined ? footprintFromGeoJSON(20) : '$20::geography';
+      
+      const insertQuery = `
+        INSERT INTO events (title, description, location, address, start_time, end_time, creator_id,
+                            recurrence_rule, recurrence_exdates, recurrence_end, capacity, status, venue_id,
+                            language, timezone, visibility, tags, attributes, mode, join_url, footprint)
+        VALUES ($1, $2, ${location}, ${addressValue}, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16,
+                jsonb_strip_nulls($17::jsonb), $18, $19, ${footprintValue})
+        RETURNING id
+      `;
+      
+      let footprintParam = current.footprint;
+      if (newMode === 'online') {
+        footprintParam = null;
+      } else if (footprint !== undefined) {
+        footprintParam = footprint ? JSON.stringify(footprint) : null;
+      }
+      
+      const insertValues = [
+        title || current.title,
+        description !== undefined ? description : current.description,
+        newMode === 'online' ? null : address || current.address,
+        newStart,
+        newEnd,
+        current.creator_id,
+        after,
+        exdates.filter(date => new Date(date) >= splitDate),
+        recurrence.getSeriesEnd(after, newStart, eventTimezone),
+        current.capacity,
+        current.status,
+        venue,
+        language || current.language,
+        eventTimezone,
+        visibility || current.visibility,
+        Array.isArray(tags) ? tags : current.tags,
+        { ...current.attributes, ...attributes },
+        newMode,
+        joinUrl !== undefined ? joinUrl : current.join_url,
+        footprintParam
+      ];
+      
+      // A venue's location is looked up in the query itself, and online events have none
+      if (!venueId && newMode !== 'online') {
+        insertValues.push(...(latitude && longitude ? [latitude, longitude] : [current.location]));
+      }
+      
+      const insertResult = await client.query(insertQuery, insertValues);
+      const newId = insertResult.rows[0].id;
+      
+      // Carry categories over to the new series
+      if (categories && Array.isArray(categories)) {
+        if (categories.length > 0) {
+          const categoryValues = categories.map(categoryId => {
+            return `(${newId}, ${categoryId})`;
+          }).join(', ');
+          
+          await client.query(`
+            INSERT INTO event_categories (event_id, category_id)
+            VALUES ${categoryValues}
+          `);
+        }
+      } else {
+        await client.query(`
+          INSERT INTO event_categories (event_id, category_id)
+          SELECT $1, category_id FROM event_categories WHERE event_id = $2
+        `, [newId, id]);
+      }
+      
+      // Carry translations over to the new series
+      await client.query(`
+        INSERT INTO event_translations (event_id, locale, title, description)
+        SELECT $1, locale, title, description FROM event_translations WHERE event_id = $2
+      `, [newId, id]);
+      
+      // Invitees of the series are invited to the following occurrences too
+      await client.query(`
+        INSERT INTO event_invitees (event_id, user_id, invited_by, created_at)
+        SELECT $1, user_id, invited_by, created_at FROM event_invitees WHERE event_id = $2
+      `, [newId, id]);
+      
+      // Tickets for the following occurrences are sold in the same tiers
+      await client.query(`
+        INSERT INTO event_ticket_tiers (event_id, name, price, currency, quantity, sales_start, sales_end)
+        SELECT $1, name, price, currency, quantity, sales_start, sales_end FROM event_ticket_tiers WHERE event_id = $2
+      `, [newId, id]);
+      
+      // Overrides only still line up with the new series if its start time is unchanged
+      if (startTime) {
+        await client.query(`
+          DELETE FROM event_occurrence_overrides
+          WHERE event_id = $1 AND occurrence_start >= $2
+        `, [id, splitDate]);
+      } else {
+        await client.query(`
+          UPDATE event_occurrence_overrides
+          SET event_id = $1
+          WHERE event_id = $2 AND occurrence_start >= $3
+        `, [newId, id, splitDate]);
+      }
+      
+      await client.query('COMMIT');
+      
+      // The original series ends earlier, and the new one may have moved
+      const event = await this.getById(newId);
+      invalidateTiles(current.location_text, event && event.location);
+      
+      return { event, promoted: [] };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+  
+  // Expand recurring events into their occurrences within a date window
+  // Days in the window are read in each event's timezone
+  static async expandOccurrences(events, startDate, endDate) {
+    const occurrences = [];
+    
+    for (const event of events) {
+      if (!event.recurrence_rule) {
+        occurrences.push(event);
+        continue;
+      }
+      
+      const timezone = event.timezone || DEFAULT_EVENT_TIMEZONE;
+      const overrides = await this.getOccurrenceOverrides(event.id);
+      occurrences.push(...recurrence.expandOccurrences(
+        event,
+        resolveDateFilter(startDate, timezone),
+        resolveDateFilter(endDate, timezone, true),
+        overrides
+      ));
+    }
+    
+    return occurrences;
+  }
+  
+  // Delete an event (soft delete, the row is kept until purged)
+  // When expectedVersion is given, the event is only deleted if it is still at that version
+  static async delete(id, expectedVersion = null) {
+    const query = `
+      UPDATE events
+      SET deleted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP, version = version + 1
+      WHERE id = $1 AND deleted_at IS NULL AND ($2::integer IS NULL OR version = $2)
+      RETURNING id, ST_AsText(location) as location
+    `;
+    const result = await db.query(query, [id, expectedVersion]);
+    
+    if (result.rows.length === 0) {
+      return false;
+    }
+    
+    invalidateTiles(result.rows[0].location);
+    return true;
+  }
+  
+  // Get a deleted event by ID
+  static async getDeletedById(id) {
+    const query = `
+      SELECT id, title, creator_id, deleted_at
+      FROM events
+      WHERE id = $1 AND deleted_at IS NOT NULL
+    `;
+    
+    const result = await db.query(query, [id]);
+    
+    if (result.rows.length === 0) {
+      return null;
     }
     
-    if (startDate) {
-      conditions.push(`e.start_time >= $${paramIndex++}`);
-      values.push(startDate);
+    return result.rows[0];
+  }
+  
+  // Restore a deleted event
+  static async restore(id) {
+    const query = `
+      UPDATE events
+      SET deleted_at = NULL, updated_at = CURRENT_TIMESTAMP, version = version + 1
+      WHERE id = $1 AND deleted_at IS NOT NULL
+      RETURNING id, ST_AsText(location) as location
+    `;
+    
+    const result = await db.query(query, [id]);
+    
+    if (result.rows.length === 0) {
+      return null;
+    }
+    
+    invalidateTiles(result.rows[0].location);
+    return this.getById(id);
+  }
+  
+  // Get deleted events of a user, with the date they will be purged
+  static async getTrash(userId, retentionDays, page = 1, limit = 10) {
+    const offset = (page - 1) * limit;
+    
+    // Get total count
+    const countQuery = `
+      SELECT COUNT(*) as total
+      FROM events
+      WHERE creator_id = $1 AND deleted_at IS NOT NULL
+    `;
+    
+    const countResult = await db.query(countQuery, [userId]);
+    const total = parseInt(countResult.rows[0].total);
+    
+    // Most recently deleted first
+    const eventsQuery = `
+      SELECT e.id, e.title, e.description, ST_AsText(e.location) as location, 
+             e.address, e.start_time, e.end_time, e.status, e.deleted_at,
+             e.deleted_at + make_interval(days => $2) as purge_at
+      FROM events e
+      WHERE e.creator_id = $1 AND e.deleted_at IS NOT NULL
+      ORDER BY e.deleted_at DESC
+      LIMIT $3 OFFSET $4
+    `;
+    
+    const eventsResult = await db.query(eventsQuery, [userId, retentionDays, limit, offset]);
+    
+    const events = eventsResult.rows.map(event => {
+      // Convert location string to lat/lng object
+      if (event.location) {
+        event.location = db.fromGeographyPoint(event.location);
+      }
+      return event;
+    });
+    
+    return {
+      events,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+  
+  // Permanently remove events deleted more than retentionDays ago
+  static async purgeDeleted(retentionDays) {
+    const query = `
+      DELETE FROM events
+      WHERE deleted_at IS NOT NULL
+        AND deleted_at < CURRENT_TIMESTAMP - make_interval(days => $1)
+      RETURNING id
+    `;
+    
+    const result = await db.query(query, [retentionDays]);
+    return result.rows.map(row => row.id);
+  }
+  
+  // Build an SQL instant for a date filter
+  // Days ("today" or YYYY-MM-DD) are read in each event's timezone; a day ending a window lasts until the next one starts
+  static buildDateBound(value, paramIndex, isEnd) {
+    if (!isDateOnly(value)) {
+      return { sql: `$${paramIndex}`, operator: isEnd ? '<=' : '>=', values: [value] };
+    }
+    
+    const day = value === TODAY ? '(CURRENT_TIMESTAMP AT TIME ZONE e.timezone)::date' : `$${paramIndex}::date`;
+    
+    return {
+      sql: `((${day}${isEnd ? ' + 1' : ''})::timestamp AT TIME ZONE e.timezone)`,
+      operator: isEnd ? '<' : '>=',
+      values: value === TODAY ? [] : [value]
+    };
+  }
+  
+  // Build the date window condition for event queries
+  // Recurring series match when any of their occurrences may fall inside the window
+  // matches(column) applies the same window to another start time column, e.g. of sessions
+  static buildDateCondition(startDate, endDate, paramIndex) {
+    const bounds = [];
+    const values = [];
+    
+    if (startDate) {
+      bounds.push(this.buildDateBound(startDate, paramIndex, false));
+      paramIndex += bounds[bounds.length - 1].values.length;
+    }
+    
+    if (endDate) {
+      bounds.push(this.buildDateBound(endDate, paramIndex, true));
+      paramIndex += bounds[bounds.length - 1].values.length;
+    }
+    
+    if (bounds.length === 0) {
+      return null;
+    }
+    
+    const matches = column => bounds.map(bound => `${column} ${bound.operator} ${bound.sql}`).join(' AND ');
+    const seriesConditions = bounds.map((bound, i) => {
+      return startDate && i === 0
+        ? `(e.recurrence_end IS NULL OR e.recurrence_end ${bound.operator} ${bound.sql})`
+        : `e.start_time ${bound.operator} ${bound.sql}`;
+    });
+    
+    for (const bound of bounds) {
+      values.push(...bound.values);
+    }
+    
+    return {
+      condition: `(
+        (e.recurrence_rule IS NULL AND ${matches('e.start_time')}) OR
+        (e.recurrence_rule IS NOT NULL AND ${seriesConditions.join(' AND ')})
+      )`,
+      matches,
+      values
+    };
+  }
+  
+  // Build the condition matching events available in any of the given primary languages
+  // An event is available in its original language and in each of its translations
+  static buildLanguageCondition(paramIndex) {
+    return `(
+      split_part(e.language, '-', 1) = ANY($${paramIndex}::text[]) OR EXISTS (
+        SELECT 1 FROM event_translations et
+        WHERE et.event_id = e.id AND split_part(et.locale, '-', 1) = ANY($${paramIndex}::text[])
+      )
+    )`;
+  }
+  
+  // Build the condition matching events with any (tagMatch 'any') or all (tagMatch 'all') of the tags in a parameter
+  static buildTagCondition(tagMatch, paramIndex) {
+    return tagMatch === 'all' ? `e.tags @> $${paramIndex}::text[]` : `e.tags && $${paramIndex}::text[]`;
+  }
+  
+  // Build the condition matching events by their lowest current ticket price
+  // minPrice and maxPrice are in currency (the base currency by default), converted with the exchange rates;
+  // free keeps only free events, or only paid ones when false
+  static buildPriceCondition({ minPrice = null, maxPrice = null, free = null, currency = null }, paramIndex) {
+    const conditions = [];
+    const values = [];
+    
+    if (free !== null) {
+      conditions.push(free ? `${FROM_PRICE} = 0` : `${FROM_PRICE} > 0`);
+    }
+    
+    if (minPrice !== null || maxPrice !== null) {
+      const rate = `(SELECT r.rate FROM exchange_rates r WHERE r.currency = $${paramIndex++})`;
+      values.push(currency || BASE_CURRENCY);
+      
+      if (minPrice !== null) {
+        conditions.push(`${FROM_PRICE} >= $${paramIndex++}::numeric / ${rate}`);
+        values.push(minPrice);
+      }
+      
+      if (maxPrice !== null) {
+        conditions.push(`${FROM_PRICE} <= $${paramIndex++}::numeric / ${rate}`);
+        values.push(maxPrice);
+      }
+    }
+    
+    if (conditions.length === 0) {
+      return null;
+    }
+    
+    return { condition: conditions.join(' AND '), values };
+  }
+  
+  // Build the condition matching events by their accessibility and audience attributes
+  // attributes holds the yes/no attributes events must have; age keeps events whose age range includes it
+  // (events without an age range suit all ages)
+  static buildAttributeCondition({ attributes = {}, age = null }, paramIndex) {
+    const conditions = [];
+    const values = [];
+    
+    if (Object.keys(attributes).length > 0) {
+      conditions.push(`e.attributes @> $${paramIndex++}::jsonb`);
+      values.push(attributes);
+    }
+    
+    if (age !== null) {
+      conditions.push(`COALESCE((e.attributes->>'minAge')::integer, 0) <= $${paramIndex}::integer`);
+      conditions.push(`COALESCE((e.attributes->>'maxAge')::integer, $${paramIndex}::integer) >= $${paramIndex}::integer`);
+      values.push(age);
+    }
+    
+    if (conditions.length === 0) {
+      return null;
+    }
+    
+    return { condition: conditions.join(' AND '), values };
+  }
+  
+  // Count the events using each tag, most used first
+  // Only events the viewer can see are counted; prefix limits the tags to those starting with it
+  static async getTagCounts({ prefix = null, viewerId = null, limit = 20 } = {}) {
+    const conditions = [];
+    const values = [];
+    let paramIndex = 1;
+    
+    const visibility = this.buildVisibilityCondition(viewerId, paramIndex);
+    conditions.push(visibility.condition);
+    values.push(...visibility.values);
+    paramIndex += visibility.values.length;
+    
+    if (prefix) {
+      conditions.push(`starts_with(t.tag, $${paramIndex++})`);
+      values.push(prefix);
+    }
+    
+    const query = `
+      SELECT t.tag, COUNT(*)::integer as count
+      FROM events e
+      CROSS JOIN LATERAL unnest(e.tags) AS t(tag)
+      WHERE ${conditions.join(' AND ')}
+      GROUP BY t.tag
+      ORDER BY count DESC, t.tag
+      LIMIT $${paramIndex}
+    `;
+    
+    const result = await db.query(query, [...values, limit]);
+    return result.rows;
+  }
+  
+  // Show events in the language best matching the requested one, and list the languages they are available in
+  static async applyTranslations(events, language) {
+    const translationsByEvent = await EventTranslation.getByEvents([...new Set(events.map(event => event.id))]);
+    
+    for (const event of events) {
+      applyTranslation(event, translationsByEvent[event.id] || [], language);
+    }
+    
+    return events;
+  }
+  
+  // Build the condition hiding deleted events, drafts from everyone but their organizers,
+  // and unlisted and private events from everyone but their organizers and invitees
+  // With linked, unlisted events are shown too, for lists only holding events the viewer opened (e.g. favorites)
+  static buildVisibilityCondition(viewerId, paramIndex, { linked = false } = {}) {
+    const shown = linked ? `e.visibility <> 'private'` : `e.visibility = 'public'`;
+    
+    if (!viewerId) {
+      return { condition: `e.deleted_at IS NULL AND e.status <> 'draft' AND ${shown}`, values: [] };
+    }
+    
+    return {
+      condition: `e.deleted_at IS NULL AND (
+        e.creator_id = $${paramIndex} OR EXISTS (
+          SELECT 1 FROM event_organizers eo
+          WHERE eo.event_id = e.id AND eo.user_id = $${paramIndex} AND eo.accepted_at IS NOT NULL
+        ) OR (
+          e.status <> 'draft' AND (${shown} OR EXISTS (
+            SELECT 1 FROM event_invitees ei
+            WHERE ei.event_id = e.id AND ei.user_id = $${paramIndex}
+          ))
+        )
+      )`,
+      values: [viewerId]
+    };
+  }
+  
+  // Get a fingerprint of all events, categories and exchange rates, changing whenever any of them changes
+  // Every write to an event bumps its updated_at, and purged rows change the count
+  // Exchange rates are included as price filters compare prices through them
+  static async getCollectionVersion() {
+    const query = `
+      SELECT COUNT(*) as events_total, MAX(updated_at) as events_updated,
+             (SELECT COUNT(*) FROM categories) as categories_total,
+             (SELECT MAX(updated_at) FROM categories) as categories_updated,
+             (SELECT COUNT(*) FROM exchange_rates) as rates_total,
+             (SELECT MAX(updated_at) FROM exchange_rates) as rates_updated
+      FROM events
+    `;
+    
+    const result = await db.query(query);
+    return result.rows[0];
+  }
+  
+  // Change the lifecycle status of an event
+  static async updateStatus(id, status, reason = null) {
+    const query = `
+      UPDATE events
+      SET status = $1, status_reason = $2, status_changed_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP, version = version + 1
+      WHERE id = $3 AND deleted_at IS NULL
+      RETURNING id, ST_AsText(location) as location
+    `;
+    
+    const result = await db.query(query, [status, reason, id]);
+    
+    if (result.rows.length === 0) {
+      return null;
+    }
+    
+    invalidateTiles(result.rows[0].location);
+    return this.getById(id);
+  }
+  
+  // Get a page of search results, with the total number of matches
+  // With a date filter, recurring events are expanded into occurrences, which are ordered with compareOccurrences and
+  // paginated after expansion; otherwise the page is taken in SQL, and fromClause (FROM ... WHERE ...) counts the matches
+  static async getSearchPage({
+    selectQuery,
+    fromClause,
+    values,
+    paramIndex,
+    dateFilter,
+    startDate,
+    endDate,
+    language,
+    compareOccurrences = (a, b) => new Date(a.start_time) - new Date(b.start_time),
+    page,
+    limit
+  }) {
+    // Calculate offset for pagination
+    const offset = (page - 1) * limit;
+    
+    if (dateFilter) {
+      // Recurring events are expanded into occurrences, so paginate after expansion
+      const eventsResult = await db.query(selectQuery, values);
+      await this.applyTranslations(eventsResult.rows, language);
+      const occurrences = await this.expandOccurrences(eventsResult.rows, startDate, endDate);
+      occurrences.sort(compareOccurrences);
+      
+      return { total: occurrences.length, rows: occurrences.slice(offset, offset + limit) };
+    }
+    
+    // Get total count of matching events for pagination
+    const countQuery = `
+      SELECT COUNT(DISTINCT e.id) as total
+      ${fromClause}
+    `;
+    
+    const countResult = await db.query(countQuery, values);
+    const total = parseInt(countResult.rows[0].total);
+    
+    // Main query to get events, with pagination parameters
+    const mainQuery = `
+      ${selectQuery}
+      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+    `;
+    
+    const eventsResult = await db.query(mainQuery, [...values, limit, offset]);
+    const rows = await this.applyTranslations(eventsResult.rows, language);
+    
+    return { total, rows };
+  }
+  
+  // Complete search results with their location, local times, categories, media and price summary
+  // Distances from the search, when there are any, are rounded to 2 decimal places
+  static async hydrateSearchResults(rows) {
+    // Get media and ticket tiers of all events at once
+    const eventIds = [...new Set(rows.map(event => event.id))];
+    const mediaByEvent = await EventMedia.getByEvents(eventIds);
+    const tiersByEvent = await EventTicketTier.getByEvents(eventIds);
+    
+    // Get category information for all events
+    const events = [];
+    for (const event of rows) {
+      // Convert location string to lat/lng object
+      if (event.location) {
+        event.location = db.fromGeographyPoint(event.location);
+      }
+      
+      // Online events found by a location search have no distance
+      if (event.distance_km !== undefined) {
+        event.distance_km = event.distance_km !== null ? parseFloat(event.distance_km).toFixed(2) : null;
+      }
+      
+      addLocalTimes(event);
+      
+      // Get categories for this event
+      const categoriesQuery = `
+        SELECT c.id, c.name
+        FROM categories c
+        JOIN event_categories ec ON c.id = ec.category_id
+        WHERE ec.event_id = $1
+        ORDER BY c.name
+      `;
+      
+      const categoriesResult = await db.query(categoriesQuery, [event.id]);
+      event.categories = categoriesResult.rows;
+      event.media = mediaByEvent[event.id] || [];
+      event.price = summarizePrices(tiersByEvent[event.id] || []);
+      
+      events.push(event);
+    }
+    
+    return events;
+  }
+  
+  // Get all events with pagination and filtering
+  // Drafts are only returned to their organizers (viewerId), unlisted and private events to organizers and invitees
+  // Content is shown in the translation best matching language; languages filters on available languages
+  // tags filters on events with any of the tags, or all of them with tagMatch 'all'
+  // minPrice, maxPrice (in currency) and free filter on the lowest current ticket price
+  // attributes and age filter on accessibility and audience attributes
+  static async getAll({ 
+    page = 1, limit = 10, categoryIds = [], creatorId = null, venueId = null, startDate = null, endDate = null, viewerId = null,
+    language = null, languages = [], tags = [], tagMatch = 'any', minPrice = null, maxPrice = null, free = null, currency = null,
+    attributes = {}, age = null
+  }) {
+    // Build query conditions
+    let conditions = [];
+    const values = [];
+    let paramIndex = 1;
+    
+    if (creatorId) {
+      conditions.push(`e.creator_id = $${paramIndex++}`);
+      values.push(creatorId);
+    }
+    
+    if (venueId) {
+      conditions.push(`e.venue_id = $${paramIndex++}`);
+      values.push(venueId);
+    }
+    
+    const visibility = this.buildVisibilityCondition(viewerId, paramIndex);
+    conditions.push(visibility.condition);
+    values.push(...visibility.values);
+    paramIndex += visibility.values.length;
+    
+    const dateFilter = this.buildDateCondition(startDate, endDate, paramIndex);
+    if (dateFilter) {
+      conditions.push(dateFilter.condition);
+      values.push(...dateFilter.values);
+      paramIndex += dateFilter.values.length;
+    }
+    
+    if (languages && languages.length > 0) {
+      conditions.push(this.buildLanguageCondition(paramIndex++));
+      values.push(languages.map(primaryLanguage));
+    }
+    
+    if (tags && tags.length > 0) {
+      conditions.push(this.buildTagCondition(tagMatch, paramIndex++));
+      values.push(tags);
+    }
+    
+    const priceFilter = this.buildPriceCondition({ minPrice, maxPrice, free, currency }, paramIndex);
+    if (priceFilter) {
+      conditions.push(priceFilter.condition);
+      values.push(...priceFilter.values);
+      paramIndex += priceFilter.values.length;
+    }
+    
+    const attributeFilter = this.buildAttributeCondition({ attributes, age }, paramIndex);
+    if (attributeFilter) {
+      conditions.push(attributeFilter.condition);
+      values.push(...attributeFilter.values);
+      paramIndex += attributeFilter.values.length;
+    }
+    
+    // Build category filter
+    let categoryJoin = '';
+    if (categoryIds && categoryIds.length > 0) {
+      categoryJoin = `
+        JOIN event_categories ec ON e.id = ec.event_id
+        JOIN categories c ON ec.category_id = c.id
+      `;
+      conditions.push(`c.id IN (${categoryIds.join(', ')})`);
+    }
+    
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    
+    const selectQuery = `
+      SELECT DISTINCT e.id, e.title, e.description, ST_AsText(e.location) as location, 
+             e.address, e.start_time, e.end_time, e.creator_id, 
+             e.recurrence_rule, e.recurrence_exdates, e.capacity, e.status, e.status_reason,
+             e.venue_id, e.language, e.timezone, e.visibility, e.tags, e.attributes, e.mode, e.version, e.created_at, e.updated_at
+      FROM events e
+      ${categoryJoin}
+      ${whereClause}
+      ORDER BY e.start_time ASC
+    `;
+    
+    const { total, rows } = await this.getSearchPage({
+      selectQuery,
+      fromClause: `FROM events e ${categoryJoin} ${whereClause}`,
+      values,
+      paramIndex,
+      dateFilter,
+      startDate,
+      endDate,
+      language,
+      page,
+      limit
+    });
+    
+    const events = await this.hydrateSearchResults(rows);
+    
+    return {
+      events,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+  
+  // Search for events based on location, radius, and optional filters
+  // Multi-session events also match through any session held within the radius and date window
+  // minPrice, maxPrice (in currency) and free filter on the lowest current ticket price
+  // attributes and age filter on accessibility and audience attributes
+  // With includeOnline, online and hybrid events held in the searcher's timezone or available in their language
+  // match wherever they take place
+  static async searchByLocation({ 
+    latitude, 
+    longitude, 
+    radius = 10, // Default 10km radius
+    categoryIds = [], 
+    startDate = null, 
+    endDate = null,
+    viewerId = null,
+    language = null,
+    languages = [],
+    tags = [],
+    tagMatch = 'any',
+    minPrice = null,
+    maxPrice = null,
+    free = null,
+    currency = null,
+    attributes = {},
+    age = null,
+    includeOnline = false,
+    page = 1,
+    limit = 10
+  }) {
+    // Build query conditions
+    let conditions = [];
+    
+    const values = [radius, latitude, longitude];
+    let paramIndex = 4;
+    
+    const visibility = this.buildVisibilityCondition(viewerId, paramIndex);
+    conditions.push(visibility.condition);
+    values.push(...visibility.values);
+    paramIndex += visibility.values.length;
+    
+    const dateFilter = this.buildDateCondition(startDate, endDate, paramIndex);
+    if (dateFilter) {
+      values.push(...dateFilter.values);
+      paramIndex += dateFilter.values.length;
+    }
+    
+    // An event matches by its own location or footprint and time, or by those of one of its sessions
+    // Sessions without a location take place at the event's
+    const point = 'ST_SetSRID(ST_MakePoint($3, $2), 4326)::geography';
+    const eventMatch = [
+      `(ST_DWithin(e.location, ${point}, $1 * 1000) OR ST_DWithin(e.footprint, ${point}, $1 * 1000))` // Convert km to meters
+    ];
+    const sessionMatch = [`ST_DWithin(COALESCE(s.location, e.location), ${point}, $1 * 1000)`];
+    if (dateFilter) {
+      eventMatch.push(dateFilter.condition);
+      sessionMatch.push(dateFilter.matches('s.start_time'));
+    }
+    
+    // The searcher's timezone is the one at the search point; an event is held in it if its UTC offsets match
+    let onlineMatch = '';
+    if (includeOnline) {
+      const online = [`e.mode <> 'in_person'`, `(
+        e.start_time AT TIME ZONE e.timezone = e.start_time AT TIME ZONE $${paramIndex} OR
+        ${this.buildLanguageCondition(paramIndex + 1)}
+      )`];
+      if (dateFilter) {
+        online.push(dateFilter.condition);
+      }
+      
+      values.push(timezoneAt(latitude, longitude), [primaryLanguage(language || DEFAULT_CONTENT_LANGUAGE)]);
+      paramIndex += 2;
+      onlineMatch = `OR (${online.join(' AND ')})`;
+    }
+    
+    conditions.push(`(
+      (${eventMatch.join(' AND ')}) OR EXISTS (
+        SELECT 1 FROM event_sessions s
+        WHERE s.event_id = e.id AND ${sessionMatch.join(' AND ')}
+      ) ${onlineMatch}
+    )`);
+    
+    if (languages && languages.length > 0) {
+      conditions.push(this.buildLanguageCondition(paramIndex++));
+      values.push(languages.map(primaryLanguage));
+    }
+    
+    if (tags && tags.length > 0) {
+      conditions.push(this.buildTagCondition(tagMatch, paramIndex++));
+      values.push(tags);
+    }
+    
+    const priceFilter = this.buildPriceCondition({ minPrice, maxPrice, free, currency }, paramIndex);
+    if (priceFilter) {
+      conditions.push(priceFilter.condition);
+      values.push(...priceFilter.values);
+      paramIndex += priceFilter.values.length;
+    }
+    
+    const attributeFilter = this.buildAttributeCondition({ attributes, age }, paramIndex);
+    if (attributeFilter) {
+      conditions.push(attributeFilter.condition);
+      values.push(...attributeFilter.values);
+      paramIndex += attributeFilter.values.length;
+    }
+    
+    // Build category filter
+    let categoryJoin = '';
+    if (categoryIds && categoryIds.length > 0) {
+      categoryJoin = `
+        JOIN event_categories ec ON e.id = ec.event_id
+        JOIN categories c ON ec.category_id = c.id
+      `;
+      conditions.push(`c.id IN (${categoryIds.join(', ')})`);
+    }
+    
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
+    
+    const selectQuery = `
+      SELECT DISTINCT e.id, e.title, e.description, ST_AsText(e.location) as location, 
+             e.address, e.start_time, e.end_time, e.creator_id, 
+             e.recurrence_rule, e.recurrence_exdates, e.capacity, e.status, e.status_reason,
+             e.venue_id, e.language, e.timezone, e.visibility, e.tags, e.attributes, e.mode, e.version, e.created_at, e.updated_at,
+             LEAST(
+               ST_Distance(e.location, ${point}),
+               ST_Distance(e.footprint, ${point}),
+               (SELECT MIN(ST_Distance(s.location, ${point}))
+                FROM event_sessions s
+                WHERE s.event_id = e.id AND s.location IS NOT NULL AND ${sessionMatch.join(' AND ')})
+             ) / 1000 as distance_km,
+             ARRAY(
+               SELECT s.id FROM event_sessions s
+               WHERE s.event_id = e.id AND ${sessionMatch.join(' AND ')}
+               ORDER BY s.start_time, s.id
+             ) as matched_session_ids
+      FROM events e
+      ${categoryJoin}
+      ${whereClause}
+      ORDER BY distance_km ASC, e.start_time ASC
+    `;
+    
+    const { total, rows } = await this.getSearchPage({
+      selectQuery,
+      fromClause: `FROM events e ${categoryJoin} ${whereClause}`,
+      values,
+      paramIndex,
+      dateFilter,
+      startDate,
+      endDate,
+      language,
+      compareOccurrences: (a, b) => {
+        // Online events have no distance and come last
+        return ((a.distance_km === null) - (b.distance_km === null)) || (a.distance_km - b.distance_km) ||
+          (new Date(a.start_time) - new Date(b.start_time));
+      },
+      page,
+      limit
+    });
+    
+    const events = await this.hydrateSearchResults(rows);
+    
+    return {
+      events,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+  
+  // Search for events along a route: events whose location or footprint lies within width km of the route
+  // route is a GeoJSON LineString; events are ordered by where the route comes closest to them, from its start
+  // Category and date filters work as in searchByLocation
+  static async searchAlongRoute({ 
+    route, 
+    width = 2, // Default 2km on each side of the route
+    categoryIds = [], 
+    startDate = null, 
+    endDate = null,
+    viewerId = null,
+    language = null,
+    page = 1,
+    limit = 10
+  }) {
+    // Build query conditions
+    let conditions = [];
+    
+    const values = [JSON.stringify(route), width];
+    let paramIndex = 3;
+    
+    const visibility = this.buildVisibilityCondition(viewerId, paramIndex);
+    conditions.push(visibility.condition);
+    values.push(...visibility.values);
+    paramIndex += visibility.values.length;
+    
+    const dateFilter = this.buildDateCondition(startDate, endDate, paramIndex);
+    if (dateFilter) {
+      conditions.push(dateFilter.condition);
+      values.push(...dateFilter.values);
+      paramIndex += dateFilter.values.length;
+    }
+    
+    // The corridor is the route buffered by width (geography buffers are in meters)
+    const corridorJoin = `
+      CROSS JOIN (
+        SELECT line, ST_Buffer(line::geography, $2 * 1000) as area
+        FROM (SELECT ST_SetSRID(ST_GeomFromGeoJSON($1::text), 4326) as line) l
+      ) r
+    `;
+    conditions.push('(ST_Intersects(e.location, r.area) OR ST_Intersects(e.footprint, r.area))');
+    
+    // Build category filter
+    let categoryJoin = '';
+    if (categoryIds && categoryIds.length > 0) {
+      categoryJoin = `
+        JOIN event_categories ec ON e.id = ec.event_id
+        JOIN categories c ON ec.category_id = c.id
+      `;
+      conditions.push(`c.id IN (${categoryIds.join(', ')})`);
+    }
+    
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
+    
+    // Position along the route (0 at its start, 1 at its end) of the route point nearest to the event
+    const routePosition = 'ST_LineLocatePoint(r.line, ST_ClosestPoint(r.line, COALESCE(e.footprint, e.location)::geometry))';
+    
+    const selectQuery = `
+      SELECT DISTINCT e.id, e.title, e.description, ST_AsText(e.location) as location, 
+             e.address, e.start_time, e.end_time, e.creator_id, 
+             e.recurrence_rule, e.recurrence_exdates, e.capacity, e.status, e.status_reason,
+             e.venue_id, e.language, e.timezone, e.visibility, e.tags, e.attributes, e.mode, e.version, e.created_at, e.updated_at,
+             LEAST(ST_Distance(e.location, r.line::geography), ST_Distance(e.footprint, r.line::geography)) / 1000 as distance_km,
+             ${routePosition} as route_position,
+             ${routePosition} * ST_Length(r.line::geography) / 1000 as route_km
+      FROM events e
+      ${corridorJoin}
+      ${categoryJoin}
+      ${whereClause}
+      ORDER BY route_position ASC, e.start_time ASC
+    `;
+    
+    const { total, rows } = await this.getSearchPage({
+      selectQuery,
+      fromClause: `FROM events e ${corridorJoin} ${categoryJoin} ${whereClause}`,
+      values,
+      paramIndex,
+      dateFilter,
+      startDate,
+      endDate,
+      language,
+      compareOccurrences: (a, b) => {
+        return (a.route_position - b.route_position) || (new Date(a.start_time) - new Date(b.start_time));
+      },
+      page,
+      limit
+    });
+    
+    // Round route distances to 2 decimal places
+    rows.forEach(event => {
+      event.route_km = parseFloat(event.route_km).toFixed(2);
+      event.route_position = parseFloat(event.route_position);
+    });
+    
+    const events = await this.hydrateSearchResults(rows);
+    
+    return {
+      events,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+  
+  // Search for events inside an area: events whose location or footprint lies in it
+  // The area is a GeoJSON Polygon or MultiPolygon (area), or an imported boundary (boundaryId)
+  // Category and date filters work as in searchByLocation
+  static async searchInArea({ 
+    area = null, 
+    boundaryId = null,
+    categoryIds = [], 
+    startDate = null, 
+    endDate = null,
+    viewerId = null,
+    language = null,
+    page = 1,
+    limit = 10
+  }) {
+    // Build query conditions
+    let conditions = [];
+    
+    const values = [boundaryId ? boundaryId : JSON.stringify(area)];
+    let paramIndex = 2;
+    
+    const visibility = this.buildVisibilityCondition(viewerId, paramIndex);
+    conditions.push(visibility.condition);
+    values.push(...visibility.values);
+    paramIndex += visibility.values.length;
+    
+    const dateFilter = this.buildDateCondition(startDate, endDate, paramIndex);
+    if (dateFilter) {
+      conditions.push(dateFilter.condition);
+      values.push(...dateFilter.values);
+      paramIndex += dateFilter.values.length;
     }
     
-    if (endDate) {
-      conditions.push(`e.start_time <= $${paramIndex++}`);
-      values.push(endDate);
-    }
+    const areaJoin = boundaryId
+      ? 'CROSS JOIN (SELECT area FROM boundaries WHERE id = $1) a'
+      : 'CROSS JOIN (SELECT ST_SetSRID(ST_GeomFromGeoJSON($1::text), 4326)::geography as area) a';
+    conditions.push('(ST_Intersects(e.location, a.area) OR ST_Intersects(e.footprint, a.area))');
     
     // Build category filter
     let categoryJoin = '';
@@ -217,61 +1750,34 @@ class Event {
       conditions.push(`c.id IN (${categoryIds.join(', ')})`);
     }
     
-    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
-    
-    // Get total count of matching events for pagination
-    const countQuery = `
-      SELECT COUNT(DISTINCT e.id) as total
-      FROM events e
-      ${categoryJoin}
-      ${whereClause}
-    `;
-    
-    const countResult = await db.query(countQuery, values);
-    const total = parseInt(countResult.rows[0].total);
-    
-    // Clone values array for the main query
-    const mainQueryValues = [...values];
-    
-    // Add pagination parameters
-    mainQueryValues.push(limit, offset);
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
     
-    // Main query to get events
-    const mainQuery = `
+    const selectQuery = `
       SELECT DISTINCT e.id, e.title, e.description, ST_AsText(e.location) as location, 
              e.address, e.start_time, e.end_time, e.creator_id, 
-             e.created_at, e.updated_at
+             e.recurrence_rule, e.recurrence_exdates, e.capacity, e.status, e.status_reason,
+             e.venue_id, e.language, e.timezone, e.visibility, e.tags, e.attributes, e.mode, e.version, e.created_at, e.updated_at
       FROM events e
+      ${areaJoin}
       ${categoryJoin}
       ${whereClause}
       ORDER BY e.start_time ASC
-      LIMIT $${paramIndex++} OFFSET $${paramIndex++}
     `;
     
-    const eventsResult = await db.query(mainQuery, mainQueryValues);
+    const { total, rows } = await this.getSearchPage({
+      selectQuery,
+      fromClause: `FROM events e ${areaJoin} ${categoryJoin} ${whereClause}`,
+      values,
+      paramIndex,
+      dateFilter,
+      startDate,
+      endDate,
+      language,
+      page,
+      limit
+    });
     
-    // Get category information for all events
-    const events = [];
-    for (const event of eventsResult.rows) {
-      // Convert location string to lat/lng object
-      if (event.location) {
-        event.location = db.fromGeographyPoint(event.location);
-      }
-      
-      // Get categories for this event
-      const categoriesQuery = `
-        SELECT c.id, c.name
-        FROM categories c
-        JOIN event_categories ec ON c.id = ec.category_id
-        WHERE ec.event_id = $1
-        ORDER BY c.name
-      `;
-      
-      const categoriesResult = await db.query(categoriesQuery, [event.id]);
-      event.categories = categoriesResult.rows;
-      
-      events.push(event);
-    }
+    const events = await this.hydrateSearchResults(rows);
     
     return {
       events,
@@ -284,40 +1790,23 @@ class Event {
     };
   }
   
-  // Search for events based on location, radius, and optional filters
-  static async searchByLocation({ 
-    latitude, 
-    longitude, 
-    radius = 10, // Default 10km radius
-    categoryIds = [], 
-    startDate = null, 
-    endDate = null,
-    page = 1,
-    limit = 10
-  }) {
-    // Calculate offset for pagination
-    const offset = (page - 1) * limit;
-    
-    // Build query conditions
-    let conditions = [
-      `ST_DWithin(
-        location,
-        ST_SetSRID(ST_MakePoint($3, $2), 4326)::geography,
-        $1 * 1000 -- Convert km to meters
-      )`
-    ];
-    
-    const values = [radius, latitude, longitude];
-    let paramIndex = 4;
+  // Build the conditions of a map viewport search: visible events located in the bounding box, by category and date
+  // Recurring series match as a whole, without being expanded into occurrences
+  static buildViewportFilter({ bbox, categoryIds = [], startDate = null, endDate = null, viewerId = null }) {
+    const conditions = ['e.location::geometry && ST_MakeEnvelope($1, $2, $3, $4, 4326)'];
+    const values = [...bbox];
+    let paramIndex = 5;
     
-    if (startDate) {
-      conditions.push(`e.start_time >= $${paramIndex++}`);
-      values.push(startDate);
-    }
+    const visibility = this.buildVisibilityCondition(viewerId, paramIndex);
+    conditions.push(visibility.condition);
+    values.push(...visibility.values);
+    paramIndex += visibility.values.length;
     
-    if (endDate) {
-      conditions.push(`e.start_time <= $${paramIndex++}`);
-      values.push(endDate);
+    const dateFilter = this.buildDateCondition(startDate, endDate, paramIndex);
+    if (dateFilter) {
+      conditions.push(dateFilter.condition);
+      values.push(...dateFilter.values);
+      paramIndex += dateFilter.values.length;
     }
     
     // Build category filter
@@ -330,55 +1819,200 @@ class Event {
       conditions.push(`c.id IN (${categoryIds.join(', ')})`);
     }
     
-    const whereClause = `WHERE ${conditions.join(' AND ')}`;
+    return { join: categoryJoin, where: `WHERE ${conditions.join(' AND ')}`, values, paramIndex };
+  }
+  
+  // Group the events of a map viewport into clusters of a square grid (cellSize in degrees)
+  // Each cluster has its event count, centroid, bounding box and event counts by category;
+  // clusters of a single event also give its ID
+  static async getViewportClusters({ cellSize, ...filters }) {
+    const { join, where, values, paramIndex } = this.buildViewportFilter(filters);
     
-    // Get total count of matching events for pagination
-    const countQuery = `
-      SELECT COUNT(DISTINCT e.id) as total
+    const query = `
+      WITH matched AS (
+        SELECT DISTINCT e.id, e.location::geometry as geom
+        FROM events e
+        ${join}
+        ${where}
+      ), cells AS (
+        SELECT id, geom,
+               floor(ST_X(geom) / $${paramIndex}::float8) as cell_x,
+               floor(ST_Y(geom) / $${paramIndex}::float8) as cell_y
+        FROM matched
+      ), clusters AS (
+        SELECT cell_x, cell_y, COUNT(*) as count,
+               ST_Centroid(ST_Collect(geom)) as centroid,
+               ST_Extent(geom) as extent,
+               CASE WHEN COUNT(*) = 1 THEN MIN(id) END as event_id
+        FROM cells
+        GROUP BY cell_x, cell_y
+      ), cell_categories AS (
+        SELECT counts.cell_x, counts.cell_y,
+               json_agg(json_build_object('id', c.id, 'name', c.name, 'count', counts.count)
+                        ORDER BY counts.count DESC, c.name) as categories
+        FROM (
+          SELECT cells.cell_x, cells.cell_y, ec.category_id, COUNT(*) as count
+          FROM cells
+          JOIN event_categories ec ON ec.event_id = cells.id
+          GROUP BY cells.cell_x, cells.cell_y, ec.category_id
+        ) counts
+        JOIN categories c ON c.id = counts.category_id
+        GROUP BY counts.cell_x, counts.cell_y
+      )
+      SELECT cl.count, ST_Y(cl.centroid) as latitude, ST_X(cl.centroid) as longitude,
+             ST_XMin(cl.extent) as min_lon, ST_YMin(cl.extent) as min_lat,
+             ST_XMax(cl.extent) as max_lon, ST_YMax(cl.extent) as max_lat,
+             cl.event_id, COALESCE(cc.categories, '[]'::json) as categories
+      FROM clusters cl
+      LEFT JOIN cell_categories cc ON cc.cell_x = cl.cell_x AND cc.cell_y = cl.cell_y
+      ORDER BY cl.count DESC, cl.event_id
+    `;
+    
+    const result = await db.query(query, [...values, cellSize]);
+    
+    return result.rows.map(row => ({
+      count: parseInt(row.count),
+      location: { latitude: row.latitude, longitude: row.longitude },
+      bbox: [row.min_lon, row.min_lat, row.max_lon, row.max_lat],
+      event_id: row.event_id,
+      categories: row.categories
+    }));
+  }
+  
+  // Get the events of a map viewport, soonest first, with only what a map marker needs
+  // truncated tells whether there were more than limit events
+  static async getViewportEvents({ limit = 500, language = null, ...filters }) {
+    const { join, where, values, paramIndex } = this.buildViewportFilter(filters);
+    
+    const query = `
+      SELECT DISTINCT e.id, e.title, e.language, ST_AsText(e.location) as location,
+             e.start_time, e.end_time, e.timezone, e.recurrence_rule, e.mode,
+             ARRAY(
+               SELECT ec2.category_id FROM event_categories ec2 WHERE ec2.event_id = e.id ORDER BY ec2.category_id
+             ) as category_ids
       FROM events e
-      ${categoryJoin}
-      ${whereClause}
+      ${join}
+      ${where}
+      ORDER BY e.start_time ASC, e.id ASC
+      LIMIT $${paramIndex}
     `;
     
-    const countResult = await db.query(countQuery, values);
-    const total = parseInt(countResult.rows[0].total);
+    const result = await db.query(query, [...values, limit + 1]);
+    const rows = await this.applyTranslations(result.rows.slice(0, limit), language);
     
-    // Clone values array for the main query
-    const mainQueryValues = [...values];
+    for (const event of rows) {
+      event.location = db.fromGeographyPoint(event.location);
+      addLocalTimes(event);
+    }
     
-    // Add pagination parameters
-    mainQueryValues.push(limit, offset);
+    return { events: rows, truncated: result.rows.length > limit };
+  }
+  
+  // Build a vector tile (Mapbox Vector Tile) of the public events in map tile z/x/y, by category and date
+  // Events are points of the "events" layer with their id, title (in the event's own language),
+  // category_ids and category names (comma-separated); recurring series match as a whole
+  static async getTile({ z, x, y, categoryIds = [], startDate = null, endDate = null }) {
+    // Events just outside the tile are included so markers crossing its edge are drawn whole
+    const bbox = getTileBoundingBox(z, x, y, TILE_BUFFER / TILE_EXTENT);
+    const { join, where, values, paramIndex } = this.buildViewportFilter({ bbox, categoryIds, startDate, endDate });
     
-    // Main query to get events with distance
-    const mainQuery = `
-      SELECT DISTINCT e.id, e.title, e.description, ST_AsText(e.location) as location, 
+    const query = `
+      WITH matched AS (
+        SELECT DISTINCT e.id, e.title, e.location
+        FROM events e
+        ${join}
+        ${where}
+      ), features AS (
+        SELECT m.id, m.title,
+               (SELECT string_agg(c.id::text, ',' ORDER BY c.id)
+                FROM event_categories ec JOIN categories c ON c.id = ec.category_id
+                WHERE ec.event_id = m.id) as category_ids,
+               (SELECT string_agg(c.name, ',' ORDER BY c.id)
+                FROM event_categories ec JOIN categories c ON c.id = ec.category_id
+                WHERE ec.event_id = m.id) as categories,
+               ST_AsMVTGeom(
+                 ST_Transform(m.location::geometry, 3857),
+                 ST_TileEnvelope($${paramIndex}, $${paramIndex + 1}, $${paramIndex + 2}),
+                 ${TILE_EXTENT}, ${TILE_BUFFER}, true
+               ) as geom
+        FROM matched m
+      )
+      SELECT ST_AsMVT(features, 'events', ${TILE_EXTENT}, 'geom') as tile
+      FROM features
+    `;
+    
+    const result = await db.query(query, [...values, z, x, y]);
+    
+    // Tiles without events are empty
+    return result.rows[0].tile || Buffer.alloc(0);
+  }
+  
+  // Get public events for a calendar feed, optionally by category and/or around a location
+  // Recurring series are returned whole (not expanded), with their overrides
+  static async getFeedEvents({ 
+    categoryIds = [], latitude = null, longitude = null, radius = 10, since = null, limit = 500 
+  }) {
+    const conditions = [];
+    const values = [];
+    let paramIndex = 1;
+    
+    const visibility = this.buildVisibilityCondition(null, paramIndex);
+    conditions.push(visibility.condition);
+    
+    const dateFilter = this.buildDateCondition(since, null, paramIndex);
+    if (dateFilter) {
+      conditions.push(dateFilter.condition);
+      values.push(...dateFilter.values);
+      paramIndex += dateFilter.values.length;
+    }
+    
+    if (latitude !== null && longitude !== null) {
+      conditions.push(`ST_DWithin(
+        e.location,
+        ST_SetSRID(ST_MakePoint($${paramIndex + 1}, $${paramIndex}), 4326)::geography,
+        $${paramIndex + 2} * 1000 -- Convert km to meters
+      )`);
+      values.push(latitude, longitude, radius);
+      paramIndex += 3;
+    }
+    
+    if (categoryIds && categoryIds.length > 0) {
+      conditions.push(`EXISTS (
+        SELECT 1 FROM event_categories ec
+        WHERE ec.event_id = e.id AND ec.category_id = ANY($${paramIndex++})
+      )`);
+      values.push(categoryIds);
+    }
+    
+    values.push(limit);
+    
+    const query = `
+      SELECT e.id, e.title, e.description, ST_AsText(e.location) as location, 
              e.address, e.start_time, e.end_time, e.creator_id, 
-             e.created_at, e.updated_at,
-             ST_Distance(
-               e.location, 
-               ST_SetSRID(ST_MakePoint($3, $2), 4326)::geography
-             ) / 1000 as distance_km
+             e.recurrence_rule, e.recurrence_exdates, e.capacity, e.status, e.status_reason,
+             e.venue_id, e.language, e.timezone, e.visibility, e.tags, e.attributes, e.mode, e.version, e.created_at, e.updated_at
       FROM events e
-      ${categoryJoin}
-      ${whereClause}
-      ORDER BY distance_km ASC, e.start_time ASC
-      LIMIT $${paramIndex++} OFFSET $${paramIndex++}
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY e.start_time ASC
+      LIMIT $${paramIndex++}
     `;
     
-    const eventsResult = await db.query(mainQuery, mainQueryValues);
+    const result = await db.query(query, values);
     
-    // Get category information for all events
-    const events = [];
-    for (const event of eventsResult.rows) {
-      // Convert location string to lat/lng object
-      if (event.location) {
-        event.location = db.fromGeographyPoint(event.location);
-      }
-      
-      // Round distance to 2 decimal places
-      event.distance_km = parseFloat(event.distance_km).toFixed(2);
-      
-      // Get categories for this event
+    for (const event of result.rows) {
+      await this.attachFeedDetails(event);
+    }
+    
+    return result.rows;
+  }
+  
+  // Add what a calendar entry needs to an event row: location object, categories and overrides
+  static async attachFeedDetails(event) {
+    if (typeof event.location === 'string') {
+      event.location = db.fromGeographyPoint(event.location);
+    }
+    
+    if (!event.categories) {
       const categoriesQuery = `
         SELECT c.id, c.name
         FROM categories c
@@ -389,19 +2023,13 @@ class Event {
       
       const categoriesResult = await db.query(categoriesQuery, [event.id]);
       event.categories = categoriesResult.rows;
-      
-      events.push(event);
     }
     
-    return {
-      events,
-      pagination: {
-        total,
-        page,
-        limit,
-        pages: Math.ceil(total / limit)
-      }
-    };
+    if (event.recurrence_rule && !event.overrides) {
+      event.overrides = await this.getOccurrenceOverrides(event.id);
+    }
+    
+    return event;
   }
   
   // Get average rating for an event
@@ -529,14 +2157,17 @@ class Event {
   }
   
   // Get user's favorite events
+  // Events the user can no longer see (e.g. made private without inviting them) are left out
   static async getUserFavorites(userId, page = 1, limit = 10) {
     const offset = (page - 1) * limit;
+    const visibility = this.buildVisibilityCondition(userId, 1, { linked: true });
     
     // Get total count
     const countQuery = `
       SELECT COUNT(*) as total
       FROM user_favorite_events ufe
-      WHERE ufe.user_id = $1
+      JOIN events e ON e.id = ufe.event_id
+      WHERE ufe.user_id = $1 AND ${visibility.condition}
     `;
     
     const countResult = await db.query(countQuery, [userId]);
@@ -546,16 +2177,22 @@ class Event {
     const eventsQuery = `
       SELECT e.id, e.title, e.description, ST_AsText(e.location) as location, 
              e.address, e.start_time, e.end_time, e.creator_id, 
-             e.created_at, e.updated_at, ufe.created_at as favorited_at
+             e.recurrence_rule, e.recurrence_exdates, e.capacity, e.status, e.status_reason,
+             e.venue_id, e.language, e.timezone, e.visibility, e.tags, e.attributes, e.mode, e.version, e.created_at, e.updated_at, ufe.created_at as favorited_at
       FROM events e
       JOIN user_favorite_events ufe ON e.id = ufe.event_id
-      WHERE ufe.user_id = $1
+      WHERE ufe.user_id = $1 AND ${visibility.condition}
       ORDER BY ufe.created_at DESC
       LIMIT $2 OFFSET $3
     `;
     
     const eventsResult = await db.query(eventsQuery, [userId, limit, offset]);
     
+    // Get media and ticket tiers of all events at once
+    const eventIds = eventsResult.rows.map(event => event.id);
+    const mediaByEvent = await EventMedia.getByEvents(eventIds);
+    const tiersByEvent = await EventTicketTier.getByEvents(eventIds);
+    
     // Get category information for all events
     const events = [];
     for (const event of eventsResult.rows) {
@@ -564,6 +2201,8 @@ class Event {
         event.location = db.fromGeographyPoint(event.location);
       }
       
+      addLocalTimes(event);
+      
       // Get categories for this event
       const categoriesQuery = `
         SELECT c.id, c.name
@@ -575,6 +2214,8 @@ class Event {
       
       const categoriesResult = await db.query(categoriesQuery, [event.id]);
       event.categories = categoriesResult.rows;
+      event.media = mediaByEvent[event.id] || [];
+      event.price = summarizePrices(tiersByEvent[event.id] || []);
       
       events.push(event);
     }
@@ -589,6 +2230,229 @@ class Event {
       }
     };
   }
+  
+  // Get seat usage for an event
+  static async getAttendance(eventId) {
+    const query = `
+      SELECT e.capacity,
+             COUNT(r.id) FILTER (WHERE r.status = 'going') as attendees,
+             COUNT(r.id) FILTER (WHERE r.status = 'waitlisted') as waitlisted
+      FROM events e
+      LEFT JOIN event_rsvps r ON e.id = r.event_id
+      WHERE e.id = $1
+      GROUP BY e.id
+    `;
+    
+    const result = await db.query(query, [eventId]);
+    
+    if (result.rows.length === 0) {
+      return null;
+    }
+    
+    const { capacity, attendees, waitlisted } = result.rows[0];
+    const going = parseInt(attendees);
+    
+    return {
+      capacity,
+      attendees: going,
+      waitlisted: parseInt(waitlisted),
+      seats_left: capacity === null ? null : Math.max(capacity - going, 0)
+    };
+  }
+  
+  // Get a user's RSVP for an event, with their waitlist position if any
+  static async getRsvpStatus(userId, eventId) {
+    const query = `
+      SELECT r.status, r.created_at,
+             CASE WHEN r.status = 'waitlisted' THEN (
+               SELECT COUNT(*) + 1
+               FROM event_rsvps w
+               WHERE w.event_id = r.event_id
+                 AND w.status = 'waitlisted'
+                 AND (w.created_at, w.id) < (r.created_at, r.id)
+             ) END as waitlist_position
+      FROM event_rsvps r
+      WHERE r.user_id = $1 AND r.event_id = $2
+    `;
+    
+    const result = await db.query(query, [userId, eventId]);
+    
+    if (result.rows.length === 0) {
+      return null;
+    }
+    
+    const rsvp = result.rows[0];
+    if (rsvp.waitlist_position !== null) {
+      rsvp.waitlist_position = parseInt(rsvp.waitlist_position);
+    }
+    
+    return rsvp;
+  }
+  
+  // RSVP to an event, joining the waitlist when it is full
+  static async rsvp(eventId, userId) {
+    const client = await db.pool.connect();
+    
+    try {
+      await client.query('BEGIN');
+      
+      // Lock the event row so concurrent RSVPs can't oversell seats
+      const eventResult = await client.query(
+        'SELECT capacity FROM events WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+        [eventId]
+      );
+      
+      if (eventResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+      
+      const { capacity } = eventResult.rows[0];
+      
+      const existingResult = await client.query(`
+        SELECT event_id, user_id, status, created_at
+        FROM event_rsvps
+        WHERE event_id = $1 AND user_id = $2
+      `, [eventId, userId]);
+      
+      if (existingResult.rows.length > 0) {
+        await client.query('COMMIT');
+        return existingResult.rows[0];
+      }
+      
+      const countResult = await client.query(`
+        SELECT COUNT(*) as going
+        FROM event_rsvps
+        WHERE event_id = $1 AND status = 'going'
+      `, [eventId]);
+      
+      const going = parseInt(countResult.rows[0].going);
+      const status = capacity === null || going < capacity ? 'going' : 'waitlisted';
+      
+      const insertResult = await client.query(`
+        INSERT INTO event_rsvps (event_id, user_id, status)
+        VALUES ($1, $2, $3)
+        RETURNING event_id, user_id, status, created_at
+      `, [eventId, userId, status]);
+      
+      await client.query('COMMIT');
+      
+      return insertResult.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+  
+  // Cancel an RSVP and promote waitlisted users into freed seats
+  static async cancelRsvp(eventId, userId) {
+    const client = await db.pool.connect();
+    
+    try {
+      await client.query('BEGIN');
+      
+      await client.query('SELECT id FROM events WHERE id = $1 FOR UPDATE', [eventId]);
+      
+      const deleteResult = await client.query(`
+        DELETE FROM event_rsvps
+        WHERE event_id = $1 AND user_id = $2
+        RETURNING status
+      `, [eventId, userId]);
+      
+      if (deleteResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+      
+      let promoted = [];
+      if (deleteResult.rows[0].status === 'going') {
+        promoted = await this.promoteWaitlist(client, eventId);
+      }
+      
+      await client.query('COMMIT');
+      
+      return { cancelled: true, promoted };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+  
+  // Move the oldest waitlisted users into free seats (runs inside the caller's transaction)
+  static async promoteWaitlist(client, eventId) {
+    const seatsResult = await client.query(`
+      SELECT e.capacity - COUNT(r.id) FILTER (WHERE r.status = 'going') as seats_left
+      FROM events e
+      LEFT JOIN event_rsvps r ON e.id = r.event_id
+      WHERE e.id = $1
+      GROUP BY e.id
+    `, [eventId]);
+    
+    if (seatsResult.rows.length === 0) {
+      return [];
+    }
+    
+    // Unlimited capacity (NULL) promotes everyone
+    const seatsLeft = seatsResult.rows[0].seats_left;
+    if (seatsLeft !== null && parseInt(seatsLeft) <= 0) {
+      return [];
+    }
+    
+    const promoteResult = await client.query(`
+      UPDATE event_rsvps
+      SET status = 'going', updated_at = CURRENT_TIMESTAMP
+      WHERE id IN (
+        SELECT id FROM event_rsvps
+        WHERE event_id = $1 AND status = 'waitlisted'
+        ORDER BY created_at, id
+        LIMIT $2
+      )
+      RETURNING user_id
+    `, [eventId, seatsLeft === null ? null : parseInt(seatsLeft)]);
+    
+    return promoteResult.rows.map(row => row.user_id);
+  }
+  
+  // Get attendees and waitlist of an event
+  static async getAttendees(eventId, page = 1, limit = 10) {
+    const offset = (page - 1) * limit;
+    
+    // Get total count
+    const countQuery = `
+      SELECT COUNT(*) as total
+      FROM event_rsvps
+      WHERE event_id = $1
+    `;
+    
+    const countResult = await db.query(countQuery, [eventId]);
+    const total = parseInt(countResult.rows[0].total);
+    
+    // Attendees first, then the waitlist in order
+    const attendeesQuery = `
+      SELECT r.user_id, u.username, u.full_name, r.status, r.created_at
+      FROM event_rsvps r
+      JOIN users u ON r.user_id = u.id
+      WHERE r.event_id = $1
+      ORDER BY CASE WHEN r.status = 'going' THEN 0 ELSE 1 END, r.created_at, r.id
+      LIMIT $2 OFFSET $3
+    `;
+    
+    const attendeesResult = await db.query(attendeesQuery, [eventId, limit, offset]);
+    
+    return {
+      attendees: attendeesResult.rows,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
 }
 
 module.exports = Event;
\ No newline at end of file
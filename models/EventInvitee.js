@@ -0,0 +1,82 @@
+const db = require('../config/database');
+
+class EventInvitee {
+  // Check whether a user is on the invitees list of an event
+  static async isInvited(eventId, userId) {
+    if (!userId) {
+      return false;
+    }
+
+    const query = 'SELECT 1 FROM event_invitees WHERE event_id = $1 AND user_id = $2';
+    const result = await db.query(query, [eventId, userId]);
+    return result.rows.length > 0;
+  }
+
+  // Get the invitees of an event, oldest first
+  // invited_by is null for users who joined through the invite link
+  static async getByEvent(eventId) {
+    const query = `
+      SELECT ei.user_id, u.username, ei.invited_by, ei.created_at as invited_at
+      FROM event_invitees ei
+      JOIN users u ON ei.user_id = u.id
+      WHERE ei.event_id = $1
+      ORDER BY ei.created_at, ei.user_id
+    `;
+
+    const result = await db.query(query, [eventId]);
+    return result.rows;
+  }
+
+  // Add a user to the invitees of an event (no change if already invited)
+  // The event's updated_at moves too, so cached event lists (see Event.getCollectionVersion) show it to the invitee
+  static async add(eventId, userId, invitedBy = null) {
+    const query = `
+      WITH invitee AS (
+        INSERT INTO event_invitees (event_id, user_id, invited_by)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (event_id, user_id) DO UPDATE SET event_id = EXCLUDED.event_id
+        RETURNING user_id, invited_by, created_at as invited_at
+      ), touched AS (
+        UPDATE events SET updated_at = CURRENT_TIMESTAMP WHERE id = $1
+      )
+      SELECT * FROM invitee
+    `;
+
+    const result = await db.query(query, [eventId, userId, invitedBy]);
+    return result.rows[0];
+  }
+
+  // Remove a user from the invitees of an event, moving the event's updated_at as add does
+  static async remove(eventId, userId) {
+    const query = `
+      WITH removed AS (
+        DELETE FROM event_invitees WHERE event_id = $1 AND user_id = $2 RETURNING user_id
+      ), touched AS (
+        UPDATE events SET updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND EXISTS (SELECT 1 FROM removed)
+      )
+      SELECT * FROM removed
+    `;
+    const result = await db.query(query, [eventId, userId]);
+    return result.rows.length > 0;
+  }
+
+  // Invalidate the invite links of an event, returning its new invite version
+  static async resetInviteLink(eventId) {
+    const query = `
+      UPDATE events
+      SET invite_version = invite_version + 1
+      WHERE id = $1 AND deleted_at IS NULL
+      RETURNING id, invite_version
+    `;
+
+    const result = await db.query(query, [eventId]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return result.rows[0];
+  }
+}
+
+module.exports = EventInvitee;
@@ -0,0 +1,193 @@
+const db = require('../config/database');
+const { storage } = require('../services/storage');
+
+// Event requires this model, so it is loaded on first use rather than at the top
+const touchEvent = (client, eventId) => require('./Event').touch(client, eventId);
+
+class EventMedia {
+  // Add a media file to an event; a new cover replaces the previous one
+  static async create(mediaData) {
+    const {
+      eventId, kind, mimeType, originalName, size, width = null, height = null,
+      storageKey, variants = {}, isCover = false, uploadedBy
+    } = mediaData;
+
+    const client = await db.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      if (isCover) {
+        await client.query('UPDATE event_media SET is_cover = FALSE WHERE event_id = $1 AND is_cover', [eventId]);
+      }
+
+      const result = await client.query(`
+        INSERT INTO event_media (event_id, kind, mime_type, original_name, size, width, height,
+                                 storage_key, variants, is_cover, uploaded_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        RETURNING *
+      `, [
+        eventId, kind, mimeType, originalName, size, width, height,
+        storageKey, JSON.stringify(variants), isCover, uploadedBy
+      ]);
+
+      await touchEvent(client, eventId);
+
+      await client.query('COMMIT');
+
+      return this.format(result.rows[0]);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Get the media of an event, cover first
+  static async getByEvent(eventId) {
+    const media = await this.getByEvents([eventId]);
+    return media[eventId] || [];
+  }
+
+  // Get the media of several events at once, keyed by event ID
+  static async getByEvents(eventIds) {
+    if (eventIds.length === 0) {
+      return {};
+    }
+
+    const query = `
+      SELECT *
+      FROM event_media
+      WHERE event_id = ANY($1::int[])
+      ORDER BY event_id, is_cover DESC, created_at, id
+    `;
+
+    const result = await db.query(query, [eventIds]);
+
+    const mediaByEvent = {};
+    for (const row of result.rows) {
+      (mediaByEvent[row.event_id] = mediaByEvent[row.event_id] || []).push(this.format(row));
+    }
+
+    return mediaByEvent;
+  }
+
+  // Get the stored rows of an event's media, with their storage keys, cover first
+  static async getRowsByEvent(eventId) {
+    const query = `
+      SELECT *
+      FROM event_media
+      WHERE event_id = $1
+      ORDER BY is_cover DESC, created_at, id
+    `;
+
+    const result = await db.query(query, [eventId]);
+    return result.rows;
+  }
+
+  // Count the media files of an event
+  static async countByEvent(eventId) {
+    const result = await db.query('SELECT COUNT(*) as total FROM event_media WHERE event_id = $1', [eventId]);
+    return parseInt(result.rows[0].total);
+  }
+
+  // Make an image the cover of its event
+  static async setCover(eventId, mediaId) {
+    const client = await db.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      await client.query('UPDATE event_media SET is_cover = FALSE WHERE event_id = $1 AND is_cover', [eventId]);
+
+      const result = await client.query(`
+        UPDATE event_media
+        SET is_cover = TRUE
+        WHERE id = $1 AND event_id = $2 AND kind = 'image'
+        RETURNING *
+      `, [mediaId, eventId]);
+
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      await touchEvent(client, eventId);
+
+      await client.query('COMMIT');
+
+      return this.format(result.rows[0]);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Remove a media file from an event, returning its row so the files can be removed too
+  static async delete(eventId, mediaId) {
+    const client = await db.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        'DELETE FROM event_media WHERE id = $1 AND event_id = $2 RETURNING *',
+        [mediaId, eventId]
+      );
+
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      await touchEvent(client, eventId);
+
+      await client.query('COMMIT');
+
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Remove the media left behind by purged events, returning their rows
+  static async deleteOrphans() {
+    const result = await db.query('DELETE FROM event_media WHERE event_id IS NULL RETURNING *');
+    return result.rows;
+  }
+
+  // Get every storage key of a media row: the original file and its variants
+  static getStorageKeys(row) {
+    return [row.storage_key, ...Object.values(row.variants || {}).map(variant => variant.key)];
+  }
+
+  // Turn a media row into its public form, with URLs instead of storage keys
+  static format(row) {
+    const variants = {};
+    for (const [name, variant] of Object.entries(row.variants || {})) {
+      variants[name] = { url: storage.getUrl(variant.key), width: variant.width, height: variant.height };
+    }
+
+    return {
+      id: row.id,
+      kind: row.kind,
+      mime_type: row.mime_type,
+      original_name: row.original_name,
+      size: row.size,
+      width: row.width,
+      height: row.height,
+      is_cover: row.is_cover,
+      url: storage.getUrl(row.storage_key),
+      variants,
+      created_at: row.created_at
+    };
+  }
+}
+
+module.exports = EventMedia;
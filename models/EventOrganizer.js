@@ -0,0 +1,141 @@
+const db = require('../config/database');
+
+class EventOrganizer {
+  // Get the role of a user on an event: 'owner' for its creator, else their accepted organizer role
+  static async getRole(event, userId) {
+    if (!userId) {
+      return null;
+    }
+
+    if (event.creator_id === userId) {
+      return 'owner';
+    }
+
+    const query = `
+      SELECT role
+      FROM event_organizers
+      WHERE event_id = $1 AND user_id = $2 AND accepted_at IS NOT NULL
+    `;
+
+    const result = await db.query(query, [event.id, userId]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return result.rows[0].role;
+  }
+
+  // Get the co-organizers of an event, including pending invitations
+  static async getByEvent(eventId) {
+    const query = `
+      SELECT eo.user_id, u.username, eo.role, eo.invited_by, eo.created_at as invited_at, eo.accepted_at
+      FROM event_organizers eo
+      JOIN users u ON eo.user_id = u.id
+      WHERE eo.event_id = $1
+      ORDER BY eo.accepted_at IS NULL, eo.created_at
+    `;
+
+    const result = await db.query(query, [eventId]);
+    return result.rows;
+  }
+
+  // Get the organizer entry of a user on an event
+  static async getByEventAndUser(eventId, userId) {
+    const query = `
+      SELECT user_id, role, invited_by, created_at as invited_at, accepted_at
+      FROM event_organizers
+      WHERE event_id = $1 AND user_id = $2
+    `;
+
+    const result = await db.query(query, [eventId, userId]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return result.rows[0];
+  }
+
+  // Invite a user as co-organizer, or change the role of an existing organizer
+  static async invite(eventId, userId, role, invitedBy) {
+    const query = `
+      INSERT INTO event_organizers (event_id, user_id, role, invited_by)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (event_id, user_id) DO UPDATE SET role = EXCLUDED.role
+      RETURNING user_id, role, invited_by, created_at as invited_at, accepted_at
+    `;
+
+    const result = await db.query(query, [eventId, userId, role, invitedBy]);
+    return result.rows[0];
+  }
+
+  // Accept a pending invitation
+  // The event's updated_at moves too, so cached event lists (see Event.getCollectionVersion) show its drafts
+  static async accept(eventId, userId) {
+    const query = `
+      WITH accepted AS (
+        UPDATE event_organizers
+        SET accepted_at = CURRENT_TIMESTAMP
+        WHERE event_id = $1 AND user_id = $2 AND accepted_at IS NULL
+        RETURNING user_id, role, invited_by, created_at as invited_at, accepted_at
+      ), touched AS (
+        UPDATE events SET updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND EXISTS (SELECT 1 FROM accepted)
+      )
+      SELECT * FROM accepted
+    `;
+
+    const result = await db.query(query, [eventId, userId]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return result.rows[0];
+  }
+
+  // Remove a co-organizer or a pending invitation, moving the event's updated_at as accept does
+  static async remove(eventId, userId) {
+    const query = `
+      WITH removed AS (
+        DELETE FROM event_organizers WHERE event_id = $1 AND user_id = $2 RETURNING user_id
+      ), touched AS (
+        UPDATE events SET updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND EXISTS (SELECT 1 FROM removed)
+      )
+      SELECT * FROM removed
+    `;
+    const result = await db.query(query, [eventId, userId]);
+    return result.rows.length > 0;
+  }
+
+  // Make an organizer the owner of the event; the previous owner stays on as editor
+  static async transferOwnership(eventId, newOwnerId, previousOwnerId) {
+    const client = await db.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      await client.query(`
+        UPDATE events
+        SET creator_id = $1, updated_at = CURRENT_TIMESTAMP, version = version + 1
+        WHERE id = $2
+      `, [newOwnerId, eventId]);
+
+      await client.query('DELETE FROM event_organizers WHERE event_id = $1 AND user_id = $2', [eventId, newOwnerId]);
+
+      await client.query(`
+        INSERT INTO event_organizers (event_id, user_id, role, invited_by, accepted_at)
+        VALUES ($1, $2, 'editor', $3, CURRENT_TIMESTAMP)
+      `, [eventId, previousOwnerId, newOwnerId]);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = EventOrganizer;
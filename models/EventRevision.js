@@ -0,0 +1,78 @@
+const db = require('../config/database');
+
+class EventRevision {
+  // Record a new revision with the next revision number for the event
+  static async create(eventId, userId, changes, revertedTo = null) {
+    const query = `
+      INSERT INTO event_revisions (event_id, revision, user_id, changes, reverted_to)
+      VALUES (
+        $1,
+        COALESCE((SELECT MAX(revision) FROM event_revisions WHERE event_id = $1), 0) + 1,
+        $2, $3, $4
+      )
+      RETURNING id, event_id, revision, user_id, changes, reverted_to, created_at
+    `;
+
+    const result = await db.query(query, [eventId, userId, JSON.stringify(changes), revertedTo]);
+    return result.rows[0];
+  }
+
+  // Get revision history of an event, newest first
+  static async getByEvent(eventId, page = 1, limit = 10) {
+    const offset = (page - 1) * limit;
+
+    // Get total count
+    const countQuery = `
+      SELECT COUNT(*) as total
+      FROM event_revisions
+      WHERE event_id = $1
+    `;
+
+    const countResult = await db.query(countQuery, [eventId]);
+    const total = parseInt(countResult.rows[0].total);
+
+    // Get revisions with user information
+    const revisionsQuery = `
+      SELECT r.revision, r.user_id, u.username, r.changes, r.reverted_to, r.created_at
+      FROM event_revisions r
+      LEFT JOIN users u ON r.user_id = u.id
+      WHERE r.event_id = $1
+      ORDER BY r.revision DESC
+      LIMIT $2 OFFSET $3
+    `;
+
+    const revisionsResult = await db.query(revisionsQuery, [eventId, limit, offset]);
+
+    return {
+      revisions: revisionsResult.rows,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Get the latest revision number of an event (0 if never changed)
+  static async getLatestRevision(eventId) {
+    const query = 'SELECT COALESCE(MAX(revision), 0) as revision FROM event_revisions WHERE event_id = $1';
+    const result = await db.query(query, [eventId]);
+    return parseInt(result.rows[0].revision);
+  }
+
+  // Get revisions made after a given revision, newest first
+  static async getAfter(eventId, revision) {
+    const query = `
+      SELECT revision, changes
+      FROM event_revisions
+      WHERE event_id = $1 AND revision > $2
+      ORDER BY revision DESC
+    `;
+
+    const result = await db.query(query, [eventId, revision]);
+    return result.rows;
+  }
+}
+
+module.exports = EventRevision;
@@ -0,0 +1,194 @@
+const db = require('../config/database');
+const { addLocalTimes } = require('../utils/timezones');
+
+// Columns returned for a session, with its location as WKT and the timezone of its event
+const SESSION_COLUMNS = `
+  s.id, s.event_id, s.title, s.description, s.speaker, s.room, ST_AsText(s.location) as location, s.address,
+  s.start_time, s.end_time, e.timezone, s.created_at, s.updated_at
+`;
+
+// Event requires this model, so it is loaded on first use rather than at the top
+const touchEvent = (client, eventId) => require('./Event').touch(client, eventId);
+
+class EventSession {
+  // Add a session to an event
+  static async create(sessionData) {
+    const {
+      eventId, title, description = null, speaker = null, room = null, latitude = null, longitude = null,
+      address = null, startTime, endTime = null
+    } = sessionData;
+
+    const client = await db.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      // Sessions without a location take place at the event's
+      const result = await client.query(`
+        INSERT INTO event_sessions (event_id, title, description, speaker, room, location, address, start_time, end_time)
+        VALUES ($1, $2, $3, $4, $5,
+                CASE WHEN $6::float8 IS NULL OR $7::float8 IS NULL THEN NULL
+                     ELSE ST_SetSRID(ST_MakePoint($7, $6), 4326)::geography END,
+                $8, $9, $10)
+        RETURNING id
+      `, [eventId, title, description, speaker, room, latitude, longitude, address, startTime, endTime]);
+
+      await touchEvent(client, eventId);
+
+      await client.query('COMMIT');
+
+      return this.getById(eventId, result.rows[0].id);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Get a session of an event
+  static async getById(eventId, sessionId) {
+    const query = `
+      SELECT ${SESSION_COLUMNS}
+      FROM event_sessions s
+      JOIN events e ON e.id = s.event_id
+      WHERE s.id = $1 AND s.event_id = $2
+    `;
+
+    const result = await db.query(query, [sessionId, eventId]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return this.format(result.rows[0]);
+  }
+
+  // Get the agenda of an event, in time order
+  static async getByEvent(eventId) {
+    const query = `
+      SELECT ${SESSION_COLUMNS}
+      FROM event_sessions s
+      JOIN events e ON e.id = s.event_id
+      WHERE s.event_id = $1
+      ORDER BY s.start_time, s.id
+    `;
+
+    const result = await db.query(query, [eventId]);
+    return result.rows.map(row => this.format(row));
+  }
+
+  // Update a session; clearing both coordinates moves it back to the event's location
+  static async update(eventId, sessionId, sessionData) {
+    const { title, description, speaker, room, latitude, longitude, address, startTime, endTime } = sessionData;
+
+    const client = await db.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const updateFields = [];
+      const values = [];
+      let paramIndex = 1;
+
+      if (title) {
+        updateFields.push(`title = $${paramIndex++}`);
+        values.push(title);
+      }
+
+      for (const [column, value] of [['description', description], ['speaker', speaker], ['room', room], ['address', address]]) {
+        if (value !== undefined) {
+          updateFields.push(`${column} = $${paramIndex++}`);
+          values.push(value);
+        }
+      }
+
+      if (latitude === null && longitude === null) {
+        updateFields.push('location = NULL');
+      } else if (latitude !== undefined && longitude !== undefined) {
+        updateFields.push(`location = ST_SetSRID(ST_MakePoint($${paramIndex + 1}, $${paramIndex}), 4326)::geography`);
+        values.push(latitude, longitude);
+        paramIndex += 2;
+      }
+
+      if (startTime) {
+        updateFields.push(`start_time = $${paramIndex++}`);
+        values.push(startTime);
+      }
+
+      if (endTime !== undefined) {
+        updateFields.push(`end_time = $${paramIndex++}`);
+        values.push(endTime);
+      }
+
+      if (updateFields.length === 0) {
+        await client.query('ROLLBACK');
+        return this.getById(eventId, sessionId);
+      }
+
+      updateFields.push('updated_at = CURRENT_TIMESTAMP');
+      values.push(sessionId, eventId);
+
+      const result = await client.query(`
+        UPDATE event_sessions
+        SET ${updateFields.join(', ')}
+        WHERE id = $${paramIndex} AND event_id = $${paramIndex + 1}
+        RETURNING id
+      `, values);
+
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      await touchEvent(client, eventId);
+
+      await client.query('COMMIT');
+
+      return this.getById(eventId, sessionId);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Remove a session from an event
+  static async delete(eventId, sessionId) {
+    const client = await db.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        'DELETE FROM event_sessions WHERE id = $1 AND event_id = $2 RETURNING id',
+        [sessionId, eventId]
+      );
+
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return false;
+      }
+
+      await touchEvent(client, eventId);
+
+      await client.query('COMMIT');
+
+      return true;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Convert the location of a session row to lat/lng and add its local times
+  static format(row) {
+    row.location = row.location ? db.fromGeographyPoint(row.location) : null;
+    return addLocalTimes(row);
+  }
+}
+
+module.exports = EventSession;
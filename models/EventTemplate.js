@@ -0,0 +1,71 @@
+const db = require('../config/database');
+
+class EventTemplate {
+  // Save a template for a user
+  static async create(userId, name, data) {
+    const query = `
+      INSERT INTO event_templates (user_id, name, data)
+      VALUES ($1, $2, $3)
+      RETURNING id, user_id, name, data, created_at, updated_at
+    `;
+
+    const result = await db.query(query, [userId, name, JSON.stringify(data)]);
+    return result.rows[0];
+  }
+
+  // Get template by ID
+  static async getById(id) {
+    const query = `
+      SELECT id, user_id, name, data, created_at, updated_at
+      FROM event_templates
+      WHERE id = $1
+    `;
+
+    const result = await db.query(query, [id]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return result.rows[0];
+  }
+
+  // Get the templates of a user, by name
+  static async getByUser(userId) {
+    const query = `
+      SELECT id, user_id, name, data, created_at, updated_at
+      FROM event_templates
+      WHERE user_id = $1
+      ORDER BY LOWER(name), id
+    `;
+
+    const result = await db.query(query, [userId]);
+    return result.rows;
+  }
+
+  // Rename a template and/or replace its event fields
+  static async update(id, { name, data }) {
+    const query = `
+      UPDATE event_templates
+      SET name = COALESCE($1, name), data = COALESCE($2, data), updated_at = CURRENT_TIMESTAMP
+      WHERE id = $3
+      RETURNING id, user_id, name, data, created_at, updated_at
+    `;
+
+    const result = await db.query(query, [name || null, data ? JSON.stringify(data) : null, id]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return result.rows[0];
+  }
+
+  // Delete a template
+  static async delete(id) {
+    const result = await db.query('DELETE FROM event_templates WHERE id = $1 RETURNING id', [id]);
+    return result.rows.length > 0;
+  }
+}
+
+module.exports = EventTemplate;
@@ -0,0 +1,187 @@
+const db = require('../config/database');
+
+// Columns returned for a ticket tier, with its price converted to the base currency
+const TIER_COLUMNS = `
+  t.id, t.event_id, t.name, t.price, t.currency, t.price / r.rate as base_price, t.quantity,
+  t.sales_start, t.sales_end, t.created_at, t.updated_at
+`;
+
+// Event requires this model, so it is loaded on first use rather than at the top
+const touchEvent = (client, eventId) => require('./Event').touch(client, eventId);
+
+class EventTicketTier {
+  // Add a ticket tier to an event
+  static async create(tierData) {
+    const { eventId, name, price, currency, quantity = null, salesStart = null, salesEnd = null } = tierData;
+
+    const client = await db.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(`
+        INSERT INTO event_ticket_tiers (event_id, name, price, currency, quantity, sales_start, sales_end)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING id
+      `, [eventId, name, price, currency, quantity, salesStart, salesEnd]);
+
+      await touchEvent(client, eventId);
+
+      await client.query('COMMIT');
+
+      return this.getById(eventId, result.rows[0].id);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Get a ticket tier of an event
+  static async getById(eventId, tierId) {
+    const query = `
+      SELECT ${TIER_COLUMNS}
+      FROM event_ticket_tiers t
+      JOIN exchange_rates r ON r.currency = t.currency
+      WHERE t.id = $1 AND t.event_id = $2
+    `;
+
+    const result = await db.query(query, [tierId, eventId]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return this.format(result.rows[0]);
+  }
+
+  // Get the ticket tiers of an event, cheapest first
+  static async getByEvent(eventId) {
+    const tiers = await this.getByEvents([eventId]);
+    return tiers[eventId] || [];
+  }
+
+  // Get the ticket tiers of several events at once, keyed by event ID
+  static async getByEvents(eventIds) {
+    if (eventIds.length === 0) {
+      return {};
+    }
+
+    const query = `
+      SELECT ${TIER_COLUMNS}
+      FROM event_ticket_tiers t
+      JOIN exchange_rates r ON r.currency = t.currency
+      WHERE t.event_id = ANY($1::int[])
+      ORDER BY t.event_id, base_price, t.id
+    `;
+
+    const result = await db.query(query, [eventIds]);
+
+    const tiersByEvent = {};
+    for (const row of result.rows) {
+      (tiersByEvent[row.event_id] = tiersByEvent[row.event_id] || []).push(this.format(row));
+    }
+
+    return tiersByEvent;
+  }
+
+  // Update a ticket tier
+  static async update(eventId, tierId, tierData) {
+    const { name, price, currency, quantity, salesStart, salesEnd } = tierData;
+
+    const client = await db.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const updateFields = [];
+      const values = [];
+      let paramIndex = 1;
+
+      for (const [column, value] of [['name', name], ['price', price], ['currency', currency]]) {
+        if (value !== undefined && value !== null) {
+          updateFields.push(`${column} = $${paramIndex++}`);
+          values.push(value);
+        }
+      }
+
+      for (const [column, value] of [['quantity', quantity], ['sales_start', salesStart], ['sales_end', salesEnd]]) {
+        if (value !== undefined) {
+          updateFields.push(`${column} = $${paramIndex++}`);
+          values.push(value);
+        }
+      }
+
+      if (updateFields.length === 0) {
+        await client.query('ROLLBACK');
+        return this.getById(eventId, tierId);
+      }
+
+      updateFields.push('updated_at = CURRENT_TIMESTAMP');
+      values.push(tierId, eventId);
+
+      const result = await client.query(`
+        UPDATE event_ticket_tiers
+        SET ${updateFields.join(', ')}
+        WHERE id = $${paramIndex} AND event_id = $${paramIndex + 1}
+        RETURNING id
+      `, values);
+
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      await touchEvent(client, eventId);
+
+      await client.query('COMMIT');
+
+      return this.getById(eventId, tierId);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Remove a ticket tier from an event
+  static async delete(eventId, tierId) {
+    const client = await db.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        'DELETE FROM event_ticket_tiers WHERE id = $1 AND event_id = $2 RETURNING id',
+        [tierId, eventId]
+      );
+
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return false;
+      }
+
+      await touchEvent(client, eventId);
+
+      await client.query('COMMIT');
+
+      return true;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Convert the NUMERIC prices of a tier row to numbers
+  static format(row) {
+    row.price = parseFloat(row.price);
+    row.base_price = parseFloat(row.base_price);
+    return row;
+  }
+}
+
+module.exports = EventTicketTier;
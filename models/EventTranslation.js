@@ -0,0 +1,98 @@
+const db = require('../config/database');
+
+// Event requires this model, so it is loaded on first use rather than at the top
+const touchEvent = (client, eventId) => require('./Event').touch(client, eventId);
+
+class EventTranslation {
+  // Get the translations of an event
+  static async getByEvent(eventId) {
+    const translations = await this.getByEvents([eventId]);
+    return translations[eventId] || [];
+  }
+
+  // Get the translations of several events at once, keyed by event ID
+  static async getByEvents(eventIds) {
+    if (eventIds.length === 0) {
+      return {};
+    }
+
+    const query = `
+      SELECT event_id, locale, title, description, updated_at
+      FROM event_translations
+      WHERE event_id = ANY($1::int[])
+      ORDER BY event_id, locale
+    `;
+
+    const result = await db.query(query, [eventIds]);
+
+    const translationsByEvent = {};
+    for (const { event_id: eventId, ...translation } of result.rows) {
+      (translationsByEvent[eventId] = translationsByEvent[eventId] || []).push(translation);
+    }
+
+    return translationsByEvent;
+  }
+
+  // Add or replace the translation of an event in a locale
+  static async upsert(eventId, locale, { title, description = null }) {
+    const client = await db.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(`
+        INSERT INTO event_translations (event_id, locale, title, description)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (event_id, locale) DO UPDATE SET
+          title = EXCLUDED.title,
+          description = EXCLUDED.description,
+          updated_at = CURRENT_TIMESTAMP
+        RETURNING locale, title, description, updated_at
+      `, [eventId, locale, title, description]);
+
+      // Translations are part of the event, so its version changes with them
+      await touchEvent(client, eventId);
+
+      await client.query('COMMIT');
+
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Remove the translation of an event in a locale
+  static async delete(eventId, locale) {
+    const client = await db.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        'DELETE FROM event_translations WHERE event_id = $1 AND locale = $2 RETURNING locale',
+        [eventId, locale]
+      );
+
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return false;
+      }
+
+      await touchEvent(client, eventId);
+
+      await client.query('COMMIT');
+
+      return true;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = EventTranslation;
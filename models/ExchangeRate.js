@@ -0,0 +1,16 @@
+const db = require('../config/database');
+
+class ExchangeRate {
+  // Get the rate of a currency (units per unit of the base currency), or null if it is not supported
+  static async getRate(currency) {
+    const result = await db.query('SELECT rate FROM exchange_rates WHERE currency = $1', [currency]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return parseFloat(result.rows[0].rate);
+  }
+}
+
+module.exports = ExchangeRate;
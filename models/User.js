@@ -67,7 +67,7 @@ class User {
   static async findById(id) {
     const query = `
       SELECT id, username, email, full_name, preferred_language, 
-             ST_AsText(location) as location, created_at, updated_at
+             ST_AsText(location) as location, is_admin, created_at, updated_at
       FROM users
       WHERE id = $1
     `;
@@ -195,6 +195,43 @@ class User {
     return result.rows;
   }
   
+  // Get the secret token of the user's calendar feed (null if never created)
+  static async getCalendarToken(userId) {
+    const query = 'SELECT calendar_token FROM users WHERE id = $1';
+    const result = await db.query(query, [userId]);
+    
+    if (result.rows.length === 0) {
+      return null;
+    }
+    
+    return result.rows[0].calendar_token;
+  }
+  
+  // Set the secret token of the user's calendar feed, replacing any previous one
+  static async setCalendarToken(userId, token) {
+    const query = `
+      UPDATE users
+      SET calendar_token = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+      RETURNING calendar_token
+    `;
+    
+    const result = await db.query(query, [token, userId]);
+    return result.rows[0].calendar_token;
+  }
+  
+  // Find the user owning a calendar feed token
+  static async findByCalendarToken(token) {
+    const query = 'SELECT id, username, preferred_language FROM users WHERE calendar_token = $1';
+    const result = await db.query(query, [token]);
+    
+    if (result.rows.length === 0) {
+      return null;
+    }
+    
+    return result.rows[0];
+  }
+  
   // Compare password
   static async comparePassword(providedPassword, storedPassword) {
     return bcrypt.compare(providedPassword, storedPassword);
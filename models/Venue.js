@@ -0,0 +1,241 @@
+const db = require('../config/database');
+const EventRevision = require('./EventRevision');
+const tileCache = require('../services/tileCache');
+const { timezoneAt } = require('../utils/timezones');
+const { diffEvents } = require('../utils/eventDiff');
+
+// Columns returned for a venue, with its location as WKT
+const VENUE_COLUMNS = `
+  v.id, v.name, v.address, ST_AsText(v.location) as location, v.capacity,
+  v.accessibility_info, v.opening_hours, v.created_by, v.created_at, v.updated_at
+`;
+
+class Venue {
+  // Create a new venue
+  static async create(venueData) {
+    const {
+      name, address, latitude, longitude, capacity = null, accessibilityInfo = null, openingHours = null, createdBy
+    } = venueData;
+
+    const query = `
+      INSERT INTO venues (name, address, location, capacity, accessibility_info, opening_hours, created_by)
+      VALUES ($1, $2, ST_SetSRID(ST_MakePoint($4, $3), 4326)::geography, $5, $6, $7, $8)
+      RETURNING id
+    `;
+
+    const result = await db.query(query, [
+      name, address, latitude, longitude, capacity, accessibilityInfo,
+      openingHours ? JSON.stringify(openingHours) : null, createdBy
+    ]);
+
+    return this.getById(result.rows[0].id);
+  }
+
+  // Get venue by ID
+  static async getById(id) {
+    const query = `SELECT ${VENUE_COLUMNS} FROM venues v WHERE v.id = $1`;
+    const result = await db.query(query, [id]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return this.formatVenue(result.rows[0]);
+  }
+
+  // Update a venue; events held there follow it when it moves
+  // Each moved event gets a revision in its history, made by userId (the venue's creator)
+  static async update(id, venueData, userId = null) {
+    const { name, address, latitude, longitude, capacity, accessibilityInfo, openingHours } = venueData;
+
+    const client = await db.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const updateFields = [];
+      const values = [];
+      let paramIndex = 1;
+
+      if (name) {
+        updateFields.push(`name = $${paramIndex++}`);
+        values.push(name);
+      }
+
+      if (address !== undefined) {
+        updateFields.push(`address = $${paramIndex++}`);
+        values.push(address);
+      }
+
+      const moved = latitude !== undefined && longitude !== undefined;
+      if (moved) {
+        updateFields.push(`location = ST_SetSRID(ST_MakePoint($${paramIndex + 1}, $${paramIndex}), 4326)::geography`);
+        values.push(latitude, longitude);
+        paramIndex += 2;
+      }
+
+      if (capacity !== undefined) {
+        updateFields.push(`capacity = $${paramIndex++}`);
+        values.push(capacity);
+      }
+
+      if (accessibilityInfo !== undefined) {
+        updateFields.push(`accessibility_info = $${paramIndex++}`);
+        values.push(accessibilityInfo);
+      }
+
+      if (openingHours !== undefined) {
+        updateFields.push(`opening_hours = $${paramIndex++}`);
+        values.push(openingHours ? JSON.stringify(openingHours) : null);
+      }
+
+      if (updateFields.length === 0) {
+        await client.query('ROLLBACK');
+        return this.getById(id);
+      }
+
+      updateFields.push('updated_at = CURRENT_TIMESTAMP');
+      values.push(id);
+
+      const result = await client.query(
+        `UPDATE venues SET ${updateFields.join(', ')} WHERE id = $${paramIndex} RETURNING id`,
+        values
+      );
+
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      // Copy the new location and address to the events held at the venue, along with the timezone of a new location
+      // (previous is the event as it was, for its revision and to refresh the map tiles at both locations)
+      let movedEvents = [];
+      if (moved || address !== undefined) {
+        const eventsResult = await client.query(`
+          UPDATE events e
+          SET location = v.location, address = COALESCE(v.address, e.address),
+              timezone = COALESCE($2, e.timezone),
+              updated_at = CURRENT_TIMESTAMP, version = e.version + 1
+          FROM venues v, events previous
+          WHERE v.id = $1 AND e.venue_id = v.id AND e.deleted_at IS NULL AND previous.id = e.id
+          RETURNING e.id, ST_AsText(e.location) as location, e.address, e.timezone,
+                    ST_AsText(previous.location) as previous_location, previous.address as previous_address,
+                    previous.timezone as previous_timezone
+        `, [id, moved ? timezoneAt(latitude, longitude) : null]);
+
+        movedEvents = eventsResult.rows;
+      }
+
+      await client.query('COMMIT');
+
+      const eventLocations = movedEvents.flatMap(row => [row.location, row.previous_location]);
+      for (const location of new Set(eventLocations.filter(Boolean))) {
+        const point = db.fromGeographyPoint(location);
+        tileCache.invalidatePoint(point.latitude, point.longitude);
+      }
+
+      // Record what the move changed on each event
+      const toEventState = (location, address, timezone) => ({
+        location: location ? db.fromGeographyPoint(location) : null, address, timezone
+      });
+      for (const row of movedEvents) {
+        const changes = diffEvents(
+          toEventState(row.previous_location, row.previous_address, row.previous_timezone),
+          toEventState(row.location, row.address, row.timezone)
+        );
+        if (Object.keys(changes).length > 0) {
+          await EventRevision.create(row.id, userId, changes);
+        }
+      }
+
+      return this.getById(id);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Delete a venue; its events keep their location and address
+  static async delete(id) {
+    const query = 'DELETE FROM venues WHERE id = $1 RETURNING id';
+    const result = await db.query(query, [id]);
+    return result.rows.length > 0;
+  }
+
+  // Search venues by name and/or around a location, nearest first when a location is given
+  static async search({ name = null, latitude = null, longitude = null, radius = 10, page = 1, limit = 10 }) {
+    const offset = (page - 1) * limit;
+
+    const conditions = [];
+    const values = [];
+    let paramIndex = 1;
+    let distance = 'NULL';
+    let orderBy = 'v.name ASC';
+
+    if (name) {
+      conditions.push(`v.name ILIKE $${paramIndex++}`);
+      values.push(`%${name}%`);
+    }
+
+    if (latitude !== null && longitude !== null) {
+      const point = `ST_SetSRID(ST_MakePoint($${paramIndex + 1}, $${paramIndex}), 4326)::geography`;
+      conditions.push(`ST_DWithin(v.location, ${point}, $${paramIndex + 2} * 1000)`);
+      values.push(latitude, longitude, radius);
+      paramIndex += 3;
+
+      distance = `ST_Distance(v.location, ${point}) / 1000`;
+      orderBy = 'distance_km ASC, v.name ASC';
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const countResult = await db.query(`SELECT COUNT(*) as total FROM venues v ${whereClause}`, values);
+    const total = parseInt(countResult.rows[0].total);
+
+    const query = `
+      SELECT ${VENUE_COLUMNS}, ${distance} as distance_km
+      FROM venues v
+      ${whereClause}
+      ORDER BY ${orderBy}
+      LIMIT $${paramIndex++} OFFSET $${paramIndex++}
+    `;
+
+    const result = await db.query(query, [...values, limit, offset]);
+
+    const venues = result.rows.map(row => {
+      const venue = this.formatVenue(row);
+
+      // Round distance to 2 decimal places
+      if (venue.distance_km !== null) {
+        venue.distance_km = parseFloat(venue.distance_km).toFixed(2);
+      } else {
+        delete venue.distance_km;
+      }
+
+      return venue;
+    });
+
+    return {
+      venues,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Convert the location string of a venue row to a lat/lng object
+  static formatVenue(venue) {
+    if (venue.location) {
+      venue.location = db.fromGeographyPoint(venue.location);
+    }
+
+    return venue;
+  }
+}
+
+module.exports = Venue;
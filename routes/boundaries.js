@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router();
+const boundaryController = require('../controllers/boundaryController');
+const passport = require('passport');
+const { check } = require('express-validator');
+const { requireAdmin } = require('../middlewares/auth');
+const { uploadFile } = require('../middlewares/upload');
+const { BOUNDARY_IMPORT_MAX_SIZE } = require('../utils/boundaries');
+
+// Middleware for JWT authentication
+const authenticate = passport.authenticate('jwt', { session: false });
+
+/**
+ * @route   POST /api/boundaries/import
+ * @desc    Import named area boundaries from a GeoJSON FeatureCollection of Polygons and MultiPolygons
+ *          (multipart field "file"; nameProperty: feature property holding the name, "name" by default);
+ *          boundaries with the same name are replaced
+ * @access  Private (administrators only)
+ */
+router.post('/import', authenticate, requireAdmin, uploadFile('file', BOUNDARY_IMPORT_MAX_SIZE), [
+  check('nameProperty').optional().isString().notEmpty().withMessage('Name property cannot be empty'),
+], boundaryController.importBoundaries);
+
+/**
+ * @route   GET /api/boundaries
+ * @desc    Get boundaries by name (q: names containing q), without their geometry
+ * @access  Public
+ */
+router.get('/', [
+  check('q').optional().isLength({ max: 100 }).withMessage('Search must be less than 100 characters'),
+  check('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+], boundaryController.getBoundaries);
+
+/**
+ * @route   GET /api/boundaries/:slug
+ * @desc    Get a boundary with its GeoJSON geometry
+ * @access  Public
+ */
+router.get('/:slug', boundaryController.getBoundary);
+
+/**
+ * @route   DELETE /api/boundaries/:slug
+ * @desc    Delete a boundary
+ * @access  Private (administrators only)
+ */
+router.delete('/:slug', authenticate, requireAdmin, boundaryController.deleteBoundary);
+
+module.exports = router;
@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router();
+const calendarController = require('../controllers/calendarController');
+const { check } = require('express-validator');
+const { isValidTimezone } = require('../utils/timezones');
+
+// Timezone of the event times in a calendar (IANA name, e.g. Europe/Paris)
+const timezoneValidation = check('tz').optional().custom(isValidTimezone).withMessage('Timezone must be a valid IANA timezone');
+
+/**
+ * @route   GET /api/calendar/feeds/:token.ics
+ * @desc    Favorites feed of the user owning the secret token
+ * @access  Public (secret URL)
+ */
+router.get('/feeds/:token.ics', [
+  timezoneValidation,
+], calendarController.getFavoritesFeed);
+
+/**
+ * @route   GET /api/calendar/categories/:categoryId.ics
+ * @desc    Feed of the public events of a category
+ * @access  Public
+ */
+router.get('/categories/:categoryId.ics', [
+  check('categoryId').isInt().withMessage('Category ID must be an integer'),
+  timezoneValidation,
+], calendarController.getCategoryFeed);
+
+/**
+ * @route   GET /api/calendar/search.ics
+ * @desc    Feed of the public events matching a location search
+ * @access  Public
+ */
+router.get('/search.ics', [
+  check('latitude').isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  check('longitude').isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  check('radius').optional().isFloat({ min: 0.1 }).withMessage('Radius must be a positive number'),
+  check('categories').optional().custom((value) => {
+    // Allow both single values and arrays
+    if (Array.isArray(value)) {
+      return value.every(item => !isNaN(parseInt(item)));
+    }
+    return !isNaN(parseInt(value));
+  }).withMessage('Categories must be valid integers'),
+  timezoneValidation,
+], calendarController.getSearchFeed);
+
+module.exports = router;
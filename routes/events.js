@@ -1,63 +1,195 @@
 const express = require('express');
 const router = express.Router();
 const eventController = require('../controllers/eventController');
+const calendarController = require('../controllers/calendarController');
 const passport = require('passport');
 const { check } = require('express-validator');
+const { optionalAuthenticate } = require('../middlewares/auth');
+const { requireIfMatch, collectionETag } = require('../middlewares/etag');
+const { uploadFile } = require('../middlewares/upload');
+const { prefillFromTemplate } = require('../middlewares/template');
+const { isValidRule } = require('../utils/recurrence');
+const { EVENT_STATUSES, INITIAL_STATUSES } = require('../utils/eventStatus');
+const { isValidMapping } = require('../utils/eventImport');
+const { INVITABLE_ROLES } = require('../utils/eventPermissions');
+const { VISIBILITY_LEVELS } = require('../utils/eventVisibility');
+const { MAX_TAGS, TAG_MATCH_MODES, isTagInput, toTagList } = require('../utils/tags');
+const { CURRENCY_PATTERN } = require('../utils/prices');
+const { EVENT_MODES, needsLocation, needsJoinUrl } = require('../utils/eventModes');
+const { isValidFootprint } = require('../utils/geoUtils');
+const { eventAttributesValidation, eventAttributeFilterValidation } = require('../utils/validators');
+const { TODAY, isValidTimezone } = require('../utils/timezones');
+const { MEDIA_MAX_SIZE } = require('../utils/media');
+const { isValidLanguage, normalizeLanguage, toLanguageList } = require('../utils/translations');
 
 // Middleware for JWT authentication
 const authenticate = passport.authenticate('jwt', { session: false });
 
 /**
  * @route   POST /api/events
- * @desc    Create a new event
+ * @desc    Create a new event (templateId prefills the fields not given from one of the user's templates;
+ *          online events need a joinUrl instead of a location, hybrid events both; a GeoJSON Polygon or
+ *          LineString footprint can stand in for latitude and longitude)
  * @access  Private
  */
-router.post('/', authenticate, [
+router.post('/', authenticate, prefillFromTemplate, [
   check('title').notEmpty().withMessage('Title is required'),
-  check('latitude').isFloat().withMessage('Latitude must be a number'),
-  check('longitude').isFloat().withMessage('Longitude must be a number'),
+  check('venueId').optional({ nullable: true }).isInt().withMessage('Venue ID must be an integer').toInt(),
+  check('latitude').if((value, { req }) => !req.body.venueId && !req.body.footprint && needsLocation(req.body.mode))
+    .isFloat().withMessage('Latitude must be a number'),
+  check('longitude').if((value, { req }) => !req.body.venueId && !req.body.footprint && needsLocation(req.body.mode))
+    .isFloat().withMessage('Longitude must be a number'),
   check('startTime').isISO8601().withMessage('Start time must be a valid date'),
   check('categories').isArray().withMessage('Categories must be an array'),
   check('categories.*').isInt().withMessage('Category IDs must be integers'),
+  check('recurrenceRule').optional({ nullable: true }).custom(isValidRule).withMessage('Recurrence rule must be a valid RRULE'),
+  check('exdates').optional().isArray().withMessage('Exception dates must be an array'),
+  check('exdates.*').optional().isISO8601().withMessage('Exception dates must be valid dates'),
+  check('capacity').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Capacity must be a positive integer'),
+  check('status').optional().isIn(INITIAL_STATUSES).withMessage('Events can only be created as draft or published'),
+  check('language').optional().custom(isValidLanguage).withMessage('Language must be a language code such as en or pt-BR')
+    .customSanitizer(normalizeLanguage),
+  check('timezone').optional().custom(isValidTimezone).withMessage('Timezone must be a valid IANA timezone'),
+  check('visibility').optional().isIn(VISIBILITY_LEVELS).withMessage('Visibility must be public, unlisted or private'),
+  check('tags').optional().custom(isTagInput).withMessage('Tags must be a list of strings').customSanitizer(toTagList)
+    .custom(tags => tags.length <= MAX_TAGS).withMessage(`Events can have at most ${MAX_TAGS} tags`),
+  ...eventAttributesValidation,
+  check('mode').optional().isIn(EVENT_MODES).withMessage('Mode must be in_person, online or hybrid')
+    .custom((mode, { req }) => !needsJoinUrl(mode) || req.body.joinUrl).withMessage('Online and hybrid events need a join URL'),
+  check('joinUrl').optional({ nullable: true }).isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Join URL must be an http or https URL'),
+  check('footprint').optional({ nullable: true }).custom(isValidFootprint)
+    .withMessage('Footprint must be a GeoJSON Polygon or LineString').bail()
+    .custom((footprint, { req }) => needsLocation(req.body.mode)).withMessage('Online events cannot have a footprint'),
 ], eventController.createEvent);
 
+/**
+ * @route   POST /api/events/import
+ * @desc    Import events from a CSV or iCalendar file (multipart field "file")
+ * @access  Private
+ */
+router.post('/import', authenticate, uploadFile('file'), [
+  check('format').optional().isIn(['csv', 'ics']).withMessage('Format must be csv or ics'),
+  check('mapping').optional().custom(value => {
+    return isValidMapping(typeof value === 'string' ? JSON.parse(value) : value);
+  }).withMessage('Mapping must be a JSON object of event fields to column names').bail()
+    .customSanitizer(value => typeof value === 'string' ? JSON.parse(value) : value),
+  check('dryRun').optional().isBoolean().withMessage('Dry run must be a boolean').toBoolean(),
+], eventController.importEvents);
+
 /**
  * @route   GET /api/events
- * @desc    Get all events with filtering
- * @access  Public
+ * @desc    Get all events with filtering (languages: events available in any of these languages;
+ *          tags: events with any of these tags, or all of them with tagMatch=all;
+ *          minPrice/maxPrice in currency and free=true|false: by the cheapest ticket still on sale;
+ *          wheelchairAccessible, familyFriendly and other attributes=true|false; age: events suited to that age)
+ *          startDate/endDate also take a day (YYYY-MM-DD or "today") read in each event's timezone
+ * @access  Public (drafts included for their creator if authenticated)
+ */
+router.get('/', optionalAuthenticate, [
+  check('startDate').optional().if(value => value !== TODAY).isISO8601().withMessage('Start date must be a valid date'),
+  check('endDate').optional().if(value => value !== TODAY).isISO8601().withMessage('End date must be a valid date'),
+  check('languages').optional().customSanitizer(toLanguageList)
+    .custom(languages => languages.every(isValidLanguage)).withMessage('Languages must be language codes such as en or pt-BR'),
+  check('tags').optional().customSanitizer(toTagList),
+  check('tagMatch').optional().isIn(TAG_MATCH_MODES).withMessage('Tag match must be any or all'),
+  check('minPrice').optional().isFloat({ min: 0 }).withMessage('Minimum price must be a positive number').toFloat(),
+  check('maxPrice').optional().isFloat({ min: 0 }).withMessage('Maximum price must be a positive number').toFloat(),
+  check('free').optional().isBoolean().withMessage('Free must be a boolean').toBoolean(),
+  check('currency').optional().matches(CURRENCY_PATTERN).withMessage('Currency must be a currency code such as EUR').toUpperCase(),
+  ...eventAttributeFilterValidation,
+], collectionETag, eventController.getAllEvents);
+
+/**
+ * @route   GET /api/events/:id.ics
+ * @desc    Export event as iCalendar (optional tz query parameter)
+ * @access  Public (drafts for their creator if authenticated)
  */
-router.get('/', eventController.getAllEvents);
+router.get('/:id.ics', optionalAuthenticate, [
+  check('id').isInt().withMessage('Event ID must be an integer'),
+  check('tz').optional().custom(isValidTimezone).withMessage('Timezone must be a valid IANA timezone'),
+], calendarController.getEventCalendar);
 
 /**
  * @route   GET /api/events/:id
- * @desc    Get event by ID
- * @access  Public (with private enhancements if authenticated)
+ * @desc    Get event by ID (unlisted events with ?invite= from their invite link)
+ * @access  Public (with private enhancements if authenticated; private events only for organizers and invitees)
  */
-router.get('/:id', (req, res, next) => {
-  // Optional authentication - will set req.user if token provided
-  passport.authenticate('jwt', { session: false, optional: true })(req, res, next);
-}, eventController.getEvent);
+router.get('/:id', optionalAuthenticate, eventController.getEvent);
 
 /**
  * @route   PUT /api/events/:id
- * @desc    Update event
- * @access  Private (creator only)
+ * @desc    Update event (scope 'this' or 'following' with occurrenceStart for recurring events)
+ * @access  Private (owner or editor, If-Match with the event ETag required)
  */
-router.put('/:id', authenticate, [
+router.put('/:id', authenticate, requireIfMatch, [
   check('title').optional().notEmpty().withMessage('Title cannot be empty'),
+  check('venueId').optional({ nullable: true }).isInt().withMessage('Venue ID must be an integer').toInt(),
   check('latitude').optional().isFloat().withMessage('Latitude must be a number'),
   check('longitude').optional().isFloat().withMessage('Longitude must be a number'),
   check('startTime').optional().isISO8601().withMessage('Start time must be a valid date'),
   check('categories').optional().isArray().withMessage('Categories must be an array'),
   check('categories.*').optional().isInt().withMessage('Category IDs must be integers'),
+  check('recurrenceRule').optional({ nullable: true }).custom(isValidRule).withMessage('Recurrence rule must be a valid RRULE'),
+  check('exdates').optional().isArray().withMessage('Exception dates must be an array'),
+  check('exdates.*').optional().isISO8601().withMessage('Exception dates must be valid dates'),
+  check('capacity').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Capacity must be a positive integer'),
+  check('language').optional().custom(isValidLanguage).withMessage('Language must be a language code such as en or pt-BR')
+    .customSanitizer(normalizeLanguage),
+  check('timezone').optional().custom(isValidTimezone).withMessage('Timezone must be a valid IANA timezone'),
+  check('visibility').optional().isIn(VISIBILITY_LEVELS).withMessage('Visibility must be public, unlisted or private'),
+  check('tags').optional().custom(isTagInput).withMessage('Tags must be a list of strings').customSanitizer(toTagList)
+    .custom(tags => tags.length <= MAX_TAGS).withMessage(`Events can have at most ${MAX_TAGS} tags`),
+  ...eventAttributesValidation,
+  check('mode').optional().isIn(EVENT_MODES).withMessage('Mode must be in_person, online or hybrid'),
+  check('joinUrl').optional({ nullable: true }).isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Join URL must be an http or https URL'),
+  check('footprint').optional({ nullable: true }).custom(isValidFootprint)
+    .withMessage('Footprint must be a GeoJSON Polygon or LineString'),
+  check('scope').optional().isIn(['all', 'this', 'following']).withMessage('Scope must be all, this or following'),
+  check('occurrenceStart').if(check('scope').isIn(['this', 'following']))
+    .isISO8601().withMessage('Occurrence start must be a valid date'),
 ], eventController.updateEvent);
 
 /**
  * @route   DELETE /api/events/:id
  * @desc    Delete event
- * @access  Private (creator only)
+ * @access  Private (owner only, If-Match with the event ETag required)
  */
-router.delete('/:id', authenticate, eventController.deleteEvent);
+router.delete('/:id', authenticate, requireIfMatch, eventController.deleteEvent);
+
+/**
+ * @route   GET /api/events/:id/history
+ * @desc    Get event revision history
+ * @access  Public (drafts only for their creator)
+ */
+router.get('/:id/history', optionalAuthenticate, eventController.getHistory);
+
+/**
+ * @route   POST /api/events/:id/history/:revision/revert
+ * @desc    Revert event to a previous revision (0 is the original event)
+ * @access  Private (owner or editor)
+ */
+router.post('/:id/history/:revision/revert', authenticate, [
+  check('revision').isInt({ min: 0 }).withMessage('Revision must be a non-negative integer'),
+], eventController.revertEvent);
+
+/**
+ * @route   POST /api/events/:id/restore
+ * @desc    Restore a deleted event
+ * @access  Private (owner only)
+ */
+router.post('/:id/restore', authenticate, eventController.restoreEvent);
+
+/**
+ * @route   PUT /api/events/:id/status
+ * @desc    Change event status (publish, cancel, postpone, complete)
+ * @access  Private (owner or editor)
+ */
+router.put('/:id/status', authenticate, [
+  check('status').isIn(EVENT_STATUSES).withMessage(`Status must be one of: ${EVENT_STATUSES.join(', ')}`),
+  check('reason').optional().isString().isLength({ max: 500 }).withMessage('Reason must be less than 500 characters'),
+], eventController.changeStatus);
 
 /**
  * @route   POST /api/events/:id/reviews
@@ -74,6 +206,293 @@ router.post('/:id/reviews', authenticate, [
  * @desc    Get event reviews
  * @access  Public
  */
-router.get('/:id/reviews', eventController.getReviews);
+router.get('/:id/reviews', optionalAuthenticate, eventController.getReviews);
+
+/**
+ * @route   POST /api/events/:id/rsvp
+ * @desc    RSVP to event (joins the waitlist when full)
+ * @access  Private
+ */
+router.post('/:id/rsvp', authenticate, eventController.rsvpEvent);
+
+/**
+ * @route   DELETE /api/events/:id/rsvp
+ * @desc    Cancel RSVP to event
+ * @access  Private
+ */
+router.delete('/:id/rsvp', authenticate, eventController.cancelRsvp);
+
+/**
+ * @route   GET /api/events/:id/attendees
+ * @desc    Get event attendees and waitlist
+ * @access  Private (organizers only)
+ */
+router.get('/:id/attendees', authenticate, eventController.getAttendees);
+
+/**
+ * @route   GET /api/events/:id/organizers
+ * @desc    Get the owner, co-organizers and pending invitations of an event
+ * @access  Private (organizers only)
+ */
+router.get('/:id/organizers', authenticate, eventController.getOrganizers);
+
+/**
+ * @route   POST /api/events/:id/organizers
+ * @desc    Invite a co-organizer, or change the role of an existing one
+ * @access  Private (owner only)
+ */
+router.post('/:id/organizers', authenticate, [
+  check('userId').isInt().withMessage('User ID must be an integer').toInt(),
+  check('role').isIn(INVITABLE_ROLES).withMessage('Role must be editor or checkin_staff'),
+], eventController.inviteOrganizer);
+
+/**
+ * @route   POST /api/events/:id/organizers/accept
+ * @desc    Accept an invitation to co-organize an event
+ * @access  Private (invited user)
+ */
+router.post('/:id/organizers/accept', authenticate, eventController.acceptOrganizerInvitation);
+
+/**
+ * @route   DELETE /api/events/:id/organizers/:userId
+ * @desc    Remove a co-organizer (or leave, or decline an invitation)
+ * @access  Private (owner, or the organizer themselves)
+ */
+router.delete('/:id/organizers/:userId', authenticate, [
+  check('userId').isInt().withMessage('User ID must be an integer').toInt(),
+], eventController.removeOrganizer);
+
+/**
+ * @route   POST /api/events/:id/transfer
+ * @desc    Transfer ownership of an event to one of its co-organizers
+ * @access  Private (owner only)
+ */
+router.post('/:id/transfer', authenticate, [
+  check('userId').isInt().withMessage('User ID must be an integer').toInt(),
+], eventController.transferOwnership);
+
+/**
+ * @route   GET /api/events/:id/invite-link
+ * @desc    Get the invite link of an event (opens unlisted events, lets users join private ones)
+ * @access  Private (owner only)
+ */
+router.get('/:id/invite-link', authenticate, eventController.getInviteLink);
+
+/**
+ * @route   POST /api/events/:id/invite-link/reset
+ * @desc    Replace the invite link of an event; links shared before stop working
+ * @access  Private (owner only)
+ */
+router.post('/:id/invite-link/reset', authenticate, eventController.resetInviteLink);
+
+/**
+ * @route   GET /api/events/:id/invitees
+ * @desc    Get the invitees of an event
+ * @access  Private (owner only)
+ */
+router.get('/:id/invitees', authenticate, eventController.getInvitees);
+
+/**
+ * @route   POST /api/events/:id/invitees
+ * @desc    Invite a user to an event
+ * @access  Private (owner only)
+ */
+router.post('/:id/invitees', authenticate, [
+  check('userId').isInt().withMessage('User ID must be an integer').toInt(),
+], eventController.addInvitee);
+
+/**
+ * @route   POST /api/events/:id/invitees/join
+ * @desc    Join the invitees of an event with the token of its invite link
+ * @access  Private
+ */
+router.post('/:id/invitees/join', authenticate, [
+  check('token').isString().notEmpty().withMessage('Invite token is required'),
+], eventController.joinEvent);
+
+/**
+ * @route   DELETE /api/events/:id/invitees/:userId
+ * @desc    Remove an invitee (or leave the invitees)
+ * @access  Private (owner, or the invitee themselves)
+ */
+router.delete('/:id/invitees/:userId', authenticate, [
+  check('userId').isInt().withMessage('User ID must be an integer').toInt(),
+], eventController.removeInvitee);
+
+/**
+ * @route   GET /api/events/:id/translations
+ * @desc    Get the original language and translations of an event
+ * @access  Public (drafts only for their organizers)
+ */
+router.get('/:id/translations', optionalAuthenticate, eventController.getTranslations);
+
+/**
+ * @route   PUT /api/events/:id/translations/:locale
+ * @desc    Add or replace the translation of an event's title and description
+ * @access  Private (owner or editor)
+ */
+router.put('/:id/translations/:locale', authenticate, [
+  check('locale').custom(isValidLanguage).withMessage('Locale must be a language code such as en or pt-BR')
+    .customSanitizer(normalizeLanguage),
+  check('title').notEmpty().withMessage('Title is required')
+    .isLength({ max: 100 }).withMessage('Title must be less than 100 characters'),
+  check('description').optional({ nullable: true }).isLength({ max: 1000 }).withMessage('Description must be less than 1000 characters'),
+], eventController.saveTranslation);
+
+/**
+ * @route   DELETE /api/events/:id/translations/:locale
+ * @desc    Remove a translation
+ * @access  Private (owner or editor)
+ */
+router.delete('/:id/translations/:locale', authenticate, [
+  check('locale').custom(isValidLanguage).withMessage('Locale must be a language code such as en or pt-BR')
+    .customSanitizer(normalizeLanguage),
+], eventController.deleteTranslation);
+
+/**
+ * @route   GET /api/events/:id/media
+ * @desc    Get event media (cover first) with the URLs of their resized variants
+ * @access  Public (drafts only for their organizers)
+ */
+router.get('/:id/media', optionalAuthenticate, eventController.getMedia);
+
+/**
+ * @route   POST /api/events/:id/media
+ * @desc    Upload an image or PDF (multipart field "file"), optionally as the cover
+ * @access  Private (owner or editor)
+ */
+router.post('/:id/media', authenticate, uploadFile('file', MEDIA_MAX_SIZE), [
+  check('isCover').optional().isBoolean().withMessage('Cover flag must be a boolean').toBoolean(),
+], eventController.uploadMedia);
+
+/**
+ * @route   PUT /api/events/:id/media/:mediaId/cover
+ * @desc    Make an image the event's cover
+ * @access  Private (owner or editor)
+ */
+router.put('/:id/media/:mediaId/cover', authenticate, eventController.setMediaCover);
+
+/**
+ * @route   DELETE /api/events/:id/media/:mediaId
+ * @desc    Remove a media file from an event
+ * @access  Private (owner or editor)
+ */
+router.delete('/:id/media/:mediaId', authenticate, eventController.deleteMedia);
+
+/**
+ * @route   GET /api/events/:id/sessions
+ * @desc    Get the agenda of an event (sessions in time order)
+ * @access  Public (drafts only for their organizers)
+ */
+router.get('/:id/sessions', optionalAuthenticate, eventController.getSessions);
+
+/**
+ * @route   GET /api/events/:id/sessions/:sessionId
+ * @desc    Get a session of an event
+ * @access  Public (drafts only for their organizers)
+ */
+router.get('/:id/sessions/:sessionId', optionalAuthenticate, eventController.getSession);
+
+/**
+ * @route   POST /api/events/:id/sessions
+ * @desc    Add a session (title, speaker, room, location, times) to an event
+ * @access  Private (owner or editor)
+ */
+router.post('/:id/sessions', authenticate, [
+  check('title').notEmpty().withMessage('Title is required')
+    .isLength({ max: 200 }).withMessage('Title must be less than 200 characters'),
+  check('speaker').optional({ nullable: true }).isLength({ max: 200 }).withMessage('Speaker must be less than 200 characters'),
+  check('room').optional({ nullable: true }).isLength({ max: 100 }).withMessage('Room must be less than 100 characters'),
+  check('latitude').optional({ nullable: true }).isFloat({ min: -90, max: 90 }).withMessage('Latitude must be a number'),
+  check('longitude').optional({ nullable: true }).isFloat({ min: -180, max: 180 }).withMessage('Longitude must be a number'),
+  check('startTime').isISO8601().withMessage('Start time must be a valid date'),
+  check('endTime').optional({ nullable: true }).isISO8601().withMessage('End time must be a valid date'),
+], eventController.createSession);
+
+/**
+ * @route   PUT /api/events/:id/sessions/:sessionId
+ * @desc    Update a session (null latitude and longitude move it back to the event's location)
+ * @access  Private (owner or editor)
+ */
+router.put('/:id/sessions/:sessionId', authenticate, [
+  check('title').optional().notEmpty().withMessage('Title cannot be empty')
+    .isLength({ max: 200 }).withMessage('Title must be less than 200 characters'),
+  check('speaker').optional({ nullable: true }).isLength({ max: 200 }).withMessage('Speaker must be less than 200 characters'),
+  check('room').optional({ nullable: true }).isLength({ max: 100 }).withMessage('Room must be less than 100 characters'),
+  check('latitude').optional({ nullable: true }).isFloat({ min: -90, max: 90 }).withMessage('Latitude must be a number'),
+  check('longitude').optional({ nullable: true }).isFloat({ min: -180, max: 180 }).withMessage('Longitude must be a number'),
+  check('startTime').optional().isISO8601().withMessage('Start time must be a valid date'),
+  check('endTime').optional({ nullable: true }).isISO8601().withMessage('End time must be a valid date'),
+], eventController.updateSession);
+
+/**
+ * @route   DELETE /api/events/:id/sessions/:sessionId
+ * @desc    Remove a session from an event
+ * @access  Private (owner or editor)
+ */
+router.delete('/:id/sessions/:sessionId', authenticate, eventController.deleteSession);
+
+/**
+ * @route   GET /api/events/:id/tiers
+ * @desc    Get the ticket tiers of an event, cheapest first
+ * @access  Public (drafts only for their organizers)
+ */
+router.get('/:id/tiers', optionalAuthenticate, eventController.getTiers);
+
+/**
+ * @route   GET /api/events/:id/tiers/:tierId
+ * @desc    Get a ticket tier of an event
+ * @access  Public (drafts only for their organizers)
+ */
+router.get('/:id/tiers/:tierId', optionalAuthenticate, eventController.getTier);
+
+/**
+ * @route   POST /api/events/:id/tiers
+ * @desc    Add a ticket tier (name, price, currency, quantity, sale window) to an event
+ * @access  Private (owner or editor)
+ */
+router.post('/:id/tiers', authenticate, [
+  check('name').notEmpty().withMessage('Name is required')
+    .isLength({ max: 100 }).withMessage('Name must be less than 100 characters'),
+  check('price').isFloat({ min: 0 }).withMessage('Price must be a positive number').toFloat(),
+  check('currency').matches(CURRENCY_PATTERN).withMessage('Currency must be a currency code such as EUR').toUpperCase(),
+  check('quantity').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Quantity must be a positive integer').toInt(),
+  check('salesStart').optional({ nullable: true }).isISO8601().withMessage('Sales start must be a valid date'),
+  check('salesEnd').optional({ nullable: true }).isISO8601().withMessage('Sales end must be a valid date'),
+], eventController.createTier);
+
+/**
+ * @route   PUT /api/events/:id/tiers/:tierId
+ * @desc    Update a ticket tier
+ * @access  Private (owner or editor)
+ */
+router.put('/:id/tiers/:tierId', authenticate, [
+  check('name').optional().notEmpty().withMessage('Name cannot be empty')
+    .isLength({ max: 100 }).withMessage('Name must be less than 100 characters'),
+  check('price').optional().isFloat({ min: 0 }).withMessage('Price must be a positive number').toFloat(),
+  check('currency').optional().matches(CURRENCY_PATTERN).withMessage('Currency must be a currency code such as EUR').toUpperCase(),
+  check('quantity').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Quantity must be a positive integer').toInt(),
+  check('salesStart').optional({ nullable: true }).isISO8601().withMessage('Sales start must be a valid date'),
+  check('salesEnd').optional({ nullable: true }).isISO8601().withMessage('Sales end must be a valid date'),
+], eventController.updateTier);
+
+/**
+ * @route   DELETE /api/events/:id/tiers/:tierId
+ * @desc    Remove a ticket tier from an event
+ * @access  Private (owner or editor)
+ */
+router.delete('/:id/tiers/:tierId', authenticate, eventController.deleteTier);
+
+/**
+ * @route   POST /api/events/:id/clone
+ * @desc    Copy an event (categories, address, description, translations, sessions, media) to a new start time
+ * @access  Private (owner or editor of the event, who owns the copy)
+ */
+router.post('/:id/clone', authenticate, [
+  check('startTime').isISO8601().withMessage('Start time must be a valid date'),
+  check('endTime').optional({ nullable: true }).isISO8601().withMessage('End time must be a valid date'),
+  check('title').optional().notEmpty().withMessage('Title cannot be empty'),
+  check('status').optional().isIn(INITIAL_STATUSES).withMessage('Events can only be created as draft or published'),
+], eventController.cloneEvent);
 
 module.exports = router;
\ No newline at end of file
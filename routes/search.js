@@ -3,6 +3,14 @@ const router = express.Router();
 const searchController = require('../controllers/searchController');
 const passport = require('passport');
 const { check } = require('express-validator');
+const { collectionETag } = require('../middlewares/etag');
+const { isValidLanguage, toLanguageList } = require('../utils/translations');
+const { TODAY } = require('../utils/timezones');
+const { TAG_MATCH_MODES, normalizeTag, toTagList } = require('../utils/tags');
+const { CURRENCY_PATTERN } = require('../utils/prices');
+const { eventAttributeFilterValidation } = require('../utils/validators');
+const { isValidRoute, isValidArea, parseGeometry, decodePolyline } = require('../utils/geoUtils');
+const { MAX_ZOOM, parseBoundingBox } = require('../utils/viewport');
 
 // Middleware for optional JWT authentication - will set req.user if token provided
 const optionalAuth = (req, res, next) => {
@@ -16,7 +24,11 @@ const optionalAuth = (req, res, next) => {
 
 /**
  * @route   GET /api/search/location
- * @desc    Search events by location
+ * @desc    Search events by location (startDate/endDate also take a day, YYYY-MM-DD or "today", read in each event's timezone;
+ *          tags: events with any of these tags, or all of them with tagMatch=all;
+ *          minPrice/maxPrice in currency and free=true|false: by the cheapest ticket still on sale;
+ *          wheelchairAccessible, familyFriendly and other attributes=true|false; age: events suited to that age;
+ *          includeOnline=true: also online and hybrid events held in the searcher's timezone or language)
  * @access  Public (with optional authentication for user location)
  */
 router.get('/location', optionalAuth, [
@@ -30,9 +42,90 @@ router.get('/location', optionalAuth, [
     }
     return !isNaN(parseInt(value));
   }).withMessage('Categories must be valid integers'),
-  check('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
-  check('endDate').optional().isISO8601().withMessage('End date must be a valid date'),
-], searchController.searchByLocation);
+  check('startDate').optional().if(value => value !== TODAY).isISO8601().withMessage('Start date must be a valid date'),
+  check('endDate').optional().if(value => value !== TODAY).isISO8601().withMessage('End date must be a valid date'),
+  check('languages').optional().customSanitizer(toLanguageList)
+    .custom(languages => languages.every(isValidLanguage)).withMessage('Languages must be language codes such as en or pt-BR'),
+  check('tags').optional().customSanitizer(toTagList),
+  check('tagMatch').optional().isIn(TAG_MATCH_MODES).withMessage('Tag match must be any or all'),
+  check('minPrice').optional().isFloat({ min: 0 }).withMessage('Minimum price must be a positive number').toFloat(),
+  check('maxPrice').optional().isFloat({ min: 0 }).withMessage('Maximum price must be a positive number').toFloat(),
+  check('free').optional().isBoolean().withMessage('Free must be a boolean').toBoolean(),
+  check('currency').optional().matches(CURRENCY_PATTERN).withMessage('Currency must be a currency code such as EUR').toUpperCase(),
+  ...eventAttributeFilterValidation,
+  check('includeOnline').optional().isBoolean().withMessage('Include online must be a boolean').toBoolean(),
+], collectionETag, searchController.searchByLocation);
+
+/**
+ * @route   GET /api/search/route
+ * @desc    Search events along a route (route: GeoJSON LineString, or polyline: encoded polyline;
+ *          width: km on each side of the route, 2 by default), ordered by position along the route;
+ *          categories, startDate and endDate filter as in location search
+ * @access  Public (with optional authentication for events only the user can see)
+ */
+router.get('/route', optionalAuth, [
+  check('route').optional().customSanitizer(parseGeometry)
+    .custom(isValidRoute).withMessage('Route must be a GeoJSON LineString'),
+  check('polyline').if((value, { req }) => req.query.route === undefined)
+    .exists().withMessage('A route or an encoded polyline is required').bail()
+    .customSanitizer(value => decodePolyline(value))
+    .custom(isValidRoute).withMessage('Polyline must be an encoded polyline of at least two points'),
+  check('width').optional().isFloat({ min: 0.1, max: 50 }).withMessage('Width must be between 0.1 and 50 km').toFloat(),
+  check('categories').optional().custom((value) => {
+    // Allow both single values and arrays
+    if (Array.isArray(value)) {
+      return value.every(item => !isNaN(parseInt(item)));
+    }
+    return !isNaN(parseInt(value));
+  }).withMessage('Categories must be valid integers'),
+  check('startDate').optional().if(value => value !== TODAY).isISO8601().withMessage('Start date must be a valid date'),
+  check('endDate').optional().if(value => value !== TODAY).isISO8601().withMessage('End date must be a valid date'),
+], collectionETag, searchController.searchAlongRoute);
+
+/**
+ * @route   GET /api/search/area
+ * @desc    Search events inside an area (area: GeoJSON Polygon or MultiPolygon, or boundary: slug of an imported
+ *          boundary such as le-marais), ordered by start time; categories, startDate and endDate filter as in location search
+ * @access  Public (with optional authentication for events only the user can see)
+ */
+router.get('/area', optionalAuth, [
+  check('area').optional().customSanitizer(parseGeometry)
+    .custom(area => isValidArea(area)).withMessage('Area must be a GeoJSON Polygon or MultiPolygon'),
+  check('boundary').if((value, { req }) => req.query.area === undefined)
+    .exists().withMessage('An area or a boundary is required'),
+  check('categories').optional().custom((value) => {
+    // Allow both single values and arrays
+    if (Array.isArray(value)) {
+      return value.every(item => !isNaN(parseInt(item)));
+    }
+    return !isNaN(parseInt(value));
+  }).withMessage('Categories must be valid integers'),
+  check('startDate').optional().if(value => value !== TODAY).isISO8601().withMessage('Start date must be a valid date'),
+  check('endDate').optional().if(value => value !== TODAY).isISO8601().withMessage('End date must be a valid date'),
+], collectionETag, searchController.searchInArea);
+
+/**
+ * @route   GET /api/search/viewport
+ * @desc    Search events in a map viewport (bbox: minLon,minLat,maxLon,maxLat; zoom: map zoom level);
+ *          below zoom CLUSTER_MAX_ZOOM (15 by default) events are grouped into clusters with counts, centroids and
+ *          category breakdowns, from it on they are returned one by one;
+ *          categories, startDate and endDate filter as in location search
+ * @access  Public (with optional authentication for events only the user can see)
+ */
+router.get('/viewport', optionalAuth, [
+  check('bbox').customSanitizer(parseBoundingBox)
+    .custom(bbox => bbox !== null).withMessage('Bounding box must be minLon,minLat,maxLon,maxLat'),
+  check('zoom').isInt({ min: 0, max: MAX_ZOOM }).withMessage(`Zoom must be between 0 and ${MAX_ZOOM}`).toInt(),
+  check('categories').optional().custom((value) => {
+    // Allow both single values and arrays
+    if (Array.isArray(value)) {
+      return value.every(item => !isNaN(parseInt(item)));
+    }
+    return !isNaN(parseInt(value));
+  }).withMessage('Categories must be valid integers'),
+  check('startDate').optional().if(value => value !== TODAY).isISO8601().withMessage('Start date must be a valid date'),
+  check('endDate').optional().if(value => value !== TODAY).isISO8601().withMessage('End date must be a valid date'),
+], collectionETag, searchController.searchViewport);
 
 /**
  * @route   GET /api/search/categories
@@ -41,4 +134,14 @@ router.get('/location', optionalAuth, [
  */
 router.get('/categories', searchController.getCategories);
 
+/**
+ * @route   GET /api/search/tags
+ * @desc    Get the tags of visible events with their event counts, most used first (q: tags starting with q)
+ * @access  Public (with optional authentication for events only the user can see)
+ */
+router.get('/tags', optionalAuth, [
+  check('q').optional().customSanitizer(normalizeTag),
+  check('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100').toInt(),
+], searchController.getTags);
+
 module.exports = router;
\ No newline at end of file
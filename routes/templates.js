@@ -0,0 +1,79 @@
+const express = require('express');
+const router = express.Router();
+const templateController = require('../controllers/templateController');
+const passport = require('passport');
+const { check } = require('express-validator');
+const { isValidRule } = require('../utils/recurrence');
+const { isValidLanguage, normalizeLanguage } = require('../utils/translations');
+const { isValidTimezone } = require('../utils/timezones');
+const { VISIBILITY_LEVELS } = require('../utils/eventVisibility');
+const { MAX_TAGS, isTagInput, toTagList } = require('../utils/tags');
+const { eventAttributesValidation } = require('../utils/validators');
+const { EVENT_MODES } = require('../utils/eventModes');
+const { isValidFootprint } = require('../utils/geoUtils');
+
+// Middleware for JWT authentication
+const authenticate = passport.authenticate('jwt', { session: false });
+
+/**
+ * @route   GET /api/templates
+ * @desc    Get the user's event templates
+ * @access  Private
+ */
+router.get('/', authenticate, templateController.getTemplates);
+
+/**
+ * @route   POST /api/templates
+ * @desc    Save an event as a template (used with templateId in POST /api/events)
+ * @access  Private (owner or editor of the event)
+ */
+router.post('/', authenticate, [
+  check('name').notEmpty().withMessage('Name is required')
+    .isLength({ max: 100 }).withMessage('Name must be less than 100 characters'),
+  check('eventId').isInt().withMessage('Event ID must be an integer').toInt(),
+], templateController.createTemplate);
+
+/**
+ * @route   GET /api/templates/:id
+ * @desc    Get a template
+ * @access  Private (template owner only)
+ */
+router.get('/:id', authenticate, templateController.getTemplate);
+
+/**
+ * @route   PUT /api/templates/:id
+ * @desc    Rename a template and/or change the event fields it prefills
+ * @access  Private (template owner only)
+ */
+router.put('/:id', authenticate, [
+  check('name').optional().notEmpty().withMessage('Name cannot be empty')
+    .isLength({ max: 100 }).withMessage('Name must be less than 100 characters'),
+  check('title').optional().notEmpty().withMessage('Title cannot be empty'),
+  check('venueId').optional({ nullable: true }).isInt().withMessage('Venue ID must be an integer').toInt(),
+  check('latitude').optional({ nullable: true }).isFloat().withMessage('Latitude must be a number'),
+  check('longitude').optional({ nullable: true }).isFloat().withMessage('Longitude must be a number'),
+  check('footprint').optional({ nullable: true }).custom(isValidFootprint)
+    .withMessage('Footprint must be a GeoJSON Polygon or LineString'),
+  check('categories').optional().isArray().withMessage('Categories must be an array'),
+  check('categories.*').optional().isInt().withMessage('Category IDs must be integers').toInt(),
+  check('capacity').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Capacity must be a positive integer'),
+  check('language').optional().custom(isValidLanguage).withMessage('Language must be a language code such as en or pt-BR')
+    .customSanitizer(normalizeLanguage),
+  check('timezone').optional().custom(isValidTimezone).withMessage('Timezone must be a valid IANA timezone'),
+  check('visibility').optional().isIn(VISIBILITY_LEVELS).withMessage('Visibility must be public, unlisted or private'),
+  check('tags').optional().custom(isTagInput).withMessage('Tags must be a list of strings').customSanitizer(toTagList)
+    .custom(tags => tags.length <= MAX_TAGS).withMessage(`Events can have at most ${MAX_TAGS} tags`),
+  ...eventAttributesValidation,
+  check('mode').optional().isIn(EVENT_MODES).withMessage('Mode must be in_person, online or hybrid'),
+  check('recurrenceRule').optional({ nullable: true }).custom(isValidRule).withMessage('Recurrence rule must be a valid RRULE'),
+  check('durationMinutes').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Duration must be a positive number of minutes').toInt(),
+], templateController.updateTemplate);
+
+/**
+ * @route   DELETE /api/templates/:id
+ * @desc    Delete a template
+ * @access  Private (template owner only)
+ */
+router.delete('/:id', authenticate, templateController.deleteTemplate);
+
+module.exports = router;
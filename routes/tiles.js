@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const tileController = require('../controllers/tileController');
+const { check } = require('express-validator');
+const { TODAY } = require('../utils/timezones');
+const { MAX_TILE_ZOOM } = require('../utils/tiles');
+
+// Tile column or row, which must exist at the tile's zoom level
+const tileIndexValidation = field => check(field)
+  .isInt({ min: 0 }).withMessage(`Tile ${field} must be a positive integer`).bail().toInt()
+  .custom((value, { req }) => value < Math.pow(2, req.params.z)).withMessage(`Tile ${field} is out of range for the zoom level`);
+
+/**
+ * @route   GET /api/tiles/events/:z/:x/:y.mvt
+ * @desc    Vector tile (Mapbox Vector Tile) of the public events in map tile z/x/y: an "events" layer of points with
+ *          id, title, category_ids and categories (comma-separated); categories, startDate and endDate filter as in
+ *          location search; tiles are cached until an event in them changes
+ * @access  Public
+ */
+router.get('/events/:z/:x/:y.mvt', [
+  check('z').isInt({ min: 0, max: MAX_TILE_ZOOM }).withMessage(`Zoom must be between 0 and ${MAX_TILE_ZOOM}`).bail().toInt(),
+  tileIndexValidation('x'),
+  tileIndexValidation('y'),
+  check('categories').optional().custom((value) => {
+    // Allow both single values and arrays
+    if (Array.isArray(value)) {
+      return value.every(item => !isNaN(parseInt(item)));
+    }
+    return !isNaN(parseInt(value));
+  }).withMessage('Categories must be valid integers'),
+  check('startDate').optional().if(value => value !== TODAY).isISO8601().withMessage('Start date must be a valid date'),
+  check('endDate').optional().if(value => value !== TODAY).isISO8601().withMessage('End date must be a valid date'),
+], tileController.getEventTile);
+
+module.exports = router;
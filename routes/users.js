@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
+const calendarController = require('../controllers/calendarController');
 const passport = require('passport');
 const { check } = require('express-validator');
 
@@ -36,6 +37,27 @@ router.put('/categories', authenticate, [
  */
 router.get('/favorites', authenticate, userController.getFavorites);
 
+/**
+ * @route   GET /api/users/me/trash
+ * @desc    Get user's deleted events
+ * @access  Private
+ */
+router.get('/me/trash', authenticate, userController.getTrash);
+
+/**
+ * @route   GET /api/users/me/calendar
+ * @desc    Get the secret calendar feed URL of the user's favorites
+ * @access  Private
+ */
+router.get('/me/calendar', authenticate, calendarController.getFeedUrl);
+
+/**
+ * @route   POST /api/users/me/calendar/reset
+ * @desc    Replace the calendar feed URL, revoking the previous one
+ * @access  Private
+ */
+router.post('/me/calendar/reset', authenticate, calendarController.resetFeedUrl);
+
 /**
  * @route   POST /api/users/favorites/:eventId
  * @desc    Add event to favorites
@@ -0,0 +1,77 @@
+const express = require('express');
+const router = express.Router();
+const venueController = require('../controllers/venueController');
+const passport = require('passport');
+const { check } = require('express-validator');
+const { optionalAuthenticate } = require('../middlewares/auth');
+const { isValidOpeningHours } = require('../utils/openingHours');
+
+// Middleware for JWT authentication
+const authenticate = passport.authenticate('jwt', { session: false });
+
+/**
+ * @route   POST /api/venues
+ * @desc    Create a new venue
+ * @access  Private
+ */
+router.post('/', authenticate, [
+  check('name').notEmpty().withMessage('Name is required')
+    .isLength({ max: 100 }).withMessage('Name must be less than 100 characters'),
+  check('address').optional({ nullable: true }).isLength({ max: 255 }).withMessage('Address must be less than 255 characters'),
+  check('latitude').isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  check('longitude').isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  check('capacity').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Capacity must be a positive integer'),
+  check('accessibilityInfo').optional({ nullable: true }).isLength({ max: 1000 }).withMessage('Accessibility information must be less than 1000 characters'),
+  check('openingHours').optional({ nullable: true }).custom(isValidOpeningHours).withMessage('Opening hours must map weekdays (mon-sun) to lists of HH:MM open and close times'),
+], venueController.createVenue);
+
+/**
+ * @route   GET /api/venues
+ * @desc    Search venues by name and/or proximity (latitude, longitude, radius in km)
+ * @access  Public
+ */
+router.get('/', [
+  check('name').optional().isLength({ max: 100 }).withMessage('Name must be less than 100 characters'),
+  check('latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  check('longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  check('radius').optional().isFloat({ min: 0.1 }).withMessage('Radius must be a positive number'),
+], venueController.searchVenues);
+
+/**
+ * @route   GET /api/venues/:id
+ * @desc    Get venue by ID
+ * @access  Public
+ */
+router.get('/:id', venueController.getVenue);
+
+/**
+ * @route   PUT /api/venues/:id
+ * @desc    Update venue (events held there follow its location and address)
+ * @access  Private (venue creator only)
+ */
+router.put('/:id', authenticate, [
+  check('name').optional().notEmpty().withMessage('Name cannot be empty')
+    .isLength({ max: 100 }).withMessage('Name must be less than 100 characters'),
+  check('address').optional({ nullable: true }).isLength({ max: 255 }).withMessage('Address must be less than 255 characters'),
+  check('latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  check('longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  check('capacity').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Capacity must be a positive integer'),
+  check('accessibilityInfo').optional({ nullable: true }).isLength({ max: 1000 }).withMessage('Accessibility information must be less than 1000 characters'),
+  check('openingHours').optional({ nullable: true }).custom(isValidOpeningHours).withMessage('Opening hours must map weekdays (mon-sun) to lists of HH:MM open and close times'),
+], venueController.updateVenue);
+
+/**
+ * @route   DELETE /api/venues/:id
+ * @desc    Delete venue (its events keep their location)
+ * @access  Private (venue creator only)
+ */
+router.delete('/:id', authenticate, venueController.deleteVenue);
+
+/**
+ * @route   GET /api/venues/:id/events
+ * @desc    Get upcoming events at a venue
+ * @access  Public (drafts included for their organizers if authenticated)
+ */
+router.get('/:id/events', optionalAuthenticate, venueController.getVenueEvents);
+
+module.exports = router;
@@ -0,0 +1,102 @@
+const Boundary = require('../models/Boundary');
+const { createError, handleDatabaseError } = require('../utils/errorHandler');
+const { DEFAULT_NAME_PROPERTY, readBoundaries } = require('../utils/boundaries');
+
+/**
+ * Service for named area boundaries
+ */
+class BoundaryService {
+  /**
+   * Import boundaries from an uploaded GeoJSON file
+   * Boundaries are matched by slug: new ones are created and existing ones replaced, in a single transaction;
+   * invalid features are reported and left out
+   * @param {object} file - Uploaded file (multer, in memory)
+   * @param {object} options - Import options
+   * @param {string} [options.nameProperty] - Feature property holding the boundary name (default: name)
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<object>} Counts of created and updated boundaries, and errors by feature
+   */
+  async importBoundaries(file, options, req) {
+    try {
+      const { nameProperty = DEFAULT_NAME_PROPERTY } = options;
+
+      let read;
+      try {
+        read = readBoundaries(JSON.parse(file.buffer.toString('utf8')), nameProperty);
+      } catch (parseError) {
+        throw createError(`${req.t('invalidImportFile')}: ${parseError.message}`, 400);
+      }
+
+      const saved = read.boundaries.length > 0 ? await Boundary.upsertMany(read.boundaries) : [];
+
+      return {
+        created: saved.filter(boundary => boundary.created).length,
+        updated: saved.filter(boundary => !boundary.created).length,
+        boundaries: saved.map(({ id, name, slug }) => ({ id, name, slug })),
+        errors: read.errors
+      };
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      throw handleDatabaseError(req, error);
+    }
+  }
+
+  /**
+   * Get boundaries by name
+   * @param {object} params - Search parameters (q, page, limit)
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<object>} Boundaries and pagination
+   */
+  async getBoundaries(params, req) {
+    try {
+      return await Boundary.getAll(params);
+    } catch (error) {
+      throw handleDatabaseError(req, error);
+    }
+  }
+
+  /**
+   * Get a boundary with its geometry
+   * @param {string} slug - Boundary slug
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<object>} Boundary
+   */
+  async getBoundary(slug, req) {
+    try {
+      const boundary = await Boundary.getBySlug(slug);
+      if (!boundary) {
+        throw createError(req.t('boundaryNotFound'), 404);
+      }
+
+      return boundary;
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      throw handleDatabaseError(req, error);
+    }
+  }
+
+  /**
+   * Delete a boundary
+   * @param {string} slug - Boundary slug
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<void>}
+   */
+  async deleteBoundary(slug, req) {
+    try {
+      if (!(await Boundary.delete(slug))) {
+        throw createError(req.t('boundaryNotFound'), 404);
+      }
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      throw handleDatabaseError(req, error);
+    }
+  }
+}
+
+module.exports = new BoundaryService();
@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const Event = require('../models/Event');
+const User = require('../models/User');
+const Category = require('../models/Category');
+const eventService = require('./eventService');
+const { createError, handleDatabaseError } = require('../utils/errorHandler');
+const { DEFAULT_TIMEZONE, buildCalendar } = require('../utils/icalendar');
+const { getInviteToken } = require('../utils/eventVisibility');
+require('dotenv').config();
+
+/**
+ * Service for iCalendar exports and subscribable calendar feeds
+ */
+class CalendarService {
+  constructor() {
+    // Maximum number of events in a feed
+    this.feedLimit = parseInt(process.env.CALENDAR_FEED_LIMIT) || 500;
+    // Days of past events kept in public feeds
+    this.historyDays = parseInt(process.env.CALENDAR_FEED_HISTORY_DAYS) || 30;
+  }
+
+  /**
+   * Export a single event as an iCalendar document
+   * @param {number} id - Event ID
+   * @param {number|null} viewerId - ID of the requesting user (drafts are organizer-only, see eventService.canView)
+   * @param {string|null} timezone - IANA timezone for event times (defaults to the event's own)
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<object>} Calendar document and file name
+   */
+  async getEventCalendar(id, viewerId, timezone, req) {
+    try {
+      const event = await Event.getById(id);
+      if (!event || !(await eventService.canView(event, viewerId, getInviteToken(req)))) {
+        throw createError(req.t('notFound'), 404);
+      }
+
+      return {
+        filename: `event-${event.id}.ics`,
+        calendar: buildCalendar([event], { name: event.title, timezone: timezone || event.timezone || DEFAULT_TIMEZONE })
+      };
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      throw handleDatabaseError(req, error);
+    }
+  }
+
+  /**
+   * Get the secret feed URL of a user's favorites, creating its token on first use
+   * @param {number} userId - User ID
+   * @param {string} baseUrl - Public base URL of the API
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<string>} Feed URL
+   */
+  async getFeedUrl(userId, baseUrl, req) {
+    try {
+      let token = await User.getCalendarToken(userId);
+      if (!token) {
+        token = await User.setCalendarToken(userId, this.generateToken());
+      }
+
+      return this.buildFeedUrl(baseUrl, token);
+    } catch (error) {
+      throw handleDatabaseError(req, error);
+    }
+  }
+
+  /**
+   * Replace the secret token of a user's feed, so the old URL stops working
+   * @param {number} userId - User ID
+   * @param {string} baseUrl - Public base URL of the API
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<string>} New feed URL
+   */
+  async resetFeedUrl(userId, baseUrl, req) {
+    try {
+      const token = await User.setCalendarToken(userId, this.generateToken());
+      return this.buildFeedUrl(baseUrl, token);
+    } catch (error) {
+      throw handleDatabaseError(req, error);
+    }
+  }
+
+  /**
+   * Render a user's favorite events as a calendar feed
+   * @param {string} token - Secret feed token
+   * @param {string} timezone - IANA timezone for event times
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<string>} Calendar document
+   */
+  async getFavoritesFeed(token, timezone, req) {
+    try {
+      const user = await User.findByCalendarToken(token);
+      if (!user) {
+        throw createError(req.t('notFound'), 404);
+      }
+
+      const { events } = await Event.getUserFavorites(user.id, 1, this.feedLimit);
+
+      // Favorites the user can no longer see (e.g. unpublished or made private) are already left out
+      const visibleEvents = [];
+      for (const event of events) {
+        visibleEvents.push(await Event.attachFeedDetails(event));
+      }
+
+      return buildCalendar(visibleEvents, {
+        name: req.t('favoritesCalendarName', { username: user.username }),
+        timezone
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      throw handleDatabaseError(req, error);
+    }
+  }
+
+  /**
+   * Render the public events of a category as a calendar feed
+   * @param {number} categoryId - Category ID
+   * @param {string} timezone - IANA timezone for event times
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<string>} Calendar document
+   */
+  async getCategoryFeed(categoryId, timezone, req) {
+    try {
+      const category = await Category.getById(categoryId);
+      if (!category) {
+        throw createError(req.t('categoryNotFound'), 404);
+      }
+
+      const events = await Event.getFeedEvents({
+        categoryIds: [category.id],
+        since: this.getFeedStart(),
+        limit: this.feedLimit
+      });
+
+      return buildCalendar(events, { name: category.name, timezone });
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      throw handleDatabaseError(req, error);
+    }
+  }
+
+  /**
+   * Render the public events matching a location search as a calendar feed
+   * @param {object} search - Search parameters
+   * @param {number} search.latitude - Latitude
+   * @param {number} search.longitude - Longitude
+   * @param {number} search.radius - Radius in kilometers
+   * @param {Array<number>} search.categoryIds - Category IDs
+   * @param {string} timezone - IANA timezone for event times
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<string>} Calendar document
+   */
+  async getSearchFeed({ latitude, longitude, radius, categoryIds }, timezone, req) {
+    try {
+      const events = await Event.getFeedEvents({
+        latitude,
+        longitude,
+        radius,
+        categoryIds,
+        since: this.getFeedStart(),
+        limit: this.feedLimit
+      });
+
+      return buildCalendar(events, { name: req.t('searchCalendarName'), timezone });
+    } catch (error) {
+      throw handleDatabaseError(req, error);
+    }
+  }
+
+  /**
+   * Generate a random feed token
+   * @returns {string} Token
+   */
+  generateToken() {
+    return crypto.randomBytes(24).toString('hex');
+  }
+
+  /**
+   * Build the URL of a user's feed
+   * @param {string} baseUrl - Public base URL of the API
+   * @param {string} token - Feed token
+   * @returns {string} Feed URL
+   */
+  buildFeedUrl(baseUrl, token) {
+    return `${baseUrl}/api/calendar/feeds/${token}.ics`;
+  }
+
+  /**
+   * Get the oldest start time of events kept in public feeds
+   * @returns {Date} Start of the feed
+   */
+  getFeedStart() {
+    const since = new Date();
+    since.setDate(since.getDate() - this.historyDays);
+    return since;
+  }
+}
+
+// Create singleton instance
+const calendarService = new CalendarService();
+
+module.exports = calendarService;
@@ -0,0 +1,63 @@
+const Event = require('../models/Event');
+const mediaService = require('./mediaService');
+require('dotenv').config();
+
+class EventPurgeService {
+  constructor() {
+    this.timer = null;
+    // Days a deleted event stays in the trash before it is purged
+    this.retentionDays = parseInt(process.env.EVENT_RETENTION_DAYS) || 30;
+    // Hours between purge runs
+    this.intervalHours = parseInt(process.env.EVENT_PURGE_INTERVAL_HOURS) || 24;
+  }
+
+  // Start purging deleted events in the background
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.purge(), this.intervalHours * 60 * 60 * 1000);
+    // Don't keep the process alive just for the purge
+    this.timer.unref();
+
+    // Purge once right away, so restarts more often than the interval still purge
+    setTimeout(() => this.purge(), 0).unref();
+
+    console.log(`Event purge scheduled every ${this.intervalHours}h (retention: ${this.retentionDays} days)`);
+  }
+
+  // Permanently remove events past their retention period
+  async purge() {
+    try {
+      const purgedIds = await Event.purgeDeleted(this.retentionDays);
+
+      if (purgedIds.length > 0) {
+        console.log(`Purged ${purgedIds.length} deleted event(s)`);
+      }
+
+      // Media files of purged events are no longer reachable
+      const purgedMedia = await mediaService.purgeOrphans();
+      if (purgedMedia > 0) {
+        console.log(`Removed ${purgedMedia} media file(s) of purged events`);
+      }
+
+      return purgedIds;
+    } catch (error) {
+      console.error('Error purging deleted events:', error);
+      return [];
+    }
+  }
+
+  // Stop the background purge
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log('Event purge stopped');
+    }
+  }
+}
+
+// Create singleton instance
+const eventPurgeService = new EventPurgeService();
+
+module.exports = eventPurgeService;
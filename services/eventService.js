@@ -1,12 +1,89 @@
 const Event = require('../models/Event');
 const Category = require('../models/Category');
+const EventRevision = require('../models/EventRevision');
+const EventOrganizer = require('../models/EventOrganizer');
+const EventInvitee = require('../models/EventInvitee');
+const EventTranslation = require('../models/EventTranslation');
+const Venue = require('../models/Venue');
+const User = require('../models/User');
 const notificationService = require('./notificationService');
 const { createError, handleDatabaseError } = require('../utils/errorHandler');
+const { isOccurrence } = require('../utils/recurrence');
+const { canTransition } = require('../utils/eventStatus');
+const { hasPermission } = require('../utils/eventPermissions');
+const { diffEvents, undoRevisions, snapshotToEventData } = require('../utils/eventDiff');
+const { isValidInviteToken, getInviteToken } = require('../utils/eventVisibility');
+const { needsLocation, needsJoinUrl } = require('../utils/eventModes');
 
 /**
  * Service for event-related operations
  */
 class EventService {
+  /**
+   * Check whether a user's organizer role on an event grants a permission
+   * @param {object} event - Event (id and creator_id)
+   * @param {number|null} userId - User ID
+   * @param {string} permission - Permission, e.g. 'edit'
+   * @returns {Promise<boolean>} Whether the user has the permission
+   */
+  async canUser(event, userId, permission) {
+    const role = await EventOrganizer.getRole(event, userId);
+    return hasPermission(role, permission);
+  }
+  
+  /**
+   * Check whether a user can see an event
+   * Drafts are only visible to their organizers; unlisted events to organizers, invitees and holders of
+   * the invite link; private events to organizers and invitees
+   * @param {object} event - Event (id, creator_id, status, visibility and invite_version)
+   * @param {number|null} userId - User ID
+   * @param {string|null} inviteToken - Invite token sent with the request
+   * @returns {Promise<boolean>} Whether the user can see the event
+   */
+  async canView(event, userId, inviteToken = null) {
+    if (event.status === 'draft') {
+      return this.canUser(event, userId, 'view_draft');
+    }
+    
+    if (!event.visibility || event.visibility === 'public') {
+      return true;
+    }
+    
+    if (await EventOrganizer.getRole(event, userId)) {
+      return true;
+    }
+    
+    if (await EventInvitee.isInvited(event.id, userId)) {
+      return true;
+    }
+    
+    return event.visibility === 'unlisted' && isValidInviteToken(inviteToken, event);
+  }
+  
+  /**
+   * Check whether a user can see the join URL of an online or hybrid event
+   * Organizers always can; others must be signed in and, for events with limited seats, have a seat
+   * @param {object} event - Event (id, creator_id and capacity)
+   * @param {number|null} userId - User ID
+   * @returns {Promise<boolean>} Whether the join URL can be shown
+   */
+  async canSeeJoinUrl(event, userId) {
+    if (!userId) {
+      return false;
+    }
+    
+    if (await EventOrganizer.getRole(event, userId)) {
+      return true;
+    }
+    
+    if (!event.capacity) {
+      return true;
+    }
+    
+    const rsvp = await Event.getRsvpStatus(userId, event.id);
+    return rsvp !== null && rsvp.status === 'going';
+  }
+  
   /**
    * Create a new event
    * @param {object} eventData - Event data
@@ -26,15 +103,22 @@ class EventService {
         }
       }
       
+      // Validate venue if provided
+      if (eventData.venueId && !(await Venue.getById(eventData.venueId))) {
+        throw createError(req.t('venueNotFound'), 400);
+      }
+      
       // Create event
       const event = await Event.create({
         ...eventData,
         creatorId: userId
       });
       
-      // Send notification about new event
+      // Send notification about new event (only public events are announced)
       try {
-        await notificationService.sendNewEventNotification(event.id);
+        if (event.visibility === 'public') {
+          await notificationService.sendNewEventNotification(event.id);
+        }
         
         // Schedule reminder for 24 hours before event
         const reminderTime = new Date(event.start_time);
@@ -57,32 +141,45 @@ class EventService {
   /**
    * Get event by ID
    * @param {number} id - Event ID
-   * @param {number|null} userId - ID of the requesting user (for checking if favorited)
+   * @param {number|null} userId - ID of the requesting user (for favorite and RSVP status)
    * @param {object} req - Express request object (for i18n)
    * @returns {Promise<object>} Event with additional info
    */
   async getEventById(id, userId, req) {
     try {
-      // Get event
-      const event = await Event.getById(id);
+      // Get event in the requested language
+      const event = await Event.getById(id, req.language);
       
-      if (!event) {
+      // Drafts, unlisted and private events are only visible to those allowed to see them
+      if (!event || !(await this.canView(event, userId, getInviteToken(req)))) {
         throw createError(req.t('notFound'), 404);
       }
       
       // Get average rating
       const ratingInfo = await Event.getAverageRating(id);
       
-      // Check if user has favorited this event
+      // Get seats taken and left
+      const attendance = await Event.getAttendance(id);
+      
+      // Check if user has favorited or RSVPed to this event
       let isFavorited = false;
+      let rsvp = null;
       if (userId) {
         isFavorited = await Event.isFavorited(userId, id);
+        rsvp = await Event.getRsvpStatus(userId, id);
+      }
+      
+      // Join URLs of online events are only shown to those allowed to attend
+      if (event.join_url && !(await this.canSeeJoinUrl(event, userId))) {
+        event.join_url = null;
       }
       
       return {
         event,
         rating: ratingInfo,
-        isFavorited
+        attendance,
+        isFavorited,
+        rsvp
       };
     } catch (error) {
       if (error.statusCode) {
@@ -94,24 +191,36 @@ class EventService {
   
   /**
    * Update an event
+   * eventData.scope selects 'all' (default), 'this' or 'following' occurrences of a recurring event
+   * eventData.expectedVersion makes the update fail with 412 if the event is no longer at that version
    * @param {number} id - Event ID
    * @param {object} eventData - Updated event data
    * @param {number} userId - ID of the user updating the event
    * @param {object} req - Express request object (for i18n)
+   * @param {number|null} revertedTo - Revision being restored, when called from a revert
    * @returns {Promise<object>} Updated event
    */
-  async updateEvent(id, eventData, userId, req) {
+  async updateEvent(id, eventData, userId, req, revertedTo = null) {
     try {
-      // Check if event exists and user is the creator
+      // Check if event exists and user may edit it
       const existingEvent = await Event.getById(id);
       if (!existingEvent) {
         throw createError(req.t('notFound'), 404);
       }
       
-      if (existingEvent.creator_id !== userId) {
+      if (!(await this.canUser(existingEvent, userId, 'edit'))) {
         throw createError(req.t('unauthorized'), 403);
       }
       
+      // Single-occurrence edits need a recurring event and one of its occurrences
+      if (eventData.scope === 'this' || eventData.scope === 'following') {
+        if (!existingEvent.recurrence_rule ||
+            !isOccurrence(existingEvent.recurrence_rule, existingEvent.start_time, eventData.occurrenceStart,
+              existingEvent.timezone)) {
+          throw createError(req.t('invalidOccurrence'), 400);
+        }
+      }
+      
       // Validate categories if provided
       if (eventData.categories && eventData.categories.length > 0) {
         for (const categoryId of eventData.categories) {
@@ -122,8 +231,47 @@ class EventService {
         }
       }
       
+      // Validate venue if provided
+      if (eventData.venueId && !(await Venue.getById(eventData.venueId))) {
+        throw createError(req.t('venueNotFound'), 400);
+      }
+      
+      // Online events need a join URL, and the others a location
+      const mode = eventData.mode || existingEvent.mode;
+      const joinUrl = eventData.joinUrl !== undefined ? eventData.joinUrl : existingEvent.join_url;
+      if (needsJoinUrl(mode) && !joinUrl) {
+        throw createError(req.t('joinUrlRequired'), 400);
+      }
+      
+      const movesToLocation = eventData.venueId || (eventData.latitude && eventData.longitude) || eventData.footprint;
+      if (eventData.mode && needsLocation(mode) && !existingEvent.location && !movesToLocation) {
+        throw createError(req.t('locationRequired'), 400);
+      }
+      
       // Update event
-      const event = await Event.update(id, eventData);
+      const { event, promoted } = await Event.update(id, eventData);
+      
+      // The event changed after the caller's If-Match check
+      if (!event) {
+        throw createError(req.t('preconditionFailed'), 412);
+      }
+      
+      // Raising the capacity gives seats to users on the waitlist
+      if (promoted.length > 0) {
+        try {
+          await notificationService.sendWaitlistPromotionNotification(id, promoted);
+        } catch (notificationError) {
+          console.error('Error sending waitlist promotion notification:', notificationError);
+          // Don't fail the request if notification fails
+        }
+      }
+      
+      // Record what changed on this event (splitting a series returns the new series)
+      const updatedEvent = eventData.scope === 'following' ? await Event.getById(id) : event;
+      const changes = diffEvents(existingEvent, updatedEvent);
+      if (Object.keys(changes).length > 0 || revertedTo !== null) {
+        await EventRevision.create(id, userId, changes, revertedTo);
+      }
       
       return event;
     } catch (error) {
@@ -134,8 +282,75 @@ class EventService {
     }
   }
   
+  /**
+   * Get the revision history of an event
+   * @param {number} id - Event ID
+   * @param {number|null} userId - ID of the requesting user (drafts are organizer-only)
+   * @param {number} page - Page number
+   * @param {number} limit - Items per page
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<object>} Revisions and pagination info
+   */
+  async getHistory(id, userId, page, limit, req) {
+    try {
+      const event = await Event.getById(id);
+      if (!event || !(await this.canView(event, userId, getInviteToken(req)))) {
+        throw createError(req.t('notFound'), 404);
+      }
+      
+      const { revisions, pagination } = await EventRevision.getByEvent(id, page, limit);
+      
+      return { revisions, pagination };
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      throw handleDatabaseError(req, error);
+    }
+  }
+  
+  /**
+   * Revert an event to its state after a given revision (0 is the original event)
+   * The revert itself is recorded as a new revision
+   * @param {number} id - Event ID
+   * @param {number} revision - Revision to go back to
+   * @param {number} userId - ID of the user reverting the event
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<object>} Reverted event
+   */
+  async revertToRevision(id, revision, userId, req) {
+    try {
+      const existingEvent = await Event.getById(id);
+      if (!existingEvent) {
+        throw createError(req.t('notFound'), 404);
+      }
+      
+      if (!(await this.canUser(existingEvent, userId, 'edit'))) {
+        throw createError(req.t('unauthorized'), 403);
+      }
+      
+      const latestRevision = await EventRevision.getLatestRevision(id);
+      if (revision < 0 || revision > latestRevision) {
+        throw createError(req.t('notFound'), 404);
+      }
+      
+      // Undo every revision made after the requested one
+      const laterRevisions = await EventRevision.getAfter(id, revision);
+      const snapshot = undoRevisions(existingEvent, laterRevisions);
+      const eventData = snapshotToEventData(snapshot, existingEvent);
+      
+      return await this.updateEvent(id, eventData, userId, req, revision);
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      throw handleDatabaseError(req, error);
+    }
+  }
+  
   /**
    * Delete an event
+   * req.expectedVersion (set by requireIfMatch) makes the delete fail with 412 if the event is no longer at that version
    * @param {number} id - Event ID
    * @param {number} userId - ID of the user deleting the event
    * @param {object} req - Express request object (for i18n)
@@ -143,21 +358,21 @@ class EventService {
    */
   async deleteEvent(id, userId, req) {
     try {
-      // Check if event exists and user is the creator
+      // Check if event exists and user is the owner
       const existingEvent = await Event.getById(id);
       if (!existingEvent) {
         throw createError(req.t('notFound'), 404);
       }
       
-      if (existingEvent.creator_id !== userId) {
+      if (!(await this.canUser(existingEvent, userId, 'delete'))) {
         throw createError(req.t('unauthorized'), 403);
       }
       
-      // Delete event
-      const success = await Event.delete(id);
+      // Delete event, unless it changed after the If-Match check
+      const success = await Event.delete(id, req.expectedVersion);
       
       if (!success) {
-        throw createError(req.t('serverError'), 500);
+        throw createError(req.t('preconditionFailed'), 412);
       }
       
       return true;
@@ -169,6 +384,79 @@ class EventService {
     }
   }
   
+  /**
+   * Change the lifecycle status of an event
+   * @param {number} id - Event ID
+   * @param {string} status - New status
+   * @param {string|null} reason - Reason shown alongside the status
+   * @param {number} userId - ID of the user changing the status
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<object>} Updated event
+   */
+  async changeStatus(id, status, reason, userId, req) {
+    try {
+      const existingEvent = await Event.getById(id);
+      if (!existingEvent) {
+        throw createError(req.t('notFound'), 404);
+      }
+      
+      if (!(await this.canUser(existingEvent, userId, 'change_status'))) {
+        throw createError(req.t('unauthorized'), 403);
+      }
+      
+      if (!canTransition(existingEvent.status, status)) {
+        throw createError(req.t('invalidStatusTransition'), 400);
+      }
+      
+      const event = await Event.updateStatus(id, status, reason);
+      
+      // Let attendees know about cancellations and postponements
+      if (status === 'cancelled' || status === 'postponed') {
+        try {
+          await notificationService.sendEventStatusNotification(id, status, reason);
+        } catch (notificationError) {
+          console.error('Error sending event status notification:', notificationError);
+          // Don't fail the request if notification fails
+        }
+      }
+      
+      return event;
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      throw handleDatabaseError(req, error);
+    }
+  }
+  
+  /**
+   * Restore a deleted event
+   * @param {number} id - Event ID
+   * @param {number} userId - ID of the user restoring the event
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<object>} Restored event
+   */
+  async restoreEvent(id, userId, req) {
+    try {
+      // Check if event is in the trash and user is the owner
+      const deletedEvent = await Event.getDeletedById(id);
+      if (!deletedEvent) {
+        throw createError(req.t('notFound'), 404);
+      }
+      
+      if (!(await this.canUser(deletedEvent, userId, 'restore'))) {
+        throw createError(req.t('unauthorized'), 403);
+      }
+      
+      return await Event.restore(id);
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      throw handleDatabaseError(req, error);
+    }
+  }
+  
   /**
    * Get all events with filtering
    * @param {object} filters - Filter criteria
@@ -240,6 +528,377 @@ class EventService {
       throw handleDatabaseError(req, error);
     }
   }
+  
+  /**
+   * RSVP to an event, joining the waitlist when it is full
+   * @param {number} eventId - Event ID
+   * @param {number} userId - User ID
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<object>} RSVP status and attendance
+   */
+  async rsvpEvent(eventId, userId, req) {
+    try {
+      const event = await Event.getById(eventId);
+      if (!event || !(await this.canView(event, userId, getInviteToken(req)))) {
+        throw createError(req.t('notFound'), 404);
+      }
+      
+      if (event.status !== 'published') {
+        throw createError(req.t('eventNotOpen'), 400);
+      }
+      
+      const rsvp = await Event.rsvp(eventId, userId);
+      if (!rsvp) {
+        throw createError(req.t('notFound'), 404);
+      }
+      
+      return {
+        rsvp: await Event.getRsvpStatus(userId, eventId),
+        attendance: await Event.getAttendance(eventId)
+      };
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      throw handleDatabaseError(req, error);
+    }
+  }
+  
+  /**
+   * Cancel an RSVP, promoting the next users on the waitlist
+   * @param {number} eventId - Event ID
+   * @param {number} userId - User ID
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<object>} Updated attendance
+   */
+  async cancelRsvp(eventId, userId, req) {
+    try {
+      const result = await Event.cancelRsvp(eventId, userId);
+      if (!result) {
+        throw createError(req.t('notFound'), 404);
+      }
+      
+      if (result.promoted.length > 0) {
+        try {
+          await notificationService.sendWaitlistPromotionNotification(eventId, result.promoted);
+        } catch (notificationError) {
+          console.error('Error sending waitlist promotion notification:', notificationError);
+          // Don't fail the request if notification fails
+        }
+      }
+      
+      return {
+        attendance: await Event.getAttendance(eventId)
+      };
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      throw handleDatabaseError(req, error);
+    }
+  }
+  
+  /**
+   * Get attendees and waitlist of an event
+   * @param {number} eventId - Event ID
+   * @param {number} userId - ID of the requesting user (must be an organizer)
+   * @param {number} page - Page number
+   * @param {number} limit - Items per page
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<object>} Attendees, attendance and pagination info
+   */
+  async getAttendees(eventId, userId, page, limit, req) {
+    try {
+      const event = await Event.getById(eventId);
+      if (!event) {
+        throw createError(req.t('notFound'), 404);
+      }
+      
+      if (!(await this.canUser(event, userId, 'view_attendees'))) {
+        throw createError(req.t('unauthorized'), 403);
+      }
+      
+      const { attendees, pagination } = await Event.getAttendees(eventId, page, limit);
+      const attendance = await Event.getAttendance(eventId);
+      
+      return { attendees, attendance, pagination };
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      throw handleDatabaseError(req, error);
+    }
+  }
+  
+  /**
+   * Get the owner and co-organizers of an event
+   * @param {number} eventId - Event ID
+   * @param {number} userId - ID of the requesting user (must be an organizer)
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<object>} Owner and organizers, pending invitations included
+   */
+  async getOrganizers(eventId, userId, req) {
+    try {
+      const event = await Event.getById(eventId);
+      if (!event) {
+        throw createError(req.t('notFound'), 404);
+      }
+      
+      if (!(await EventOrganizer.getRole(event, userId))) {
+        throw createError(req.t('unauthorized'), 403);
+      }
+      
+      const owner = await User.findById(event.creator_id);
+      const organizers = await EventOrganizer.getByEvent(eventId);
+      
+      return {
+        owner: owner ? { user_id: owner.id, username: owner.username, role: 'owner' } : null,
+        organizers
+      };
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      throw handleDatabaseError(req, error);
+    }
+  }
+  
+  /**
+   * Invite a user to co-organize an event, or change the role of an organizer
+   * @param {number} eventId - Event ID
+   * @param {number} inviteeId - ID of the invited user
+   * @param {string} role - Role offered ('editor' or 'checkin_staff')
+   * @param {number} userId - ID of the inviting user (must be the owner)
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<object>} Organizer entry
+   */
+  async inviteOrganizer(eventId, inviteeId, role, userId, req) {
+    try {
+      const event = await Event.getById(eventId);
+      if (!event) {
+        throw createError(req.t('notFound'), 404);
+      }
+      
+      if (!(await this.canUser(event, userId, 'manage_organizers'))) {
+        throw createError(req.t('unauthorized'), 403);
+      }
+      
+      if (inviteeId === event.creator_id) {
+        throw createError(req.t('alreadyOwner'), 400);
+      }
+      
+      const invitee = await User.findById(inviteeId);
+      if (!invitee) {
+        throw createError(req.t('notFound'), 404);
+      }
+      
+      const organizer = await EventOrganizer.invite(eventId, inviteeId, role, userId);
+      
+      // Only new invitations need an answer
+      if (!organizer.accepted_at) {
+        await notificationService.sendOrganizerInvitation(eventId, inviteeId, role);
+      }
+      
+      return organizer;
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      throw handleDatabaseError(req, error);
+    }
+  }
+  
+  /**
+   * Accept an invitation to co-organize an event
+   * @param {number} eventId - Event ID
+   * @param {number} userId - ID of the invited user
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<object>} Organizer entry
+   */
+  async acceptOrganizerInvitation(eventId, userId, req) {
+    try {
+      const event = await Event.getById(eventId);
+      if (!event) {
+        throw createError(req.t('notFound'), 404);
+      }
+      
+      const organizer = await EventOrganizer.accept(eventId, userId);
+      if (!organizer) {
+        throw createError(req.t('invitationNotFound'), 404);
+      }
+      
+      return organizer;
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      throw handleDatabaseError(req, error);
+    }
+  }
+  
+  /**
+   * Remove a co-organizer; organizers can also remove themselves (or decline an invitation)
+   * @param {number} eventId - Event ID
+   * @param {number} organizerId - ID of the organizer to remove
+   * @param {number} userId - ID of the requesting user
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<boolean>} Success indicator
+   */
+  async removeOrganizer(eventId, organizerId, userId, req) {
+    try {
+      const event = await Event.getById(eventId);
+      if (!event) {
+        throw createError(req.t('notFound'), 404);
+      }
+      
+      if (organizerId !== userId && !(await this.canUser(event, userId, 'manage_organizers'))) {
+        throw createError(req.t('unauthorized'), 403);
+      }
+      
+      const removed = await EventOrganizer.remove(eventId, organizerId);
+      if (!removed) {
+        throw createError(req.t('notFound'), 404);
+      }
+      
+      return true;
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      throw handleDatabaseError(req, error);
+    }
+  }
+  
+  /**
+   * Hand an event over to one of its co-organizers, who becomes the owner
+   * The previous owner stays on as editor
+   * @param {number} eventId - Event ID
+   * @param {number} newOwnerId - ID of the new owner (must be an accepted organizer)
+   * @param {number} userId - ID of the requesting user (must be the owner)
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<object>} Updated event
+   */
+  async transferOwnership(eventId, newOwnerId, userId, req) {
+    try {
+      const event = await Event.getById(eventId);
+      if (!event) {
+        throw createError(req.t('notFound'), 404);
+      }
+      
+      if (!(await this.canUser(event, userId, 'manage_organizers'))) {
+        throw createError(req.t('unauthorized'), 403);
+      }
+      
+      const organizer = await EventOrganizer.getByEventAndUser(eventId, newOwnerId);
+      if (!organizer || !organizer.accepted_at) {
+        throw createError(req.t('notAnOrganizer'), 400);
+      }
+      
+      await EventOrganizer.transferOwnership(eventId, newOwnerId, event.creator_id);
+      
+      return await Event.getById(eventId);
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      throw handleDatabaseError(req, error);
+    }
+  }
+  
+  /**
+   * Get the original language and the translations of an event
+   * @param {number} eventId - Event ID
+   * @param {number|null} userId - ID of the requesting user (drafts are organizer-only)
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<object>} Original language and translations
+   */
+  async getTranslations(eventId, userId, req) {
+    try {
+      const event = await Event.getById(eventId);
+      if (!event || !(await this.canView(event, userId, getInviteToken(req)))) {
+        throw createError(req.t('notFound'), 404);
+      }
+      
+      const translations = await EventTranslation.getByEvent(event.id);
+      
+      return {
+        language: event.language,
+        translations
+      };
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      throw handleDatabaseError(req, error);
+    }
+  }
+  
+  /**
+   * Add or replace the translation of an event in a locale
+   * @param {number} eventId - Event ID
+   * @param {string} locale - Language of the translation
+   * @param {object} translationData - Translated title and description
+   * @param {number} userId - ID of the requesting user (must be allowed to edit the event)
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<object>} Saved translation
+   */
+  async saveTranslation(eventId, locale, translationData, userId, req) {
+    try {
+      const event = await Event.getById(eventId);
+      if (!event) {
+        throw createError(req.t('notFound'), 404);
+      }
+      
+      if (!(await this.canUser(event, userId, 'edit'))) {
+        throw createError(req.t('unauthorized'), 403);
+      }
+      
+      // The original content is edited through the event itself
+      if (locale === event.language) {
+        throw createError(req.t('translationIsOriginal'), 400);
+      }
+      
+      return await EventTranslation.upsert(event.id, locale, translationData);
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      throw handleDatabaseError(req, error);
+    }
+  }
+  
+  /**
+   * Remove the translation of an event in a locale
+   * @param {number} eventId - Event ID
+   * @param {string} locale - Language of the translation
+   * @param {number} userId - ID of the requesting user (must be allowed to edit the event)
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<boolean>} Success indicator
+   */
+  async deleteTranslation(eventId, locale, userId, req) {
+    try {
+      const event = await Event.getById(eventId);
+      if (!event) {
+        throw createError(req.t('notFound'), 404);
+      }
+      
+      if (!(await this.canUser(event, userId, 'edit'))) {
+        throw createError(req.t('unauthorized'), 403);
+      }
+      
+      const deleted = await EventTranslation.delete(event.id, locale);
+      if (!deleted) {
+        throw createError(req.t('translationNotFound'), 404);
+      }
+      
+      return true;
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      throw handleDatabaseError(req, error);
+    }
+  }
 }
 
 module.exports = new EventService();
\ No newline at end of file
@@ -0,0 +1,193 @@
+const Event = require('../models/Event');
+const Category = require('../models/Category');
+const notificationService = require('./notificationService');
+const { createError, handleDatabaseError } = require('../utils/errorHandler');
+const { eventCreationValidation } = require('../utils/validators');
+const { detectFormat, parseCsv, parseIcs } = require('../utils/eventImport');
+const { validationResult } = require('express-validator');
+require('dotenv').config();
+
+/**
+ * Service for importing events in bulk from CSV and iCalendar files
+ */
+class ImportService {
+  constructor() {
+    // Maximum number of rows accepted in one file
+    this.maxRows = parseInt(process.env.EVENT_IMPORT_MAX_ROWS) || 1000;
+  }
+
+  /**
+   * Import events from an uploaded file
+   * Valid rows are created in a single transaction; invalid rows are reported and left out
+   * @param {object} file - Uploaded file (multer, in memory)
+   * @param {object} options - Import options
+   * @param {string} [options.format] - 'csv' or 'ics' (guessed from the file if omitted)
+   * @param {object} [options.mapping] - CSV column name for each event field
+   * @param {boolean} [options.dryRun] - Validate only, without creating events
+   * @param {number} userId - ID of the user importing the events
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<object>} Summary and per-row report
+   */
+  async importEvents(file, options, userId, req) {
+    try {
+      const { mapping = {}, dryRun = false } = options;
+      const format = options.format || detectFormat(file);
+
+      if (!format) {
+        throw createError(req.t('unsupportedImportFormat'), 400);
+      }
+
+      let records;
+      try {
+        const content = file.buffer.toString('utf8');
+        records = format === 'ics' ? parseIcs(content) : parseCsv(content, mapping);
+      } catch (parseError) {
+        throw createError(`${req.t('invalidImportFile')}: ${parseError.message}`, 400);
+      }
+
+      if (records.length > this.maxRows) {
+        throw createError(req.t('tooManyImportRows', { max: this.maxRows }), 400);
+      }
+
+      const rows = [];
+      const toCreate = [];
+      const seen = new Set();
+      const categoryCache = new Map();
+
+      for (const record of records) {
+        const report = await this.checkRecord(record, userId, seen, categoryCache, req);
+        rows.push(report);
+
+        if (report.status === 'created') {
+          toCreate.push({ report, eventData: report.eventData });
+          delete report.eventData;
+        }
+      }
+
+      if (!dryRun && toCreate.length > 0) {
+        const ids = await Event.createMany(toCreate.map(({ eventData }) => eventData));
+
+        toCreate.forEach(({ report }, index) => {
+          report.eventId = ids[index];
+        });
+
+        await this.notifyCreated(toCreate.map(({ eventData }, index) => ({ ...eventData, id: ids[index] })));
+      }
+
+      return {
+        format,
+        dryRun,
+        summary: {
+          total: rows.length,
+          created: rows.filter(row => row.status === 'created').length,
+          skipped: rows.filter(row => row.status === 'skipped').length,
+          failed: rows.filter(row => row.status === 'failed').length
+        },
+        rows
+      };
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      throw handleDatabaseError(req, error);
+    }
+  }
+
+  /**
+   * Validate one imported record and decide what to do with it
+   * @param {object} record - Parsed record ({ row, data, uid, isOccurrence })
+   * @param {number} userId - ID of the importing user
+   * @param {Set} seen - Title/start time keys of earlier rows in the file
+   * @param {Map} categoryCache - Category lookups by lowercase name
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<object>} Row report; 'created' rows carry the eventData to insert
+   */
+  async checkRecord(record, userId, seen, categoryCache, req) {
+    const { row, data, uid, isOccurrence } = record;
+    const report = { row };
+    if (uid) report.uid = uid;
+    if (data.title) report.title = data.title;
+
+    if (isOccurrence) {
+      return { ...report, status: 'skipped', reason: req.t('importOccurrenceSkipped') };
+    }
+
+    if (Object.keys(data).length === 0) {
+      return { ...report, status: 'skipped', reason: req.t('importEmptyRow') };
+    }
+
+    // Map category names to IDs
+    const { categoryNames = [], ...fields } = data;
+    const categories = [];
+    const errors = [];
+
+    for (const name of categoryNames) {
+      const key = name.toLowerCase();
+      if (!categoryCache.has(key)) {
+        categoryCache.set(key, await Category.getByName(name));
+      }
+
+      const category = categoryCache.get(key);
+      if (category) {
+        categories.push(category.id);
+      } else {
+        errors.push({ param: 'categories', value: name, msg: req.t('categoryNotFound') });
+      }
+    }
+
+    // Apply the same rules as POST /api/events
+    const rowReq = { body: { ...fields, categories }, query: {}, params: {}, headers: {}, cookies: {} };
+    await Promise.all(eventCreationValidation.map(validation => validation.run(rowReq)));
+    errors.push(...validationResult(rowReq).array());
+
+    if (errors.length > 0) {
+      return { ...report, status: 'failed', errors };
+    }
+
+    // Skip rows already imported, in this file or before
+    const key = `${fields.title.toLowerCase()}|${new Date(fields.startTime).toISOString()}`;
+    if (seen.has(key) || await Event.existsForCreator(userId, fields.title, fields.startTime)) {
+      return { ...report, status: 'skipped', reason: req.t('importDuplicate') };
+    }
+    seen.add(key);
+
+    return {
+      ...report,
+      status: 'created',
+      eventData: {
+        ...fields,
+        latitude: parseFloat(fields.latitude),
+        longitude: parseFloat(fields.longitude),
+        capacity: fields.capacity !== undefined ? parseInt(fields.capacity) : undefined,
+        categories,
+        language: req.language,
+        creatorId: userId
+      }
+    };
+  }
+
+  /**
+   * Send the usual new event notifications for imported events
+   * @param {Array<object>} events - Created events (id and startTime)
+   */
+  async notifyCreated(events) {
+    for (const event of events) {
+      try {
+        await notificationService.sendNewEventNotification(event.id);
+
+        // Schedule reminder for 24 hours before event
+        const reminderTime = new Date(event.startTime);
+        reminderTime.setHours(reminderTime.getHours() - 24);
+        await notificationService.scheduleEventReminder(event.id, reminderTime);
+      } catch (notificationError) {
+        console.error('Error sending event notification:', notificationError);
+        // Don't fail the import if notification fails
+      }
+    }
+  }
+}
+
+// Create singleton instance
+const importService = new ImportService();
+
+module.exports = importService;
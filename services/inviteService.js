@@ -0,0 +1,185 @@
+const Event = require('../models/Event');
+const EventInvitee = require('../models/EventInvitee');
+const User = require('../models/User');
+const eventService = require('./eventService');
+const { createError, handleDatabaseError } = require('../utils/errorHandler');
+const { createInviteToken, isValidInviteToken } = require('../utils/eventVisibility');
+
+/**
+ * Service for the invitees and invite links of unlisted and private events
+ */
+class InviteService {
+  /**
+   * Get an event whose invitations the user manages, or throw a 404 or 403
+   * @param {number} eventId - Event ID
+   * @param {number} userId - ID of the requesting user (must be the creator)
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<object>} Event
+   */
+  async getManagedEvent(eventId, userId, req) {
+    const event = await Event.getById(eventId);
+    if (!event) {
+      throw createError(req.t('notFound'), 404);
+    }
+
+    if (!(await eventService.canUser(event, userId, 'manage_invitees'))) {
+      throw createError(req.t('unauthorized'), 403);
+    }
+
+    return event;
+  }
+
+  /**
+   * Get the invite link token of an event
+   * @param {number} eventId - Event ID
+   * @param {number} userId - ID of the requesting user (must be the creator)
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<string>} Invite token
+   */
+  async getInviteToken(eventId, userId, req) {
+    try {
+      const event = await this.getManagedEvent(eventId, userId, req);
+
+      return createInviteToken(event);
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      throw handleDatabaseError(req, error);
+    }
+  }
+
+  /**
+   * Replace the invite link of an event, so links shared before stop working
+   * @param {number} eventId - Event ID
+   * @param {number} userId - ID of the requesting user (must be the creator)
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<string>} New invite token
+   */
+  async resetInviteToken(eventId, userId, req) {
+    try {
+      const event = await this.getManagedEvent(eventId, userId, req);
+
+      const reset = await EventInvitee.resetInviteLink(event.id);
+      if (!reset) {
+        throw createError(req.t('notFound'), 404);
+      }
+
+      return createInviteToken(reset);
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      throw handleDatabaseError(req, error);
+    }
+  }
+
+  /**
+   * Get the invitees of an event
+   * @param {number} eventId - Event ID
+   * @param {number} userId - ID of the requesting user (must be the creator)
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<Array>} Invitees
+   */
+  async getInvitees(eventId, userId, req) {
+    try {
+      const event = await this.getManagedEvent(eventId, userId, req);
+
+      return await EventInvitee.getByEvent(event.id);
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      throw handleDatabaseError(req, error);
+    }
+  }
+
+  /**
+   * Invite a user to an event
+   * @param {number} eventId - Event ID
+   * @param {number} inviteeId - ID of the invited user
+   * @param {number} userId - ID of the inviting user (must be the creator)
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<object>} Invitee entry
+   */
+  async addInvitee(eventId, inviteeId, userId, req) {
+    try {
+      const event = await this.getManagedEvent(eventId, userId, req);
+
+      const invitee = await User.findById(inviteeId);
+      if (!invitee) {
+        throw createError(req.t('notFound'), 404);
+      }
+
+      return await EventInvitee.add(event.id, inviteeId, userId);
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      throw handleDatabaseError(req, error);
+    }
+  }
+
+  /**
+   * Join the invitees of an event through its invite link
+   * @param {number} eventId - Event ID
+   * @param {string} token - Invite token from the link
+   * @param {number} userId - ID of the joining user
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<object>} Invitee entry
+   */
+  async joinByLink(eventId, token, userId, req) {
+    try {
+      // A wrong link reveals nothing about the event
+      const event = await Event.getById(eventId);
+      if (!event || event.status === 'draft' || !isValidInviteToken(token, event)) {
+        throw createError(req.t('notFound'), 404);
+      }
+
+      return await EventInvitee.add(event.id, userId);
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      throw handleDatabaseError(req, error);
+    }
+  }
+
+  /**
+   * Remove an invitee; invitees can also remove themselves
+   * @param {number} eventId - Event ID
+   * @param {number} inviteeId - ID of the invitee to remove
+   * @param {number} userId - ID of the requesting user
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<boolean>} Success indicator
+   */
+  async removeInvitee(eventId, inviteeId, userId, req) {
+    try {
+      const event = await Event.getById(eventId);
+      if (!event || !(await eventService.canView(event, userId))) {
+        throw createError(req.t('notFound'), 404);
+      }
+
+      if (inviteeId !== userId && !(await eventService.canUser(event, userId, 'manage_invitees'))) {
+        throw createError(req.t('unauthorized'), 403);
+      }
+
+      const removed = await EventInvitee.remove(event.id, inviteeId);
+      if (!removed) {
+        throw createError(req.t('notFound'), 404);
+      }
+
+      return true;
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      throw handleDatabaseError(req, error);
+    }
+  }
+}
+
+// Create singleton instance
+const inviteService = new InviteService();
+
+module.exports = inviteService;
@@ -0,0 +1,280 @@
+const crypto = require('crypto');
+const Event = require('../models/Event');
+const EventMedia = require('../models/EventMedia');
+const eventService = require('./eventService');
+const { storage } = require('./storage');
+const { createError, handleDatabaseError } = require('../utils/errorHandler');
+const { MEDIA_TYPES, detectMimeType, isImage, processImage } = require('../utils/media');
+const { getInviteToken } = require('../utils/eventVisibility');
+require('dotenv').config();
+
+/**
+ * Service for event media attachments
+ */
+class MediaService {
+  constructor() {
+    // Maximum number of media files per event
+    this.maxPerEvent = parseInt(process.env.MEDIA_MAX_PER_EVENT) || 20;
+  }
+
+  /**
+   * Upload a media file to an event; images get resized variants
+   * @param {number} eventId - Event ID
+   * @param {object} file - Uploaded file (multer, in memory)
+   * @param {boolean} isCover - Whether the image becomes the event's cover
+   * @param {number} userId - ID of the uploading user (must be allowed to edit the event)
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<object>} Created media
+   */
+  async uploadMedia(eventId, file, isCover, userId, req) {
+    const savedKeys = [];
+
+    try {
+      const event = await Event.getById(eventId);
+      if (!event) {
+        throw createError(req.t('notFound'), 404);
+      }
+
+      if (!(await eventService.canUser(event, userId, 'edit'))) {
+        throw createError(req.t('unauthorized'), 403);
+      }
+
+      // The type is read from the content, the declared one can't be trusted
+      const mimeType = detectMimeType(file.buffer);
+      if (!mimeType) {
+        throw createError(req.t('unsupportedMediaType', { types: Object.keys(MEDIA_TYPES).join(', ') }), 415);
+      }
+
+      if (await EventMedia.countByEvent(event.id) >= this.maxPerEvent) {
+        throw createError(req.t('tooManyMedia', { max: this.maxPerEvent }), 400);
+      }
+
+      const image = isImage(mimeType);
+      if (isCover && !image) {
+        throw createError(req.t('coverMustBeImage'), 400);
+      }
+
+      let processed = { width: null, height: null, variants: {} };
+      if (image) {
+        try {
+          processed = await processImage(file.buffer);
+        } catch (error) {
+          throw createError(req.t('invalidImage'), 400);
+        }
+      }
+
+      // Every upload gets its own folder, so names never collide
+      const prefix = `events/${event.id}/${crypto.randomUUID()}`;
+
+      const storageKey = `${prefix}/original.${MEDIA_TYPES[mimeType]}`;
+      await storage.save(storageKey, file.buffer, mimeType);
+      savedKeys.push(storageKey);
+
+      const variants = {};
+      for (const [name, variant] of Object.entries(processed.variants)) {
+        const key = `${prefix}/${name}.webp`;
+        await storage.save(key, variant.buffer, variant.contentType);
+        savedKeys.push(key);
+        variants[name] = { key, width: variant.width, height: variant.height };
+      }
+
+      return await EventMedia.create({
+        eventId: event.id,
+        kind: image ? 'image' : 'document',
+        mimeType,
+        originalName: file.originalname,
+        size: file.size,
+        width: processed.width,
+        height: processed.height,
+        storageKey,
+        variants,
+        isCover,
+        uploadedBy: userId
+      });
+    } catch (error) {
+      // Don't leave files behind for a failed upload
+      await this.removeFiles(savedKeys);
+
+      if (error.statusCode) {
+        throw error;
+      }
+      throw handleDatabaseError(req, error);
+    }
+  }
+
+  /**
+   * Get the media of an event
+   * @param {number} eventId - Event ID
+   * @param {number|null} userId - ID of the requesting user (drafts are organizer-only)
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<Array>} Media, cover first
+   */
+  async getMedia(eventId, userId, req) {
+    try {
+      const event = await Event.getById(eventId);
+      if (!event || !(await eventService.canView(event, userId, getInviteToken(req)))) {
+        throw createError(req.t('notFound'), 404);
+      }
+
+      return await EventMedia.getByEvent(event.id);
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      throw handleDatabaseError(req, error);
+    }
+  }
+
+  /**
+   * Make an image the cover of its event
+   * @param {number} eventId - Event ID
+   * @param {number} mediaId - Media ID
+   * @param {number} userId - ID of the requesting user (must be allowed to edit the event)
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<object>} Updated media
+   */
+  async setCover(eventId, mediaId, userId, req) {
+    try {
+      const event = await Event.getById(eventId);
+      if (!event) {
+        throw createError(req.t('notFound'), 404);
+      }
+
+      if (!(await eventService.canUser(event, userId, 'edit'))) {
+        throw createError(req.t('unauthorized'), 403);
+      }
+
+      const media = await EventMedia.setCover(event.id, mediaId);
+      if (!media) {
+        throw createError(req.t('mediaNotFound'), 404);
+      }
+
+      return media;
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      throw handleDatabaseError(req, error);
+    }
+  }
+
+  /**
+   * Remove a media file from an event, along with its stored files
+   * @param {number} eventId - Event ID
+   * @param {number} mediaId - Media ID
+   * @param {number} userId - ID of the requesting user (must be allowed to edit the event)
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<boolean>} Success indicator
+   */
+  async deleteMedia(eventId, mediaId, userId, req) {
+    try {
+      const event = await Event.getById(eventId);
+      if (!event) {
+        throw createError(req.t('notFound'), 404);
+      }
+
+      if (!(await eventService.canUser(event, userId, 'edit'))) {
+        throw createError(req.t('unauthorized'), 403);
+      }
+
+      const media = await EventMedia.delete(event.id, mediaId);
+      if (!media) {
+        throw createError(req.t('mediaNotFound'), 404);
+      }
+
+      await this.removeFiles(EventMedia.getStorageKeys(media));
+
+      return true;
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      throw handleDatabaseError(req, error);
+    }
+  }
+
+  /**
+   * Copy the media of an event to another one, files included
+   * @param {number} fromEventId - ID of the event to copy media from
+   * @param {number} toEventId - ID of the event to copy media to
+   * @param {number} userId - ID of the user the copies are uploaded by
+   * @returns {Promise<Array>} Created media
+   */
+  async copyMedia(fromEventId, toEventId, userId) {
+    const copies = [];
+
+    for (const row of await EventMedia.getRowsByEvent(fromEventId)) {
+      const savedKeys = [];
+      const prefix = `events/${toEventId}/${crypto.randomUUID()}`;
+      const renameKey = key => `${prefix}/${key.split('/').pop()}`;
+
+      try {
+        const storageKey = renameKey(row.storage_key);
+        await storage.copy(row.storage_key, storageKey);
+        savedKeys.push(storageKey);
+
+        const variants = {};
+        for (const [name, variant] of Object.entries(row.variants || {})) {
+          const key = renameKey(variant.key);
+          await storage.copy(variant.key, key);
+          savedKeys.push(key);
+          variants[name] = { ...variant, key };
+        }
+
+        copies.push(await EventMedia.create({
+          eventId: toEventId,
+          kind: row.kind,
+          mimeType: row.mime_type,
+          originalName: row.original_name,
+          size: row.size,
+          width: row.width,
+          height: row.height,
+          storageKey,
+          variants,
+          isCover: row.is_cover,
+          uploadedBy: userId
+        }));
+      } catch (error) {
+        // Don't leave files behind for a failed copy
+        await this.removeFiles(savedKeys);
+        throw error;
+      }
+    }
+
+    return copies;
+  }
+
+  /**
+   * Remove the media of purged events from the database and storage
+   * @returns {Promise<number>} Number of media removed
+   */
+  async purgeOrphans() {
+    const orphans = await EventMedia.deleteOrphans();
+
+    for (const media of orphans) {
+      await this.removeFiles(EventMedia.getStorageKeys(media));
+    }
+
+    return orphans.length;
+  }
+
+  /**
+   * Remove stored files, logging failures instead of throwing
+   * @param {Array<string>} keys - Storage keys
+   * @returns {Promise<void>}
+   */
+  async removeFiles(keys) {
+    for (const key of keys) {
+      try {
+        await storage.remove(key);
+      } catch (error) {
+        console.error(`Error removing media file ${key}:`, error);
+      }
+    }
+  }
+}
+
+// Create singleton instance
+const mediaService = new MediaService();
+
+module.exports = mediaService;
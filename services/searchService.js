@@ -1,6 +1,9 @@
 const Event = require('../models/Event');
 const Category = require('../models/Category');
-const { handleDatabaseError } = require('../utils/errorHandler');
+const ExchangeRate = require('../models/ExchangeRate');
+const { createError, handleDatabaseError } = require('../utils/errorHandler');
+const { BASE_CURRENCY } = require('../utils/prices');
+const { pickFlagFilters } = require('../utils/eventAttributes');
 const { isValidCoordinates } = require('../utils/geoUtils');
 require('dotenv').config();
 
@@ -34,6 +37,19 @@ class SearchService {
         
       const startDate = searchParams.startDate;
       const endDate = searchParams.endDate;
+      const languages = searchParams.languages || [];
+      const tags = searchParams.tags || [];
+      const tagMatch = searchParams.tagMatch || 'any';
+      const { minPrice, maxPrice, free } = searchParams;
+      const currency = searchParams.currency || BASE_CURRENCY;
+      const attributes = pickFlagFilters(searchParams);
+      const age = searchParams.age;
+      const includeOnline = searchParams.includeOnline || false;
+
+      // Prices can only be compared in currencies with an exchange rate
+      if (searchParams.currency && !(await ExchangeRate.getRate(currency))) {
+        throw createError(req.t('unsupportedCurrency'), 400);
+      }
 
       // If no coordinates provided, use user's location or default
       if (!isValidCoordinates(latitude, longitude)) {
@@ -54,6 +70,18 @@ class SearchService {
         categoryIds,
         startDate,
         endDate,
+        viewerId: user ? user.id : null,
+        language: req.language,
+        languages,
+        tags,
+        tagMatch,
+        minPrice,
+        maxPrice,
+        free,
+        currency,
+        attributes,
+        age,
+        includeOnline,
         page,
         limit
       });
@@ -65,12 +93,25 @@ class SearchService {
           radius,
           categoryIds,
           startDate,
-          endDate
+          endDate,
+          languages,
+          tags,
+          tagMatch,
+          minPrice,
+          maxPrice,
+          free,
+          currency,
+          attributes,
+          age,
+          includeOnline
         },
         events,
         pagination
       };
     } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
       throw handleDatabaseError(req, error);
     }
   }
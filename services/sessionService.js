@@ -0,0 +1,209 @@
+const Event = require('../models/Event');
+const EventSession = require('../models/EventSession');
+const eventService = require('./eventService');
+const { createError, handleDatabaseError } = require('../utils/errorHandler');
+const { getInviteToken } = require('../utils/eventVisibility');
+
+/**
+ * Service for the sessions (agenda) of multi-session events
+ */
+class SessionService {
+  /**
+   * Get an event the user can see, or throw a 404
+   * @param {number} eventId - Event ID
+   * @param {number|null} userId - ID of the requesting user (drafts are organizer-only)
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<object>} Event
+   */
+  async getVisibleEvent(eventId, userId, req) {
+    const event = await Event.getById(eventId);
+    if (!event || !(await eventService.canView(event, userId, getInviteToken(req)))) {
+      throw createError(req.t('notFound'), 404);
+    }
+
+    return event;
+  }
+
+  /**
+   * Get an event the user can edit, or throw a 404 or 403
+   * @param {number} eventId - Event ID
+   * @param {number} userId - ID of the requesting user
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<object>} Event
+   */
+  async getEditableEvent(eventId, userId, req) {
+    const event = await Event.getById(eventId);
+    if (!event) {
+      throw createError(req.t('notFound'), 404);
+    }
+
+    if (!(await eventService.canUser(event, userId, 'edit'))) {
+      throw createError(req.t('unauthorized'), 403);
+    }
+
+    return event;
+  }
+
+  /**
+   * Check the times of a session: it must end after it starts and, for one-off events, fit within the event
+   * Recurring series have no single time range, so their sessions are not bound to it
+   * @param {object} event - Event
+   * @param {Date|string} startTime - Session start
+   * @param {Date|string|null} endTime - Session end
+   * @param {object} req - Express request object (for i18n)
+   */
+  checkSessionTimes(event, startTime, endTime, req) {
+    const start = new Date(startTime);
+    const end = endTime ? new Date(endTime) : null;
+
+    if (end && end <= start) {
+      throw createError(req.t('invalidSessionTimes'), 400);
+    }
+
+    if (event.recurrence_rule) {
+      return;
+    }
+
+    const eventEnd = event.end_time ? new Date(event.end_time) : null;
+    if (start < new Date(event.start_time) || (eventEnd && (end || start) > eventEnd)) {
+      throw createError(req.t('sessionOutsideEvent'), 400);
+    }
+  }
+
+  /**
+   * Get the agenda of an event
+   * @param {number} eventId - Event ID
+   * @param {number|null} userId - ID of the requesting user (drafts are organizer-only)
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<Array>} Sessions in time order
+   */
+  async getSessions(eventId, userId, req) {
+    try {
+      const event = await this.getVisibleEvent(eventId, userId, req);
+      return await EventSession.getByEvent(event.id);
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      throw handleDatabaseError(req, error);
+    }
+  }
+
+  /**
+   * Get a session of an event
+   * @param {number} eventId - Event ID
+   * @param {number} sessionId - Session ID
+   * @param {number|null} userId - ID of the requesting user (drafts are organizer-only)
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<object>} Session
+   */
+  async getSession(eventId, sessionId, userId, req) {
+    try {
+      const event = await this.getVisibleEvent(eventId, userId, req);
+
+      const session = await EventSession.getById(event.id, sessionId);
+      if (!session) {
+        throw createError(req.t('sessionNotFound'), 404);
+      }
+
+      return session;
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      throw handleDatabaseError(req, error);
+    }
+  }
+
+  /**
+   * Add a session to an event
+   * @param {number} eventId - Event ID
+   * @param {object} sessionData - Session data (title, description, speaker, room, latitude, longitude, address, startTime, endTime)
+   * @param {number} userId - ID of the requesting user (must be allowed to edit the event)
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<object>} Created session
+   */
+  async createSession(eventId, sessionData, userId, req) {
+    try {
+      const event = await this.getEditableEvent(eventId, userId, req);
+
+      this.checkSessionTimes(event, sessionData.startTime, sessionData.endTime, req);
+
+      return await EventSession.create({ ...sessionData, eventId: event.id });
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      throw handleDatabaseError(req, error);
+    }
+  }
+
+  /**
+   * Update a session of an event
+   * @param {number} eventId - Event ID
+   * @param {number} sessionId - Session ID
+   * @param {object} sessionData - Fields to change
+   * @param {number} userId - ID of the requesting user (must be allowed to edit the event)
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<object>} Updated session
+   */
+  async updateSession(eventId, sessionId, sessionData, userId, req) {
+    try {
+      const event = await this.getEditableEvent(eventId, userId, req);
+
+      const session = await EventSession.getById(event.id, sessionId);
+      if (!session) {
+        throw createError(req.t('sessionNotFound'), 404);
+      }
+
+      this.checkSessionTimes(
+        event,
+        sessionData.startTime || session.start_time,
+        sessionData.endTime !== undefined ? sessionData.endTime : session.end_time,
+        req
+      );
+
+      const updatedSession = await EventSession.update(event.id, session.id, sessionData);
+      if (!updatedSession) {
+        throw createError(req.t('sessionNotFound'), 404);
+      }
+
+      return updatedSession;
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      throw handleDatabaseError(req, error);
+    }
+  }
+
+  /**
+   * Remove a session from an event
+   * @param {number} eventId - Event ID
+   * @param {number} sessionId - Session ID
+   * @param {number} userId - ID of the requesting user (must be allowed to edit the event)
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<boolean>} Success indicator
+   */
+  async deleteSession(eventId, sessionId, userId, req) {
+    try {
+      const event = await this.getEditableEvent(eventId, userId, req);
+
+      if (!(await EventSession.delete(event.id, sessionId))) {
+        throw createError(req.t('sessionNotFound'), 404);
+      }
+
+      return true;
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      throw handleDatabaseError(req, error);
+    }
+  }
+}
+
+// Create singleton instance
+const sessionService = new SessionService();
+
+module.exports = sessionService;
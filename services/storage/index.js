@@ -0,0 +1,42 @@
+const LocalStorage = require('./localStorage');
+require('dotenv').config();
+
+/**
+ * Storage adapters keep uploaded media files. Every adapter implements:
+ * - save(key, buffer, contentType): Promise<void>
+ * - copy(fromKey, toKey): Promise<void>
+ * - remove(key): Promise<void>
+ * - getUrl(key): string, the public URL of a stored file
+ * Keys are relative paths such as "events/12/<uuid>/original.jpg".
+ * Another backend (e.g. an S3-compatible bucket) is added by registering a factory below
+ * and selecting it with STORAGE_DRIVER.
+ */
+const adapters = {
+  local: () => new LocalStorage({
+    root: process.env.UPLOAD_DIR || 'uploads',
+    publicPath: '/uploads',
+    baseUrl: process.env.MEDIA_BASE_URL
+  })
+};
+
+/**
+ * Create the storage adapter of a driver
+ * @param {string} driver - Driver name
+ * @returns {object} Storage adapter
+ */
+const createStorage = (driver = 'local') => {
+  const factory = adapters[driver];
+  if (!factory) {
+    throw new Error(`Unknown storage driver: ${driver}`);
+  }
+  return factory();
+};
+
+// Adapter used by the app, selected with STORAGE_DRIVER (default: local)
+const storage = createStorage(process.env.STORAGE_DRIVER || 'local');
+
+module.exports = {
+  adapters,
+  createStorage,
+  storage
+};
@@ -0,0 +1,77 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Storage adapter keeping files on the local filesystem
+ * Files are served by the app itself under publicPath (see app.js)
+ */
+class LocalStorage {
+  /**
+   * @param {object} options - Adapter options
+   * @param {string} options.root - Directory files are written to
+   * @param {string} options.publicPath - URL path the directory is served under
+   * @param {string} options.baseUrl - Base URL of file links (defaults to publicPath)
+   */
+  constructor({ root, publicPath, baseUrl }) {
+    this.root = path.resolve(root);
+    this.publicPath = publicPath;
+    this.baseUrl = (baseUrl || publicPath).replace(/\/$/, '');
+  }
+
+  /**
+   * Store a file
+   * @param {string} key - Storage key (relative path)
+   * @param {Buffer} buffer - File content
+   * @returns {Promise<void>}
+   */
+  async save(key, buffer) {
+    const file = this.resolve(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, buffer);
+  }
+
+  /**
+   * Copy a stored file to another key
+   * @param {string} fromKey - Storage key of the file
+   * @param {string} toKey - Storage key of the copy
+   * @returns {Promise<void>}
+   */
+  async copy(fromKey, toKey) {
+    const file = this.resolve(toKey);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.copyFile(this.resolve(fromKey), file);
+  }
+
+  /**
+   * Remove a file, ignoring files that are already gone
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    await fs.rm(this.resolve(key), { force: true });
+  }
+
+  /**
+   * Get the public URL of a file
+   * @param {string} key - Storage key
+   * @returns {string} URL
+   */
+  getUrl(key) {
+    return `${this.baseUrl}/${key}`;
+  }
+
+  /**
+   * Get the path of a file, refusing keys that point outside the storage directory
+   * @param {string} key - Storage key
+   * @returns {string} Absolute file path
+   */
+  resolve(key) {
+    const file = path.resolve(this.root, key);
+    if (!file.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  }
+}
+
+module.exports = LocalStorage;
@@ -0,0 +1,183 @@
+const Event = require('../models/Event');
+const EventTemplate = require('../models/EventTemplate');
+const eventService = require('./eventService');
+const mediaService = require('./mediaService');
+const { createError, handleDatabaseError } = require('../utils/errorHandler');
+const { pickTemplateFields, templateFromEvent } = require('../utils/eventTemplates');
+
+/**
+ * Service for event cloning and user-owned event templates
+ */
+class TemplateService {
+  /**
+   * Get an event the user can edit, or throw a 404 or 403
+   * @param {number} eventId - Event ID
+   * @param {number} userId - ID of the requesting user
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<object>} Event
+   */
+  async getEditableEvent(eventId, userId, req) {
+    const event = await Event.getById(eventId);
+    if (!event) {
+      throw createError(req.t('notFound'), 404);
+    }
+
+    if (!(await eventService.canUser(event, userId, 'edit'))) {
+      throw createError(req.t('unauthorized'), 403);
+    }
+
+    return event;
+  }
+
+  /**
+   * Get a template of the user, or throw a 404 (other users' templates are private)
+   * @param {number} id - Template ID
+   * @param {number} userId - ID of the requesting user
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<object>} Template
+   */
+  async getOwnTemplate(id, userId, req) {
+    const template = await EventTemplate.getById(id);
+    if (!template || template.user_id !== userId) {
+      throw createError(req.t('templateNotFound'), 404);
+    }
+
+    return template;
+  }
+
+  /**
+   * Copy an event to a new date, with its categories, address, description, translations, sessions and media
+   * @param {number} id - ID of the event to copy
+   * @param {object} cloneData - New startTime, and optional endTime, title and status (default draft)
+   * @param {number} userId - ID of the requesting user (must be allowed to edit the event), who owns the copy
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<object>} The copy
+   */
+  async cloneEvent(id, cloneData, userId, req) {
+    try {
+      const event = await this.getEditableEvent(id, userId, req);
+
+      const clone = await Event.clone(event.id, { ...cloneData, creatorId: userId });
+      if (!clone) {
+        throw createError(req.t('notFound'), 404);
+      }
+
+      // The copy stands on its own without media, so a failed file copy doesn't undo it
+      try {
+        await mediaService.copyMedia(event.id, clone.id, userId);
+      } catch (mediaError) {
+        console.error('Error copying media of cloned event:', mediaError);
+      }
+
+      return await Event.getById(clone.id);
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      throw handleDatabaseError(req, error);
+    }
+  }
+
+  /**
+   * Get the templates of a user
+   * @param {number} userId - User ID
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<Array>} Templates, by name
+   */
+  async getTemplates(userId, req) {
+    try {
+      return await EventTemplate.getByUser(userId);
+    } catch (error) {
+      throw handleDatabaseError(req, error);
+    }
+  }
+
+  /**
+   * Get a template
+   * @param {number} id - Template ID
+   * @param {number} userId - ID of the requesting user (must own the template)
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<object>} Template
+   */
+  async getTemplate(id, userId, req) {
+    try {
+      return await this.getOwnTemplate(id, userId, req);
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      throw handleDatabaseError(req, error);
+    }
+  }
+
+  /**
+   * Save a template from an event
+   * @param {string} name - Template name
+   * @param {number} eventId - ID of the event to save (the user must be allowed to edit it)
+   * @param {number} userId - ID of the user saving the template
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<object>} Created template
+   */
+  async saveTemplate(name, eventId, userId, req) {
+    try {
+      const event = await this.getEditableEvent(eventId, userId, req);
+
+      return await EventTemplate.create(userId, name, templateFromEvent(event));
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      throw handleDatabaseError(req, error);
+    }
+  }
+
+  /**
+   * Rename a template and/or change its event fields
+   * @param {number} id - Template ID
+   * @param {string|undefined} name - New name
+   * @param {object} fields - Event fields to change (see TEMPLATE_FIELDS)
+   * @param {number} userId - ID of the requesting user (must own the template)
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<object>} Updated template
+   */
+  async updateTemplate(id, name, fields, userId, req) {
+    try {
+      const template = await this.getOwnTemplate(id, userId, req);
+
+      const changes = pickTemplateFields(fields);
+      const data = Object.keys(changes).length > 0 ? { ...template.data, ...changes } : null;
+
+      return await EventTemplate.update(template.id, { name, data });
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      throw handleDatabaseError(req, error);
+    }
+  }
+
+  /**
+   * Delete a template
+   * @param {number} id - Template ID
+   * @param {number} userId - ID of the requesting user (must own the template)
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<boolean>} Success indicator
+   */
+  async deleteTemplate(id, userId, req) {
+    try {
+      const template = await this.getOwnTemplate(id, userId, req);
+
+      return await EventTemplate.delete(template.id);
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      throw handleDatabaseError(req, error);
+    }
+  }
+}
+
+// Create singleton instance
+const templateService = new TemplateService();
+
+module.exports = templateService;
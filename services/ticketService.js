@@ -0,0 +1,163 @@
+const EventTicketTier = require('../models/EventTicketTier');
+const ExchangeRate = require('../models/ExchangeRate');
+const sessionService = require('./sessionService');
+const { createError, handleDatabaseError } = require('../utils/errorHandler');
+
+/**
+ * Service for the ticket tiers of events
+ */
+class TicketService {
+  /**
+   * Check a ticket tier: its currency must have an exchange rate and its sales must end after they start
+   * @param {string} currency - Currency code
+   * @param {Date|string|null} salesStart - Start of the ticket sales
+   * @param {Date|string|null} salesEnd - End of the ticket sales
+   * @param {object} req - Express request object (for i18n)
+   */
+  async checkTier(currency, salesStart, salesEnd, req) {
+    if (!(await ExchangeRate.getRate(currency))) {
+      throw createError(req.t('unsupportedCurrency'), 400);
+    }
+
+    if (salesStart && salesEnd && new Date(salesEnd) <= new Date(salesStart)) {
+      throw createError(req.t('invalidSalesWindow'), 400);
+    }
+  }
+
+  /**
+   * Get the ticket tiers of an event
+   * @param {number} eventId - Event ID
+   * @param {number|null} userId - ID of the requesting user (drafts are organizer-only)
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<Array>} Ticket tiers, cheapest first
+   */
+  async getTiers(eventId, userId, req) {
+    try {
+      const event = await sessionService.getVisibleEvent(eventId, userId, req);
+      return await EventTicketTier.getByEvent(event.id);
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      throw handleDatabaseError(req, error);
+    }
+  }
+
+  /**
+   * Get a ticket tier of an event
+   * @param {number} eventId - Event ID
+   * @param {number} tierId - Ticket tier ID
+   * @param {number|null} userId - ID of the requesting user (drafts are organizer-only)
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<object>} Ticket tier
+   */
+  async getTier(eventId, tierId, userId, req) {
+    try {
+      const event = await sessionService.getVisibleEvent(eventId, userId, req);
+
+      const tier = await EventTicketTier.getById(event.id, tierId);
+      if (!tier) {
+        throw createError(req.t('tierNotFound'), 404);
+      }
+
+      return tier;
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      throw handleDatabaseError(req, error);
+    }
+  }
+
+  /**
+   * Add a ticket tier to an event
+   * @param {number} eventId - Event ID
+   * @param {object} tierData - Ticket tier data (name, price, currency, quantity, salesStart, salesEnd)
+   * @param {number} userId - ID of the requesting user (must be allowed to edit the event)
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<object>} Created ticket tier
+   */
+  async createTier(eventId, tierData, userId, req) {
+    try {
+      const event = await sessionService.getEditableEvent(eventId, userId, req);
+
+      await this.checkTier(tierData.currency, tierData.salesStart, tierData.salesEnd, req);
+
+      return await EventTicketTier.create({ ...tierData, eventId: event.id });
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      throw handleDatabaseError(req, error);
+    }
+  }
+
+  /**
+   * Update a ticket tier of an event
+   * @param {number} eventId - Event ID
+   * @param {number} tierId - Ticket tier ID
+   * @param {object} tierData - Fields to change
+   * @param {number} userId - ID of the requesting user (must be allowed to edit the event)
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<object>} Updated ticket tier
+   */
+  async updateTier(eventId, tierId, tierData, userId, req) {
+    try {
+      const event = await sessionService.getEditableEvent(eventId, userId, req);
+
+      const tier = await EventTicketTier.getById(event.id, tierId);
+      if (!tier) {
+        throw createError(req.t('tierNotFound'), 404);
+      }
+
+      await this.checkTier(
+        tierData.currency || tier.currency,
+        tierData.salesStart !== undefined ? tierData.salesStart : tier.sales_start,
+        tierData.salesEnd !== undefined ? tierData.salesEnd : tier.sales_end,
+        req
+      );
+
+      const updatedTier = await EventTicketTier.update(event.id, tier.id, tierData);
+      if (!updatedTier) {
+        throw createError(req.t('tierNotFound'), 404);
+      }
+
+      return updatedTier;
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      throw handleDatabaseError(req, error);
+    }
+  }
+
+  /**
+   * Remove a ticket tier from an event
+   * @param {number} eventId - Event ID
+   * @param {number} tierId - Ticket tier ID
+   * @param {number} userId - ID of the requesting user (must be allowed to edit the event)
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<boolean>} Success indicator
+   */
+  async deleteTier(eventId, tierId, userId, req) {
+    try {
+      const event = await sessionService.getEditableEvent(eventId, userId, req);
+
+      if (!(await EventTicketTier.delete(event.id, tierId))) {
+        throw createError(req.t('tierNotFound'), 404);
+      }
+
+      return true;
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      throw handleDatabaseError(req, error);
+    }
+  }
+}
+
+// Create singleton instance
+const ticketService = new TicketService();
+
+module.exports = ticketService;
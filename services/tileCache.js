@@ -0,0 +1,107 @@
+const { tilesForPoint } = require('../utils/tiles');
+require('dotenv').config();
+
+/**
+ * In-memory cache of event map tiles, one per app process
+ * A tile is cached once per set of filters; all its variants are dropped when an event it shows
+ * is created, changed or deleted (see Event), and the least recently used tiles make room for new ones
+ */
+class TileCache {
+  constructor() {
+    // Most tiles kept
+    this.maxEntries = parseInt(process.env.TILE_CACHE_SIZE) || 5000;
+    // Seconds a tile is kept at most, so tiles filtered on "today" follow the date
+    this.ttl = parseInt(process.env.TILE_CACHE_TTL) || 300;
+    // Cached tiles by "z/x/y?filters", oldest use first
+    this.entries = new Map();
+    // Cache keys by tile ("z/x/y")
+    this.keysByTile = new Map();
+  }
+
+  /**
+   * Get a cached tile
+   * @param {string} tile - Tile as "z/x/y"
+   * @param {string} filtersKey - Filters the tile was built with
+   * @returns {Buffer|null} Tile, or null if it is not cached
+   */
+  get(tile, filtersKey) {
+    const key = `${tile}?${filtersKey}`;
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.remove(key, tile);
+      return null;
+    }
+
+    // Move to the end, as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.data;
+  }
+
+  /**
+   * Cache a tile
+   * @param {string} tile - Tile as "z/x/y"
+   * @param {string} filtersKey - Filters the tile was built with
+   * @param {Buffer} data - Tile
+   */
+  set(tile, filtersKey, data) {
+    const key = `${tile}?${filtersKey}`;
+    this.entries.delete(key);
+    this.entries.set(key, { tile, data, expiresAt: Date.now() + this.ttl * 1000 });
+
+    if (!this.keysByTile.has(tile)) {
+      this.keysByTile.set(tile, new Set());
+    }
+    this.keysByTile.get(tile).add(key);
+
+    while (this.entries.size > this.maxEntries) {
+      const [oldestKey, oldest] = this.entries.entries().next().value;
+      this.remove(oldestKey, oldest.tile);
+    }
+  }
+
+  /**
+   * Drop the cached tiles a location shows up in, at every zoom level and with any filters
+   * @param {number} latitude - Latitude
+   * @param {number} longitude - Longitude
+   */
+  invalidatePoint(latitude, longitude) {
+    for (const tile of tilesForPoint(latitude, longitude)) {
+      const keys = this.keysByTile.get(tile);
+      if (!keys) continue;
+
+      for (const key of keys) {
+        this.entries.delete(key);
+      }
+      this.keysByTile.delete(tile);
+    }
+  }
+
+  // Drop all cached tiles
+  clear() {
+    this.entries.clear();
+    this.keysByTile.clear();
+  }
+
+  // Drop a cached tile
+  remove(key, tile) {
+    this.entries.delete(key);
+
+    const keys = this.keysByTile.get(tile);
+    if (keys) {
+      keys.delete(key);
+      if (keys.size === 0) {
+        this.keysByTile.delete(tile);
+      }
+    }
+  }
+}
+
+// Create singleton instance
+const tileCache = new TileCache();
+
+module.exports = tileCache;
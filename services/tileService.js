@@ -0,0 +1,54 @@
+const Event = require('../models/Event');
+const tileCache = require('./tileCache');
+const { handleDatabaseError } = require('../utils/errorHandler');
+
+/**
+ * Service for the vector tiles of event maps
+ */
+class TileService {
+  /**
+   * Get the vector tile of the public events in a map tile, from the cache when possible
+   * @param {object} params - Tile and filters
+   * @param {number} params.z - Zoom level
+   * @param {number} params.x - Tile column
+   * @param {number} params.y - Tile row
+   * @param {Array<number>} params.categoryIds - Only events in any of these categories
+   * @param {string} params.startDate - Only events ending after this date
+   * @param {string} params.endDate - Only events starting before this date
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<object>} Tile (Mapbox Vector Tile buffer) and whether it came from the cache
+   */
+  async getEventTile({ z, x, y, categoryIds = [], startDate = null, endDate = null }, req) {
+    try {
+      const tile = `${z}/${x}/${y}`;
+      const filtersKey = this.getFiltersKey({ categoryIds, startDate, endDate });
+
+      const cached = tileCache.get(tile, filtersKey);
+      if (cached) {
+        return { tile: cached, cached: true };
+      }
+
+      const data = await Event.getTile({ z, x, y, categoryIds, startDate, endDate });
+      tileCache.set(tile, filtersKey, data);
+
+      return { tile: data, cached: false };
+    } catch (error) {
+      throw handleDatabaseError(req, error);
+    }
+  }
+
+  /**
+   * Get the cache key of tile filters, the same whatever the order of the categories
+   * @param {object} filters - Category IDs, start and end dates
+   * @returns {string} Filters key
+   */
+  getFiltersKey({ categoryIds, startDate, endDate }) {
+    const categories = [...new Set(categoryIds)].sort((a, b) => a - b);
+    return JSON.stringify([categories, startDate || null, endDate || null]);
+  }
+}
+
+// Create singleton instance
+const tileService = new TileService();
+
+module.exports = tileService;
@@ -1,6 +1,7 @@
 const User = require('../models/User');
 const Event = require('../models/Event');
 const Category = require('../models/Category');
+const eventPurgeService = require('./eventPurgeService');
 const { createError, handleDatabaseError } = require('../utils/errorHandler');
 
 /**
@@ -110,6 +111,28 @@ class UserService {
     }
   }
   
+  /**
+   * Get user's deleted events
+   * @param {number} userId - User ID
+   * @param {number} page - Page number
+   * @param {number} limit - Items per page
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<object>} Deleted events and pagination
+   */
+  async getTrash(userId, page, limit, req) {
+    try {
+      const { events, pagination } = await Event.getTrash(
+        userId, 
+        eventPurgeService.retentionDays, 
+        page, 
+        limit
+      );
+      return { events, retentionDays: eventPurgeService.retentionDays, pagination };
+    } catch (error) {
+      throw handleDatabaseError(req, error);
+    }
+  }
+  
   /**
    * Add an event to user's favorites
    * @param {number} userId - User ID
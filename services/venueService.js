@@ -0,0 +1,153 @@
+const Venue = require('../models/Venue');
+const Event = require('../models/Event');
+const { createError, handleDatabaseError } = require('../utils/errorHandler');
+
+/**
+ * Service for venue-related operations
+ */
+class VenueService {
+  /**
+   * Create a new venue
+   * @param {object} venueData - Venue data
+   * @param {number} userId - ID of the user creating the venue
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<object>} Created venue
+   */
+  async createVenue(venueData, userId, req) {
+    try {
+      return await Venue.create({
+        ...venueData,
+        createdBy: userId
+      });
+    } catch (error) {
+      throw handleDatabaseError(req, error);
+    }
+  }
+
+  /**
+   * Get venue by ID
+   * @param {number} id - Venue ID
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<object>} Venue
+   */
+  async getVenueById(id, req) {
+    try {
+      const venue = await Venue.getById(id);
+      if (!venue) {
+        throw createError(req.t('venueNotFound'), 404);
+      }
+
+      return venue;
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      throw handleDatabaseError(req, error);
+    }
+  }
+
+  /**
+   * Update a venue; events held there move with it
+   * @param {number} id - Venue ID
+   * @param {object} venueData - Venue data to update
+   * @param {number} userId - ID of the requesting user (must have created the venue)
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<object>} Updated venue
+   */
+  async updateVenue(id, venueData, userId, req) {
+    try {
+      const existingVenue = await Venue.getById(id);
+      if (!existingVenue) {
+        throw createError(req.t('venueNotFound'), 404);
+      }
+
+      if (existingVenue.created_by !== userId) {
+        throw createError(req.t('unauthorized'), 403);
+      }
+
+      return await Venue.update(id, venueData, userId);
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      throw handleDatabaseError(req, error);
+    }
+  }
+
+  /**
+   * Delete a venue; its events keep their location and address
+   * @param {number} id - Venue ID
+   * @param {number} userId - ID of the requesting user (must have created the venue)
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<boolean>} Success indicator
+   */
+  async deleteVenue(id, userId, req) {
+    try {
+      const existingVenue = await Venue.getById(id);
+      if (!existingVenue) {
+        throw createError(req.t('venueNotFound'), 404);
+      }
+
+      if (existingVenue.created_by !== userId) {
+        throw createError(req.t('unauthorized'), 403);
+      }
+
+      return await Venue.delete(id);
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      throw handleDatabaseError(req, error);
+    }
+  }
+
+  /**
+   * Search venues by name and/or proximity
+   * @param {object} filters - Search criteria (name, latitude, longitude, radius, page, limit)
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<object>} Venues and pagination info
+   */
+  async searchVenues(filters, req) {
+    try {
+      return await Venue.search(filters);
+    } catch (error) {
+      throw handleDatabaseError(req, error);
+    }
+  }
+
+  /**
+   * Get upcoming events at a venue, recurring events expanded into occurrences
+   * @param {number} id - Venue ID
+   * @param {number|null} viewerId - ID of the requesting user (drafts are organizer-only)
+   * @param {number} page - Page number
+   * @param {number} limit - Items per page
+   * @param {object} req - Express request object (for i18n)
+   * @returns {Promise<object>} Events and pagination info
+   */
+  async getUpcomingEvents(id, viewerId, page, limit, req) {
+    try {
+      const venue = await Venue.getById(id);
+      if (!venue) {
+        throw createError(req.t('venueNotFound'), 404);
+      }
+
+      return await Event.getAll({
+        venueId: venue.id,
+        startDate: new Date(),
+        viewerId,
+        page,
+        limit
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      throw handleDatabaseError(req, error);
+    }
+  }
+}
+
+// Create singleton instance
+const venueService = new VenueService();
+
+module.exports = venueService;
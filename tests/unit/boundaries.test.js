@@ -0,0 +1,154 @@
+const Event = require('../../models/Event');
+const Boundary = require('../../models/Boundary');
+const db = require('../../config/database');
+const boundaryService = require('../../services/boundaryService');
+const searchController = require('../../controllers/searchController');
+const { requireAdmin } = require('../../middlewares/auth');
+const { toSlug, readBoundaries } = require('../../utils/boundaries');
+const { isValidArea } = require('../../utils/geoUtils');
+
+// Mock dependencies
+jest.mock('../../config/database');
+jest.mock('../../models/Boundary');
+
+describe('Boundaries', () => {
+  let req, res;
+
+  const marais = {
+    type: 'Polygon',
+    coordinates: [[[2.35, 48.855], [2.37, 48.855], [2.37, 48.865], [2.35, 48.865], [2.35, 48.855]]]
+  };
+
+  const feature = (properties, geometry = marais) => ({ type: 'Feature', properties, geometry });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    req = {
+      query: {},
+      body: {},
+      t: jest.fn().mockImplementation(key => key) // Mock i18n translation function
+    };
+
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    };
+  });
+
+  describe('toSlug', () => {
+    test('should build URL-friendly names', () => {
+      expect(toSlug('Le Marais')).toBe('le-marais');
+      expect(toSlug('Île de la Cité')).toBe('ile-de-la-cite');
+      expect(toSlug('  --  ')).toBe('');
+    });
+  });
+
+  describe('isValidArea', () => {
+    test('should accept polygons and multipolygons', () => {
+      expect(isValidArea(marais)).toBe(true);
+      expect(isValidArea({ type: 'MultiPolygon', coordinates: [marais.coordinates] })).toBe(true);
+    });
+
+    test('should reject lines and self-crossing polygons', () => {
+      const bowtie = { type: 'Polygon', coordinates: [[[0, 0], [1, 1], [1, 0], [0, 1], [0, 0]]] };
+
+      expect(isValidArea({ type: 'LineString', coordinates: [[0, 0], [1, 1]] })).toBe(false);
+      expect(isValidArea(bowtie)).toBe(false);
+      expect(isValidArea(bowtie, { checkCrossings: false })).toBe(true);
+    });
+  });
+
+  describe('readBoundaries', () => {
+    test('should read named features and report the others', () => {
+      const { boundaries, errors } = readBoundaries({
+        type: 'FeatureCollection',
+        features: [
+          feature({ name: 'Le Marais' }),
+          feature({ name: 'le marais' }),
+          feature({}),
+          feature({ name: 'Seine' }, { type: 'LineString', coordinates: [[2.3, 48.8], [2.4, 48.9]] })
+        ]
+      });
+
+      expect(boundaries).toEqual([{ name: 'Le Marais', slug: 'le-marais', geometry: marais }]);
+      expect(errors.map(error => error.index)).toEqual([1, 2, 3]);
+    });
+
+    test('should read names from another property', () => {
+      const { boundaries } = readBoundaries(feature({ l_qu: 'Arts-et-Métiers' }), 'l_qu');
+
+      expect(boundaries[0].slug).toBe('arts-et-metiers');
+    });
+
+    test('should reject files that are not GeoJSON features', () => {
+      expect(() => readBoundaries({ type: 'Polygon', coordinates: [] })).toThrow();
+    });
+  });
+
+  describe('importBoundaries', () => {
+    const upload = content => ({ buffer: Buffer.from(typeof content === 'string' ? content : JSON.stringify(content)) });
+
+    test('should create and replace boundaries by slug', async () => {
+      Boundary.upsertMany.mockResolvedValue([{ id: 1, name: 'Le Marais', slug: 'le-marais', created: false }]);
+
+      const result = await boundaryService.importBoundaries(upload(feature({ name: 'Le Marais' })), {}, req);
+
+      expect(Boundary.upsertMany).toHaveBeenCalledWith([{ name: 'Le Marais', slug: 'le-marais', geometry: marais }]);
+      expect(result).toMatchObject({ created: 0, updated: 1, errors: [] });
+    });
+
+    test('should reject files that are not JSON', async () => {
+      await expect(boundaryService.importBoundaries(upload('name;geometry'), {}, req))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(Boundary.upsertMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('requireAdmin', () => {
+    test('should only let administrators through', () => {
+      const next = jest.fn();
+
+      requireAdmin({ ...req, user: { id: 2, is_admin: false } }, res, next);
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(next).not.toHaveBeenCalled();
+
+      requireAdmin({ ...req, user: { id: 1, is_admin: true } }, res, next);
+      expect(next).toHaveBeenCalled();
+    });
+  });
+
+  describe('searchInArea', () => {
+    beforeEach(() => {
+      db.query.mockImplementation(async query => ({ rows: query.includes('COUNT') ? [{ total: '0' }] : [] }));
+    });
+
+    test('should match events inside a given area', async () => {
+      await Event.searchInArea({ area: marais });
+
+      const [query, values] = db.query.mock.calls[0];
+      expect(query).toContain('ST_GeomFromGeoJSON($1::text)');
+      expect(query).toContain('ST_Intersects(e.location, a.area) OR ST_Intersects(e.footprint, a.area)');
+      expect(values[0]).toBe(JSON.stringify(marais));
+    });
+
+    test('should match events inside an imported boundary', async () => {
+      await Event.searchInArea({ boundaryId: 7, categoryIds: [2] });
+
+      const [query, values] = db.query.mock.calls[0];
+      expect(query).toContain('SELECT area FROM boundaries WHERE id = $1');
+      expect(query).toContain('c.id IN (2)');
+      expect(values[0]).toBe(7);
+    });
+
+    test('should answer 404 for unknown boundaries', async () => {
+      Boundary.getBySlug.mockResolvedValue(null);
+      req.query = { boundary: 'atlantis' };
+
+      await searchController.searchInArea(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({ success: false, message: 'boundaryNotFound' });
+    });
+  });
+});
@@ -0,0 +1,115 @@
+const Event = require('../../models/Event');
+const eventService = require('../../services/eventService');
+const db = require('../../config/database');
+const { requireIfMatch, collectionETag } = require('../../middlewares/etag');
+const { eventETag, matchesETag, weakETag } = require('../../utils/etag');
+
+// Mock database module
+jest.mock('../../config/database');
+
+describe('ETag Utils', () => {
+  describe('eventETag', () => {
+    test('should build a strong ETag from the event id and version', () => {
+      expect(eventETag({ id: 1, version: 3 })).toBe('"1-3"');
+    });
+  });
+
+  describe('matchesETag', () => {
+    test('should match the current ETag, a list containing it or a wildcard', () => {
+      expect(matchesETag('"1-3"', '"1-3"')).toBe(true);
+      expect(matchesETag('"1-2", "1-3"', '"1-3"')).toBe(true);
+      expect(matchesETag('*', '"1-3"')).toBe(true);
+    });
+
+    test('should not match stale or weak ETags', () => {
+      expect(matchesETag('"1-2"', '"1-3"')).toBe(false);
+      expect(matchesETag('W/"1-3"', '"1-3"')).toBe(false);
+      expect(matchesETag(undefined, '"1-3"')).toBe(false);
+    });
+  });
+
+  describe('weakETag', () => {
+    test('should be stable for the same parts and change with them', () => {
+      const etag = weakETag(['/api/events', { events_total: '2' }]);
+
+      expect(etag).toMatch(/^W\/"[0-9a-f]{40}"$/);
+      expect(weakETag(['/api/events', { events_total: '2' }])).toBe(etag);
+      expect(weakETag(['/api/events', { events_total: '3' }])).not.toBe(etag);
+    });
+  });
+
+  describe('requireIfMatch', () => {
+    let req, res, next;
+
+    const event = { id: 1, version: 3, creator_id: 2, join_url: 'https://meet.example.com/secret' };
+
+    beforeEach(() => {
+      req = {
+        method: 'PUT',
+        params: { id: 1 },
+        user: { id: 5 },
+        get: jest.fn().mockReturnValue('"1-2"'),
+        t: jest.fn().mockImplementation(key => key) // Mock i18n translation function
+      };
+      res = {
+        set: jest.fn(),
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn()
+      };
+      next = jest.fn();
+
+      jest.spyOn(Event, 'getById').mockResolvedValue({ ...event });
+      jest.spyOn(eventService, 'canView').mockResolvedValue(true);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should return the current event to editors sending a stale ETag', async () => {
+      jest.spyOn(eventService, 'canUser').mockResolvedValue(true);
+
+      await requireIfMatch(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(412);
+      expect(res.json.mock.calls[0][0].data.event).toMatchObject({ id: 1, version: 3 });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test('should not reveal the event to viewers who cannot change it', async () => {
+      jest.spyOn(eventService, 'canUser').mockResolvedValue(false);
+      req.method = 'DELETE';
+
+      await requireIfMatch(req, res, next);
+
+      expect(eventService.canUser).toHaveBeenCalledWith(expect.objectContaining({ id: 1 }), 5, 'delete');
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(JSON.stringify(res.json.mock.calls[0][0])).not.toContain('meet.example.com');
+    });
+  });
+
+  describe('collectionETag', () => {
+    test('should change when an exchange rate changes', async () => {
+      const req = { originalUrl: '/api/events?minPrice=10', query: {}, language: 'en', fresh: false };
+      const res = { set: jest.fn(), removeHeader: jest.fn() };
+      const version = { events_total: '3', events_updated: '2024-01-01', rates_total: '2' };
+      jest.spyOn(Event, 'getCollectionVersion')
+        .mockResolvedValueOnce({ ...version, rates_updated: '2024-01-01' })
+        .mockResolvedValueOnce({ ...version, rates_updated: '2024-01-02' });
+
+      await collectionETag(req, res, jest.fn());
+      await collectionETag(req, res, jest.fn());
+
+      expect(res.set.mock.calls[0][1]).not.toBe(res.set.mock.calls[1][1]);
+      Event.getCollectionVersion.mockRestore();
+    });
+
+    test('should fingerprint exchange rates along with events and categories', async () => {
+      db.query.mockResolvedValue({ rows: [{}] });
+
+      await Event.getCollectionVersion();
+
+      expect(db.query.mock.calls[0][0]).toContain('MAX(updated_at) FROM exchange_rates');
+    });
+  });
+});
@@ -0,0 +1,80 @@
+const { validationResult } = require('express-validator');
+const Event = require('../../models/Event');
+const { eventAttributesValidation, eventAttributeFilterValidation } = require('../../utils/validators');
+const { pickFlagFilters } = require('../../utils/eventAttributes');
+const { snapshotToEventData } = require('../../utils/eventDiff');
+
+// Mock database module
+jest.mock('../../config/database');
+
+// Run validation rules in order, as Express does
+const validate = async (rules, req) => {
+  for (const rule of rules) {
+    await rule.run(req);
+  }
+  return validationResult(req).array();
+};
+
+describe('Event Attributes', () => {
+  describe('eventAttributesValidation', () => {
+    test('should convert attributes and leave out unknown ones', async () => {
+      const req = { body: { attributes: { wheelchairAccessible: 'true', minAge: '6', petsAllowed: null, color: 'red' } } };
+
+      const errors = await validate(eventAttributesValidation, req);
+
+      expect(errors).toEqual([]);
+      expect(req.body.attributes).toEqual({ wheelchairAccessible: true, minAge: 6, petsAllowed: null });
+    });
+
+    test('should reject age ranges ending before they start', async () => {
+      const req = { body: { attributes: { minAge: 12, maxAge: 8 } } };
+
+      const errors = await validate(eventAttributesValidation, req);
+
+      expect(errors.map(error => error.param)).toEqual(['attributes.maxAge']);
+    });
+
+    test('should reject attributes that are not yes or no', async () => {
+      const req = { body: { attributes: { hearingLoop: 'maybe' } } };
+
+      const errors = await validate(eventAttributesValidation, req);
+
+      expect(errors.map(error => error.param)).toEqual(['attributes.hearingLoop']);
+    });
+  });
+
+  describe('eventAttributeFilterValidation', () => {
+    test('should read the attribute filters of a query', async () => {
+      const req = { query: { familyFriendly: 'true', signLanguage: 'false', age: '7', tags: 'music' } };
+
+      const errors = await validate(eventAttributeFilterValidation, req);
+
+      expect(errors).toEqual([]);
+      expect(pickFlagFilters(req.query)).toEqual({ signLanguage: false, familyFriendly: true });
+      expect(req.query.age).toBe(7);
+    });
+  });
+
+  describe('buildAttributeCondition', () => {
+    test('should add no condition without attribute filters', () => {
+      expect(Event.buildAttributeCondition({}, 2)).toBeNull();
+    });
+
+    test('should match the yes/no attributes and the age range', () => {
+      const { condition, values } = Event.buildAttributeCondition({ attributes: { petsAllowed: true }, age: 10 }, 2);
+
+      expect(condition).toContain('e.attributes @> $2::jsonb');
+      expect(condition).toContain(`COALESCE((e.attributes->>'maxAge')::integer, $3::integer) >= $3::integer`);
+      expect(values).toEqual([{ petsAllowed: true }, 10]);
+    });
+  });
+
+  describe('revisions', () => {
+    test('should clear attributes added after the restored revision', () => {
+      const event = { title: 'Meetup', attributes: { hearingLoop: true, petsAllowed: false } };
+      const snapshot = { title: 'Meetup', attributes: { hearingLoop: true } };
+
+      expect(snapshotToEventData(snapshot, event).attributes).toEqual({ hearingLoop: true, petsAllowed: null });
+    });
+  });
+});
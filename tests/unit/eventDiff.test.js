@@ -0,0 +1,100 @@
+const { diffEvents, undoRevisions, snapshotToEventData } = require('../../utils/eventDiff');
+
+describe('Event Diff Utils', () => {
+  const baseEvent = {
+    id: 1,
+    title: 'Test Event',
+    description: 'Test Description',
+    location: { latitude: 37.7749, longitude: -122.4194 },
+    address: '123 Test St, Test City',
+    start_time: new Date('2023-01-01T12:00:00Z'),
+    end_time: new Date('2023-01-01T15:00:00Z'),
+    categories: [
+      { id: 2, name: 'Technology' },
+      { id: 1, name: 'Music' }
+    ],
+    recurrence_rule: null,
+    recurrence_exdates: [],
+    capacity: null
+  };
+
+  describe('diffEvents', () => {
+    test('should return only changed fields with old and new values', () => {
+      const updatedEvent = {
+        ...baseEvent,
+        address: '456 Other St, Test City',
+        start_time: '2023-01-02T12:00:00Z',
+        categories: [{ id: 1, name: 'Music' }]
+      };
+
+      const changes = diffEvents(baseEvent, updatedEvent);
+
+      expect(changes).toEqual({
+        address: {
+          old: '123 Test St, Test City',
+          new: '456 Other St, Test City'
+        },
+        start_time: {
+          old: '2023-01-01T12:00:00.000Z',
+          new: '2023-01-02T12:00:00.000Z'
+        },
+        categories: {
+          old: [{ id: 1, name: 'Music' }, { id: 2, name: 'Technology' }],
+          new: [{ id: 1, name: 'Music' }]
+        }
+      });
+    });
+
+    test('should ignore category order and date formats', () => {
+      const sameEvent = {
+        ...baseEvent,
+        start_time: '2023-01-01T12:00:00.000Z',
+        categories: [...baseEvent.categories].reverse()
+      };
+
+      expect(diffEvents(baseEvent, sameEvent)).toEqual({});
+    });
+  });
+
+  describe('undoRevisions', () => {
+    test('should restore old values from newest to oldest revision', () => {
+      const currentEvent = { ...baseEvent, title: 'Third Title' };
+      const revisions = [
+        { revision: 2, changes: { title: { old: 'Second Title', new: 'Third Title' } } },
+        { revision: 1, changes: { title: { old: 'Test Event', new: 'Second Title' } } }
+      ];
+
+      const snapshot = undoRevisions(currentEvent, revisions);
+
+      expect(snapshot.title).toBe('Test Event');
+    });
+  });
+
+  describe('snapshotToEventData', () => {
+    test('should map changed snapshot fields to update data', () => {
+      const currentEvent = {
+        ...baseEvent,
+        location: { latitude: 48.8566, longitude: 2.3522 },
+        end_time: null,
+        categories: [{ id: 3, name: 'Sports' }]
+      };
+      const snapshot = undoRevisions(currentEvent, [{
+        revision: 1,
+        changes: {
+          location: { old: baseEvent.location, new: currentEvent.location },
+          end_time: { old: '2023-01-01T15:00:00.000Z', new: null },
+          categories: { old: [{ id: 1, name: 'Music' }], new: [{ id: 3, name: 'Sports' }] }
+        }
+      }]);
+
+      const eventData = snapshotToEventData(snapshot, currentEvent);
+
+      expect(eventData).toEqual({
+        latitude: 37.7749,
+        longitude: -122.4194,
+        endTime: '2023-01-01T15:00:00.000Z',
+        categories: [1]
+      });
+    });
+  });
+});
@@ -0,0 +1,139 @@
+const { parseCsv, parseIcs, isValidMapping } = require('../../utils/eventImport');
+
+describe('Event Import Utils', () => {
+  describe('parseCsv', () => {
+    test('should map columns to event fields and split list cells', () => {
+      const csv = [
+        'Name,lat,lng,startTime,categories',
+        'Jazz Night,37.7749,-122.4194,2023-01-01T20:00:00Z,Music; Art',
+        '',
+        'Meetup,37.78,-122.41,2023-01-02T18:00:00Z,'
+      ].join('\n');
+
+      const records = parseCsv(csv, { title: 'Name', latitude: 'lat', longitude: 'lng' });
+
+      expect(records).toEqual([
+        {
+          row: 2,
+          data: {
+            title: 'Jazz Night',
+            latitude: '37.7749',
+            longitude: '-122.4194',
+            startTime: '2023-01-01T20:00:00Z',
+            categoryNames: ['Music', 'Art']
+          }
+        },
+        {
+          row: 4,
+          data: {
+            title: 'Meetup',
+            latitude: '37.78',
+            longitude: '-122.41',
+            startTime: '2023-01-02T18:00:00Z'
+          }
+        }
+      ]);
+    });
+
+    test('should throw on rows with the wrong number of columns', () => {
+      expect(() => parseCsv('title,startTime\nA,2023-01-01,extra')).toThrow();
+    });
+  });
+
+  describe('parseIcs', () => {
+    test('should read events with their timezone, location and recurrence', () => {
+      const ics = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'BEGIN:VTIMEZONE',
+        'TZID:Europe/Paris',
+        'BEGIN:DAYLIGHT',
+        'DTSTART:19700329T020000',
+        'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+        'TZOFFSETFROM:+0100',
+        'TZOFFSETTO:+0200',
+        'END:DAYLIGHT',
+        'BEGIN:STANDARD',
+        'DTSTART:19701025T030000',
+        'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+        'TZOFFSETFROM:+0200',
+        'TZOFFSETTO:+0100',
+        'END:STANDARD',
+        'END:VTIMEZONE',
+        'BEGIN:VEVENT',
+        'UID:jazz-1',
+        'SUMMARY:Jazz\\, Night',
+        'DTSTART;TZID=Europe/Paris:20230701T200000',
+        'DTEND;TZID=Europe/Paris:20230701T230000',
+        'GEO:48.8566;2.3522',
+        'LOCATION:Paris',
+        'CATEGORIES:Music,Art',
+        'RRULE:FREQ=WEEKLY;COUNT=3',
+        'END:VEVENT',
+        'END:VCALENDAR'
+      ].join('\r\n');
+
+      const [record] = parseIcs(ics);
+
+      expect(record).toEqual({
+        row: 1,
+        uid: 'jazz-1',
+        isOccurrence: false,
+        data: {
+          title: 'Jazz, Night',
+          address: 'Paris',
+          startTime: '2023-07-01T18:00:00.000Z',
+          endTime: '2023-07-01T21:00:00.000Z',
+          latitude: '48.8566',
+          longitude: '2.3522',
+          categoryNames: ['Music', 'Art'],
+          recurrenceRule: 'FREQ=WEEKLY;COUNT=3'
+        }
+      });
+    });
+
+    test('should keep the timezones defined in a file to that file', () => {
+      const event = (tzid) => [
+        'BEGIN:VEVENT',
+        'UID:talk-1',
+        `DTSTART;TZID=${tzid}:20230701T200000`,
+        'DURATION:PT1H',
+        `EXDATE;TZID=${tzid}:20230708T200000`,
+        'END:VEVENT'
+      ];
+      const redefined = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'BEGIN:VTIMEZONE',
+        'TZID:Europe/Paris',
+        'BEGIN:STANDARD',
+        'DTSTART:19700101T000000',
+        'TZOFFSETFROM:+0500',
+        'TZOFFSETTO:+0500',
+        'END:STANDARD',
+        'END:VTIMEZONE',
+        ...event('Europe/Paris'),
+        'END:VCALENDAR'
+      ].join('\r\n');
+      const plain = ['BEGIN:VCALENDAR', 'VERSION:2.0', ...event('Europe/Paris'), 'END:VCALENDAR'].join('\r\n');
+
+      const [first] = parseIcs(redefined);
+      const [second] = parseIcs(plain);
+
+      expect(first.data.startTime).toBe('2023-07-01T15:00:00.000Z');
+      expect(first.data.endTime).toBe('2023-07-01T16:00:00.000Z');
+      expect(first.data.exdates).toEqual(['2023-07-08T15:00:00.000Z']);
+      expect(second.data.startTime).toBe('2023-07-01T18:00:00.000Z');
+      expect(second.data.endTime).toBe('2023-07-01T19:00:00.000Z');
+      expect(second.data.exdates).toEqual(['2023-07-08T18:00:00.000Z']);
+    });
+  });
+
+  describe('isValidMapping', () => {
+    test('should only accept known fields mapped to column names', () => {
+      expect(isValidMapping({ title: 'Name' })).toBe(true);
+      expect(isValidMapping({ creatorId: 'Owner' })).toBe(false);
+      expect(isValidMapping(['title'])).toBe(false);
+    });
+  });
+});
@@ -123,6 +123,266 @@ describe('Event Model', () => {
       // Check result
       expect(result).toEqual(mockEvent);
     });
+
+    test('should default the timezone to the one at the event location', async () => {
+      const mockClient = {
+        query: jest.fn().mockImplementation((query) => {
+          if (typeof query === 'string' && query.includes('INSERT INTO events')) {
+            return Promise.resolve({ rows: [{ id: 1 }] });
+          }
+          return Promise.resolve({ rows: [] });
+        }),
+        release: jest.fn()
+      };
+      db.pool.connect.mockResolvedValue(mockClient);
+      Event.getById = jest.fn().mockResolvedValue({ id: 1 });
+
+      await Event.create({
+        title: 'Concert',
+        latitude: 48.8566,
+        longitude: 2.3522,
+        startTime: '2024-06-01T17:00:00Z',
+        creatorId: 1,
+        categories: []
+      });
+
+      const insertCall = mockClient.query.mock.calls.find(([query]) => query.includes('INSERT INTO events'));
+      expect(insertCall[1][15]).toBe('Europe/Paris');
+    });
+  });
+
+  describe('clone', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should not copy the invitees of the original event', async () => {
+      const mockClient = { query: jest.fn().mockResolvedValue({ rows: [] }), release: jest.fn() };
+      db.pool.connect.mockResolvedValue(mockClient);
+      jest.spyOn(Event, 'getById').mockResolvedValue({
+        id: 1, title: 'Private Dinner', start_time: '2024-07-01T18:00:00Z', end_time: null, location: null,
+        categories: [], visibility: 'private'
+      });
+      jest.spyOn(Event, 'insertEvent').mockResolvedValue({ id: 2, location: null });
+
+      await Event.clone(1, { startTime: '2024-07-08T18:00:00Z', creatorId: 3 });
+
+      expect(mockClient.query).not.toHaveBeenCalledWith(expect.stringContaining('event_invitees'), expect.anything());
+      expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+    });
+  });
+
+  describe('update', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should edit the whole series when splitting it at its first occurrence', async () => {
+      const mockClient = {
+        query: jest.fn().mockImplementation(async (query) => {
+          if (query.includes('FOR UPDATE')) {
+            return { rows: [{ id: 1, start_time: '2024-07-01T18:00:00Z', recurrence_rule: 'FREQ=WEEKLY', version: 1 }] };
+          }
+          return { rows: query.includes('RETURNING') ? [{ id: 1, location: null }] : [] };
+        }),
+        release: jest.fn()
+      };
+      db.pool.connect.mockResolvedValue(mockClient);
+      jest.spyOn(Event, 'getById').mockResolvedValue({ id: 1, capacity: 50, location: null });
+      jest.spyOn(Event, 'promoteWaitlist').mockResolvedValue([{ user_id: 4 }]);
+
+      const result = await Event.update(1, { scope: 'following', occurrenceStart: '2024-07-01T18:00:00Z', capacity: 50 });
+
+      expect(result).toEqual({ event: { id: 1, capacity: 50, location: null }, promoted: [{ user_id: 4 }] });
+    });
+
+    test('should return no event when splitting a series that does not exist', async () => {
+      const mockClient = { query: jest.fn().mockResolvedValue({ rows: [] }), release: jest.fn() };
+      db.pool.connect.mockResolvedValue(mockClient);
+
+      const result = await Event.update(1, { scope: 'following', occurrenceStart: '2024-07-01T18:00:00Z', capacity: 50 });
+
+      expect(result).toEqual({ event: null, promoted: [] });
+    });
+  });
+
+  describe('buildDateCondition', () => {
+    test('should compare instants as given', () => {
+      const { condition, values } = Event.buildDateCondition('2024-06-01T10:00:00Z', null, 3);
+
+      expect(condition).toContain('e.start_time >= $3');
+      expect(values).toEqual(['2024-06-01T10:00:00Z']);
+    });
+
+    test('should read days in each event\'s timezone', () => {
+      const { condition, values } = Event.buildDateCondition('2024-06-01', '2024-06-02', 1);
+
+      expect(condition).toContain('e.start_time >= (($1::date)::timestamp AT TIME ZONE e.timezone)');
+      expect(condition).toContain('e.start_time < (($2::date + 1)::timestamp AT TIME ZONE e.timezone)');
+      expect(values).toEqual(['2024-06-01', '2024-06-02']);
+    });
+
+    test('should take "today" in each event\'s timezone without a parameter', () => {
+      const { condition, values } = Event.buildDateCondition('today', 'today', 1);
+
+      expect(condition).toContain('(CURRENT_TIMESTAMP AT TIME ZONE e.timezone)::date');
+      expect(values).toEqual([]);
+    });
+  });
+
+  describe('delete', () => {
+    test('should soft delete the event instead of removing it', async () => {
+      db.query.mockResolvedValue({ rows: [{ id: 1 }] });
+
+      const result = await Event.delete(1);
+
+      // Check the row was marked as deleted, not removed
+      expect(db.query).toHaveBeenCalledWith(
+        expect.stringContaining('SET deleted_at = CURRENT_TIMESTAMP'),
+        [1, null]
+      );
+      expect(db.query).not.toHaveBeenCalledWith(
+        expect.stringContaining('DELETE FROM events'),
+        expect.anything()
+      );
+      expect(result).toBe(true);
+    });
+
+    test('should not delete an event that changed since the expected version', async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      const result = await Event.delete(1, 2);
+
+      expect(db.query).toHaveBeenCalledWith(
+        expect.stringContaining('version = $2'),
+        [1, 2]
+      );
+      expect(result).toBe(false);
+    });
+  });
+
+  describe('restore', () => {
+    test('should restore a deleted event', async () => {
+      db.query.mockResolvedValue({ rows: [{ id: 1, location: null }] });
+      jest.spyOn(Event, 'getById').mockResolvedValue({ id: 1, title: 'Test Event' });
+
+      const result = await Event.restore(1);
+
+      expect(db.query).toHaveBeenCalledWith(
+        expect.stringContaining('SET deleted_at = NULL'),
+        [1]
+      );
+      expect(db.query.mock.calls[0][0]).toContain('deleted_at IS NOT NULL');
+      expect(result).toEqual({ id: 1, title: 'Test Event' });
+      Event.getById.mockRestore();
+    });
+
+    test('should return null if the event is not in the trash', async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      const result = await Event.restore(1);
+
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('getTrash', () => {
+    test('should list deleted events with their purge date', async () => {
+      const purgeAt = new Date('2023-02-01T00:00:00Z');
+      db.query
+        .mockResolvedValueOnce({ rows: [{ total: '11' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 1, location: 'POINT(-122.4194 37.7749)', purge_at: purgeAt }] });
+      db.fromGeographyPoint.mockReturnValue({ latitude: 37.7749, longitude: -122.4194 });
+
+      const result = await Event.getTrash(1, 30, 2, 10);
+
+      const [query, values] = db.query.mock.calls[1];
+      expect(query).toContain('e.creator_id = $1 AND e.deleted_at IS NOT NULL');
+      expect(query).toContain('e.deleted_at + make_interval(days => $2) as purge_at');
+      expect(values).toEqual([1, 30, 10, 10]);
+      expect(result.events).toEqual([
+        { id: 1, location: { latitude: 37.7749, longitude: -122.4194 }, purge_at: purgeAt }
+      ]);
+      expect(result.pagination).toEqual({ total: 11, page: 2, limit: 10, pages: 2 });
+    });
+  });
+
+  describe('purgeDeleted', () => {
+    test('should remove events deleted before the retention period', async () => {
+      db.query.mockResolvedValue({ rows: [{ id: 3 }, { id: 5 }] });
+
+      const result = await Event.purgeDeleted(30);
+
+      const [query, values] = db.query.mock.calls[0];
+      expect(query).toContain('DELETE FROM events');
+      expect(query).toContain('deleted_at < CURRENT_TIMESTAMP - make_interval(days => $1)');
+      expect(values).toEqual([30]);
+      expect(result).toEqual([3, 5]);
+    });
+  });
+
+  describe('rsvp', () => {
+    let mockClient;
+
+    beforeEach(() => {
+      mockClient = {
+        query: jest.fn(),
+        release: jest.fn()
+      };
+
+      db.pool.connect.mockResolvedValue(mockClient);
+    });
+
+    const mockRsvpQueries = ({ capacity, going }) => {
+      mockClient.query.mockImplementation((query, params) => {
+        if (query.includes('SELECT capacity FROM events')) {
+          return Promise.resolve({ rows: [{ capacity }] });
+        } else if (query.includes('COUNT(*) as going')) {
+          return Promise.resolve({ rows: [{ going: String(going) }] });
+        } else if (query.includes('INSERT INTO event_rsvps')) {
+          return Promise.resolve({
+            rows: [{ event_id: params[0], user_id: params[1], status: params[2] }]
+          });
+        }
+        return Promise.resolve({ rows: [] });
+      });
+    };
+
+    test('should confirm a seat when the event has room', async () => {
+      mockRsvpQueries({ capacity: 2, going: 1 });
+
+      const result = await Event.rsvp(1, 5);
+
+      // Check the event row was locked before counting seats
+      expect(mockClient.query).toHaveBeenCalledWith(
+        expect.stringContaining('FOR UPDATE'),
+        [1]
+      );
+      expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+      expect(mockClient.release).toHaveBeenCalled();
+      expect(result).toEqual({ event_id: 1, user_id: 5, status: 'going' });
+    });
+
+    test('should put the user on the waitlist when the event is full', async () => {
+      mockRsvpQueries({ capacity: 2, going: 2 });
+
+      const result = await Event.rsvp(1, 5);
+
+      expect(result.status).toBe('waitlisted');
+    });
+
+    test('should return null when the event does not exist', async () => {
+      mockClient.query.mockResolvedValue({ rows: [] });
+
+      const result = await Event.rsvp(99, 5);
+
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(mockClient.query).not.toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO event_rsvps'),
+        expect.anything()
+      );
+      expect(result).toBeNull();
+    });
   });
 
   describe('searchByLocation', () => {
@@ -0,0 +1,195 @@
+const eventService = require('../../services/eventService');
+const eventController = require('../../controllers/eventController');
+const Event = require('../../models/Event');
+const EventOrganizer = require('../../models/EventOrganizer');
+const EventRevision = require('../../models/EventRevision');
+const User = require('../../models/User');
+const notificationService = require('../../services/notificationService');
+const { hasPermission } = require('../../utils/eventPermissions');
+
+// Mock dependencies
+jest.mock('../../config/database');
+jest.mock('../../models/Event');
+jest.mock('../../models/EventOrganizer');
+jest.mock('../../models/EventRevision');
+jest.mock('../../models/User');
+jest.mock('../../services/notificationService');
+
+describe('Event Organizers', () => {
+  let req;
+
+  const event = { id: 1, title: 'Team Event', creator_id: 1, status: 'published', version: 1 };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    req = {
+      t: jest.fn().mockImplementation(key => key) // Mock i18n translation function
+    };
+
+    Event.getById.mockResolvedValue(event);
+    EventOrganizer.getRole.mockImplementation(async (evt, userId) => {
+      return { 1: 'owner', 2: 'editor', 3: 'checkin_staff' }[userId] || null;
+    });
+  });
+
+  describe('hasPermission', () => {
+    test('should grant each role its permissions only', () => {
+      expect(hasPermission('owner', 'delete')).toBe(true);
+      expect(hasPermission('editor', 'edit')).toBe(true);
+      expect(hasPermission('editor', 'delete')).toBe(false);
+      expect(hasPermission('checkin_staff', 'view_attendees')).toBe(true);
+      expect(hasPermission('checkin_staff', 'edit')).toBe(false);
+      expect(hasPermission(null, 'view_draft')).toBe(false);
+    });
+  });
+
+  describe('updateEvent', () => {
+    test('should let an editor update the event', async () => {
+      Event.update.mockResolvedValue({ event: { ...event, title: 'Renamed', version: 2 }, promoted: [] });
+
+      const result = await eventService.updateEvent(1, { title: 'Renamed' }, 2, req);
+
+      expect(Event.update).toHaveBeenCalled();
+      expect(result.title).toBe('Renamed');
+    });
+
+    test('should notify the users given a seat when the capacity goes up', async () => {
+      Event.update.mockResolvedValue({ event: { ...event, capacity: 50, version: 2 }, promoted: [4, 5] });
+
+      await eventService.updateEvent(1, { capacity: 50 }, 2, req);
+
+      expect(notificationService.sendWaitlistPromotionNotification).toHaveBeenCalledWith(1, [4, 5]);
+    });
+
+    test('should keep the update and its revision when the promotion notification fails', async () => {
+      Event.update.mockResolvedValue({ event: { ...event, capacity: 50, version: 2 }, promoted: [4] });
+      notificationService.sendWaitlistPromotionNotification.mockRejectedValueOnce(new Error('Queue down'));
+      jest.spyOn(console, 'error').mockImplementationOnce(() => {});
+
+      const result = await eventService.updateEvent(1, { capacity: 50 }, 2, req);
+
+      expect(result.capacity).toBe(50);
+      expect(EventRevision.create).toHaveBeenCalled();
+    });
+
+    test('should not let check-in staff update the event', async () => {
+      await expect(eventService.updateEvent(1, { title: 'Renamed' }, 3, req))
+        .rejects.toMatchObject({ statusCode: 403 });
+      expect(Event.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deleteEvent', () => {
+    test('should only let the owner delete the event', async () => {
+      await expect(eventService.deleteEvent(1, 2, req))
+        .rejects.toMatchObject({ statusCode: 403 });
+      expect(Event.delete).not.toHaveBeenCalled();
+    });
+
+    test('should fail with 412 if the event changed after the If-Match check', async () => {
+      Event.delete.mockResolvedValue(false);
+      req.expectedVersion = 1;
+
+      await expect(eventService.deleteEvent(1, 1, req))
+        .rejects.toMatchObject({ statusCode: 412 });
+      expect(Event.delete).toHaveBeenCalledWith(1, 1);
+    });
+  });
+
+  describe('restoreEvent', () => {
+    test('should let the owner restore the event', async () => {
+      Event.getDeletedById.mockResolvedValue(event);
+      Event.restore.mockResolvedValue(event);
+
+      const result = await eventService.restoreEvent(1, 1, req);
+
+      expect(Event.restore).toHaveBeenCalledWith(1);
+      expect(result).toBe(event);
+    });
+
+    test('should answer with the status of refused restores', async () => {
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      Event.getDeletedById.mockResolvedValue(event);
+      jest.spyOn(console, 'error').mockImplementationOnce(() => {});
+
+      await eventController.restoreEvent({ ...req, params: { id: 1 }, user: { id: 2 } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({ success: false, message: 'unauthorized' });
+      expect(Event.restore).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('inviteOrganizer', () => {
+    test('should invite a user when asked by the owner', async () => {
+      User.findById.mockResolvedValue({ id: 4, username: 'dana' });
+      EventOrganizer.invite.mockResolvedValue({ user_id: 4, role: 'editor', accepted_at: null });
+
+      const organizer = await eventService.inviteOrganizer(1, 4, 'editor', 1, req);
+
+      expect(EventOrganizer.invite).toHaveBeenCalledWith(1, 4, 'editor', 1);
+      expect(organizer.role).toBe('editor');
+    });
+
+    test('should not let an editor invite organizers', async () => {
+      await expect(eventService.inviteOrganizer(1, 4, 'editor', 2, req))
+        .rejects.toMatchObject({ statusCode: 403 });
+      expect(EventOrganizer.invite).not.toHaveBeenCalled();
+    });
+
+    test('should reject inviting the owner', async () => {
+      await expect(eventService.inviteOrganizer(1, 1, 'editor', 1, req))
+        .rejects.toMatchObject({ statusCode: 400, message: 'alreadyOwner' });
+    });
+  });
+
+  describe('removeOrganizer', () => {
+    test('should let an organizer remove themselves', async () => {
+      EventOrganizer.remove.mockResolvedValue(true);
+
+      await expect(eventService.removeOrganizer(1, 3, 3, req)).resolves.toBe(true);
+      expect(EventOrganizer.remove).toHaveBeenCalledWith(1, 3);
+    });
+
+    test('should not let an editor remove another organizer', async () => {
+      await expect(eventService.removeOrganizer(1, 3, 2, req))
+        .rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+
+  describe('transferOwnership', () => {
+    test('should transfer the event to an accepted organizer', async () => {
+      EventOrganizer.getByEventAndUser.mockResolvedValue({ user_id: 2, role: 'editor', accepted_at: new Date() });
+
+      await eventService.transferOwnership(1, 2, 1, req);
+
+      expect(EventOrganizer.transferOwnership).toHaveBeenCalledWith(1, 2, 1);
+    });
+
+    test('should reject a pending invitee', async () => {
+      EventOrganizer.getByEventAndUser.mockResolvedValue({ user_id: 4, role: 'editor', accepted_at: null });
+
+      await expect(eventService.transferOwnership(1, 4, 1, req))
+        .rejects.toMatchObject({ statusCode: 400, message: 'notAnOrganizer' });
+      expect(EventOrganizer.transferOwnership).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('organizer changes', () => {
+    const db = require('../../config/database');
+    const { accept, remove } = jest.requireActual('../../models/EventOrganizer');
+
+    test('should move the event updated_at so cached event lists change for the organizer', async () => {
+      db.query.mockResolvedValue({ rows: [{ user_id: 2 }] });
+
+      await accept(1, 2);
+      await remove(1, 2);
+
+      expect(db.query).toHaveBeenCalledTimes(2);
+      for (const [query] of db.query.mock.calls) {
+        expect(query).toContain('UPDATE events SET updated_at = CURRENT_TIMESTAMP WHERE id = $1');
+      }
+    });
+  });
+});
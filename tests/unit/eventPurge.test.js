@@ -0,0 +1,32 @@
+const Event = require('../../models/Event');
+const mediaService = require('../../services/mediaService');
+const eventPurgeService = require('../../services/eventPurgeService');
+
+// Mock database module
+jest.mock('../../config/database');
+
+describe('Event Purge', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(Event, 'purgeDeleted').mockResolvedValue([]);
+    jest.spyOn(mediaService, 'purgeOrphans').mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    eventPurgeService.stop();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('should purge once on start, then at every interval', () => {
+    eventPurgeService.start();
+
+    jest.advanceTimersByTime(0);
+    expect(Event.purgeDeleted).toHaveBeenCalledTimes(1);
+    expect(Event.purgeDeleted).toHaveBeenCalledWith(eventPurgeService.retentionDays);
+
+    jest.advanceTimersByTime(eventPurgeService.intervalHours * 60 * 60 * 1000);
+    expect(Event.purgeDeleted).toHaveBeenCalledTimes(2);
+  });
+});
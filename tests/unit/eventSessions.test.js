@@ -0,0 +1,134 @@
+const sessionService = require('../../services/sessionService');
+const eventService = require('../../services/eventService');
+const Event = require('../../models/Event');
+const EventSession = require('../../models/EventSession');
+const db = require('../../config/database');
+
+// Mock dependencies
+jest.mock('../../config/database');
+jest.mock('../../models/EventSession');
+jest.mock('../../services/notificationService');
+
+describe('Event Sessions', () => {
+  let req;
+
+  const event = {
+    id: 1,
+    title: 'Tech Conference',
+    creator_id: 1,
+    status: 'published',
+    start_time: '2024-06-01T08:00:00Z',
+    end_time: '2024-06-02T18:00:00Z',
+    recurrence_rule: null
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    req = {
+      t: jest.fn().mockImplementation(key => key) // Mock i18n translation function
+    };
+
+    jest.spyOn(Event, 'getById').mockResolvedValue(event);
+    jest.spyOn(eventService, 'canUser').mockImplementation(async (evt, userId) => userId === 1);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createSession', () => {
+    const sessionData = { title: 'Keynote', startTime: '2024-06-01T09:00:00Z', endTime: '2024-06-01T10:00:00Z' };
+
+    test('should add a session within the event times', async () => {
+      EventSession.create.mockResolvedValue({ id: 5, title: 'Keynote' });
+
+      const session = await sessionService.createSession(1, sessionData, 1, req);
+
+      expect(EventSession.create).toHaveBeenCalledWith({ ...sessionData, eventId: 1 });
+      expect(session.id).toBe(5);
+    });
+
+    test('should only let organizers who can edit the event add sessions', async () => {
+      await expect(sessionService.createSession(1, sessionData, 2, req))
+        .rejects.toMatchObject({ statusCode: 403 });
+      expect(EventSession.create).not.toHaveBeenCalled();
+    });
+
+    test('should reject sessions ending before they start', async () => {
+      await expect(sessionService.createSession(1, { ...sessionData, endTime: '2024-06-01T08:30:00Z' }, 1, req))
+        .rejects.toMatchObject({ statusCode: 400, message: 'invalidSessionTimes' });
+    });
+
+    test('should reject sessions outside the event times', async () => {
+      await expect(sessionService.createSession(1, {
+        title: 'After party',
+        startTime: '2024-06-02T20:00:00Z'
+      }, 1, req)).rejects.toMatchObject({ statusCode: 400, message: 'sessionOutsideEvent' });
+    });
+  });
+
+  describe('updateSession', () => {
+    test('should check the new times against the current ones', async () => {
+      EventSession.getById.mockResolvedValue({
+        id: 5,
+        start_time: '2024-06-01T09:00:00Z',
+        end_time: '2024-06-01T10:00:00Z'
+      });
+
+      await expect(sessionService.updateSession(1, 5, { startTime: '2024-06-01T11:00:00Z' }, 1, req))
+        .rejects.toMatchObject({ statusCode: 400, message: 'invalidSessionTimes' });
+      expect(EventSession.update).not.toHaveBeenCalled();
+    });
+
+    test('should answer 404 for a session of another event', async () => {
+      EventSession.getById.mockResolvedValue(null);
+
+      await expect(sessionService.updateSession(1, 99, { title: 'Renamed' }, 1, req))
+        .rejects.toMatchObject({ statusCode: 404, message: 'sessionNotFound' });
+    });
+  });
+
+  describe('searchByLocation', () => {
+    test('should match events by the location and time of their sessions', async () => {
+      Event.getById.mockRestore();
+      db.query.mockImplementation((query) => {
+        if (query.includes('COUNT')) {
+          return Promise.resolve({ rows: [{ total: '0' }] });
+        }
+        return Promise.resolve({ rows: [] });
+      });
+
+      await Event.searchByLocation({
+        latitude: 48.85,
+        longitude: 2.35,
+        radius: 5,
+        startDate: '2024-06-01T00:00:00Z',
+        endDate: '2024-06-01T23:59:59Z'
+      });
+
+      const [query, values] = db.query.mock.calls[0];
+      expect(query).toContain('FROM event_sessions s');
+      expect(query).toContain('ST_DWithin(COALESCE(s.location, e.location)');
+      expect(query).toContain('s.start_time >= $4 AND s.start_time <= $5');
+      expect(query).toContain('LEAST(');
+      expect(values).toEqual([5, 48.85, 2.35, '2024-06-01T00:00:00Z', '2024-06-01T23:59:59Z']);
+    });
+  });
+
+  describe('create', () => {
+    test('should bump the version of the event in the same transaction', async () => {
+      const ActualEventSession = jest.requireActual('../../models/EventSession');
+      const client = { query: jest.fn().mockResolvedValue({ rows: [{ id: 5 }] }), release: jest.fn() };
+      db.pool.connect.mockResolvedValue(client);
+      jest.spyOn(ActualEventSession, 'getById').mockResolvedValue({ id: 5, title: 'Keynote' });
+
+      await ActualEventSession.create({ eventId: 1, title: 'Keynote', startTime: '2024-06-01T09:00:00Z' });
+
+      const queries = client.query.mock.calls.map(([query]) => query);
+      expect(client.query).toHaveBeenCalledWith(expect.stringContaining('version = version + 1'), [1]);
+      expect(queries.findIndex(query => query.includes('version = version + 1'))).toBeLessThan(queries.indexOf('COMMIT'));
+      ActualEventSession.getById.mockRestore();
+    });
+  });
+});
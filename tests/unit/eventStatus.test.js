@@ -0,0 +1,95 @@
+const Event = require('../../models/Event');
+const eventService = require('../../services/eventService');
+const notificationService = require('../../services/notificationService');
+const eventController = require('../../controllers/eventController');
+const { canTransition } = require('../../utils/eventStatus');
+
+// Mock database module
+jest.mock('../../config/database');
+
+describe('Event Status', () => {
+  let req, res;
+
+  beforeEach(() => {
+    req = {
+      params: { id: 1 },
+      body: { status: 'cancelled', reason: 'Storm warning' },
+      user: { id: 1 },
+      t: jest.fn().mockImplementation(key => key) // Mock i18n translation function
+    };
+
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    };
+
+    jest.spyOn(eventService, 'canUser').mockResolvedValue(true);
+    jest.spyOn(Event, 'updateStatus').mockResolvedValue({ id: 1, status: 'cancelled' });
+    jest.spyOn(notificationService, 'sendEventStatusNotification').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('canTransition', () => {
+    test('should allow the lifecycle transitions', () => {
+      expect(canTransition('draft', 'published')).toBe(true);
+      expect(canTransition('published', 'postponed')).toBe(true);
+      expect(canTransition('postponed', 'published')).toBe(true);
+      expect(canTransition('published', 'completed')).toBe(true);
+    });
+
+    test('should refuse going back, leaving final statuses and unknown statuses', () => {
+      expect(canTransition('published', 'draft')).toBe(false);
+      expect(canTransition('draft', 'cancelled')).toBe(false);
+      expect(canTransition('cancelled', 'published')).toBe(false);
+      expect(canTransition('completed', 'published')).toBe(false);
+      expect(canTransition('published', 'published')).toBe(false);
+      expect(canTransition('archived', 'published')).toBe(false);
+    });
+  });
+
+  describe('changeStatus', () => {
+    test('should change the status and notify attendees of cancellations', async () => {
+      jest.spyOn(Event, 'getById').mockResolvedValue({ id: 1, status: 'published' });
+
+      await eventController.changeStatus(req, res);
+
+      expect(Event.updateStatus).toHaveBeenCalledWith(1, 'cancelled', 'Storm warning');
+      expect(notificationService.sendEventStatusNotification).toHaveBeenCalledWith(1, 'cancelled', 'Storm warning');
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    test('should keep the status change when the notification fails', async () => {
+      jest.spyOn(Event, 'getById').mockResolvedValue({ id: 1, status: 'published' });
+      notificationService.sendEventStatusNotification.mockRejectedValue(new Error('Queue down'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await eventController.changeStatus(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    test('should return 400 for a transition that is not allowed', async () => {
+      jest.spyOn(Event, 'getById').mockResolvedValue({ id: 1, status: 'completed' });
+
+      await eventController.changeStatus(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ success: false, message: 'invalidStatusTransition' });
+      expect(Event.updateStatus).not.toHaveBeenCalled();
+      expect(notificationService.sendEventStatusNotification).not.toHaveBeenCalled();
+    });
+
+    test('should return 403 if the user may not change the status', async () => {
+      jest.spyOn(Event, 'getById').mockResolvedValue({ id: 1, status: 'published' });
+      eventService.canUser.mockResolvedValue(false);
+
+      await eventController.changeStatus(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(Event.updateStatus).not.toHaveBeenCalled();
+    });
+  });
+});
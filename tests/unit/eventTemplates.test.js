@@ -0,0 +1,152 @@
+const templateService = require('../../services/templateService');
+const eventService = require('../../services/eventService');
+const mediaService = require('../../services/mediaService');
+const Event = require('../../models/Event');
+const EventTemplate = require('../../models/EventTemplate');
+const { applyTemplate, templateFromEvent } = require('../../utils/eventTemplates');
+
+// Mock dependencies
+jest.mock('../../models/Event');
+jest.mock('../../models/EventTemplate');
+jest.mock('../../services/notificationService');
+
+describe('Event Templates', () => {
+  let req;
+
+  const event = {
+    id: 1,
+    title: 'Monthly Meetup',
+    description: 'Talks and pizza',
+    location: { latitude: 48.85, longitude: 2.35 },
+    address: '1 Rue de Rivoli',
+    start_time: '2024-06-01T17:00:00Z',
+    end_time: '2024-06-01T19:30:00Z',
+    creator_id: 1,
+    categories: [{ id: 2, name: 'Technology' }],
+    capacity: 50,
+    status: 'published',
+    venue_id: null,
+    language: 'fr',
+    timezone: 'Europe/Paris',
+    recurrence_rule: null
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    req = {
+      t: jest.fn().mockImplementation(key => key) // Mock i18n translation function
+    };
+
+    Event.getById.mockResolvedValue(event);
+    jest.spyOn(eventService, 'canUser').mockImplementation(async (evt, userId) => userId === 1);
+    jest.spyOn(mediaService, 'copyMedia').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('templateFromEvent', () => {
+    test('should keep the reusable fields and the duration', () => {
+      expect(templateFromEvent(event)).toEqual({
+        title: 'Monthly Meetup',
+        description: 'Talks and pizza',
+        address: '1 Rue de Rivoli',
+        latitude: 48.85,
+        longitude: 2.35,
+        footprint: null,
+        venueId: null,
+        categories: [2],
+        tags: [],
+        attributes: {},
+        capacity: 50,
+        language: 'fr',
+        timezone: 'Europe/Paris',
+        recurrenceRule: null,
+        durationMinutes: 150
+      });
+    });
+  });
+
+  describe('applyTemplate', () => {
+    const data = templateFromEvent({ ...event, venue_id: 7 });
+
+    test('should fill the missing fields and the end time from the template', () => {
+      const body = applyTemplate({ templateId: 3, startTime: '2024-07-06T17:00:00Z', capacity: 80 }, data);
+
+      expect(body).not.toHaveProperty('templateId');
+      expect(body).not.toHaveProperty('durationMinutes');
+      expect(body.title).toBe('Monthly Meetup');
+      expect(body.capacity).toBe(80);
+      expect(body.venueId).toBe(7);
+      expect(body.endTime).toBe('2024-07-06T19:30:00.000Z');
+    });
+
+    test('should let coordinates in the body replace the template venue', () => {
+      const body = applyTemplate({ startTime: '2024-07-06T17:00:00Z', latitude: 45.76, longitude: 4.83 }, data);
+
+      expect(body).not.toHaveProperty('venueId');
+      expect(body.latitude).toBe(45.76);
+    });
+
+    test('should keep a given end time', () => {
+      const body = applyTemplate({ startTime: '2024-07-06T17:00:00Z', endTime: null }, data);
+      expect(body.endTime).toBeNull();
+    });
+  });
+
+  describe('cloneEvent', () => {
+    test('should copy an event with its media for the cloning organizer', async () => {
+      Event.clone.mockResolvedValue({ id: 9 });
+
+      await templateService.cloneEvent(1, { startTime: '2024-07-06T17:00:00Z' }, 1, req);
+
+      expect(Event.clone).toHaveBeenCalledWith(1, { startTime: '2024-07-06T17:00:00Z', creatorId: 1 });
+      expect(mediaService.copyMedia).toHaveBeenCalledWith(1, 9, 1);
+      expect(Event.getById).toHaveBeenLastCalledWith(9);
+    });
+
+    test('should keep the copy when its media could not be copied', async () => {
+      Event.clone.mockResolvedValue({ id: 9 });
+      mediaService.copyMedia.mockRejectedValue(new Error('disk full'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(templateService.cloneEvent(1, { startTime: '2024-07-06T17:00:00Z' }, 1, req)).resolves.toBe(event);
+    });
+
+    test('should only let organizers who can edit the event clone it', async () => {
+      await expect(templateService.cloneEvent(1, { startTime: '2024-07-06T17:00:00Z' }, 2, req))
+        .rejects.toMatchObject({ statusCode: 403 });
+      expect(Event.clone).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('templates', () => {
+    test('should save a template from an event', async () => {
+      EventTemplate.create.mockResolvedValue({ id: 3 });
+
+      await templateService.saveTemplate('Meetup', 1, 1, req);
+
+      expect(EventTemplate.create).toHaveBeenCalledWith(1, 'Meetup', templateFromEvent(event));
+    });
+
+    test('should hide the templates of other users', async () => {
+      EventTemplate.getById.mockResolvedValue({ id: 3, user_id: 1, name: 'Meetup', data: {} });
+
+      await expect(templateService.getTemplate(3, 2, req))
+        .rejects.toMatchObject({ statusCode: 404, message: 'templateNotFound' });
+      await expect(templateService.deleteTemplate(3, 2, req))
+        .rejects.toMatchObject({ statusCode: 404 });
+      expect(EventTemplate.delete).not.toHaveBeenCalled();
+    });
+
+    test('should only change the template fields given', async () => {
+      EventTemplate.getById.mockResolvedValue({ id: 3, user_id: 1, name: 'Meetup', data: { title: 'Meetup', capacity: 50 } });
+
+      await templateService.updateTemplate(3, undefined, { capacity: 80, title: undefined, status: 'cancelled' }, 1, req);
+
+      expect(EventTemplate.update).toHaveBeenCalledWith(3, { name: undefined, data: { title: 'Meetup', capacity: 80 } });
+    });
+  });
+});
@@ -0,0 +1,160 @@
+const jwt = require('jsonwebtoken');
+const eventService = require('../../services/eventService');
+const inviteService = require('../../services/inviteService');
+const Event = require('../../models/Event');
+const EventOrganizer = require('../../models/EventOrganizer');
+const EventInvitee = require('../../models/EventInvitee');
+const { createInviteToken, isValidInviteToken } = require('../../utils/eventVisibility');
+
+// Mock dependencies
+jest.mock('../../config/database');
+jest.mock('../../models/EventOrganizer');
+jest.mock('../../models/EventInvitee');
+jest.mock('../../services/notificationService');
+
+// Invite tokens are signed with the JWT secret
+process.env.JWT_SECRET = 'test-jwt-secret';
+
+describe('Event Visibility', () => {
+  let req;
+
+  const event = { id: 1, creator_id: 1, status: 'published', visibility: 'unlisted', invite_version: 1 };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    req = {
+      t: jest.fn().mockImplementation(key => key) // Mock i18n translation function
+    };
+
+    EventOrganizer.getRole.mockImplementation(async (evt, userId) => (userId === 1 ? 'owner' : null));
+    EventInvitee.isInvited.mockImplementation(async (eventId, userId) => userId === 2);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('invite tokens', () => {
+    test('should open the event they were signed for', () => {
+      const token = createInviteToken(event);
+
+      expect(isValidInviteToken(token, event)).toBe(true);
+      expect(isValidInviteToken(token, { ...event, id: 2 })).toBe(false);
+    });
+
+    test('should stop working once the invite link is reset', () => {
+      const token = createInviteToken(event);
+
+      expect(isValidInviteToken(token, { ...event, invite_version: 2 })).toBe(false);
+    });
+
+    test('should reject other tokens signed with the same secret', () => {
+      const authToken = jwt.sign({ id: 1, eventId: 1, version: 1 }, process.env.JWT_SECRET);
+
+      expect(isValidInviteToken(authToken, event)).toBe(false);
+      expect(isValidInviteToken('not-a-token', event)).toBe(false);
+      expect(isValidInviteToken(null, event)).toBe(false);
+    });
+  });
+
+  describe('canView', () => {
+    test('should show public events to everyone', async () => {
+      await expect(eventService.canView({ ...event, visibility: 'public' }, null)).resolves.toBe(true);
+    });
+
+    test('should show unlisted events through their invite link only', async () => {
+      await expect(eventService.canView(event, 3)).resolves.toBe(false);
+      await expect(eventService.canView(event, null, createInviteToken(event))).resolves.toBe(true);
+    });
+
+    test('should show private events to organizers and invitees only', async () => {
+      const privateEvent = { ...event, visibility: 'private' };
+
+      await expect(eventService.canView(privateEvent, 1)).resolves.toBe(true);
+      await expect(eventService.canView(privateEvent, 2)).resolves.toBe(true);
+      await expect(eventService.canView(privateEvent, 3, createInviteToken(privateEvent))).resolves.toBe(false);
+    });
+
+    test('should keep drafts for their organizers, invitees included', async () => {
+      const draft = { ...event, status: 'draft' };
+
+      await expect(eventService.canView(draft, 1)).resolves.toBe(true);
+      await expect(eventService.canView(draft, 2)).resolves.toBe(false);
+    });
+  });
+
+  describe('buildVisibilityCondition', () => {
+    test('should only list public events to anonymous users', () => {
+      const { condition, values } = Event.buildVisibilityCondition(null, 1);
+
+      expect(condition).toContain(`e.visibility = 'public'`);
+      expect(values).toEqual([]);
+    });
+
+    test('should list events to their organizers and invitees', () => {
+      const { condition, values } = Event.buildVisibilityCondition(5, 3);
+
+      expect(condition).toContain('e.creator_id = $3');
+      expect(condition).toContain('ei.user_id = $3');
+      expect(values).toEqual([5]);
+    });
+
+    test('should include unlisted events in linked lists', () => {
+      const { condition } = Event.buildVisibilityCondition(null, 1, { linked: true });
+
+      expect(condition).toContain(`e.visibility <> 'private'`);
+    });
+  });
+
+  describe('invitees', () => {
+    beforeEach(() => {
+      jest.spyOn(Event, 'getById').mockResolvedValue({ ...event, visibility: 'private' });
+    });
+
+    test('should let users with the invite link join the invitees', async () => {
+      EventInvitee.add.mockResolvedValue({ user_id: 3, invited_by: null });
+
+      await inviteService.joinByLink(1, createInviteToken(event), 3, req);
+
+      expect(EventInvitee.add).toHaveBeenCalledWith(1, 3);
+    });
+
+    test('should not reveal the event to a wrong invite link', async () => {
+      await expect(inviteService.joinByLink(1, 'not-a-token', 3, req))
+        .rejects.toMatchObject({ statusCode: 404, message: 'notFound' });
+      expect(EventInvitee.add).not.toHaveBeenCalled();
+    });
+
+    test('should only let the creator manage the invitees', async () => {
+      await expect(inviteService.addInvitee(1, 4, 2, req)).rejects.toMatchObject({ statusCode: 403 });
+      await expect(inviteService.removeInvitee(1, 2, 3, req)).rejects.toMatchObject({ statusCode: 404 });
+      expect(EventInvitee.add).not.toHaveBeenCalled();
+      expect(EventInvitee.remove).not.toHaveBeenCalled();
+    });
+
+    test('should let invitees leave', async () => {
+      EventInvitee.remove.mockResolvedValue(true);
+
+      await expect(inviteService.removeInvitee(1, 2, 2, req)).resolves.toBe(true);
+      expect(EventInvitee.remove).toHaveBeenCalledWith(1, 2);
+    });
+  });
+
+  describe('invitee changes', () => {
+    const db = require('../../config/database');
+    const { add, remove } = jest.requireActual('../../models/EventInvitee');
+
+    test('should move the event updated_at so cached event lists change for the invitee', async () => {
+      db.query.mockResolvedValue({ rows: [{ user_id: 3 }] });
+
+      await add(1, 3, 1);
+      await remove(1, 3);
+
+      expect(db.query).toHaveBeenCalledTimes(2);
+      for (const [query] of db.query.mock.calls) {
+        expect(query).toContain('UPDATE events SET updated_at = CURRENT_TIMESTAMP WHERE id = $1');
+      }
+    });
+  });
+});
@@ -0,0 +1,85 @@
+const Event = require('../../models/Event');
+const db = require('../../config/database');
+const { isValidFootprint } = require('../../utils/geoUtils');
+const { diffEvents, snapshotToEventData } = require('../../utils/eventDiff');
+
+// Mock database module
+jest.mock('../../config/database');
+
+describe('Event Footprints', () => {
+  const park = {
+    type: 'Polygon',
+    coordinates: [[[2.33, 48.86], [2.34, 48.86], [2.34, 48.87], [2.33, 48.87], [2.33, 48.86]]]
+  };
+
+  const parade = {
+    type: 'LineString',
+    coordinates: [[2.29, 48.87], [2.30, 48.87], [2.31, 48.86]]
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('isValidFootprint', () => {
+    test('should accept polygons and lines', () => {
+      expect(isValidFootprint(park)).toBe(true);
+      expect(isValidFootprint(parade)).toBe(true);
+    });
+
+    test('should reject other geometry types', () => {
+      expect(isValidFootprint({ type: 'Point', coordinates: [2.35, 48.85] })).toBe(false);
+      expect(isValidFootprint(null)).toBe(false);
+    });
+
+    test('should reject lines with a single position and positions out of range', () => {
+      expect(isValidFootprint({ type: 'LineString', coordinates: [[2.29, 48.87]] })).toBe(false);
+      expect(isValidFootprint({ type: 'LineString', coordinates: [[2.29, 48.87], [200, 48.87]] })).toBe(false);
+    });
+
+    test('should reject open and self-crossing polygons', () => {
+      const open = { type: 'Polygon', coordinates: [park.coordinates[0].slice(0, 4)] };
+      const bowtie = { type: 'Polygon', coordinates: [[[0, 0], [1, 1], [1, 0], [0, 1], [0, 0]]] };
+
+      expect(isValidFootprint(open)).toBe(false);
+      expect(isValidFootprint(bowtie)).toBe(false);
+    });
+  });
+
+  describe('create', () => {
+    test('should store the footprint and place the event on it without coordinates', async () => {
+      const client = { query: jest.fn().mockResolvedValue({ rows: [{ id: 5 }] }), release: jest.fn() };
+      db.pool.connect.mockResolvedValue(client);
+      jest.spyOn(Event, 'resolveTimezone').mockResolvedValue('Europe/Paris');
+      jest.spyOn(Event, 'getById').mockResolvedValue({ id: 5, footprint: park });
+
+      await Event.create({ title: 'Picnic', startTime: '2025-06-01T10:00:00Z', creatorId: 1, footprint: park });
+
+      const [query, values] = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO events'));
+      expect(query).toContain('ST_PointOnSurface(ST_SetSRID(ST_GeomFromGeoJSON($22::text), 4326)::geography::geometry)');
+      expect(values[21]).toBe(JSON.stringify(park));
+    });
+  });
+
+  describe('searchByLocation', () => {
+    test('should match and measure events by the nearest part of their footprint', async () => {
+      db.query.mockImplementation(async query => ({ rows: query.includes('COUNT') ? [{ total: '0' }] : [] }));
+
+      await Event.searchByLocation({ latitude: 48.85, longitude: 2.35 });
+
+      const [query] = db.query.mock.calls.find(([sql]) => sql.includes('distance_km'));
+      expect(query).toContain('ST_DWithin(e.footprint, ST_SetSRID(ST_MakePoint($3, $2), 4326)::geography, $1 * 1000)');
+      expect(query).toContain('ST_Distance(e.footprint, ST_SetSRID(ST_MakePoint($3, $2), 4326)::geography)');
+    });
+  });
+
+  describe('revisions', () => {
+    test('should restore a removed footprint', () => {
+      const before = { title: 'Parade', footprint: parade };
+      const after = { title: 'Parade', footprint: null };
+
+      expect(diffEvents(before, after)).toEqual({ footprint: { old: parade, new: null } });
+      expect(snapshotToEventData({ title: 'Parade', footprint: parade }, after)).toEqual({ footprint: parade });
+    });
+  });
+});
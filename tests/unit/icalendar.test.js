@@ -0,0 +1,92 @@
+const { buildCalendar, buildVTimezone, isValidTimezone } = require('../../utils/icalendar');
+
+describe('iCalendar Utils', () => {
+  const event = {
+    id: 1,
+    title: 'Jazz, Night',
+    description: 'Live music',
+    address: '123 Test St, Test City',
+    location: { latitude: 48.8566, longitude: 2.3522 },
+    start_time: new Date('2023-07-01T18:00:00Z'),
+    end_time: new Date('2023-07-01T21:00:00Z'),
+    status: 'published',
+    version: 3,
+    created_at: new Date('2023-06-01T10:00:00Z'),
+    updated_at: new Date('2023-06-02T10:00:00Z'),
+    categories: [{ id: 1, name: 'Music' }]
+  };
+
+  describe('buildCalendar', () => {
+    test('should render an event with a stable UID, sequence and geo coordinates', () => {
+      const calendar = buildCalendar([event], { name: 'Test', timezone: 'UTC' });
+
+      expect(calendar).toContain('BEGIN:VCALENDAR');
+      expect(calendar).toContain('UID:event-1@event-locator');
+      expect(calendar).toContain('SEQUENCE:2');
+      expect(calendar).toContain('GEO:48.8566;2.3522');
+      expect(calendar).toContain('SUMMARY:Jazz\\, Night');
+      expect(calendar).toContain('DTSTART:20230701T180000Z');
+      expect(calendar).toContain('CATEGORIES:Music');
+      expect(calendar).not.toContain('BEGIN:VTIMEZONE');
+    });
+
+    test('should write local times with a VTIMEZONE for other timezones', () => {
+      const calendar = buildCalendar([event], { timezone: 'Europe/Paris' });
+
+      expect(calendar).toContain('BEGIN:VTIMEZONE');
+      expect(calendar).toContain('TZID:Europe/Paris');
+      expect(calendar).toContain('DTSTART;TZID=Europe/Paris:20230701T200000');
+    });
+
+    test('should write recurring series without a timezone in UTC with exdates and edited occurrences', () => {
+      const series = {
+        ...event,
+        recurrence_rule: 'FREQ=WEEKLY;COUNT=3',
+        recurrence_exdates: [new Date('2023-07-08T18:00:00Z')],
+        overrides: [{ occurrence_start: new Date('2023-07-15T18:00:00Z'), title: 'Special Night' }]
+      };
+
+      const calendar = buildCalendar([series], { timezone: 'Europe/Paris' });
+
+      expect(calendar).toContain('RRULE:FREQ=WEEKLY;COUNT=3');
+      expect(calendar).toContain('EXDATE:20230708T180000Z');
+      expect(calendar).toContain('RECURRENCE-ID:20230715T180000Z');
+      expect(calendar).toContain('SUMMARY:Special Night');
+      expect(calendar).toContain('DTEND:20230715T210000Z');
+    });
+
+    test('should write recurring series in their own timezone', () => {
+      const series = {
+        ...event,
+        timezone: 'America/New_York',
+        recurrence_rule: 'FREQ=WEEKLY;COUNT=3',
+        recurrence_exdates: [new Date('2023-07-08T18:00:00Z')],
+        overrides: [{ occurrence_start: new Date('2023-07-15T18:00:00Z'), title: 'Special Night' }]
+      };
+
+      const calendar = buildCalendar([series], { timezone: 'Europe/Paris' });
+
+      expect(calendar).toContain('TZID:America/New_York');
+      expect(calendar).not.toContain('TZID:Europe/Paris');
+      expect(calendar).toContain('DTSTART;TZID=America/New_York:20230701T140000');
+      expect(calendar).toContain('EXDATE;TZID=America/New_York:20230708T140000');
+      expect(calendar).toContain('RECURRENCE-ID;TZID=America/New_York:20230715T140000');
+    });
+  });
+
+  describe('buildVTimezone', () => {
+    test('should include daylight saving transitions of the period', () => {
+      const vtimezone = buildVTimezone('Europe/Paris', new Date('2023-01-01T00:00:00Z'), new Date('2023-12-31T00:00:00Z')).toString();
+
+      expect(vtimezone).toContain('BEGIN:DAYLIGHT\r\nDTSTART:20230326T020000\r\nTZOFFSETFROM:+0100\r\nTZOFFSETTO:+0200');
+      expect(vtimezone).toContain('BEGIN:STANDARD\r\nDTSTART:20231029T030000\r\nTZOFFSETFROM:+0200\r\nTZOFFSETTO:+0100');
+    });
+  });
+
+  describe('isValidTimezone', () => {
+    test('should accept IANA timezones only', () => {
+      expect(isValidTimezone('America/New_York')).toBe(true);
+      expect(isValidTimezone('Mars/Olympus_Mons')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,83 @@
+const importService = require('../../services/importService');
+const Event = require('../../models/Event');
+const Category = require('../../models/Category');
+
+// Mock dependencies
+jest.mock('../../models/Event');
+jest.mock('../../models/Category');
+jest.mock('../../services/notificationService');
+
+describe('Import Service', () => {
+  let req;
+
+  const csvFile = (lines) => ({
+    originalname: 'events.csv',
+    mimetype: 'text/csv',
+    buffer: Buffer.from(lines.join('\n'))
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    req = {
+      t: jest.fn().mockImplementation(key => key) // Mock i18n translation function
+    };
+
+    Category.getByName.mockImplementation(async name => {
+      return name === 'Music' ? { id: 1, name: 'Music' } : null;
+    });
+    Event.existsForCreator.mockResolvedValue(false);
+    Event.createMany.mockImplementation(async events => events.map((event, index) => index + 10));
+  });
+
+  test('should create valid rows and report failed and skipped ones', async () => {
+    const file = csvFile([
+      'title,latitude,longitude,startTime,categories',
+      'Jazz Night,37.7749,-122.4194,2023-01-01T20:00:00Z,Music',
+      'No Place,,,2023-01-01T20:00:00Z,Music',
+      'Jazz Night,37.7749,-122.4194,2023-01-01T20:00:00Z,Music',
+      'Poetry,37.7749,-122.4194,2023-01-02T20:00:00Z,Poetry'
+    ]);
+
+    const result = await importService.importEvents(file, {}, 1, req);
+
+    expect(Event.createMany).toHaveBeenCalledTimes(1);
+    expect(Event.createMany).toHaveBeenCalledWith([
+      expect.objectContaining({
+        title: 'Jazz Night',
+        latitude: 37.7749,
+        longitude: -122.4194,
+        categories: [1],
+        creatorId: 1
+      })
+    ]);
+    expect(result.summary).toEqual({ total: 4, created: 1, skipped: 1, failed: 2 });
+    expect(result.rows[0]).toEqual({ row: 2, title: 'Jazz Night', status: 'created', eventId: 10 });
+    expect(result.rows[1].errors.map(error => error.param)).toEqual(
+      expect.arrayContaining(['latitude', 'longitude'])
+    );
+    expect(result.rows[2]).toMatchObject({ status: 'skipped', reason: 'importDuplicate' });
+    expect(result.rows[3].errors).toEqual([
+      { param: 'categories', value: 'Poetry', msg: 'categoryNotFound' }
+    ]);
+  });
+
+  test('should not create events in dry-run mode', async () => {
+    const file = csvFile([
+      'title,latitude,longitude,startTime',
+      'Jazz Night,37.7749,-122.4194,2023-01-01T20:00:00Z'
+    ]);
+
+    const result = await importService.importEvents(file, { dryRun: true }, 1, req);
+
+    expect(Event.createMany).not.toHaveBeenCalled();
+    expect(result.summary.created).toBe(1);
+    expect(result.rows[0].eventId).toBeUndefined();
+  });
+
+  test('should reject files it cannot parse', async () => {
+    const file = csvFile(['title,startTime', 'A,2023-01-01,extra']);
+
+    await expect(importService.importEvents(file, {}, 1, req)).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
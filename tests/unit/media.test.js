@@ -0,0 +1,83 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { detectMimeType, processImage } = require('../../utils/media');
+const LocalStorage = require('../../services/storage/localStorage');
+
+describe('Media Utils', () => {
+  const createImage = (width, height, format = 'png') => {
+    return sharp({ create: { width, height, channels: 3, background: '#336699' } })[format]().toBuffer();
+  };
+
+  describe('detectMimeType', () => {
+    test('should detect images and PDFs from their content', async () => {
+      expect(detectMimeType(await createImage(10, 10, 'png'))).toBe('image/png');
+      expect(detectMimeType(await createImage(10, 10, 'jpeg'))).toBe('image/jpeg');
+      expect(detectMimeType(await createImage(10, 10, 'webp'))).toBe('image/webp');
+      expect(detectMimeType(Buffer.from('%PDF-1.7\n%âãÏÓ\n'))).toBe('application/pdf');
+    });
+
+    test('should reject other content whatever its name', () => {
+      expect(detectMimeType(Buffer.from('<html><body>not an image</body></html>'))).toBeNull();
+      expect(detectMimeType(Buffer.from('MZ'))).toBeNull();
+    });
+  });
+
+  describe('processImage', () => {
+    test('should generate WebP variants without enlarging the image', async () => {
+      const { width, height, variants } = await processImage(await createImage(1000, 500));
+
+      expect({ width, height }).toEqual({ width: 1000, height: 500 });
+      expect(Object.keys(variants)).toEqual(['thumbnail', 'medium', 'large']);
+      expect(variants.thumbnail).toMatchObject({ width: 320, height: 160, contentType: 'image/webp' });
+      expect(variants.medium).toMatchObject({ width: 800, height: 400 });
+      expect(variants.large).toMatchObject({ width: 1000, height: 500 });
+      expect(detectMimeType(variants.large.buffer)).toBe('image/webp');
+    });
+  });
+
+  describe('LocalStorage', () => {
+    let root;
+    let storage;
+
+    beforeEach(() => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'media-test-'));
+      storage = new LocalStorage({ root, publicPath: '/uploads' });
+    });
+
+    afterEach(() => {
+      fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    test('should save, link and remove files', async () => {
+      const key = 'events/1/abc/original.pdf';
+
+      await storage.save(key, Buffer.from('%PDF-1.7'));
+      expect(fs.readFileSync(path.join(root, key), 'utf8')).toBe('%PDF-1.7');
+      expect(storage.getUrl(key)).toBe('/uploads/events/1/abc/original.pdf');
+
+      await storage.remove(key);
+      expect(fs.existsSync(path.join(root, key))).toBe(false);
+
+      // Removing a missing file is not an error
+      await expect(storage.remove(key)).resolves.toBeUndefined();
+    });
+
+    test('should copy files to another key', async () => {
+      await storage.save('events/1/a/original.pdf', Buffer.from('%PDF-1.7'));
+      await storage.copy('events/1/a/original.pdf', 'events/2/b/original.pdf');
+
+      expect(fs.readFileSync(path.join(root, 'events/2/b/original.pdf'), 'utf8')).toBe('%PDF-1.7');
+    });
+
+    test('should use the configured base URL', () => {
+      const cdnStorage = new LocalStorage({ root, publicPath: '/uploads', baseUrl: 'https://cdn.example.com/media/' });
+      expect(cdnStorage.getUrl('events/1/a.png')).toBe('https://cdn.example.com/media/events/1/a.png');
+    });
+
+    test('should refuse keys outside the storage directory', async () => {
+      await expect(storage.save('../escape.txt', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+    });
+  });
+});
@@ -0,0 +1,117 @@
+const Event = require('../../models/Event');
+const EventOrganizer = require('../../models/EventOrganizer');
+const db = require('../../config/database');
+const eventService = require('../../services/eventService');
+
+// Mock dependencies
+jest.mock('../../config/database');
+jest.mock('../../models/EventOrganizer');
+jest.mock('../../models/EventRevision');
+jest.mock('../../services/notificationService');
+
+describe('Online Events', () => {
+  let req;
+
+  const webinar = {
+    id: 1, creator_id: 1, status: 'published', visibility: 'public', mode: 'online',
+    join_url: 'https://meet.example.com/abc', location: null, capacity: null
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    req = {
+      t: jest.fn().mockImplementation(key => key) // Mock i18n translation function
+    };
+
+    EventOrganizer.getRole.mockImplementation(async (evt, userId) => (userId === 1 ? 'owner' : null));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('canSeeJoinUrl', () => {
+    test('should hide the join URL from anonymous users', async () => {
+      await expect(eventService.canSeeJoinUrl(webinar, null)).resolves.toBe(false);
+    });
+
+    test('should show the join URL of open events to signed-in users', async () => {
+      await expect(eventService.canSeeJoinUrl(webinar, 2)).resolves.toBe(true);
+    });
+
+    test('should only show the join URL of events with limited seats to attendees and organizers', async () => {
+      const limited = { ...webinar, capacity: 20 };
+      jest.spyOn(Event, 'getRsvpStatus').mockImplementation(async userId => {
+        return { 2: { status: 'going' }, 3: { status: 'waitlisted' } }[userId] || null;
+      });
+
+      await expect(eventService.canSeeJoinUrl(limited, 1)).resolves.toBe(true);
+      await expect(eventService.canSeeJoinUrl(limited, 2)).resolves.toBe(true);
+      await expect(eventService.canSeeJoinUrl(limited, 3)).resolves.toBe(false);
+      await expect(eventService.canSeeJoinUrl(limited, 4)).resolves.toBe(false);
+    });
+  });
+
+  describe('getEventById', () => {
+    test('should hide the join URL from those who cannot attend', async () => {
+      jest.spyOn(Event, 'getById').mockImplementation(async () => ({ ...webinar }));
+      jest.spyOn(Event, 'getAverageRating').mockResolvedValue({ average: null, count: 0 });
+      jest.spyOn(Event, 'getAttendance').mockResolvedValue({ going: 0, waitlisted: 0 });
+      jest.spyOn(Event, 'isFavorited').mockResolvedValue(false);
+      jest.spyOn(Event, 'getRsvpStatus').mockResolvedValue(null);
+
+      const anonymous = await eventService.getEventById(1, null, req);
+      const organizer = await eventService.getEventById(1, 1, { ...req, language: 'en' });
+
+      expect(anonymous.event.join_url).toBeNull();
+      expect(organizer.event.join_url).toBe(webinar.join_url);
+    });
+  });
+
+  describe('updateEvent', () => {
+    beforeEach(() => {
+      jest.spyOn(Event, 'getById').mockResolvedValue(webinar);
+      jest.spyOn(Event, 'update').mockResolvedValue({ event: webinar, promoted: [] });
+    });
+
+    test('should not move an online event to a place without a location', async () => {
+      await expect(eventService.updateEvent(1, { mode: 'hybrid' }, 1, req))
+        .rejects.toMatchObject({ statusCode: 400, message: 'locationRequired' });
+      expect(Event.update).not.toHaveBeenCalled();
+    });
+
+    test('should not remove the join URL of an online event', async () => {
+      await expect(eventService.updateEvent(1, { joinUrl: null }, 1, req))
+        .rejects.toMatchObject({ statusCode: 400, message: 'joinUrlRequired' });
+    });
+
+    test('should make an online event hybrid with a location', async () => {
+      await eventService.updateEvent(1, { mode: 'hybrid', latitude: 48.85, longitude: 2.35 }, 1, req);
+
+      expect(Event.update).toHaveBeenCalledWith(1, { mode: 'hybrid', latitude: 48.85, longitude: 2.35 });
+    });
+  });
+
+  describe('searchByLocation', () => {
+    beforeEach(() => {
+      db.query.mockImplementation(async query => ({ rows: query.includes('COUNT') ? [{ total: '0' }] : [] }));
+    });
+
+    test('should only match events near the search point by default', async () => {
+      await Event.searchByLocation({ latitude: 48.85, longitude: 2.35 });
+
+      const [query] = db.query.mock.calls[0];
+      expect(query).not.toContain(`e.mode <> 'in_person'`);
+    });
+
+    test('should include online events in the timezone or language of the searcher', async () => {
+      await Event.searchByLocation({ latitude: 48.85, longitude: 2.35, language: 'fr-CA', includeOnline: true });
+
+      const [query, values] = db.query.mock.calls[0];
+      expect(query).toContain(`e.mode <> 'in_person'`);
+      expect(query).toContain('e.start_time AT TIME ZONE $4');
+      expect(values).toEqual([10, 48.85, 2.35, 'Europe/Paris', ['fr']]);
+    });
+  });
+});
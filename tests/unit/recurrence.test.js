@@ -0,0 +1,160 @@
+const recurrence = require('../../utils/recurrence');
+
+describe('Recurrence Utils', () => {
+  const weeklyEvent = {
+    id: 1,
+    title: 'Weekly Meetup',
+    description: 'Every Monday',
+    address: '123 Test St, Test City',
+    start_time: new Date('2024-01-01T18:00:00Z'),
+    end_time: new Date('2024-01-01T20:00:00Z'),
+    recurrence_rule: 'FREQ=WEEKLY;BYDAY=MO',
+    recurrence_exdates: []
+  };
+
+  describe('isValidRule', () => {
+    test('should accept valid rules with or without prefix', () => {
+      expect(recurrence.isValidRule('FREQ=WEEKLY;BYDAY=MO')).toBe(true);
+      expect(recurrence.isValidRule('RRULE:FREQ=DAILY;COUNT=5')).toBe(true);
+    });
+
+    test('should reject invalid rules', () => {
+      expect(recurrence.isValidRule('')).toBe(false);
+      expect(recurrence.isValidRule('COUNT=3')).toBe(false);
+      expect(recurrence.isValidRule('not a rule')).toBe(false);
+      expect(recurrence.isValidRule(42)).toBe(false);
+    });
+  });
+
+  describe('getSeriesEnd', () => {
+    test('should return the last occurrence for counted series', () => {
+      const end = recurrence.getSeriesEnd('FREQ=WEEKLY;COUNT=3', '2024-01-01T18:00:00Z');
+      expect(end).toEqual(new Date('2024-01-15T18:00:00Z'));
+    });
+
+    test('should return null for open-ended series', () => {
+      expect(recurrence.getSeriesEnd('FREQ=WEEKLY', '2024-01-01T18:00:00Z')).toBeNull();
+    });
+  });
+
+  describe('isOccurrence', () => {
+    test('should match only dates generated by the rule', () => {
+      const { recurrence_rule, start_time } = weeklyEvent;
+      expect(recurrence.isOccurrence(recurrence_rule, start_time, '2024-01-08T18:00:00Z')).toBe(true);
+      expect(recurrence.isOccurrence(recurrence_rule, start_time, '2024-01-09T18:00:00Z')).toBe(false);
+      expect(recurrence.isOccurrence(recurrence_rule, start_time, 'invalid')).toBe(false);
+    });
+  });
+
+  describe('splitRule', () => {
+    test('should split counted series by number of occurrences', () => {
+      const { before, after } = recurrence.splitRule(
+        'FREQ=WEEKLY;COUNT=5', '2024-01-01T18:00:00Z', '2024-01-15T18:00:00Z'
+      );
+
+      expect(before).toBe('FREQ=WEEKLY;COUNT=2');
+      expect(after).toBe('FREQ=WEEKLY;COUNT=3');
+    });
+
+    test('should end open-ended series just before the split', () => {
+      const { before, after } = recurrence.splitRule(
+        'FREQ=WEEKLY', '2024-01-01T18:00:00Z', '2024-01-15T18:00:00Z'
+      );
+
+      expect(before).toBe('FREQ=WEEKLY;UNTIL=20240115T175959Z');
+      expect(after).toBe('FREQ=WEEKLY');
+    });
+  });
+
+  describe('expandOccurrences', () => {
+    test('should expand occurrences within the window keeping the duration', () => {
+      const occurrences = recurrence.expandOccurrences(weeklyEvent, '2024-01-05', '2024-01-20');
+
+      expect(occurrences).toHaveLength(2);
+      expect(occurrences[0]).toEqual(expect.objectContaining({
+        id: 1,
+        occurrence_start: new Date('2024-01-08T18:00:00Z'),
+        start_time: new Date('2024-01-08T18:00:00Z'),
+        end_time: new Date('2024-01-08T20:00:00Z')
+      }));
+      expect(occurrences[1].start_time).toEqual(new Date('2024-01-15T18:00:00Z'));
+    });
+
+    test('should skip exception dates and apply overrides', () => {
+      const event = {
+        ...weeklyEvent,
+        recurrence_exdates: [new Date('2024-01-08T18:00:00Z')]
+      };
+      const overrides = [{
+        occurrence_start: new Date('2024-01-15T18:00:00Z'),
+        title: 'Special Meetup',
+        description: null,
+        address: null,
+        start_time: new Date('2024-01-15T19:00:00Z'),
+        end_time: null
+      }];
+
+      const occurrences = recurrence.expandOccurrences(event, '2024-01-05', '2024-01-20', overrides);
+
+      expect(occurrences).toHaveLength(1);
+      expect(occurrences[0]).toEqual(expect.objectContaining({
+        title: 'Special Meetup',
+        description: 'Every Monday',
+        occurrence_start: new Date('2024-01-15T18:00:00Z'),
+        start_time: new Date('2024-01-15T19:00:00Z'),
+        end_time: new Date('2024-01-15T21:00:00Z')
+      }));
+    });
+  });
+
+  describe('timezones', () => {
+    test('should keep the local time of occurrences across DST changes', () => {
+      // 18:00 in Paris is 17:00Z in winter and 16:00Z in summer (clocks go forward on 2024-03-31)
+      const parisEvent = {
+        ...weeklyEvent,
+        start_time: new Date('2024-03-25T17:00:00Z'),
+        end_time: new Date('2024-03-25T19:00:00Z'),
+        timezone: 'Europe/Paris'
+      };
+
+      const occurrences = recurrence.expandOccurrences(parisEvent, '2024-03-25T00:00:00Z', '2024-04-02T00:00:00Z');
+
+      expect(occurrences.map(occurrence => occurrence.start_time)).toEqual([
+        new Date('2024-03-25T17:00:00Z'),
+        new Date('2024-04-01T16:00:00Z')
+      ]);
+      expect(occurrences[1].end_time).toEqual(new Date('2024-04-01T18:00:00Z'));
+    });
+
+    test('should read BYDAY as local days for events whose UTC time is on the next day', () => {
+      // Tuesday 19:00 in New York is Wednesday 00:00Z
+      const start = '2024-01-03T00:00:00Z';
+      const newYorkEvent = {
+        ...weeklyEvent,
+        start_time: new Date(start),
+        end_time: null,
+        recurrence_rule: 'FREQ=WEEKLY;BYDAY=TU',
+        timezone: 'America/New_York'
+      };
+
+      const occurrences = recurrence.expandOccurrences(newYorkEvent, start, '2024-01-11T00:00:00Z');
+
+      expect(occurrences.map(occurrence => occurrence.start_time)).toEqual([
+        new Date('2024-01-03T00:00:00Z'),
+        new Date('2024-01-10T00:00:00Z')
+      ]);
+      expect(recurrence.isOccurrence('FREQ=WEEKLY;BYDAY=TU', start, '2024-01-10T00:00:00Z', 'America/New_York')).toBe(true);
+      expect(recurrence.isOccurrence('FREQ=WEEKLY;BYDAY=TU', start, '2024-01-09T00:00:00Z', 'America/New_York')).toBe(false);
+    });
+
+    test('should find the last occurrence and split series on local time', () => {
+      const start = '2024-03-25T17:00:00Z';
+
+      expect(recurrence.getSeriesEnd('FREQ=WEEKLY;COUNT=2', start, 'Europe/Paris')).toEqual(new Date('2024-04-01T16:00:00Z'));
+
+      const { before, after } = recurrence.splitRule('FREQ=WEEKLY;COUNT=3', start, '2024-04-01T16:00:00Z', 'Europe/Paris');
+      expect(before).toBe('FREQ=WEEKLY;COUNT=1');
+      expect(after).toBe('FREQ=WEEKLY;COUNT=2');
+    });
+  });
+});
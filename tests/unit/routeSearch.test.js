@@ -0,0 +1,82 @@
+const Event = require('../../models/Event');
+const db = require('../../config/database');
+const { decodePolyline, isValidRoute, parseGeometry } = require('../../utils/geoUtils');
+
+// Mock database module
+jest.mock('../../config/database');
+
+describe('Route Search', () => {
+  const route = {
+    type: 'LineString',
+    coordinates: [[2.35, 48.85], [2.45, 48.80], [2.60, 48.70]]
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('decodePolyline', () => {
+    test('should decode an encoded polyline into longitude/latitude positions', () => {
+      expect(decodePolyline('_p~iF~ps|U_ulLnnqC_mqNvxq`@')).toEqual({
+        type: 'LineString',
+        coordinates: [[-120.2, 38.5], [-120.95, 40.7], [-126.453, 43.252]]
+      });
+    });
+
+    test('should reject malformed polylines', () => {
+      expect(decodePolyline('_p~iF~ps|U_')).toBeNull();
+      expect(decodePolyline('not a polyline!')).toBeNull();
+    });
+  });
+
+  describe('isValidRoute', () => {
+    test('should accept lines given as JSON text', () => {
+      expect(isValidRoute(parseGeometry(JSON.stringify(route)))).toBe(true);
+    });
+
+    test('should reject other geometries and invalid JSON', () => {
+      const area = { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]] };
+
+      expect(isValidRoute(area)).toBe(false);
+      expect(isValidRoute(parseGeometry('{"type":'))).toBe(false);
+    });
+  });
+
+  describe('searchAlongRoute', () => {
+    beforeEach(() => {
+      db.query.mockImplementation(async query => ({ rows: query.includes('COUNT') ? [{ total: '0' }] : [] }));
+    });
+
+    test('should match events within the buffered route, in order along it', async () => {
+      await Event.searchAlongRoute({ route, width: 2 });
+
+      const [query, values] = db.query.mock.calls.find(([sql]) => sql.includes('route_position'));
+      expect(query).toContain('ST_Buffer(line::geography, $2 * 1000)');
+      expect(query).toContain('ST_Intersects(e.location, r.area) OR ST_Intersects(e.footprint, r.area)');
+      expect(query).toContain('ORDER BY route_position ASC');
+      expect(values.slice(0, 2)).toEqual([JSON.stringify(route), 2]);
+    });
+
+    test('should filter by category', async () => {
+      await Event.searchAlongRoute({ route, categoryIds: [3, 4] });
+
+      const [query] = db.query.mock.calls[0];
+      expect(query).toContain('c.id IN (3, 4)');
+    });
+
+    test('should order occurrences along the route when searching by date', async () => {
+      db.query.mockImplementation(async query => ({
+        rows: query.includes('route_position') ? [
+          { id: 1, start_time: '2025-06-01T10:00:00Z', distance_km: '0.5', route_km: '12', route_position: '0.6' },
+          { id: 2, start_time: '2025-06-02T10:00:00Z', distance_km: '1.2', route_km: '3', route_position: '0.15' }
+        ] : []
+      }));
+      jest.spyOn(Event, 'expandOccurrences').mockImplementation(async rows => rows);
+
+      const { events } = await Event.searchAlongRoute({ route, startDate: '2025-06-01' });
+
+      expect(events.map(event => event.id)).toEqual([2, 1]);
+      expect(events[0]).toMatchObject({ distance_km: '1.20', route_km: '3.00', route_position: 0.15 });
+    });
+  });
+});
@@ -94,6 +94,10 @@ describe('Search Controller', () => {
         categoryIds: [1, 2],
         startDate: '2023-01-01',
         endDate: '2023-01-31',
+        viewerId: null,
+        languages: [],
+        tags: [],
+        attributes: {},
         page: 1,
         limit: 10
       });
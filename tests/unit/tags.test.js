@@ -0,0 +1,76 @@
+const Event = require('../../models/Event');
+const db = require('../../config/database');
+const { normalizeTag, toTagList } = require('../../utils/tags');
+
+// Mock database module
+jest.mock('../../config/database');
+
+describe('Event Tags', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('normalizeTag', () => {
+    test('should lowercase tags and join words with dashes', () => {
+      expect(normalizeTag('#Kid Friendly')).toBe('kid-friendly');
+      expect(normalizeTag('kid_friendly')).toBe('kid-friendly');
+      expect(normalizeTag('  Outdoor!! ')).toBe('outdoor');
+    });
+
+    test('should keep letters of any language', () => {
+      expect(normalizeTag('Fête de la Musique')).toBe('fête-de-la-musique');
+    });
+
+    test('should leave nothing of tags without letters or digits', () => {
+      expect(normalizeTag('#--!')).toBe('');
+    });
+
+    test('should cut long tags without a trailing dash', () => {
+      const tag = normalizeTag(`${'a'.repeat(49)} b`);
+
+      expect(tag).toBe('a'.repeat(49));
+    });
+  });
+
+  describe('toTagList', () => {
+    test('should read comma-separated lists and drop duplicates and empty tags', () => {
+      expect(toTagList('Outdoor, outdoor,#,Kid Friendly')).toEqual(['outdoor', 'kid-friendly']);
+      expect(toTagList(['Music', 'music'])).toEqual(['music']);
+    });
+  });
+
+  describe('buildTagCondition', () => {
+    test('should match any of the tags by default', () => {
+      expect(Event.buildTagCondition('any', 4)).toBe('e.tags && $4::text[]');
+    });
+
+    test('should match all of the tags with tagMatch all', () => {
+      expect(Event.buildTagCondition('all', 4)).toBe('e.tags @> $4::text[]');
+    });
+  });
+
+  describe('getTagCounts', () => {
+    test('should count tags of the events the viewer can see', async () => {
+      db.query.mockResolvedValue({ rows: [{ tag: 'outdoor', count: 3 }] });
+
+      const tags = await Event.getTagCounts({ prefix: 'out', viewerId: 7, limit: 5 });
+
+      const [query, values] = db.query.mock.calls[0];
+      expect(query).toContain('ei.user_id = $1');
+      expect(query).toContain('starts_with(t.tag, $2)');
+      expect(query).toContain('LIMIT $3');
+      expect(values).toEqual([7, 'out', 5]);
+      expect(tags).toEqual([{ tag: 'outdoor', count: 3 }]);
+    });
+
+    test('should only count public events for anonymous users', async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      await Event.getTagCounts();
+
+      const [query, values] = db.query.mock.calls[0];
+      expect(query).toContain(`e.visibility = 'public'`);
+      expect(values).toEqual([20]);
+    });
+  });
+});
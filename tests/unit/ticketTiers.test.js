@@ -0,0 +1,125 @@
+const Event = require('../../models/Event');
+const EventTicketTier = require('../../models/EventTicketTier');
+const ExchangeRate = require('../../models/ExchangeRate');
+const EventOrganizer = require('../../models/EventOrganizer');
+const ticketService = require('../../services/ticketService');
+const { summarizePrices } = require('../../utils/prices');
+
+// Mock dependencies
+jest.mock('../../config/database');
+jest.mock('../../models/EventTicketTier');
+jest.mock('../../models/ExchangeRate');
+jest.mock('../../models/EventOrganizer');
+
+describe('Ticket Tiers', () => {
+  let req;
+
+  const event = { id: 1, creator_id: 1, status: 'published', visibility: 'public' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    req = {
+      t: jest.fn().mockImplementation(key => key) // Mock i18n translation function
+    };
+
+    EventOrganizer.getRole.mockImplementation(async (evt, userId) => (userId === 1 ? 'owner' : null));
+    ExchangeRate.getRate.mockImplementation(async currency => ({ USD: 1, EUR: 0.5 }[currency] || null));
+    jest.spyOn(Event, 'getById').mockResolvedValue(event);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('summarizePrices', () => {
+    const now = new Date('2025-06-01T00:00:00Z');
+
+    test('should show events without ticket tiers as free', () => {
+      expect(summarizePrices([], now)).toEqual({ free: true, from: null });
+    });
+
+    test('should start from the cheapest tier in the base currency', () => {
+      const tiers = [
+        { price: 15, currency: 'USD', base_price: 15 },
+        { price: 6, currency: 'EUR', base_price: 12 }
+      ];
+
+      expect(summarizePrices(tiers, now)).toEqual({ free: false, from: { amount: 6, currency: 'EUR' } });
+    });
+
+    test('should leave out tiers whose sales have ended', () => {
+      const tiers = [
+        { price: 0, currency: 'USD', base_price: 0, sales_end: '2025-05-01T00:00:00Z' },
+        { price: 10, currency: 'USD', base_price: 10, sales_end: null }
+      ];
+
+      expect(summarizePrices(tiers, now)).toEqual({ free: false, from: { amount: 10, currency: 'USD' } });
+      expect(summarizePrices(tiers.slice(0, 1), now)).toEqual({ free: false, from: null });
+    });
+
+    test('should show events with a free tier as free', () => {
+      const tiers = [{ price: 0, currency: 'USD', base_price: 0 }, { price: 20, currency: 'USD', base_price: 20 }];
+
+      expect(summarizePrices(tiers, now).free).toBe(true);
+    });
+  });
+
+  describe('buildPriceCondition', () => {
+    test('should add no condition without price filters', () => {
+      expect(Event.buildPriceCondition({}, 3)).toBeNull();
+    });
+
+    test('should convert price bounds from the given currency', () => {
+      const { condition, values } = Event.buildPriceCondition({ minPrice: 5, maxPrice: 20, currency: 'EUR' }, 3);
+
+      expect(condition).toContain('r.currency = $3');
+      expect(condition).toContain('>= $4::numeric');
+      expect(condition).toContain('<= $5::numeric');
+      expect(values).toEqual(['EUR', 5, 20]);
+    });
+
+    test('should compare price bounds in the base currency by default', () => {
+      const { values } = Event.buildPriceCondition({ maxPrice: 10 }, 1);
+
+      expect(values).toEqual(['USD', 10]);
+    });
+
+    test('should filter free events without parameters', () => {
+      const { condition, values } = Event.buildPriceCondition({ free: true }, 1);
+
+      expect(condition).toContain(') = 0');
+      expect(values).toEqual([]);
+    });
+  });
+
+  describe('ticketService', () => {
+    const tierData = { name: 'General', price: 10, currency: 'EUR', salesStart: null, salesEnd: null };
+
+    test('should let organizers add ticket tiers', async () => {
+      EventTicketTier.create.mockResolvedValue({ id: 3, ...tierData });
+
+      await ticketService.createTier(1, tierData, 1, req);
+
+      expect(EventTicketTier.create).toHaveBeenCalledWith({ ...tierData, eventId: 1 });
+    });
+
+    test('should not let other users add ticket tiers', async () => {
+      await expect(ticketService.createTier(1, tierData, 2, req)).rejects.toMatchObject({ statusCode: 403 });
+      expect(EventTicketTier.create).not.toHaveBeenCalled();
+    });
+
+    test('should reject currencies without an exchange rate', async () => {
+      await expect(ticketService.createTier(1, { ...tierData, currency: 'XYZ' }, 1, req))
+        .rejects.toMatchObject({ statusCode: 400, message: 'unsupportedCurrency' });
+    });
+
+    test('should reject sales ending before they start', async () => {
+      EventTicketTier.getById.mockResolvedValue({ id: 3, ...tierData, sales_start: '2025-06-01T00:00:00Z', sales_end: null });
+
+      await expect(ticketService.updateTier(1, 3, { salesEnd: '2025-05-01T00:00:00Z' }, 1, req))
+        .rejects.toMatchObject({ statusCode: 400, message: 'invalidSalesWindow' });
+      expect(EventTicketTier.update).not.toHaveBeenCalled();
+    });
+  });
+});
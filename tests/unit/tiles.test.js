@@ -0,0 +1,178 @@
+const Event = require('../../models/Event');
+const db = require('../../config/database');
+const tileCache = require('../../services/tileCache');
+const tileService = require('../../services/tileService');
+const tileController = require('../../controllers/tileController');
+const { pointToTile, getTileBoundingBox, tilesForPoint } = require('../../utils/tiles');
+
+// Mock database module
+jest.mock('../../config/database');
+
+describe('Event Tiles', () => {
+  let req, res;
+
+  // Tile of central Paris at zoom 12
+  const paris = { latitude: 48.8566, longitude: 2.3522 };
+  const tile = { z: 12, x: 2074, y: 1409 };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    tileCache.clear();
+
+    req = {
+      params: { ...tile },
+      query: {},
+      t: jest.fn().mockImplementation(key => key) // Mock i18n translation function
+    };
+
+    res = {
+      set: jest.fn(),
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+      send: jest.fn()
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('tile math', () => {
+    test('should find the tile of a point', () => {
+      const [x, y] = pointToTile(paris.latitude, paris.longitude, tile.z);
+
+      expect([Math.floor(x), Math.floor(y)]).toEqual([tile.x, tile.y]);
+      expect(pointToTile(0, 0, 0)).toEqual([0.5, 0.5]);
+    });
+
+    test('should give tile bounds containing the tile points', () => {
+      const [minLon, minLat, maxLon, maxLat] = getTileBoundingBox(tile.z, tile.x, tile.y);
+
+      expect(paris.longitude).toBeGreaterThan(minLon);
+      expect(paris.longitude).toBeLessThan(maxLon);
+      expect(paris.latitude).toBeGreaterThan(minLat);
+      expect(paris.latitude).toBeLessThan(maxLat);
+      expect(getTileBoundingBox(0, 0, 0, 0.5)[0]).toBe(-180);
+    });
+
+    test('should list the tiles of a point at every zoom level, neighbours included near edges', () => {
+      const tiles = tilesForPoint(paris.latitude, paris.longitude);
+
+      expect(tiles).toContain('0/0/0');
+      expect(tiles).toContain(`${tile.z}/${tile.x}/${tile.y}`);
+      expect(tilesForPoint(0, 0)).toEqual(expect.arrayContaining(['1/0/0', '1/1/0', '1/0/1', '1/1/1']));
+    });
+  });
+
+  describe('getTile', () => {
+    test('should build the tile in the database with the search filters', async () => {
+      const data = Buffer.from([0x1a, 0x02]);
+      db.query.mockResolvedValue({ rows: [{ tile: data }] });
+
+      const result = await Event.getTile({ ...tile, categoryIds: [3], startDate: '2025-06-01' });
+
+      const [query, values] = db.query.mock.calls[0];
+      expect(query).toContain('e.location::geometry && ST_MakeEnvelope($1, $2, $3, $4, 4326)');
+      expect(query).toContain('c.id IN (3)');
+      expect(query).toContain("ST_AsMVT(features, 'events', 4096, 'geom')");
+      expect(values.slice(-3)).toEqual([tile.z, tile.x, tile.y]);
+      expect(result).toBe(data);
+    });
+
+    test('should return an empty tile when no event is in it', async () => {
+      db.query.mockResolvedValue({ rows: [{ tile: null }] });
+
+      const result = await Event.getTile(tile);
+
+      expect(result).toEqual(Buffer.alloc(0));
+    });
+  });
+
+  describe('caching', () => {
+    test('should serve the same tile and filters from the cache', async () => {
+      jest.spyOn(Event, 'getTile').mockResolvedValue(Buffer.from('tile'));
+
+      await tileService.getEventTile({ ...tile, categoryIds: [2, 1] }, req);
+      const second = await tileService.getEventTile({ ...tile, categoryIds: [1, 2] }, req);
+      await tileService.getEventTile({ ...tile, categoryIds: [1] }, req);
+
+      expect(second.cached).toBe(true);
+      expect(Event.getTile).toHaveBeenCalledTimes(2);
+    });
+
+    test('should drop the tiles of events created at their location', async () => {
+      jest.spyOn(Event, 'getTile').mockResolvedValue(Buffer.from('tile'));
+      jest.spyOn(Event, 'insertEvent').mockResolvedValue({ id: 1, location: 'POINT(2.3522 48.8566)' });
+      jest.spyOn(Event, 'getById').mockResolvedValue({ id: 1, location: paris });
+      db.pool.connect.mockResolvedValue({ query: jest.fn(), release: jest.fn() });
+      db.fromGeographyPoint.mockReturnValue(paris);
+
+      await tileService.getEventTile(tile, req);
+      await tileService.getEventTile({ z: 12, x: 0, y: 0 }, req);
+      await Event.create({ title: 'Concert' });
+
+      expect((await tileService.getEventTile(tile, req)).cached).toBe(false);
+      expect((await tileService.getEventTile({ z: 12, x: 0, y: 0 }, req)).cached).toBe(true);
+    });
+
+    test('should drop the tiles of deleted events', async () => {
+      tileCache.set(`${tile.z}/${tile.x}/${tile.y}`, '[]', Buffer.from('tile'));
+      db.query.mockResolvedValue({ rows: [{ id: 1, location: 'POINT(2.3522 48.8566)' }] });
+      db.fromGeographyPoint.mockReturnValue(paris);
+
+      await Event.delete(1);
+
+      expect(tileCache.get(`${tile.z}/${tile.x}/${tile.y}`, '[]')).toBeNull();
+    });
+
+    test('should drop the tiles of the previous and new locations of moved events', async () => {
+      const lyon = { latitude: 45.764, longitude: 4.8357 };
+      const [lyonX, lyonY] = pointToTile(lyon.latitude, lyon.longitude, tile.z).map(Math.floor);
+      const lyonTile = `${tile.z}/${lyonX}/${lyonY}`;
+      tileCache.set(`${tile.z}/${tile.x}/${tile.y}`, '[]', Buffer.from('paris'));
+      tileCache.set(lyonTile, '[]', Buffer.from('lyon'));
+
+      const client = {
+        query: jest.fn().mockImplementation(async query => ({
+          rows: query.includes('RETURNING') ? [{ id: 1, previous_location: 'POINT(2.3522 48.8566)' }] : []
+        })),
+        release: jest.fn()
+      };
+      db.pool.connect.mockResolvedValue(client);
+      db.fromGeographyPoint.mockReturnValue(paris);
+      jest.spyOn(Event, 'getById').mockResolvedValue({ id: 1, location: lyon });
+
+      await Event.update(1, { latitude: lyon.latitude, longitude: lyon.longitude });
+
+      expect(tileCache.get(`${tile.z}/${tile.x}/${tile.y}`, '[]')).toBeNull();
+      expect(tileCache.get(lyonTile, '[]')).toBeNull();
+    });
+
+    test('should evict the least recently used tiles', () => {
+      const maxEntries = tileCache.maxEntries;
+      tileCache.maxEntries = 2;
+
+      tileCache.set('1/0/0', '[]', Buffer.from('a'));
+      tileCache.set('1/1/0', '[]', Buffer.from('b'));
+      tileCache.get('1/0/0', '[]');
+      tileCache.set('1/0/1', '[]', Buffer.from('c'));
+
+      expect(tileCache.get('1/0/0', '[]')).not.toBeNull();
+      expect(tileCache.get('1/1/0', '[]')).toBeNull();
+      tileCache.maxEntries = maxEntries;
+    });
+  });
+
+  describe('getEventTile', () => {
+    test('should send tiles as Mapbox vector tiles', async () => {
+      jest.spyOn(Event, 'getTile').mockResolvedValue(Buffer.from('tile'));
+      req.query = { categories: '4' };
+
+      await tileController.getEventTile(req, res);
+
+      expect(Event.getTile).toHaveBeenCalledWith(expect.objectContaining({ ...tile, categoryIds: [4] }));
+      expect(res.set).toHaveBeenCalledWith('Content-Type', 'application/vnd.mapbox-vector-tile');
+      expect(res.send).toHaveBeenCalledWith(Buffer.from('tile'));
+    });
+  });
+});
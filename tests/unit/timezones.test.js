@@ -0,0 +1,89 @@
+const {
+  timezoneAt,
+  toLocalISOString,
+  toWallClock,
+  fromWallClock,
+  isDateOnly,
+  resolveDateFilter,
+  addLocalTimes
+} = require('../../utils/timezones');
+
+describe('Timezone Utils', () => {
+  describe('timezoneAt', () => {
+    test('should find the timezone of a location offline', () => {
+      expect(timezoneAt(48.8566, 2.3522)).toBe('Europe/Paris');
+      expect(timezoneAt(-1.9441, 30.0619)).toBe('Africa/Kigali');
+      expect(timezoneAt('40.7128', '-74.0060')).toBe('America/New_York');
+    });
+
+    test('should fall back to UTC for invalid locations', () => {
+      expect(timezoneAt(200, 0)).toBe('UTC');
+    });
+  });
+
+  describe('toLocalISOString', () => {
+    test('should give the wall-clock time with its offset, following daylight saving time', () => {
+      expect(toLocalISOString('2024-06-01T17:00:00Z', 'Europe/Paris')).toBe('2024-06-01T19:00:00+02:00');
+      expect(toLocalISOString('2024-01-15T18:00:00Z', 'Europe/Paris')).toBe('2024-01-15T19:00:00+01:00');
+      expect(toLocalISOString('2024-06-01T01:30:00Z', 'America/New_York')).toBe('2024-05-31T21:30:00-04:00');
+      expect(toLocalISOString('2024-06-01T12:00:00Z', 'Asia/Kolkata')).toBe('2024-06-01T17:30:00+05:30');
+    });
+  });
+
+  describe('toWallClock and fromWallClock', () => {
+    test('should convert between instants and local wall-clock times', () => {
+      const wallClock = toWallClock('2024-07-01T16:00:00Z', 'Europe/Paris');
+
+      expect(wallClock).toEqual(new Date('2024-07-01T18:00:00Z'));
+      expect(fromWallClock(wallClock, 'Europe/Paris')).toEqual(new Date('2024-07-01T16:00:00Z'));
+      expect(fromWallClock(new Date('2024-01-01T18:00:00Z'), 'Europe/Paris')).toEqual(new Date('2024-01-01T17:00:00Z'));
+    });
+  });
+
+  describe('resolveDateFilter', () => {
+    test('should tell days from instants', () => {
+      expect(isDateOnly('today')).toBe(true);
+      expect(isDateOnly('2024-06-01')).toBe(true);
+      expect(isDateOnly('2024-06-01T00:00:00Z')).toBe(false);
+      expect(isDateOnly(new Date())).toBe(false);
+    });
+
+    test('should read a day from local midnight to local midnight', () => {
+      expect(resolveDateFilter('2024-06-01', 'America/New_York')).toEqual(new Date('2024-06-01T04:00:00Z'));
+      expect(resolveDateFilter('2024-06-01', 'America/New_York', true)).toEqual(new Date('2024-06-02T03:59:59.999Z'));
+    });
+
+    test('should handle days when the clocks change', () => {
+      // Paris switches to summer time on 2024-03-31, a 23-hour day
+      expect(resolveDateFilter('2024-03-31', 'Europe/Paris')).toEqual(new Date('2024-03-30T23:00:00Z'));
+      expect(resolveDateFilter('2024-03-31', 'Europe/Paris', true)).toEqual(new Date('2024-03-31T21:59:59.999Z'));
+    });
+
+    test('should resolve "today" in the given timezone', () => {
+      const start = resolveDateFilter('today', 'Asia/Tokyo');
+      const end = resolveDateFilter('today', 'Asia/Tokyo', true);
+
+      expect(toLocalISOString(start, 'Asia/Tokyo')).toBe(`${toLocalISOString(new Date(), 'Asia/Tokyo').slice(0, 10)}T00:00:00+09:00`);
+      expect(end.getTime() - start.getTime()).toBe(24 * 60 * 60 * 1000 - 1);
+    });
+
+    test('should keep instants and empty filters as they are', () => {
+      expect(resolveDateFilter('2024-06-01T10:00:00Z', 'Europe/Paris')).toEqual(new Date('2024-06-01T10:00:00Z'));
+      expect(resolveDateFilter(null, 'Europe/Paris')).toBeNull();
+    });
+  });
+
+  describe('addLocalTimes', () => {
+    test('should add local start and end times next to the UTC ones', () => {
+      const event = addLocalTimes({
+        start_time: new Date('2024-06-01T17:00:00Z'),
+        end_time: null,
+        timezone: 'Europe/Paris'
+      });
+
+      expect(event.start_time).toEqual(new Date('2024-06-01T17:00:00Z'));
+      expect(event.start_time_local).toBe('2024-06-01T19:00:00+02:00');
+      expect(event.end_time_local).toBeNull();
+    });
+  });
+});
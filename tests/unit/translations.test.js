@@ -0,0 +1,81 @@
+const {
+  isValidLanguage,
+  normalizeLanguage,
+  toLanguageList,
+  pickLanguage,
+  applyTranslation
+} = require('../../utils/translations');
+
+describe('Translation Utils', () => {
+  describe('language codes', () => {
+    test('should accept languages with an optional region', () => {
+      expect(isValidLanguage('fr')).toBe(true);
+      expect(isValidLanguage('pt-BR')).toBe(true);
+      expect(isValidLanguage('es-419')).toBe(true);
+      expect(isValidLanguage('french')).toBe(false);
+      expect(isValidLanguage('fr_FR')).toBe(false);
+      expect(isValidLanguage(42)).toBe(false);
+    });
+
+    test('should normalize the case of codes', () => {
+      expect(normalizeLanguage('PT-br')).toBe('pt-BR');
+      expect(normalizeLanguage('FR')).toBe('fr');
+    });
+
+    test('should read language lists from strings and arrays', () => {
+      expect(toLanguageList('fr, de,')).toEqual(['fr', 'de']);
+      expect(toLanguageList(['fr', ' en '])).toEqual(['fr', 'en']);
+    });
+  });
+
+  describe('pickLanguage', () => {
+    const available = ['en', 'fr-CA', 'fr', 'pt-BR'];
+
+    test('should prefer an exact match', () => {
+      expect(pickLanguage(available, 'fr')).toBe('fr');
+      expect(pickLanguage(available, 'pt-br')).toBe('pt-BR');
+    });
+
+    test('should fall back to the same language in another region', () => {
+      expect(pickLanguage(available, 'fr-BE')).toBe('fr-CA');
+      expect(pickLanguage(available, 'pt')).toBe('pt-BR');
+    });
+
+    test('should return null when nothing matches', () => {
+      expect(pickLanguage(available, 'de')).toBeNull();
+      expect(pickLanguage(available, null)).toBeNull();
+    });
+  });
+
+  describe('applyTranslation', () => {
+    const createEvent = () => ({ title: 'Concert', description: 'Live music', language: 'en' });
+    const translations = [
+      { locale: 'es', title: 'Concierto', description: null },
+      { locale: 'fr', title: 'Concert en plein air', description: 'Musique live' }
+    ];
+
+    test('should show the matching translation', () => {
+      const event = applyTranslation(createEvent(), translations, 'fr');
+
+      expect(event.title).toBe('Concert en plein air');
+      expect(event.description).toBe('Musique live');
+      expect(event.content_language).toBe('fr');
+      expect(event.languages).toEqual(['en', 'es', 'fr']);
+    });
+
+    test('should keep the original description when the translation has none', () => {
+      const event = applyTranslation(createEvent(), translations, 'es-MX');
+
+      expect(event.title).toBe('Concierto');
+      expect(event.description).toBe('Live music');
+      expect(event.content_language).toBe('es');
+    });
+
+    test('should keep the original content when no translation matches', () => {
+      const event = applyTranslation(createEvent(), translations, 'de');
+
+      expect(event.title).toBe('Concert');
+      expect(event.content_language).toBe('en');
+    });
+  });
+});
@@ -0,0 +1,181 @@
+const Venue = require('../../models/Venue');
+const EventRevision = require('../../models/EventRevision');
+const db = require('../../config/database');
+const tileCache = require('../../services/tileCache');
+const { isValidOpeningHours } = require('../../utils/openingHours');
+
+// Mock database module
+jest.mock('../../config/database');
+
+describe('Venue Model', () => {
+  beforeEach(() => {
+    // Reset all mocks before each test
+    jest.clearAllMocks();
+
+    db.fromGeographyPoint.mockImplementation((point) => {
+      const match = point.match(/POINT\((.+) (.+)\)/);
+      return { latitude: parseFloat(match[2]), longitude: parseFloat(match[1]) };
+    });
+  });
+
+  describe('search', () => {
+    test('should filter by name and distance, nearest first', async () => {
+      db.query.mockImplementation((query) => {
+        if (query.includes('COUNT(*)')) {
+          return Promise.resolve({ rows: [{ total: '1' }] });
+        }
+        return Promise.resolve({
+          rows: [{
+            id: 1,
+            name: 'Town Hall',
+            location: 'POINT(-122.4194 37.7749)',
+            distance_km: 1.23456
+          }]
+        });
+      });
+
+      const result = await Venue.search({ name: 'hall', latitude: 37.77, longitude: -122.41, radius: 5 });
+
+      const [query, values] = db.query.mock.calls[1];
+      expect(query).toContain('v.name ILIKE $1');
+      expect(query).toContain('ST_DWithin(v.location');
+      expect(query).toContain('ORDER BY distance_km ASC');
+      expect(values).toEqual(['%hall%', 37.77, -122.41, 5, 10, 0]);
+
+      expect(result.venues[0].location).toEqual({ latitude: 37.7749, longitude: -122.4194 });
+      expect(result.venues[0].distance_km).toBe('1.23');
+      expect(result.pagination).toEqual({ total: 1, page: 1, limit: 10, pages: 1 });
+    });
+
+    test('should order by name without a location', async () => {
+      db.query.mockImplementation((query) => {
+        if (query.includes('COUNT(*)')) {
+          return Promise.resolve({ rows: [{ total: '1' }] });
+        }
+        return Promise.resolve({ rows: [{ id: 1, name: 'Town Hall', location: 'POINT(1 2)', distance_km: null }] });
+      });
+
+      const result = await Venue.search({ name: 'hall' });
+
+      expect(db.query.mock.calls[1][0]).toContain('ORDER BY v.name ASC');
+      expect(result.venues[0]).not.toHaveProperty('distance_km');
+    });
+  });
+
+  describe('update', () => {
+    let mockClient;
+
+    beforeEach(() => {
+      mockClient = {
+        query: jest.fn().mockImplementation((query) => {
+          if (query.includes('UPDATE venues')) {
+            return Promise.resolve({ rows: [{ id: 1 }] });
+          }
+          return Promise.resolve({ rows: [] });
+        }),
+        release: jest.fn()
+      };
+      db.pool.connect.mockResolvedValue(mockClient);
+      jest.spyOn(Venue, 'getById').mockResolvedValue({ id: 1, name: 'Town Hall' });
+      jest.spyOn(EventRevision, 'create').mockResolvedValue({});
+    });
+
+    afterEach(() => {
+      Venue.getById.mockRestore();
+      EventRevision.create.mockRestore();
+    });
+
+    test('should move the events held at the venue along with it', async () => {
+      await Venue.update(1, { latitude: 37.7749, longitude: -122.4194 });
+
+      expect(mockClient.query).toHaveBeenCalledWith(
+        expect.stringContaining('UPDATE events e'),
+        [1, 'America/Los_Angeles']
+      );
+      expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+      expect(mockClient.release).toHaveBeenCalled();
+    });
+
+    test('should drop the cached map tiles at the previous and new locations of moved events', async () => {
+      mockClient.query.mockImplementation((query) => {
+        if (query.includes('UPDATE venues')) {
+          return Promise.resolve({ rows: [{ id: 1 }] });
+        }
+        if (query.includes('UPDATE events e')) {
+          return Promise.resolve({
+            rows: [{ location: 'POINT(-122.4194 37.7749)', previous_location: 'POINT(-122.27 37.8)' }]
+          });
+        }
+        return Promise.resolve({ rows: [] });
+      });
+      db.fromGeographyPoint.mockImplementation(location => location === 'POINT(-122.27 37.8)'
+        ? { latitude: 37.8, longitude: -122.27 }
+        : { latitude: 37.7749, longitude: -122.4194 });
+      jest.spyOn(tileCache, 'invalidatePoint').mockImplementation(() => {});
+
+      await Venue.update(1, { latitude: 37.7749, longitude: -122.4194 });
+
+      expect(tileCache.invalidatePoint).toHaveBeenCalledWith(37.7749, -122.4194);
+      expect(tileCache.invalidatePoint).toHaveBeenCalledWith(37.8, -122.27);
+      tileCache.invalidatePoint.mockRestore();
+    });
+
+    test('should record the move in the history of each moved event', async () => {
+      mockClient.query.mockImplementation((query) => {
+        if (query.includes('UPDATE venues')) {
+          return Promise.resolve({ rows: [{ id: 1 }] });
+        }
+        if (query.includes('UPDATE events e')) {
+          return Promise.resolve({
+            rows: [{
+              id: 7,
+              location: 'POINT(-122.4194 37.7749)',
+              address: '1 Market St',
+              timezone: 'America/Los_Angeles',
+              previous_location: 'POINT(-122.27 37.8)',
+              previous_address: '1 Broadway',
+              previous_timezone: 'America/Los_Angeles'
+            }]
+          });
+        }
+        return Promise.resolve({ rows: [] });
+      });
+
+      await Venue.update(1, { latitude: 37.7749, longitude: -122.4194, address: '1 Market St' }, 3);
+
+      expect(EventRevision.create).toHaveBeenCalledWith(7, 3, {
+        location: { old: { latitude: 37.8, longitude: -122.27 }, new: { latitude: 37.7749, longitude: -122.4194 } },
+        address: { old: '1 Broadway', new: '1 Market St' }
+      });
+    });
+
+    test('should leave events alone when only details change', async () => {
+      await Venue.update(1, { capacity: 200 });
+
+      expect(mockClient.query).not.toHaveBeenCalledWith(
+        expect.stringContaining('UPDATE events e'),
+        expect.anything()
+      );
+      expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+    });
+  });
+
+  describe('isValidOpeningHours', () => {
+    test('should accept weekday periods, including ones closing after midnight', () => {
+      expect(isValidOpeningHours({
+        mon: [{ open: '09:00', close: '12:00' }, { open: '14:00', close: '18:00' }],
+        fri: [{ open: '22:00', close: '02:00' }],
+        sun: []
+      })).toBe(true);
+    });
+
+    test('should reject unknown days, bad times and non-objects', () => {
+      expect(isValidOpeningHours({ monday: [] })).toBe(false);
+      expect(isValidOpeningHours({ mon: [{ open: '9:00', close: '17:00' }] })).toBe(false);
+      expect(isValidOpeningHours({ mon: [{ open: '09:00', close: '24:00' }] })).toBe(false);
+      expect(isValidOpeningHours({ mon: [{ open: '09:00', close: '09:00' }] })).toBe(false);
+      expect(isValidOpeningHours([])).toBe(false);
+      expect(isValidOpeningHours('mon 9-5')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,126 @@
+const Event = require('../../models/Event');
+const db = require('../../config/database');
+const searchController = require('../../controllers/searchController');
+const { getBoundingBox } = require('../../utils/geoUtils');
+const { parseBoundingBox, shouldCluster, getClusterCellSize } = require('../../utils/viewport');
+
+// Mock database module
+jest.mock('../../config/database');
+
+describe('Viewport Search', () => {
+  let req, res;
+
+  const bbox = [2.25, 48.8, 2.45, 48.9];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    req = {
+      query: {},
+      t: jest.fn().mockImplementation(key => key) // Mock i18n translation function
+    };
+
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('parseBoundingBox', () => {
+    test('should read the bounding boxes of geoUtils.getBoundingBox', () => {
+      const box = getBoundingBox(48.85, 2.35, 5);
+
+      expect(parseBoundingBox(box.join(','))).toEqual(box);
+      expect(parseBoundingBox('2.25,48.8,2.45,48.9')).toEqual(bbox);
+    });
+
+    test('should reject incomplete, inverted and out-of-range boxes', () => {
+      expect(parseBoundingBox('2.25,48.8,2.45')).toBeNull();
+      expect(parseBoundingBox('2.45,48.8,2.25,48.9')).toBeNull();
+      expect(parseBoundingBox('170,0,190,10')).toBeNull();
+      expect(parseBoundingBox('a,b,c,d')).toBeNull();
+    });
+  });
+
+  describe('clustering', () => {
+    test('should cluster events below the clustering zoom level', () => {
+      expect(shouldCluster(10)).toBe(true);
+      expect(shouldCluster(16)).toBe(false);
+    });
+
+    test('should halve the grid cells at each zoom level', () => {
+      expect(getClusterCellSize(0)).toBe(90);
+      expect(getClusterCellSize(11)).toBe(getClusterCellSize(10) / 2);
+    });
+  });
+
+  describe('getViewportClusters', () => {
+    test('should group events by grid cell in the database', async () => {
+      db.query.mockResolvedValue({
+        rows: [{
+          count: '12', latitude: 48.86, longitude: 2.34, min_lon: 2.3, min_lat: 48.85, max_lon: 2.38, max_lat: 48.87,
+          event_id: null, categories: [{ id: 1, name: 'Music', count: 8 }]
+        }]
+      });
+
+      const clusters = await Event.getViewportClusters({ bbox, cellSize: 0.05, categoryIds: [1] });
+
+      const [query, values] = db.query.mock.calls[0];
+      expect(query).toContain('e.location::geometry && ST_MakeEnvelope($1, $2, $3, $4, 4326)');
+      expect(query).toContain('floor(ST_X(geom) / $5::float8)');
+      expect(query).toContain('c.id IN (1)');
+      expect(values).toEqual([...bbox, 0.05]);
+      expect(clusters).toEqual([{
+        count: 12,
+        location: { latitude: 48.86, longitude: 2.34 },
+        bbox: [2.3, 48.85, 2.38, 48.87],
+        event_id: null,
+        categories: [{ id: 1, name: 'Music', count: 8 }]
+      }]);
+    });
+  });
+
+  describe('getViewportEvents', () => {
+    test('should tell when there are more events than the limit', async () => {
+      db.query.mockImplementation(async query => ({
+        rows: query.includes('FROM events e') ? [
+          { id: 1, title: 'Concert', location: 'POINT(2.35 48.85)', start_time: '2025-06-01T18:00:00Z', timezone: 'Europe/Paris' },
+          { id: 2, title: 'Market', location: 'POINT(2.36 48.86)', start_time: '2025-06-02T08:00:00Z', timezone: 'Europe/Paris' }
+        ] : []
+      }));
+      db.fromGeographyPoint.mockReturnValue({ latitude: 48.85, longitude: 2.35 });
+
+      const { events, truncated } = await Event.getViewportEvents({ bbox, limit: 1 });
+
+      expect(events.map(event => event.id)).toEqual([1]);
+      expect(truncated).toBe(true);
+    });
+  });
+
+  describe('searchViewport', () => {
+    test('should return clusters when zoomed out', async () => {
+      req.query = { bbox, zoom: 11 };
+      jest.spyOn(Event, 'getViewportClusters').mockResolvedValue([{ count: 3 }, { count: 1, event_id: 9 }]);
+
+      await searchController.searchViewport(req, res);
+
+      expect(Event.getViewportClusters).toHaveBeenCalledWith(expect.objectContaining({
+        bbox, cellSize: getClusterCellSize(11)
+      }));
+      expect(res.json.mock.calls[0][0].data).toMatchObject({ clustered: true, total: 4 });
+    });
+
+    test('should return events when zoomed in', async () => {
+      req.query = { bbox, zoom: 17 };
+      jest.spyOn(Event, 'getViewportEvents').mockResolvedValue({ events: [{ id: 1 }], truncated: false });
+
+      await searchController.searchViewport(req, res);
+
+      expect(res.json.mock.calls[0][0].data).toMatchObject({ clustered: false, events: [{ id: 1 }], truncated: false });
+    });
+  });
+});
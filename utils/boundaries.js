@@ -0,0 +1,73 @@
+/**
+ * Helpers for named area boundaries (neighbourhoods, districts, regions) imported from GeoJSON files
+ */
+const { isValidArea } = require('./geoUtils');
+require('dotenv').config();
+
+// Maximum size of an uploaded boundaries file in bytes
+const BOUNDARY_IMPORT_MAX_SIZE = parseInt(process.env.BOUNDARY_IMPORT_MAX_SIZE) || 50 * 1024 * 1024;
+
+// Most positions a boundary can have; official boundaries are much more detailed than search areas
+const MAX_BOUNDARY_POSITIONS = 200000;
+
+// Feature property holding the boundary name, unless another one is given
+const DEFAULT_NAME_PROPERTY = 'name';
+
+/**
+ * Build the URL-friendly identifier of a boundary from its name (e.g. "Le Marais" -> "le-marais")
+ * @param {string} name - Boundary name
+ * @returns {string} Slug (empty if nothing is left)
+ */
+const toSlug = (name) => {
+  return String(name)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '');
+};
+
+/**
+ * Read the boundaries of a GeoJSON FeatureCollection (or single Feature)
+ * Features without a name or with a geometry other than a valid Polygon or MultiPolygon are reported and left out
+ * @param {object} geojson - Parsed GeoJSON
+ * @param {string} nameProperty - Feature property holding the boundary name
+ * @returns {object} Boundaries ({ name, slug, geometry }) and errors ({ index, name, error })
+ */
+const readBoundaries = (geojson, nameProperty = DEFAULT_NAME_PROPERTY) => {
+  if (!geojson || !['FeatureCollection', 'Feature'].includes(geojson.type)) {
+    throw new Error('Expected a GeoJSON FeatureCollection or Feature');
+  }
+
+  const features = geojson.type === 'Feature' ? [geojson] : geojson.features || [];
+  const boundaries = [];
+  const errors = [];
+  const seen = new Set();
+
+  features.forEach((feature, index) => {
+    const properties = (feature && feature.properties) || {};
+    const name = typeof properties[nameProperty] === 'string' ? properties[nameProperty].trim() : '';
+    const slug = toSlug(name);
+
+    if (!slug) {
+      errors.push({ index, name: name || null, error: `Missing "${nameProperty}" property` });
+    } else if (seen.has(slug)) {
+      errors.push({ index, name, error: 'Duplicate name in file' });
+    } else if (!isValidArea(feature.geometry, { maxPositions: MAX_BOUNDARY_POSITIONS, checkCrossings: false })) {
+      errors.push({ index, name, error: 'Geometry must be a valid Polygon or MultiPolygon' });
+    } else {
+      seen.add(slug);
+      boundaries.push({ name, slug, geometry: feature.geometry });
+    }
+  });
+
+  return { boundaries, errors };
+};
+
+module.exports = {
+  BOUNDARY_IMPORT_MAX_SIZE,
+  MAX_BOUNDARY_POSITIONS,
+  DEFAULT_NAME_PROPERTY,
+  toSlug,
+  readBoundaries
+};
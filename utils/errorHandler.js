@@ -42,6 +42,9 @@ const createError = (message, statusCode = 500) => {
     } else if (err.code === '23503') {
       // Foreign key violation
       return createError(req.t('referenceError'), 400);
+    } else if (err.code === '23514') {
+      // Check violation (e.g. an age range ending before it starts)
+      return createError(req.t('validationError'), 400);
     } else if (err.code === '42P01') {
       // Undefined table
       return createError(req.t('serverError'), 500);
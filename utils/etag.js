@@ -0,0 +1,43 @@
+/**
+ * Entity tag helpers for conditional requests
+ */
+const crypto = require('crypto');
+
+/**
+ * Build the strong ETag of an event from its version counter
+ * @param {object} event - Event with id and version
+ * @returns {string} Quoted ETag
+ */
+const eventETag = (event) => {
+  return `"${event.id}-${event.version}"`;
+};
+
+/**
+ * Check an If-Match header against an ETag
+ * Uses strong comparison, so weak tags never match
+ * @param {string} header - If-Match header value
+ * @param {string} etag - Current ETag
+ * @returns {boolean} Whether the header matches
+ */
+const matchesETag = (header, etag) => {
+  if (!header) return false;
+  if (header.trim() === '*') return true;
+
+  return header.split(',').map(tag => tag.trim()).includes(etag);
+};
+
+/**
+ * Build a weak ETag from the values a response depends on
+ * @param {Array} parts - Values identifying the response
+ * @returns {string} Weak ETag
+ */
+const weakETag = (parts) => {
+  const hash = crypto.createHash('sha1').update(JSON.stringify(parts)).digest('hex');
+  return `W/"${hash}"`;
+};
+
+module.exports = {
+  eventETag,
+  matchesETag,
+  weakETag
+};
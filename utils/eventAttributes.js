@@ -0,0 +1,61 @@
+/**
+ * Accessibility and audience attributes of events
+ * Attributes are stored by name in the events.attributes JSON column; missing ones are unknown
+ */
+
+// Yes/no attributes, also usable as search filters (e.g. wheelchairAccessible=true)
+const FLAG_ATTRIBUTES = [
+  'wheelchairAccessible',
+  'stepFreeEntrance',
+  'hearingLoop',
+  'signLanguage',
+  'familyFriendly',
+  'petsAllowed'
+];
+
+// Age range of the audience, in years
+const AGE_ATTRIBUTES = ['minAge', 'maxAge'];
+
+const MAX_AGE = 120;
+
+/**
+ * Keep the known attributes of an object, leaving out missing ones
+ * @param {object} attributes - Attributes as given in a request (null clears an attribute on update)
+ * @returns {object} Attributes
+ */
+const pickAttributes = (attributes) => {
+  const picked = {};
+
+  for (const name of [...FLAG_ATTRIBUTES, ...AGE_ATTRIBUTES]) {
+    if (attributes[name] !== undefined) {
+      picked[name] = attributes[name];
+    }
+  }
+
+  return picked;
+};
+
+/**
+ * Get the yes/no attribute filters given in a search query
+ * @param {object} query - Request query, with booleans already converted
+ * @returns {object} Attributes events must have, by name
+ */
+const pickFlagFilters = (query) => {
+  const filters = {};
+
+  for (const name of FLAG_ATTRIBUTES) {
+    if (typeof query[name] === 'boolean') {
+      filters[name] = query[name];
+    }
+  }
+
+  return filters;
+};
+
+module.exports = {
+  FLAG_ATTRIBUTES,
+  AGE_ATTRIBUTES,
+  MAX_AGE,
+  pickAttributes,
+  pickFlagFilters
+};
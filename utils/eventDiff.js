@@ -0,0 +1,176 @@
+/**
+ * Helpers to compare event states for revision history
+ */
+const { DEFAULT_VISIBILITY } = require('./eventVisibility');
+const { DEFAULT_MODE } = require('./eventModes');
+
+// Event fields recorded in revisions
+const TRACKED_FIELDS = [
+  'title',
+  'description',
+  'location',
+  'footprint',
+  'address',
+  'start_time',
+  'end_time',
+  'categories',
+  'recurrence_rule',
+  'recurrence_exdates',
+  'capacity',
+  'venue_id',
+  'timezone',
+  'visibility',
+  'tags',
+  'attributes',
+  'mode'
+];
+
+/**
+ * Convert a date value to an ISO string, keeping null as is
+ * @param {Date|string|null} value - Date value
+ * @returns {string|null} ISO string
+ */
+const toISOString = (value) => {
+  return value ? new Date(value).toISOString() : null;
+};
+
+/**
+ * Build a JSON-friendly snapshot of the tracked fields of an event
+ * @param {object} event - Event as returned by Event.getById
+ * @returns {object} Snapshot
+ */
+const snapshotEvent = (event) => {
+  return {
+    title: event.title,
+    description: event.description !== undefined ? event.description : null,
+    location: event.location || null,
+    footprint: event.footprint || null,
+    address: event.address !== undefined ? event.address : null,
+    start_time: toISOString(event.start_time),
+    end_time: toISOString(event.end_time),
+    categories: (event.categories || [])
+      .map(category => ({ id: category.id, name: category.name }))
+      .sort((a, b) => a.id - b.id),
+    recurrence_rule: event.recurrence_rule || null,
+    recurrence_exdates: (event.recurrence_exdates || []).map(toISOString).sort(),
+    capacity: event.capacity !== undefined ? event.capacity : null,
+    venue_id: event.venue_id || null,
+    timezone: event.timezone || null,
+    visibility: event.visibility || DEFAULT_VISIBILITY,
+    tags: [...(event.tags || [])].sort(),
+    attributes: event.attributes || {},
+    mode: event.mode || DEFAULT_MODE
+  };
+};
+
+/**
+ * Compare two values of a tracked field
+ * @param {string} field - Field name
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} Whether the values are equal
+ */
+const isSameValue = (field, a, b) => {
+  if (field === 'categories') {
+    return JSON.stringify(a.map(category => category.id)) === JSON.stringify(b.map(category => category.id));
+  }
+  return JSON.stringify(a) === JSON.stringify(b);
+};
+
+/**
+ * Get the fields that differ between two events
+ * @param {object} before - Event before the change
+ * @param {object} after - Event after the change
+ * @returns {object} Changes keyed by field, each with `old` and `new` values
+ */
+const diffEvents = (before, after) => {
+  const oldSnapshot = snapshotEvent(before);
+  const newSnapshot = snapshotEvent(after);
+  const changes = {};
+
+  for (const field of TRACKED_FIELDS) {
+    if (!isSameValue(field, oldSnapshot[field], newSnapshot[field])) {
+      changes[field] = { old: oldSnapshot[field], new: newSnapshot[field] };
+    }
+  }
+
+  return changes;
+};
+
+/**
+ * Rebuild the state of an event by undoing revisions
+ * @param {object} event - Current event
+ * @param {Array} revisions - Revisions to undo, newest first
+ * @returns {object} Snapshot of the event before those revisions
+ */
+const undoRevisions = (event, revisions) => {
+  const snapshot = snapshotEvent(event);
+
+  for (const revision of revisions) {
+    for (const [field, change] of Object.entries(revision.changes)) {
+      snapshot[field] = change.old;
+    }
+  }
+
+  return snapshot;
+};
+
+/**
+ * Convert a snapshot to the event data accepted by Event.update
+ * Only fields that differ from the current event are included
+ * @param {object} snapshot - Target snapshot
+ * @param {object} event - Current event
+ * @returns {object} Event data
+ */
+const snapshotToEventData = (snapshot, event) => {
+  const changes = diffEvents(event, snapshot);
+  const eventData = {};
+
+  for (const [field, change] of Object.entries(changes)) {
+    const value = change.new;
+
+    switch (field) {
+      case 'location':
+        if (value) {
+          eventData.latitude = value.latitude;
+          eventData.longitude = value.longitude;
+        }
+        break;
+      case 'start_time':
+        eventData.startTime = value;
+        break;
+      case 'end_time':
+        eventData.endTime = value;
+        break;
+      case 'categories':
+        eventData.categories = value.map(category => category.id);
+        break;
+      case 'recurrence_rule':
+        eventData.recurrenceRule = value;
+        break;
+      case 'recurrence_exdates':
+        eventData.exdates = value;
+        break;
+      case 'venue_id':
+        eventData.venueId = value;
+        break;
+      case 'attributes':
+        // Attributes are merged on update, so clear those the target state doesn't have
+        eventData.attributes = Object.fromEntries(Object.keys(change.old).map(name => [name, null]));
+        Object.assign(eventData.attributes, value);
+        break;
+      default:
+        eventData[field] = value;
+    }
+  }
+
+  return eventData;
+};
+
+module.exports = {
+  TRACKED_FIELDS,
+  snapshotEvent,
+  diffEvents,
+  undoRevisions,
+  snapshotToEventData
+};
@@ -0,0 +1,191 @@
+/**
+ * Parsers turning CSV and iCalendar files into event data for bulk import
+ */
+const { parse } = require('csv-parse/sync');
+const ICAL = require('ical.js');
+const { isValidTimezone, fromWallClock } = require('./timezones');
+
+// Event fields that can be read from an import file
+const IMPORT_FIELDS = [
+  'title',
+  'description',
+  'latitude',
+  'longitude',
+  'address',
+  'startTime',
+  'endTime',
+  'categories',
+  'recurrenceRule',
+  'exdates',
+  'capacity',
+  'status'
+];
+
+// Separator of multi-valued CSV cells (categories, exdates)
+const LIST_SEPARATOR = ';';
+
+/**
+ * Guess the format of an uploaded file from its name and MIME type
+ * @param {object} file - Uploaded file (multer)
+ * @returns {string|null} 'csv', 'ics' or null if unknown
+ */
+const detectFormat = (file) => {
+  const name = (file.originalname || '').toLowerCase();
+
+  if (name.endsWith('.ics') || file.mimetype === 'text/calendar') return 'ics';
+  if (name.endsWith('.csv') || file.mimetype === 'text/csv') return 'csv';
+  return null;
+};
+
+/**
+ * Check that a column mapping only maps known fields to column names
+ * @param {object} mapping - Column mapping
+ * @returns {boolean} Whether the mapping is valid
+ */
+const isValidMapping = (mapping) => {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) return false;
+
+  return Object.entries(mapping).every(([field, column]) => {
+    return IMPORT_FIELDS.includes(field) && typeof column === 'string' && column.length > 0;
+  });
+};
+
+/**
+ * Split a multi-valued CSV cell
+ * @param {string} value - Cell value
+ * @returns {Array<string>} Values
+ */
+const splitList = (value) => {
+  return value.split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+};
+
+/**
+ * Parse a CSV file into event data
+ * Columns are matched to event fields by name, unless the mapping names another column
+ * Categories are given by name; categories and exdates are separated by ';'
+ * @param {string} content - CSV content (first line is the header)
+ * @param {object} mapping - Column name for each event field, e.g. { title: 'Event Name' }
+ * @returns {Array<object>} Records with the file line (row) and the event data
+ */
+const parseCsv = (content, mapping = {}) => {
+  const records = parse(content, {
+    columns: true,
+    skip_empty_lines: true,
+    trim: true,
+    bom: true,
+    info: true
+  });
+
+  return records.map(({ record, info }) => {
+    const data = {};
+
+    for (const field of IMPORT_FIELDS) {
+      const value = record[mapping[field] || field];
+
+      // Empty cells are treated as missing values
+      if (value === undefined || value === '') continue;
+
+      if (field === 'categories') {
+        data.categoryNames = splitList(value);
+      } else if (field === 'exdates') {
+        data.exdates = splitList(value);
+      } else {
+        data[field] = value;
+      }
+    }
+
+    return { row: info.lines, data };
+  });
+};
+
+/**
+ * Convert an iCalendar time to an ISO string
+ * Local times are resolved with the timezones defined in the file, then with IANA timezones
+ * @param {ICAL.Time} time - iCalendar time
+ * @param {string} tzid - TZID parameter of the time's property, if any
+ * @param {Map<string, ICAL.Timezone>} timezones - Timezones defined in the file, by TZID
+ * @returns {string} ISO string
+ */
+const icalTimeToISO = (time, tzid, timezones) => {
+  if (tzid && time.zone !== ICAL.Timezone.utcTimezone) {
+    const { year, month, day, hour, minute, second, isDate } = time;
+
+    if (timezones.has(tzid)) {
+      const zoned = ICAL.Time.fromData({ year, month, day, hour, minute, second, isDate }, timezones.get(tzid));
+      return zoned.toJSDate().toISOString();
+    }
+    if (isValidTimezone(tzid)) {
+      return fromWallClock(new Date(Date.UTC(year, month - 1, day, hour, minute, second)), tzid).toISOString();
+    }
+  }
+
+  return time.toJSDate().toISOString();
+};
+
+/**
+ * Parse an iCalendar file into event data, one record per VEVENT
+ * Timezones defined in the file are used to resolve local times; they are kept to this file rather than
+ * registered with ical.js, whose registry is shared by every parse
+ * @param {string} content - iCalendar content
+ * @returns {Array<object>} Records with the VEVENT number (row), its UID and the event data
+ */
+const parseIcs = (content) => {
+  const calendar = new ICAL.Component(ICAL.parse(content));
+
+  const timezones = new Map(calendar.getAllSubcomponents('vtimezone').map(component => {
+    const timezone = new ICAL.Timezone(component);
+    return [timezone.tzid, timezone];
+  }));
+  const getTzid = (property) => property && property.getParameter('tzid');
+
+  return calendar.getAllSubcomponents('vevent').map((vevent, index) => {
+    const event = new ICAL.Event(vevent);
+    const data = {};
+    const startTzid = getTzid(vevent.getFirstProperty('dtstart'));
+
+    if (event.summary) data.title = event.summary;
+    if (event.description) data.description = event.description;
+    if (event.location) data.address = event.location;
+    if (event.startDate) data.startTime = icalTimeToISO(event.startDate, startTzid, timezones);
+    if (vevent.hasProperty('dtend') || vevent.hasProperty('duration')) {
+      // An end given as a duration is in the start's timezone
+      const endTzid = vevent.hasProperty('dtend') ? getTzid(vevent.getFirstProperty('dtend')) : startTzid;
+      data.endTime = icalTimeToISO(event.endDate, endTzid, timezones);
+    }
+
+    const geo = vevent.getFirstPropertyValue('geo');
+    if (geo) {
+      data.latitude = String(geo[0]);
+      data.longitude = String(geo[1]);
+    }
+
+    const categoryNames = vevent.getAllProperties('categories')
+      .reduce((names, property) => names.concat(property.getValues()), []);
+    if (categoryNames.length > 0) data.categoryNames = categoryNames;
+
+    const rrule = vevent.getFirstPropertyValue('rrule');
+    if (rrule) data.recurrenceRule = rrule.toString();
+
+    const exdates = vevent.getAllProperties('exdate')
+      .reduce((dates, property) => dates.concat(
+        property.getValues().map(time => icalTimeToISO(time, getTzid(property), timezones))
+      ), []);
+    if (exdates.length > 0) data.exdates = exdates;
+
+    return {
+      row: index + 1,
+      uid: event.uid,
+      // Edited occurrences (RECURRENCE-ID) belong to a series, not a new event
+      isOccurrence: vevent.hasProperty('recurrence-id'),
+      data
+    };
+  });
+};
+
+module.exports = {
+  IMPORT_FIELDS,
+  detectFormat,
+  isValidMapping,
+  parseCsv,
+  parseIcs
+};
@@ -0,0 +1,34 @@
+/**
+ * Where events take place: at a location, online, or both
+ */
+
+// in_person: at a location; online: through a join URL only; hybrid: at a location and online
+const EVENT_MODES = ['in_person', 'online', 'hybrid'];
+
+// Mode of events created without one
+const DEFAULT_MODE = 'in_person';
+
+/**
+ * Check whether events of a mode take place at a location
+ * @param {string} mode - Event mode
+ * @returns {boolean} Whether a location is required
+ */
+const needsLocation = (mode) => {
+  return mode !== 'online';
+};
+
+/**
+ * Check whether events of a mode are attended through a join URL
+ * @param {string} mode - Event mode
+ * @returns {boolean} Whether a join URL is required
+ */
+const needsJoinUrl = (mode) => {
+  return mode === 'online' || mode === 'hybrid';
+};
+
+module.exports = {
+  EVENT_MODES,
+  DEFAULT_MODE,
+  needsLocation,
+  needsJoinUrl
+};
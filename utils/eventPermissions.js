@@ -0,0 +1,41 @@
+/**
+ * Organizer roles on an event and what each of them may do
+ */
+
+// The owner is the event's creator; other roles are granted by invitation
+const ORGANIZER_ROLES = ['owner', 'editor', 'checkin_staff'];
+
+// Roles an organizer can be invited with
+const INVITABLE_ROLES = ['editor', 'checkin_staff'];
+
+const ROLE_PERMISSIONS = {
+  owner: [
+    'view_draft',
+    'edit',
+    'change_status',
+    'view_attendees',
+    'delete',
+    'restore',
+    'manage_organizers',
+    'manage_invitees'
+  ],
+  editor: ['view_draft', 'edit', 'change_status', 'view_attendees'],
+  checkin_staff: ['view_draft', 'view_attendees']
+};
+
+/**
+ * Check whether a role grants a permission
+ * @param {string|null} role - Organizer role (null for non-organizers)
+ * @param {string} permission - Permission, e.g. 'edit'
+ * @returns {boolean} Whether the role has the permission
+ */
+const hasPermission = (role, permission) => {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+};
+
+module.exports = {
+  ORGANIZER_ROLES,
+  INVITABLE_ROLES,
+  ROLE_PERMISSIONS,
+  hasPermission
+};
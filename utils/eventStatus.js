@@ -0,0 +1,33 @@
+/**
+ * Event lifecycle states and the transitions allowed between them
+ */
+
+const EVENT_STATUSES = ['draft', 'published', 'cancelled', 'postponed', 'completed'];
+
+// Statuses an event can be created with
+const INITIAL_STATUSES = ['draft', 'published'];
+
+const STATUS_TRANSITIONS = {
+  draft: ['published'],
+  published: ['cancelled', 'postponed', 'completed'],
+  postponed: ['published', 'cancelled'],
+  cancelled: [],
+  completed: []
+};
+
+/**
+ * Check whether an event can move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} Whether the transition is allowed
+ */
+const canTransition = (from, to) => {
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+module.exports = {
+  EVENT_STATUSES,
+  INITIAL_STATUSES,
+  STATUS_TRANSITIONS,
+  canTransition
+};
@@ -0,0 +1,104 @@
+/**
+ * Helpers for event templates
+ * Templates keep the fields of POST /api/events that stay the same from one edition of an event to the next
+ */
+
+// Event fields kept in templates, named as in POST /api/events
+const TEMPLATE_FIELDS = [
+  'title',
+  'description',
+  'address',
+  'latitude',
+  'longitude',
+  'footprint',
+  'venueId',
+  'categories',
+  'tags',
+  'attributes',
+  'mode',
+  'capacity',
+  'language',
+  'timezone',
+  'visibility',
+  'recurrenceRule',
+  'durationMinutes'
+];
+
+/**
+ * Keep the template fields of an object, leaving out missing ones
+ * @param {object} values - Event fields
+ * @returns {object} Template data
+ */
+const pickTemplateFields = (values) => {
+  const data = {};
+
+  for (const field of TEMPLATE_FIELDS) {
+    if (values[field] !== undefined) {
+      data[field] = values[field];
+    }
+  }
+
+  return data;
+};
+
+/**
+ * Build template data from an event
+ * @param {object} event - Event as returned by Event.getById
+ * @returns {object} Template data
+ */
+const templateFromEvent = (event) => {
+  const duration = event.end_time ? new Date(event.end_time) - new Date(event.start_time) : null;
+
+  return {
+    title: event.title,
+    description: event.description,
+    address: event.address,
+    latitude: event.location ? event.location.latitude : null,
+    longitude: event.location ? event.location.longitude : null,
+    footprint: event.footprint || null,
+    venueId: event.venue_id || null,
+    categories: (event.categories || []).map(category => category.id),
+    tags: event.tags || [],
+    attributes: event.attributes || {},
+    mode: event.mode,
+    capacity: event.capacity,
+    language: event.language,
+    timezone: event.timezone,
+    visibility: event.visibility,
+    recurrenceRule: event.recurrence_rule || null,
+    durationMinutes: duration !== null ? Math.round(duration / 60000) : null
+  };
+};
+
+/**
+ * Prefill the body of an event creation with template data; fields given in the body win
+ * Without an end time, the event lasts as long as the template says
+ * @param {object} body - Request body, with templateId
+ * @param {object} data - Template data
+ * @returns {object} Body to create the event from
+ */
+const applyTemplate = (body, data) => {
+  const { durationMinutes, ...fields } = data;
+  const { templateId, ...values } = body;
+
+  // Coordinates given in the body replace the template's venue
+  if (values.latitude !== undefined && values.longitude !== undefined && values.venueId === undefined) {
+    delete fields.venueId;
+  }
+
+  const merged = { ...fields, ...values };
+
+  const start = new Date(merged.startTime);
+  if (merged.endTime === undefined && durationMinutes && !isNaN(start.getTime())) {
+    merged.endTime = new Date(start.getTime() + durationMinutes * 60000).toISOString();
+  }
+
+  return merged;
+};
+
+module.exports = {
+  TEMPLATE_FIELDS,
+  pickTemplateFields,
+  templateFromEvent,
+  applyTemplate
+};
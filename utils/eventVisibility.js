@@ -0,0 +1,63 @@
+/**
+ * Who can see an event, and the signed invite links opening unlisted and private events
+ */
+const jwt = require('jsonwebtoken');
+
+// public: listed everywhere; unlisted: only opened through its invite link; private: invitees only
+const VISIBILITY_LEVELS = ['public', 'unlisted', 'private'];
+
+// Visibility of events created without one
+const DEFAULT_VISIBILITY = 'public';
+
+// Subject of invite tokens, so other tokens signed with the same secret are never taken for one
+const INVITE_SUBJECT = 'event-invite';
+
+/**
+ * Sign an invite token for an event
+ * Resetting the event's invite_version invalidates all tokens signed before
+ * @param {object} event - Event (id and invite_version)
+ * @returns {string} Token
+ */
+const createInviteToken = (event) => {
+  return jwt.sign(
+    { eventId: event.id, version: event.invite_version },
+    process.env.JWT_SECRET,
+    { subject: INVITE_SUBJECT }
+  );
+};
+
+/**
+ * Check whether a token is a current invite to an event
+ * @param {string|null} token - Invite token
+ * @param {object} event - Event (id and invite_version)
+ * @returns {boolean} Whether the token opens the event
+ */
+const isValidInviteToken = (token, event) => {
+  if (!token || typeof token !== 'string') {
+    return false;
+  }
+
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET, { subject: INVITE_SUBJECT });
+    return payload.eventId === event.id && payload.version === event.invite_version;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get the invite token sent with a request (?invite=)
+ * @param {object} req - Express request object
+ * @returns {string|null} Token
+ */
+const getInviteToken = (req) => {
+  return (req.query && typeof req.query.invite === 'string') ? req.query.invite : null;
+};
+
+module.exports = {
+  VISIBILITY_LEVELS,
+  DEFAULT_VISIBILITY,
+  createInviteToken,
+  isValidInviteToken,
+  getInviteToken
+};
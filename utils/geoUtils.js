@@ -64,6 +64,177 @@ const isValidCoordinates = (lat, lon) => {
   return lat >= -90 && lat <= 90 && lon >= -180 && lon <= 180;
 };
 
+// GeoJSON geometry types of event footprints: an area (e.g. a park) or a route (e.g. a parade)
+const FOOTPRINT_TYPES = ['Polygon', 'LineString'];
+
+// GeoJSON geometry types of areas to search in
+const AREA_TYPES = ['Polygon', 'MultiPolygon'];
+
+// Most positions a footprint, route or search area can have, to keep requests light to store and query
+const MAX_GEOMETRY_POSITIONS = 5000;
+
+/**
+ * Validate a GeoJSON position ([longitude, latitude])
+ * @param {Array} position - Position to validate
+ * @returns {boolean} Whether the position is valid
+ */
+const isValidPosition = (position) => {
+  return Array.isArray(position) && position.length >= 2 &&
+    position.every(value => typeof value === 'number' && Number.isFinite(value)) &&
+    isValidCoordinates(position[1], position[0]);
+};
+
+/**
+ * Validate a polygon ring: at least four valid positions, closed
+ * @param {Array} ring - Positions of the ring
+ * @returns {boolean} Whether the ring is valid
+ */
+const isValidRing = (ring) => {
+  if (!Array.isArray(ring) || ring.length < 4 || !ring.every(isValidPosition)) {
+    return false;
+  }
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  return first[0] === last[0] && first[1] === last[1];
+};
+
+/**
+ * Validate the rings of a polygon: an outer ring and optional holes
+ * @param {Array} rings - Rings of the polygon
+ * @returns {boolean} Whether the rings are valid
+ */
+const isValidPolygon = (rings) => {
+  return Array.isArray(rings) && rings.length > 0 && rings.every(isValidRing);
+};
+
+/**
+ * Validate an event footprint
+ * Lines need at least two positions; polygon rings need at least four, must be closed and must not cross themselves
+ * @param {object} geometry - GeoJSON Polygon or LineString geometry
+ * @returns {boolean} Whether the footprint is valid
+ */
+const isValidFootprint = (geometry) => {
+  if (!geometry || !FOOTPRINT_TYPES.includes(geometry.type) || !Array.isArray(geometry.coordinates)) {
+    return false;
+  }
+  
+  if (geometry.type === 'LineString') {
+    const line = geometry.coordinates;
+    return line.length >= 2 && line.length <= MAX_GEOMETRY_POSITIONS && line.every(isValidPosition);
+  }
+  
+  return isValidArea(geometry);
+};
+
+/**
+ * Validate an area to search in
+ * Polygon rings need at least four positions and must be closed; crossing rings are rejected unless
+ * checkCrossings is off (for large trusted areas repaired by the database)
+ * @param {object} geometry - GeoJSON Polygon or MultiPolygon geometry
+ * @param {object} options - Validation options
+ * @param {number} [options.maxPositions] - Most positions the area can have
+ * @param {boolean} [options.checkCrossings] - Whether to reject self-crossing rings (default: true)
+ * @returns {boolean} Whether the area is valid
+ */
+const isValidArea = (geometry, { maxPositions = MAX_GEOMETRY_POSITIONS, checkCrossings = true } = {}) => {
+  if (!geometry || !AREA_TYPES.includes(geometry.type) || !Array.isArray(geometry.coordinates)) {
+    return false;
+  }
+  
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  if (polygons.length === 0 || !polygons.every(isValidPolygon)) {
+    return false;
+  }
+  
+  const positions = polygons.reduce((count, rings) => {
+    return count + rings.reduce((ringCount, ring) => ringCount + ring.length, 0);
+  }, 0);
+  if (positions > maxPositions) {
+    return false;
+  }
+  
+  return !checkCrossings || turf.kinks(geometry).features.length === 0;
+};
+
+/**
+ * Validate a route to search along
+ * @param {object} geometry - GeoJSON LineString geometry
+ * @returns {boolean} Whether the route is valid
+ */
+const isValidRoute = (geometry) => {
+  return Boolean(geometry) && geometry.type === 'LineString' && isValidFootprint(geometry);
+};
+
+/**
+ * Read a GeoJSON geometry given as an object or as JSON text (e.g. in a query string)
+ * @param {object|string} value - Geometry or its JSON text
+ * @returns {object|null} Geometry, or null if the text is not JSON
+ */
+const parseGeometry = (value) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Decode an encoded polyline (as used by Google Maps, OSRM and others) into a GeoJSON LineString
+ * @param {string} encoded - Encoded polyline
+ * @param {number} precision - Number of decimal places of the encoded coordinates (default: 5)
+ * @returns {object|null} GeoJSON LineString geometry, or null if the polyline is malformed
+ */
+const decodePolyline = (encoded, precision = 5) => {
+  if (typeof encoded !== 'string') {
+    return null;
+  }
+  
+  const factor = Math.pow(10, precision);
+  const coordinates = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+  
+  // Read one zigzag-encoded value, 5 bits per character from the least significant
+  const readValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    
+    do {
+      if (index >= encoded.length || shift > 30) {
+        return null;
+      }
+      byte = encoded.charCodeAt(index++) - 63;
+      if (byte < 0 || byte > 63) {
+        return null;
+      }
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+  
+  while (index < encoded.length) {
+    const latDelta = readValue();
+    const lngDelta = latDelta === null ? null : readValue();
+    if (lngDelta === null) {
+      return null;
+    }
+    
+    lat += latDelta;
+    lng += lngDelta;
+    coordinates.push([lng / factor, lat / factor]);
+  }
+  
+  return { type: 'LineString', coordinates };
+};
+
 /**
  * Format coordinates for display
  * @param {number} lat - Latitude
@@ -90,5 +261,10 @@ module.exports = {
   createCircle,
   getBoundingBox,
   isValidCoordinates,
+  isValidFootprint,
+  isValidArea,
+  isValidRoute,
+  parseGeometry,
+  decodePolyline,
   formatCoordinates
 };
\ No newline at end of file
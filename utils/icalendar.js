@@ -0,0 +1,316 @@
+/**
+ * Helpers to render events as iCalendar (RFC 5545) documents
+ */
+const ICAL = require('ical.js');
+const { DEFAULT_EVENT_TIMEZONE, isValidTimezone, getOffset } = require('./timezones');
+const { getSeriesEnd } = require('./recurrence');
+require('dotenv').config();
+
+const PRODID = '-//Event Locator//Event Locator App//EN';
+
+// Domain part of event UIDs, which must never change once feeds are subscribed to
+const UID_DOMAIN = process.env.ICAL_UID_DOMAIN || 'event-locator';
+
+// Timezone used for calendars when none is requested
+const DEFAULT_TIMEZONE = process.env.CALENDAR_TIMEZONE || 'UTC';
+
+// How often calendar apps should refresh a feed
+const REFRESH_INTERVAL = 'PT1H';
+
+// Years of timezone transitions described for series without an end
+const OPEN_SERIES_YEARS = 5;
+
+const YEAR = 365 * 24 * 60 * 60 * 1000;
+
+const ICAL_STATUSES = {
+  published: 'CONFIRMED',
+  completed: 'CONFIRMED',
+  postponed: 'TENTATIVE',
+  cancelled: 'CANCELLED',
+  draft: 'TENTATIVE'
+};
+
+/**
+ * Get the wall-clock time of an instant in a timezone as a floating iCalendar time
+ * @param {Date} date - Instant
+ * @param {number} offset - UTC offset in minutes
+ * @returns {ICAL.Time} Floating time
+ */
+const toLocalTime = (date, offset) => {
+  const local = new Date(date.getTime() + offset * 60000);
+
+  return ICAL.Time.fromData({
+    year: local.getUTCFullYear(),
+    month: local.getUTCMonth() + 1,
+    day: local.getUTCDate(),
+    hour: local.getUTCHours(),
+    minute: local.getUTCMinutes(),
+    second: local.getUTCSeconds(),
+    isDate: false
+  });
+};
+
+/**
+ * Find the instants at which a timezone changes its UTC offset
+ * @param {string} timezone - IANA timezone
+ * @param {Date} from - Start of the period
+ * @param {Date} to - End of the period
+ * @returns {Array<object>} Transitions with the instant and the offsets before and after
+ */
+const findTransitions = (timezone, from, to) => {
+  const transitions = [];
+  const day = 24 * 60 * 60 * 1000;
+  let previous = from.getTime();
+  let previousOffset = getOffset(timezone, from);
+
+  for (let time = previous + day; time <= to.getTime() + day; time += day) {
+    const offset = getOffset(timezone, new Date(time));
+
+    if (offset !== previousOffset) {
+      // Narrow down to the minute of the change
+      let low = previous;
+      let high = time;
+      while (high - low > 60000) {
+        const middle = low + Math.floor((high - low) / 120000) * 60000;
+        if (getOffset(timezone, new Date(middle)) === previousOffset) {
+          low = middle;
+        } else {
+          high = middle;
+        }
+      }
+
+      transitions.push({ at: new Date(high), from: previousOffset, to: offset });
+      previousOffset = offset;
+    }
+
+    previous = time;
+  }
+
+  return transitions;
+};
+
+/**
+ * Build a timezone observance (STANDARD or DAYLIGHT)
+ * @param {string} type - 'standard' or 'daylight'
+ * @param {ICAL.Time} start - Local start of the observance
+ * @param {number} offsetFrom - Offset before, in minutes
+ * @param {number} offsetTo - Offset after, in minutes
+ * @returns {ICAL.Component} Observance
+ */
+const buildObservance = (type, start, offsetFrom, offsetTo) => {
+  const observance = new ICAL.Component(type);
+  observance.addPropertyWithValue('dtstart', start);
+  observance.addPropertyWithValue('tzoffsetfrom', ICAL.UtcOffset.fromSeconds(offsetFrom * 60));
+  observance.addPropertyWithValue('tzoffsetto', ICAL.UtcOffset.fromSeconds(offsetTo * 60));
+  return observance;
+};
+
+/**
+ * Build a VTIMEZONE from the runtime's timezone data
+ * Each offset change in the period becomes its own observance
+ * @param {string} timezone - IANA timezone
+ * @param {Date} from - Start of the period covered
+ * @param {Date} to - End of the period covered
+ * @returns {ICAL.Component} VTIMEZONE component
+ */
+const buildVTimezone = (timezone, from, to) => {
+  const vtimezone = new ICAL.Component('vtimezone');
+  vtimezone.addPropertyWithValue('tzid', timezone);
+
+  const initialOffset = getOffset(timezone, from);
+  vtimezone.addSubcomponent(buildObservance('standard', toLocalTime(from, initialOffset), initialOffset, initialOffset));
+
+  for (const transition of findTransitions(timezone, from, to)) {
+    vtimezone.addSubcomponent(buildObservance(
+      transition.to > transition.from ? 'daylight' : 'standard',
+      toLocalTime(transition.at, transition.from),
+      transition.from,
+      transition.to
+    ));
+  }
+
+  return vtimezone;
+};
+
+/**
+ * Add a date-time property, in UTC or in the calendar's timezone
+ * @param {ICAL.Component} component - Component to add the property to
+ * @param {string} name - Property name
+ * @param {Date|string} value - Instant
+ * @param {string} timezone - Calendar timezone
+ */
+const addTimeProperty = (component, name, value, timezone) => {
+  const date = new Date(value);
+
+  if (timezone === 'UTC') {
+    component.addPropertyWithValue(name, ICAL.Time.fromJSDate(date, true));
+    return;
+  }
+
+  const property = new ICAL.Property(name);
+  property.setParameter('tzid', timezone);
+  property.setValue(toLocalTime(date, getOffset(timezone, date)));
+  component.addProperty(property);
+};
+
+/**
+ * Build the UID of an event, stable across exports and feeds
+ * @param {object} event - Event
+ * @returns {string} UID
+ */
+const eventUID = (event) => {
+  return `event-${event.id}@${UID_DOMAIN}`;
+};
+
+/**
+ * Add the properties shared by an event and its edited occurrences
+ * @param {ICAL.Component} vevent - VEVENT
+ * @param {object} event - Event
+ */
+const addCommonProperties = (vevent, event) => {
+  vevent.addPropertyWithValue('uid', eventUID(event));
+  vevent.addPropertyWithValue('dtstamp', ICAL.Time.fromJSDate(new Date(event.updated_at), true));
+  vevent.addPropertyWithValue('created', ICAL.Time.fromJSDate(new Date(event.created_at), true));
+  vevent.addPropertyWithValue('last-modified', ICAL.Time.fromJSDate(new Date(event.updated_at), true));
+  // The version counter goes up on every change, starting at 1
+  vevent.addPropertyWithValue('sequence', Math.max((event.version || 1) - 1, 0));
+  vevent.addPropertyWithValue('status', ICAL_STATUSES[event.status] || 'CONFIRMED');
+
+  if (event.location) {
+    vevent.addPropertyWithValue('geo', [event.location.latitude, event.location.longitude]);
+  }
+
+  if (event.categories && event.categories.length > 0) {
+    const categories = new ICAL.Property('categories');
+    categories.setValues(event.categories.map(category => category.name));
+    vevent.addProperty(categories);
+  }
+};
+
+/**
+ * Get the timezone an event's times are written in
+ * Recurring series keep the event's own timezone, since their rules repeat on its local time
+ * @param {object} event - Event
+ * @param {string} timezone - Calendar timezone
+ * @returns {string} IANA timezone
+ */
+const getEventTimezone = (event, timezone) => {
+  return event.recurrence_rule ? event.timezone || DEFAULT_EVENT_TIMEZONE : timezone;
+};
+
+/**
+ * Get the period an event's times fall in, up to the last occurrence of recurring series
+ * @param {object} event - Event
+ * @returns {Array<number>} Start and end, as timestamps
+ */
+const getEventSpan = (event) => {
+  const start = new Date(event.start_time).getTime();
+  const end = new Date(event.end_time || event.start_time).getTime();
+
+  if (!event.recurrence_rule) {
+    return [start, end];
+  }
+
+  const seriesEnd = getSeriesEnd(event.recurrence_rule, event.start_time, getEventTimezone(event));
+  return [start, seriesEnd ? seriesEnd.getTime() + (end - start) : Math.max(end, Date.now()) + OPEN_SERIES_YEARS * YEAR];
+};
+
+/**
+ * Build the VEVENTs of an event: the event itself, then one per edited occurrence
+ * @param {object} event - Event with categories (and overrides if recurring)
+ * @param {string} timezone - Calendar timezone
+ * @returns {Array<ICAL.Component>} VEVENT components
+ */
+const buildVEvents = (event, timezone) => {
+  const vevent = new ICAL.Component('vevent');
+  const eventTimezone = getEventTimezone(event, timezone);
+
+  addCommonProperties(vevent, event);
+  vevent.addPropertyWithValue('summary', event.title);
+  if (event.description) vevent.addPropertyWithValue('description', event.description);
+  if (event.address) vevent.addPropertyWithValue('location', event.address);
+  addTimeProperty(vevent, 'dtstart', event.start_time, eventTimezone);
+  if (event.end_time) addTimeProperty(vevent, 'dtend', event.end_time, eventTimezone);
+
+  if (!event.recurrence_rule) {
+    return [vevent];
+  }
+
+  vevent.addPropertyWithValue('rrule', ICAL.Recur.fromString(event.recurrence_rule));
+  (event.recurrence_exdates || []).forEach(exdate => {
+    addTimeProperty(vevent, 'exdate', exdate, eventTimezone);
+  });
+
+  const duration = event.end_time ? new Date(event.end_time) - new Date(event.start_time) : null;
+
+  const overrides = (event.overrides || []).map(override => {
+    const occurrence = new ICAL.Component('vevent');
+    const start = override.start_time || override.occurrence_start;
+    const end = override.end_time || (duration !== null ? new Date(new Date(start).getTime() + duration) : null);
+
+    addCommonProperties(occurrence, event);
+    addTimeProperty(occurrence, 'recurrence-id', override.occurrence_start, eventTimezone);
+    occurrence.addPropertyWithValue('summary', override.title || event.title);
+    const description = override.description || event.description;
+    if (description) occurrence.addPropertyWithValue('description', description);
+    const address = override.address || event.address;
+    if (address) occurrence.addPropertyWithValue('location', address);
+    addTimeProperty(occurrence, 'dtstart', start, eventTimezone);
+    if (end) addTimeProperty(occurrence, 'dtend', end, eventTimezone);
+
+    return occurrence;
+  });
+
+  return [vevent, ...overrides];
+};
+
+/**
+ * Render events as an iCalendar document
+ * @param {Array<object>} events - Events with categories (and overrides if recurring)
+ * @param {object} options - Calendar options
+ * @param {string} [options.name] - Calendar name shown by calendar apps
+ * @param {string} [options.timezone] - IANA timezone for event times (default CALENDAR_TIMEZONE or UTC)
+ * @returns {string} iCalendar document
+ */
+const buildCalendar = (events, { name = null, timezone = DEFAULT_TIMEZONE } = {}) => {
+  const calendar = new ICAL.Component('vcalendar');
+  calendar.addPropertyWithValue('prodid', PRODID);
+  calendar.addPropertyWithValue('version', '2.0');
+  calendar.addPropertyWithValue('calscale', 'GREGORIAN');
+  calendar.addPropertyWithValue('method', 'PUBLISH');
+
+  if (name) calendar.addPropertyWithValue('x-wr-calname', name);
+  calendar.addPropertyWithValue('x-wr-timezone', timezone);
+
+  calendar.addPropertyWithValue('refresh-interval', ICAL.Duration.fromString(REFRESH_INTERVAL));
+  calendar.addPropertyWithValue('x-published-ttl', REFRESH_INTERVAL);
+
+  // Describe each timezone over the span of the events written in it
+  const spans = new Map();
+  events.forEach(event => {
+    const eventTimezone = getEventTimezone(event, timezone);
+    if (eventTimezone === 'UTC') return;
+
+    const [start, end] = getEventSpan(event);
+    const span = spans.get(eventTimezone) || [start, end];
+    spans.set(eventTimezone, [Math.min(span[0], start), Math.max(span[1], end)]);
+  });
+
+  spans.forEach(([start, end], spanTimezone) => {
+    calendar.addSubcomponent(buildVTimezone(spanTimezone, new Date(start - YEAR), new Date(end + YEAR)));
+  });
+
+  events.forEach(event => {
+    buildVEvents(event, timezone).forEach(vevent => calendar.addSubcomponent(vevent));
+  });
+
+  return calendar.toString();
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  eventUID,
+  buildVTimezone,
+  buildCalendar
+};
@@ -0,0 +1,87 @@
+/**
+ * Validation and image processing for event media uploads
+ */
+const sharp = require('sharp');
+require('dotenv').config();
+
+// Maximum size of an uploaded media file in bytes
+const MEDIA_MAX_SIZE = parseInt(process.env.MEDIA_MAX_SIZE) || 10 * 1024 * 1024;
+
+// Accepted media types and the file extension they are stored with
+const MEDIA_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'application/pdf': 'pdf'
+};
+
+// Resized copies generated for images, by maximum width in pixels
+const IMAGE_VARIANTS = {
+  thumbnail: 320,
+  medium: 800,
+  large: 1600
+};
+
+/**
+ * Detect the type of a file from its first bytes, so the declared MIME type can't be spoofed
+ * @param {Buffer} buffer - File content
+ * @returns {string|null} MIME type, or null if it is not an accepted type
+ */
+const detectMimeType = (buffer) => {
+  if (!buffer || buffer.length < 12) return null;
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (buffer.toString('ascii', 0, 4) === 'GIF8') return 'image/gif';
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+  if (buffer.toString('ascii', 0, 5) === '%PDF-') return 'application/pdf';
+  return null;
+};
+
+/**
+ * Check whether a MIME type is an image type
+ * @param {string} mimeType - MIME type
+ * @returns {boolean} Whether it is an image
+ */
+const isImage = (mimeType) => {
+  return mimeType.startsWith('image/');
+};
+
+/**
+ * Read the dimensions of an image and generate its resized variants as WebP
+ * Images are never enlarged, and are rotated according to their EXIF orientation
+ * @param {Buffer} buffer - Image content
+ * @returns {Promise<object>} Width and height of the image, and its variants by name
+ */
+const processImage = async (buffer) => {
+  const { width, height, orientation } = await sharp(buffer).metadata();
+  // Orientations 5 to 8 swap width and height
+  const rotated = orientation >= 5;
+
+  const variants = {};
+  for (const [name, maxWidth] of Object.entries(IMAGE_VARIANTS)) {
+    const { data, info } = await sharp(buffer)
+      .rotate()
+      .resize({ width: maxWidth, withoutEnlargement: true })
+      .webp()
+      .toBuffer({ resolveWithObject: true });
+
+    variants[name] = { buffer: data, width: info.width, height: info.height, contentType: 'image/webp' };
+  }
+
+  return {
+    width: rotated ? height : width,
+    height: rotated ? width : height,
+    variants
+  };
+};
+
+module.exports = {
+  MEDIA_MAX_SIZE,
+  MEDIA_TYPES,
+  IMAGE_VARIANTS,
+  detectMimeType,
+  isImage,
+  processImage
+};
@@ -0,0 +1,38 @@
+/**
+ * Helpers for venue opening hours
+ * Hours are stored per weekday as a list of { open, close } periods in 24-hour HH:MM,
+ * e.g. { "mon": [{ "open": "09:00", "close": "17:00" }], "sat": [] }
+ */
+
+// Weekday keys accepted in opening hours
+const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Check whether a value is a valid opening hours object
+ * A period may close after midnight ("22:00" to "02:00"), but must not be empty
+ * @param {*} value - Opening hours
+ * @returns {boolean} Whether the value is valid
+ */
+const isValidOpeningHours = (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return false;
+  }
+
+  return Object.entries(value).every(([day, periods]) => {
+    return WEEKDAYS.includes(day) &&
+      Array.isArray(periods) &&
+      periods.every(period => {
+        return period &&
+          TIME_PATTERN.test(period.open) &&
+          TIME_PATTERN.test(period.close) &&
+          period.open !== period.close;
+      });
+  });
+};
+
+module.exports = {
+  WEEKDAYS,
+  isValidOpeningHours
+};
@@ -0,0 +1,53 @@
+/**
+ * Helpers for ticket prices
+ * Prices in different currencies are compared in the base currency, using the exchange_rates table
+ */
+require('dotenv').config();
+
+// Currency the exchange rates are relative to (its own rate is 1)
+const BASE_CURRENCY = (process.env.BASE_CURRENCY || 'USD').toUpperCase();
+
+// ISO 4217 currency codes, e.g. EUR
+const CURRENCY_PATTERN = /^[A-Za-z]{3}$/;
+
+/**
+ * Check whether the tickets of a tier can still be bought (or will be)
+ * @param {object} tier - Ticket tier
+ * @param {Date} now - Current time
+ * @returns {boolean} Whether the sales of the tier have not ended
+ */
+const isOnSale = (tier, now = new Date()) => {
+  return !tier.sales_end || new Date(tier.sales_end) > now;
+};
+
+/**
+ * Summarize the ticket tiers of an event as free or "from" its cheapest tier
+ * Events without tiers are free; tiers whose sales have ended are left out
+ * @param {Array<object>} tiers - Ticket tiers with price, currency and base_price (price in the base currency)
+ * @param {Date} now - Current time
+ * @returns {object} { free, from: { amount, currency } or null once all sales have ended }
+ */
+const summarizePrices = (tiers, now = new Date()) => {
+  if (tiers.length === 0) {
+    return { free: true, from: null };
+  }
+
+  const onSale = tiers.filter(tier => isOnSale(tier, now));
+  if (onSale.length === 0) {
+    return { free: false, from: null };
+  }
+
+  const cheapest = onSale.reduce((min, tier) => (tier.base_price < min.base_price ? tier : min));
+
+  return {
+    free: cheapest.price === 0,
+    from: { amount: cheapest.price, currency: cheapest.currency }
+  };
+};
+
+module.exports = {
+  BASE_CURRENCY,
+  CURRENCY_PATTERN,
+  isOnSale,
+  summarizePrices
+};
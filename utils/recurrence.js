@@ -0,0 +1,222 @@
+const { RRule } = require('rrule');
+const { DEFAULT_EVENT_TIMEZONE, toWallClock, fromWallClock } = require('./timezones');
+require('dotenv').config();
+
+// Upper bound on occurrences generated for a single series
+const MAX_OCCURRENCES = 1000;
+
+/**
+ * Strip an optional "RRULE:" prefix and surrounding whitespace
+ * @param {string} rule - Recurrence rule
+ * @returns {string} Normalized rule, e.g. "FREQ=WEEKLY;BYDAY=TU"
+ */
+const normalizeRule = (rule) => {
+  return rule.trim().replace(/^RRULE:/i, '');
+};
+
+/**
+ * Check that a string is a usable iCalendar RRULE
+ * DTSTART is not accepted since it always comes from the event start time
+ * @param {string} rule - Recurrence rule
+ * @returns {boolean} Whether the rule is valid
+ */
+const isValidRule = (rule) => {
+  if (typeof rule !== 'string' || rule.trim() === '') {
+    return false;
+  }
+
+  try {
+    const options = RRule.parseString(normalizeRule(rule));
+    return options.freq !== undefined && !options.dtstart;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Build an RRule instance anchored at the series start
+ * The rule is expanded on the wall clock of the event's timezone, so occurrences keep their local time
+ * across DST changes and BYDAY means local days: pass and read its dates through toWallClock/fromWallClock
+ * @param {string} rule - Recurrence rule
+ * @param {Date|string} dtstart - Start time of the first occurrence
+ * @param {string} timezone - IANA timezone of the event
+ * @returns {RRule} RRule instance
+ */
+const buildRule = (rule, dtstart, timezone = DEFAULT_EVENT_TIMEZONE) => {
+  const options = RRule.parseString(normalizeRule(rule));
+
+  // UNTIL is stored in UTC
+  if (options.until) {
+    options.until = toWallClock(options.until, timezone);
+  }
+
+  return new RRule({ ...options, dtstart: toWallClock(dtstart, timezone) });
+};
+
+/**
+ * Serialize RRule options back to the stored rule format
+ * @param {object} options - RRule options
+ * @returns {string} Rule without the "RRULE:" prefix
+ */
+const stringifyRule = (options) => {
+  const { dtstart, ...ruleOptions } = options;
+  return normalizeRule(RRule.optionsToString(ruleOptions));
+};
+
+/**
+ * Get the start time of the last occurrence of a series
+ * @param {string} rule - Recurrence rule
+ * @param {Date|string} dtstart - Start time of the first occurrence
+ * @param {string} timezone - IANA timezone of the event
+ * @returns {Date|null} Last occurrence, or null for open-ended series
+ */
+const getSeriesEnd = (rule, dtstart, timezone = DEFAULT_EVENT_TIMEZONE) => {
+  const rrule = buildRule(rule, dtstart, timezone);
+
+  if (rrule.options.until) {
+    const last = rrule.before(rrule.options.until, true);
+    return last ? fromWallClock(last, timezone) : new Date(dtstart);
+  }
+
+  if (rrule.options.count) {
+    const occurrences = rrule.all((date, i) => i < MAX_OCCURRENCES);
+    return fromWallClock(occurrences[occurrences.length - 1], timezone);
+  }
+
+  return null;
+};
+
+/**
+ * Check whether a date is one of the occurrences of a series
+ * @param {string} rule - Recurrence rule
+ * @param {Date|string} dtstart - Start time of the first occurrence
+ * @param {Date|string} date - Date to check
+ * @param {string} timezone - IANA timezone of the event
+ * @returns {boolean} Whether the date is an occurrence
+ */
+const isOccurrence = (rule, dtstart, date, timezone = DEFAULT_EVENT_TIMEZONE) => {
+  const target = new Date(date);
+  if (isNaN(target.getTime())) {
+    return false;
+  }
+
+  const wallClock = toWallClock(target, timezone);
+  return buildRule(rule, dtstart, timezone).between(wallClock, wallClock, true)
+    .some(occurrence => fromWallClock(occurrence, timezone).getTime() === target.getTime());
+};
+
+/**
+ * Split a series in two at a given occurrence
+ * The first rule ends just before the split, the second one carries the rest
+ * @param {string} rule - Recurrence rule
+ * @param {Date|string} dtstart - Start time of the first occurrence
+ * @param {Date|string} splitAt - First occurrence of the second series
+ * @param {string} timezone - IANA timezone of the event
+ * @returns {object} Object with `before` and `after` rules
+ */
+const splitRule = (rule, dtstart, splitAt, timezone = DEFAULT_EVENT_TIMEZONE) => {
+  const options = RRule.parseString(normalizeRule(rule));
+  const splitDate = new Date(splitAt);
+
+  if (options.count) {
+    const occurrencesBefore = buildRule(rule, dtstart, timezone)
+      .between(toWallClock(dtstart, timezone), toWallClock(splitDate, timezone), true)
+      .filter(date => fromWallClock(date, timezone).getTime() < splitDate.getTime())
+      .length;
+
+    return {
+      before: stringifyRule({ ...options, count: occurrencesBefore }),
+      after: stringifyRule({ ...options, count: options.count - occurrencesBefore })
+    };
+  }
+
+  return {
+    before: stringifyRule({ ...options, until: new Date(splitDate.getTime() - 1000) }),
+    after: stringifyRule(options)
+  };
+};
+
+/**
+ * Resolve the window used to expand a series
+ * @param {string|null} startDate - Window start (defaults to the series start)
+ * @param {string|null} endDate - Window end (defaults to RECURRENCE_EXPANSION_DAYS after the start)
+ * @param {Date|string} seriesStart - Start time of the first occurrence
+ * @returns {object} Object with `from` and `to` dates
+ */
+const getExpansionWindow = (startDate, endDate, seriesStart) => {
+  const expansionDays = parseInt(process.env.RECURRENCE_EXPANSION_DAYS) || 90;
+  const from = startDate ? new Date(startDate) : new Date(seriesStart);
+  const to = endDate
+    ? new Date(endDate)
+    : new Date(from.getTime() + expansionDays * 24 * 60 * 60 * 1000);
+
+  return { from, to };
+};
+
+/**
+ * Expand a recurring event into its occurrences within a date window
+ * Each occurrence carries its concrete start_time/end_time and the
+ * occurrence_start of the series slot it was generated from
+ * @param {object} event - Event row with recurrence_rule, recurrence_exdates and timezone
+ * @param {string|null} startDate - Window start
+ * @param {string|null} endDate - Window end
+ * @param {Array} overrides - Per-occurrence overrides for the event
+ * @returns {Array} List of occurrences
+ */
+const expandOccurrences = (event, startDate, endDate, overrides = []) => {
+  const seriesStart = new Date(event.start_time);
+  const duration = event.end_time ? new Date(event.end_time) - seriesStart : null;
+  const { from, to } = getExpansionWindow(startDate, endDate, seriesStart);
+
+  const excluded = new Set((event.recurrence_exdates || []).map(date => new Date(date).getTime()));
+  const overridesByStart = new Map(overrides.map(override => {
+    return [new Date(override.occurrence_start).getTime(), override];
+  }));
+
+  const timezone = event.timezone || DEFAULT_EVENT_TIMEZONE;
+  const dates = buildRule(event.recurrence_rule, seriesStart, timezone)
+    .between(toWallClock(from, timezone), toWallClock(to, timezone), true, (date, i) => i < MAX_OCCURRENCES)
+    .map(date => fromWallClock(date, timezone));
+
+  return dates
+    .filter(date => !excluded.has(date.getTime()))
+    .map(date => {
+      const occurrence = {
+        ...event,
+        occurrence_start: date,
+        start_time: date,
+        end_time: duration !== null ? new Date(date.getTime() + duration) : null
+      };
+
+      const override = overridesByStart.get(date.getTime());
+      if (override) {
+        for (const field of ['title', 'description', 'address']) {
+          if (override[field] !== null && override[field] !== undefined) {
+            occurrence[field] = override[field];
+          }
+        }
+
+        if (override.start_time) {
+          occurrence.start_time = new Date(override.start_time);
+          occurrence.end_time = duration !== null
+            ? new Date(occurrence.start_time.getTime() + duration)
+            : null;
+        }
+
+        if (override.end_time) {
+          occurrence.end_time = new Date(override.end_time);
+        }
+      }
+
+      return occurrence;
+    });
+};
+
+module.exports = {
+  normalizeRule,
+  isValidRule,
+  getSeriesEnd,
+  isOccurrence,
+  splitRule,
+  expandOccurrences
+};
@@ -0,0 +1,61 @@
+/**
+ * Helpers for free-form event tags
+ * Tags are stored normalized: "#Kid Friendly" and "kid_friendly" are both "kid-friendly"
+ */
+
+const MAX_TAG_LENGTH = 50;
+
+// Most tags an event can have
+const MAX_TAGS = 20;
+
+// How tag filters combine: events with any of the tags, or with all of them
+const TAG_MATCH_MODES = ['any', 'all'];
+
+/**
+ * Normalize a tag: lowercase, no leading "#", words joined with dashes, letters and digits only
+ * @param {string} tag - Tag as typed
+ * @returns {string} Normalized tag (empty if nothing is left)
+ */
+const normalizeTag = (tag) => {
+  return String(tag)
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/^[\s#]+/, '')
+    .replace(/[\s_]+/g, '-')
+    .replace(/[^\p{L}\p{N}-]/gu, '')
+    .replace(/-{2,}/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, MAX_TAG_LENGTH)
+    .replace(/-+$/, '');
+};
+
+/**
+ * Read a list of tags, given as an array or comma-separated, normalized and without duplicates
+ * @param {string|Array<string>} value - Tags
+ * @returns {Array<string>} Normalized tags
+ */
+const toTagList = (value) => {
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(list.map(normalizeTag).filter(Boolean))];
+};
+
+/**
+ * Check whether a value can be read as a list of tags
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is a string or an array of strings
+ */
+const isTagInput = (value) => {
+  if (Array.isArray(value)) {
+    return value.every(tag => typeof tag === 'string');
+  }
+  return typeof value === 'string';
+};
+
+module.exports = {
+  MAX_TAG_LENGTH,
+  MAX_TAGS,
+  TAG_MATCH_MODES,
+  normalizeTag,
+  toTagList,
+  isTagInput
+};
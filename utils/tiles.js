@@ -0,0 +1,88 @@
+/**
+ * Web map tile helpers (z/x/y tiles in the spherical mercator projection)
+ */
+require('dotenv').config();
+
+// Highest zoom level tiles are served at
+const MAX_TILE_ZOOM = 22;
+
+// Size of a tile in vector tile coordinates, and the margin kept around it so markers at tile edges are not cut
+const TILE_EXTENT = 4096;
+const TILE_BUFFER = 64;
+
+// Seconds clients and proxies may reuse a tile
+const TILE_MAX_AGE = parseInt(process.env.TILE_MAX_AGE) || 60;
+
+// Latitude limit of the spherical mercator projection
+const MAX_MERCATOR_LATITUDE = 85.0511287798;
+
+/**
+ * Get the position of a point in tile units at a zoom level
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @param {number} z - Zoom level
+ * @returns {Array} [x, y], with the tile column and row as integer parts
+ */
+const pointToTile = (latitude, longitude, z) => {
+  const size = Math.pow(2, z);
+  const lat = Math.max(-MAX_MERCATOR_LATITUDE, Math.min(MAX_MERCATOR_LATITUDE, latitude)) * Math.PI / 180;
+
+  const x = (longitude + 180) / 360 * size;
+  const y = (1 - Math.log(Math.tan(lat) + 1 / Math.cos(lat)) / Math.PI) / 2 * size;
+  return [x, y];
+};
+
+/**
+ * Get the bounding box of a tile
+ * @param {number} z - Zoom level
+ * @param {number} x - Tile column
+ * @param {number} y - Tile row
+ * @param {number} margin - Margin around the tile, as a share of its width
+ * @returns {Array} [minLon, minLat, maxLon, maxLat], within the bounds of the projection
+ */
+const getTileBoundingBox = (z, x, y, margin = 0) => {
+  const size = Math.pow(2, z);
+  const clamp = value => Math.max(0, Math.min(size, value));
+  const toLongitude = column => clamp(column) / size * 360 - 180;
+  const toLatitude = row => Math.atan(Math.sinh(Math.PI * (1 - 2 * clamp(row) / size))) * 180 / Math.PI;
+
+  return [toLongitude(x - margin), toLatitude(y + 1 + margin), toLongitude(x + 1 + margin), toLatitude(y - margin)];
+};
+
+/**
+ * Get the tiles a point shows up in at every zoom level, margins included
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @returns {Array<string>} Tiles as "z/x/y"
+ */
+const tilesForPoint = (latitude, longitude) => {
+  const margin = TILE_BUFFER / TILE_EXTENT;
+  const tiles = [];
+
+  for (let z = 0; z <= MAX_TILE_ZOOM; z++) {
+    const size = Math.pow(2, z);
+    const [x, y] = pointToTile(latitude, longitude, z);
+    const columns = new Set([Math.floor(x - margin), Math.floor(x), Math.floor(x + margin)]);
+    const rows = new Set([Math.floor(y - margin), Math.floor(y), Math.floor(y + margin)]);
+
+    for (const column of columns) {
+      for (const row of rows) {
+        if (column >= 0 && column < size && row >= 0 && row < size) {
+          tiles.push(`${z}/${column}/${row}`);
+        }
+      }
+    }
+  }
+
+  return tiles;
+};
+
+module.exports = {
+  MAX_TILE_ZOOM,
+  TILE_EXTENT,
+  TILE_BUFFER,
+  TILE_MAX_AGE,
+  pointToTile,
+  getTileBoundingBox,
+  tilesForPoint
+};
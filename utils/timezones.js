@@ -0,0 +1,185 @@
+/**
+ * Helpers for event timezones
+ * Times are stored in UTC; each event keeps the IANA timezone of the place it happens in
+ */
+const tzlookup = require('@photostructure/tz-lookup');
+
+// Timezone of events whose location gives none
+const DEFAULT_EVENT_TIMEZONE = 'UTC';
+
+// Date filter meaning the current day wherever each event takes place
+const TODAY = 'today';
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether a string is an IANA timezone known to the runtime
+ * @param {string} timezone - Timezone name, e.g. 'Europe/Paris'
+ * @returns {boolean} Whether the timezone is valid
+ */
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Formatters reused by getOffset, one per timezone
+const offsetFormats = new Map();
+
+/**
+ * Get the UTC offset of a timezone at a given instant
+ * @param {string} timezone - IANA timezone
+ * @param {Date} date - Instant
+ * @returns {number} Offset in minutes (east of UTC is positive)
+ */
+const getOffset = (timezone, date) => {
+  if (!offsetFormats.has(timezone)) {
+    offsetFormats.set(timezone, new Intl.DateTimeFormat('en-US', { timeZone: timezone, timeZoneName: 'longOffset' }));
+  }
+
+  const name = offsetFormats.get(timezone)
+    .formatToParts(date)
+    .find(part => part.type === 'timeZoneName').value;
+
+  const match = name.match(/GMT([+-])(\d{2}):(\d{2})/);
+  if (!match) return 0;
+
+  const minutes = parseInt(match[2]) * 60 + parseInt(match[3]);
+  return match[1] === '-' ? -minutes : minutes;
+};
+
+/**
+ * Find the timezone of a location, using timezone boundaries bundled with the app (no network lookup)
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @returns {string} IANA timezone, or DEFAULT_EVENT_TIMEZONE if the location is invalid
+ */
+const timezoneAt = (latitude, longitude) => {
+  try {
+    return tzlookup(Number(latitude), Number(longitude));
+  } catch (error) {
+    return DEFAULT_EVENT_TIMEZONE;
+  }
+};
+
+/**
+ * Format an instant as the wall-clock time of a timezone, with its UTC offset
+ * @param {Date|string} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {string} ISO 8601 time, e.g. "2024-06-01T19:00:00+02:00"
+ */
+const toLocalISOString = (date, timezone) => {
+  const instant = new Date(date);
+  const offset = getOffset(timezone, instant);
+  const local = new Date(instant.getTime() + offset * 60000);
+
+  const sign = offset < 0 ? '-' : '+';
+  const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+  const minutes = String(Math.abs(offset) % 60).padStart(2, '0');
+
+  return `${local.toISOString().slice(0, 19)}${sign}${hours}:${minutes}`;
+};
+
+/**
+ * Get the wall-clock time of an instant in a timezone, as a Date whose UTC fields hold it
+ * @param {Date|string} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {Date} Wall-clock time
+ */
+const toWallClock = (date, timezone) => {
+  const instant = new Date(date);
+  return new Date(instant.getTime() + getOffset(timezone, instant) * 60000);
+};
+
+/**
+ * Get the instant of a wall-clock time in a timezone (the reverse of toWallClock)
+ * Times skipped when clocks go forward come out shifted by the change
+ * @param {Date} wallClock - Wall-clock time, held in the UTC fields of a Date
+ * @param {string} timezone - IANA timezone
+ * @returns {Date} Instant
+ */
+const fromWallClock = (wallClock, timezone) => {
+  const time = wallClock.getTime();
+
+  // The offset at the wall-clock time may differ from the one a few hours away, so correct it once
+  const guess = time - getOffset(timezone, new Date(time)) * 60000;
+  return new Date(time - getOffset(timezone, new Date(guess)) * 60000);
+};
+
+/**
+ * Get the instant at which a day starts in a timezone
+ * @param {string} day - Day as YYYY-MM-DD
+ * @param {string} timezone - IANA timezone
+ * @returns {Date} Instant of local midnight
+ */
+const startOfDay = (day, timezone) => {
+  return fromWallClock(new Date(`${day}T00:00:00Z`), timezone);
+};
+
+/**
+ * Check whether a date filter names a whole day ("today" or YYYY-MM-DD) rather than an instant
+ * @param {*} value - Date filter
+ * @returns {boolean} Whether the filter is a day
+ */
+const isDateOnly = (value) => {
+  return value === TODAY || (typeof value === 'string' && DATE_ONLY_PATTERN.test(value));
+};
+
+/**
+ * Resolve a date filter to an instant for an event in a timezone
+ * Days start at local midnight; a day used as an end bound lasts until the next local midnight
+ * @param {Date|string|null} value - Date filter: an instant, YYYY-MM-DD or "today"
+ * @param {string} timezone - IANA timezone of the event
+ * @param {boolean} isEnd - Whether the filter is the end of a window
+ * @returns {Date|null} Instant (inclusive), or null without a filter
+ */
+const resolveDateFilter = (value, timezone, isEnd = false) => {
+  if (!value) {
+    return null;
+  }
+
+  if (!isDateOnly(value)) {
+    return new Date(value);
+  }
+
+  const day = value === TODAY ? toLocalISOString(new Date(), timezone).slice(0, 10) : value;
+
+  if (!isEnd) {
+    return startOfDay(day, timezone);
+  }
+
+  const nextDay = new Date(new Date(`${day}T00:00:00Z`).getTime() + DAY).toISOString().slice(0, 10);
+  return new Date(startOfDay(nextDay, timezone).getTime() - 1);
+};
+
+/**
+ * Add the local wall-clock start and end times of an event, next to its UTC ones
+ * @param {object} event - Event or occurrence with start_time, end_time and timezone
+ * @returns {object} The event
+ */
+const addLocalTimes = (event) => {
+  const timezone = event.timezone || DEFAULT_EVENT_TIMEZONE;
+
+  event.start_time_local = event.start_time ? toLocalISOString(event.start_time, timezone) : null;
+  event.end_time_local = event.end_time ? toLocalISOString(event.end_time, timezone) : null;
+  return event;
+};
+
+module.exports = {
+  DEFAULT_EVENT_TIMEZONE,
+  TODAY,
+  isValidTimezone,
+  getOffset,
+  timezoneAt,
+  toLocalISOString,
+  toWallClock,
+  fromWallClock,
+  isDateOnly,
+  resolveDateFilter,
+  addLocalTimes
+};
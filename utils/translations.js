@@ -0,0 +1,101 @@
+/**
+ * Helpers to pick the language of event content
+ * Languages are BCP 47 codes made of a language and an optional region, e.g. "fr" or "pt-BR"
+ */
+
+// Language of events created without one
+const DEFAULT_CONTENT_LANGUAGE = 'en';
+
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[a-z]{2}|-\d{3})?$/i;
+
+/**
+ * Check whether a value is a language code
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is a language code
+ */
+const isValidLanguage = (value) => {
+  return typeof value === 'string' && LANGUAGE_PATTERN.test(value);
+};
+
+/**
+ * Normalize a language code: lowercase language, uppercase region ("pt-br" becomes "pt-BR")
+ * @param {string} language - Language code
+ * @returns {string} Normalized code
+ */
+const normalizeLanguage = (language) => {
+  const [base, region] = language.split('-');
+  return region ? `${base.toLowerCase()}-${region.toUpperCase()}` : base.toLowerCase();
+};
+
+/**
+ * Read a list of languages from a query parameter, given as an array or comma-separated
+ * @param {string|Array<string>} value - Parameter value
+ * @returns {Array<string>} Languages
+ */
+const toLanguageList = (value) => {
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(language => String(language).trim()).filter(Boolean);
+};
+
+/**
+ * Get the language part of a code ("fr-CA" gives "fr")
+ * @param {string} language - Language code
+ * @returns {string} Primary language
+ */
+const primaryLanguage = (language) => {
+  return language.split('-')[0].toLowerCase();
+};
+
+/**
+ * Pick the best available language for a requested one
+ * An exact match wins, then a match on the primary language; the first language listed wins ties
+ * @param {Array<string>} available - Available languages, the preferred fallback first
+ * @param {string|null} requested - Requested language
+ * @returns {string|null} Chosen language, or null if none matches
+ */
+const pickLanguage = (available, requested) => {
+  if (!requested || !isValidLanguage(requested)) {
+    return null;
+  }
+
+  const wanted = normalizeLanguage(requested);
+  return available.find(language => language === wanted) ||
+    available.find(language => primaryLanguage(language) === primaryLanguage(wanted)) ||
+    null;
+};
+
+/**
+ * Show an event in the best matching language, keeping its original content when none matches
+ * Sets `languages` (original first) and `content_language` on the event
+ * @param {object} event - Event row (title, description, language)
+ * @param {Array} translations - Translations of the event ({ locale, title, description })
+ * @param {string|null} requested - Requested language
+ * @returns {object} The event
+ */
+const applyTranslation = (event, translations, requested) => {
+  const original = event.language || DEFAULT_CONTENT_LANGUAGE;
+  const languages = [original, ...translations.map(translation => translation.locale)];
+  const chosen = pickLanguage(languages, requested) || original;
+
+  const translation = chosen !== original && translations.find(item => item.locale === chosen);
+  if (translation) {
+    event.title = translation.title;
+    if (translation.description !== null) {
+      event.description = translation.description;
+    }
+  }
+
+  event.languages = languages;
+  event.content_language = chosen;
+  return event;
+};
+
+module.exports = {
+  DEFAULT_CONTENT_LANGUAGE,
+  isValidLanguage,
+  normalizeLanguage,
+  toLanguageList,
+  primaryLanguage,
+  pickLanguage,
+  applyTranslation
+};
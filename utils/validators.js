@@ -1,5 +1,8 @@
 const { check } = require('express-validator');
 const { isValidCoordinates } = require('./geoUtils');
+const { isValidRule } = require('./recurrence');
+const { EVENT_STATUSES, INITIAL_STATUSES } = require('./eventStatus');
+const { FLAG_ATTRIBUTES, MAX_AGE, pickAttributes } = require('./eventAttributes');
 
 /**
  * Validation rules for user registration
@@ -93,6 +96,58 @@ const passwordChangeValidation = [
     .isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
 ];
 
+/**
+ * Validation rules for the accessibility and audience attributes of an event
+ * Attributes given as null are cleared on update
+ */
+const eventAttributesValidation = [
+  check('attributes')
+    .optional()
+    .isObject().withMessage('Attributes must be an object'),
+  
+  ...FLAG_ATTRIBUTES.map(name => check(`attributes.${name}`)
+    .optional({ nullable: true })
+    .isBoolean().withMessage(`Attribute ${name} must be a boolean`)
+    .toBoolean()),
+  
+  check('attributes.minAge')
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: MAX_AGE }).withMessage(`Minimum age must be between 0 and ${MAX_AGE}`)
+    .toInt(),
+  
+  check('attributes.maxAge')
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: MAX_AGE }).withMessage(`Maximum age must be between 0 and ${MAX_AGE}`)
+    .toInt()
+    .custom((maxAge, { req }) => {
+      const minAge = req.body.attributes.minAge;
+      if (minAge !== undefined && minAge !== null && maxAge < minAge) {
+        throw new Error('Maximum age must not be below minimum age');
+      }
+      return true;
+    }),
+  
+  // Runs last, once the attributes above are converted
+  check('attributes')
+    .optional()
+    .customSanitizer(pickAttributes)
+];
+
+/**
+ * Validation rules for the attribute filters of event listings and searches
+ */
+const eventAttributeFilterValidation = [
+  ...FLAG_ATTRIBUTES.map(name => check(name)
+    .optional()
+    .isBoolean().withMessage(`${name} must be a boolean`)
+    .toBoolean()),
+  
+  check('age')
+    .optional()
+    .isInt({ min: 0, max: MAX_AGE }).withMessage(`Age must be between 0 and ${MAX_AGE}`)
+    .toInt()
+];
+
 /**
  * Validation rules for event creation
  */
@@ -138,7 +193,27 @@ const eventCreationValidation = [
         throw new Error('Category IDs must be integers');
       }
       return true;
-    })
+    }),
+  
+  check('recurrenceRule')
+    .optional({ nullable: true })
+    .custom(isValidRule).withMessage('Recurrence rule must be a valid RRULE'),
+  
+  check('exdates')
+    .optional()
+    .isArray().withMessage('Exception dates must be an array'),
+  
+  check('exdates.*')
+    .optional()
+    .isISO8601().withMessage('Exception dates must be valid dates'),
+  
+  check('capacity')
+    .optional({ nullable: true })
+    .isInt({ min: 1 }).withMessage('Capacity must be a positive integer'),
+  
+  check('status')
+    .optional()
+    .isIn(INITIAL_STATUSES).withMessage('Events can only be created as draft or published')
 ];
 
 /**
@@ -187,7 +262,45 @@ const eventUpdateValidation = [
         throw new Error('Category IDs must be integers');
       }
       return true;
-    })
+    }),
+  
+  check('recurrenceRule')
+    .optional({ nullable: true })
+    .custom(isValidRule).withMessage('Recurrence rule must be a valid RRULE'),
+  
+  check('exdates')
+    .optional()
+    .isArray().withMessage('Exception dates must be an array'),
+  
+  check('exdates.*')
+    .optional()
+    .isISO8601().withMessage('Exception dates must be valid dates'),
+  
+  check('capacity')
+    .optional({ nullable: true })
+    .isInt({ min: 1 }).withMessage('Capacity must be a positive integer'),
+  
+  check('scope')
+    .optional()
+    .isIn(['all', 'this', 'following']).withMessage('Scope must be all, this or following'),
+  
+  check('occurrenceStart')
+    .if(check('scope').isIn(['this', 'following']))
+    .notEmpty().withMessage('Occurrence start is required when editing part of a series')
+    .isISO8601().withMessage('Occurrence start must be a valid date')
+];
+
+/**
+ * Validation rules for event status changes
+ */
+const eventStatusValidation = [
+  check('status')
+    .notEmpty().withMessage('Status is required')
+    .isIn(EVENT_STATUSES).withMessage(`Status must be one of: ${EVENT_STATUSES.join(', ')}`),
+  
+  check('reason')
+    .optional()
+    .isLength({ max: 500 }).withMessage('Reason must be less than 500 characters')
 ];
 
 /**
@@ -249,8 +362,11 @@ module.exports = {
   userProfileUpdateValidation,
   userCategoriesValidation,
   passwordChangeValidation,
+  eventAttributesValidation,
+  eventAttributeFilterValidation,
   eventCreationValidation,
   eventUpdateValidation,
+  eventStatusValidation,
   reviewValidation,
   locationSearchValidation
 };
\ No newline at end of file
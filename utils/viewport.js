@@ -0,0 +1,67 @@
+/**
+ * Map viewport search: bounding boxes and clustering by zoom level
+ * Zoom levels are those of web map tiles (0 shows the whole world in one 256px tile, each level doubles the scale)
+ */
+const { isValidCoordinates } = require('./geoUtils');
+require('dotenv').config();
+
+// Highest zoom level of web maps
+const MAX_ZOOM = 22;
+
+// From this zoom level on, viewport search returns individual events instead of clusters
+const CLUSTER_MAX_ZOOM = parseInt(process.env.CLUSTER_MAX_ZOOM) || 15;
+
+// Grid cells per tile width, so a cluster covers about 64px of the map
+const CELLS_PER_TILE = 4;
+
+// Most individual events returned for a viewport
+const MAX_VIEWPORT_EVENTS = 500;
+
+/**
+ * Read a bounding box given as "minLon,minLat,maxLon,maxLat" (the shape of geoUtils.getBoundingBox)
+ * @param {string|Array} value - Bounding box, as text or as an array
+ * @returns {Array|null} [minLon, minLat, maxLon, maxLat], or null if it is not a valid box
+ */
+const parseBoundingBox = (value) => {
+  const parts = Array.isArray(value) ? value : String(value).split(',');
+  if (parts.length !== 4 || parts.some(part => String(part).trim() === '')) {
+    return null;
+  }
+
+  const bbox = parts.map(Number);
+  const [minLon, minLat, maxLon, maxLat] = bbox;
+
+  // Boxes crossing the antimeridian must be split by the client
+  if (!isValidCoordinates(minLat, minLon) || !isValidCoordinates(maxLat, maxLon) || minLon >= maxLon || minLat >= maxLat) {
+    return null;
+  }
+
+  return bbox;
+};
+
+/**
+ * Check whether events are clustered at a zoom level
+ * @param {number} zoom - Zoom level
+ * @returns {boolean} Whether to return clusters instead of events
+ */
+const shouldCluster = (zoom) => {
+  return zoom < CLUSTER_MAX_ZOOM;
+};
+
+/**
+ * Get the size of the cluster grid cells at a zoom level
+ * @param {number} zoom - Zoom level
+ * @returns {number} Cell size in degrees
+ */
+const getClusterCellSize = (zoom) => {
+  return 360 / Math.pow(2, zoom) / CELLS_PER_TILE;
+};
+
+module.exports = {
+  MAX_ZOOM,
+  CLUSTER_MAX_ZOOM,
+  MAX_VIEWPORT_EVENTS,
+  parseBoundingBox,
+  shouldCluster,
+  getClusterCellSize
+};